@@ -8,6 +8,7 @@ const ora = require('ora');
 const fs = require('fs-extra');
 const path = require('path');
 const dotenv = require('dotenv');
+const { vaultExists, loadVaultIntoEnv } = require('./utils/vault');
 
 // Load environment variables
 dotenv.config();
@@ -39,7 +40,7 @@ process.on('uncaughtException', (error) => {
 });
 
 // Import commands - Wrapped in try/catch to prevent crashes on version/help
-let init, deploy, assist, compile, test, config;
+let init, deploy, assist, compile, test, config, sessions, undo, index, search, secrets, jobs, prompts;
 try {
   init = require('./commands/init');
   deploy = require('./commands/deploy');
@@ -47,6 +48,13 @@ try {
   compile = require('./commands/compile');
   test = require('./commands/test');
   config = require('./commands/config');
+  sessions = require('./commands/sessions');
+  undo = require('./commands/undo');
+  index = require('./commands/index');
+  search = require('./commands/search');
+  secrets = require('./commands/secrets');
+  jobs = require('./commands/jobs');
+  prompts = require('./commands/prompts');
 } catch (error) {
   // Silently fail for version/help commands
   if (!(process.argv.includes('--version') || 
@@ -61,6 +69,11 @@ try {
 // Check if OpenAI API key is set and valid
 const checkApiKey = () => {
   if (!process.env.OPENAI_API_KEY) {
+    // Commands that need the key read it from the encrypted vault
+    if (vaultExists()) {
+      return;
+    }
+    
     console.log(chalk.yellow('Warning: OPENAI_API_KEY is not set. Some features may not work properly.'));
     console.log(chalk.yellow('Run `arvil config` to set up your API keys.'));
   } else if (!process.env.OPENAI_API_KEY.startsWith('sk-')) {
@@ -130,20 +143,24 @@ if (assist) {
   // Assist command
   program
     .command('assist [query]')
-    .description('Get AI assistance for a specific task')
-    .action(async (query) => {
-      if (!query) {
-        const response = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'query',
-            message: 'What do you need help with?'
-          }
-        ]);
-        query = response.query;
-      }
-      
-      assist(query);
+    .description('Get AI assistance for a specific task (omit the query to start a chat)')
+    .option('-c, --chat', 'Keep the conversation open for follow-up questions')
+    .option('-r, --resume <id>', 'Continue a saved session')
+    .option('-p, --plan', 'Show the planned file changes and commands and ask before applying them')
+    .option('--context-tokens <n>', 'Token budget for project files sent with a question (default: 6000)')
+    .option('-a, --agent', 'Let the AI read files, edit code and run commands through tools until the task is done')
+    .option('--max-steps <n>', 'Maximum model turns per agent task (default: 20)')
+    .option('--allow <tools>', 'Agent tools that run without asking: write_file, apply_patch, run_command, run_tests or all')
+    .option('-m, --approval-mode <mode>', 'What to apply without asking: suggest (nothing), auto-edit (files, ask for commands) or full-auto (default: project or global setting, else full-auto)')
+    .option('--report <path>', 'Write a JSON and Markdown report of commands, file changes, errors and token usage (<path>.json, <path>.md)')
+    .option('--ci', 'Run without prompts (query from the argument or stdin) and exit with 0 = changes applied, 1 = failed, 2 = no changes')
+    .option('-y, --yes', 'Approve every confirmation: commands the policy asks about, plan steps, agent tools and fixes')
+    .option('--no-exec', 'Write files but never run commands')
+    .option('--keep-jobs', 'Leave background jobs (validators, local nodes, dev servers) running when assist exits')
+    .option('--timeout <seconds>', 'Stop a command that runs longer than this (default: 600, 0 = no limit)')
+    .option('--values <file>', 'JSON or .env file with placeholder values (PRIVATE_KEY, API_KEY, WALLET_ADDRESS, RPC_ENDPOINT) for --ci')
+    .action(async (query, options) => {
+      assist(query, options);
     });
 }
 
@@ -177,10 +194,97 @@ if (config) {
     });
 }
 
-// Parse arguments
-program.parse(process.argv);
+if (sessions) {
+  // Sessions command
+  program
+    .command('sessions [action] [id]')
+    .description('List, show or export saved assist sessions (actions: list, show, export)')
+    .option('-a, --all', 'List sessions of all projects')
+    .option('-f, --format <format>', 'Export format (markdown/json)', 'markdown')
+    .option('-o, --output <path>', 'Write the export to a file instead of the terminal')
+    .action((action, id, options) => {
+      sessions(action, id, options);
+    });
+}
+
+if (undo) {
+  // Undo command
+  program
+    .command('undo [session]')
+    .description('Revert the file changes made by the last (or the given) assist session')
+    .option('-y, --yes', 'Revert without asking for confirmation')
+    .action((session, options) => {
+      undo(session, options);
+    });
+}
 
-// If no arguments, display help
-if (!process.argv.slice(2).length) {
-  program.outputHelp();
-} 
\ No newline at end of file
+if (index) {
+  // Index command
+  program
+    .command('index')
+    .description('Build the symbol index of the project used by assist (cached in .arvil/index.json)')
+    .option('-f, --force', 'Parse every file again instead of only changed files')
+    .option('-l, --list', 'Print the indexed symbols')
+    .action((options) => {
+      index(options);
+    });
+}
+
+if (search) {
+  // Search command
+  program
+    .command('search <terms...>')
+    .description('Search the project with the local index assist uses to pick relevant code')
+    .option('-n, --limit <n>', 'Maximum number of results', '5')
+    .option('--full', 'Show whole chunks instead of a preview')
+    .option('--reindex', 'Rebuild the search index from scratch')
+    .action((terms, options) => {
+      search(terms, options);
+    });
+}
+
+if (secrets) {
+  // Secrets command
+  program
+    .command('secrets [action] [name]')
+    .description('Manage the encrypted secrets vault ~/.arvil/secrets.enc (actions: set, get, list, rm, rotate)')
+    .option('-y, --yes', 'Remove without asking for confirmation')
+    .action((action, name, options) => {
+      secrets(action, name, options);
+    });
+}
+
+if (jobs) {
+  // Jobs command
+  program
+    .command('jobs [action] [name]')
+    .description('Manage background jobs started by assist, like validators and local nodes (actions: list, logs, stop)')
+    .option('-n, --lines <n>', 'Number of log lines to print', '50')
+    .option('-f, --follow', 'Keep printing new log output until the job exits')
+    .option('-a, --all', 'Stop every job of the project')
+    .action((action, name, options) => {
+      jobs(action, name, options);
+    });
+}
+
+if (prompts) {
+  // Prompts command
+  program
+    .command('prompts [action] [name]')
+    .description('Show the prompt templates of this project, rendered with its chain, network, framework and conventions (action: show)')
+    .option('--raw', 'Print the template instead of the rendered prompt')
+    .action((action, name, options) => {
+      prompts(action, name, options);
+    });
+}
+
+// Load the secrets vault when its passphrase is in the environment (CI), then parse arguments;
+// interactive commands ask for the passphrase themselves
+loadVaultIntoEnv({ prompt: false }).then(() => {
+  program.parse(process.argv);
+  
+  // If no arguments, display help
+  if (!process.argv.slice(2).length) {
+    program.outputHelp();
+  }
+}); 
\ No newline at end of file
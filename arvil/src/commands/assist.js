@@ -3,17 +3,89 @@ const path = require('path');
 const chalk = require('chalk');
 const ora = require('ora');
 const inquirer = require('inquirer');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
+const dotenv = require('dotenv');
 const { getProjectInfo, getCurrentProject, isInProject, updateProjectTimestamp } = require('../utils/project');
+const { createSession, saveSession, loadSession, loadSnapshots, hashContent, isSnapshotUndone } = require('../utils/session');
+const { createUnifiedDiff, countChanges } = require('../utils/diff');
+const {
+  isSearchReplace,
+  isUnifiedDiff,
+  parseUnifiedDiff,
+  parseSearchReplace,
+  applyUnifiedDiff,
+  applySearchReplace,
+  formatPatchFailures
+} = require('../utils/patch');
+const { loadPolicy, evaluateCommand } = require('../utils/policy');
+const { createMarkdownRenderer } = require('../utils/render');
+const { buildFileContext, getContextBudget, estimateTokens } = require('../utils/context');
+const { loadIndex, buildIndex, buildSymbolContext } = require('../utils/symbols');
+const { buildSearchContext } = require('../utils/search');
+const { loadErrorHandlers, findErrorFix, isTrustedProject, trustProject, listProjectHandlerModules, GLOBAL_CONFIG_FILE } = require('../utils/handlers');
+const {
+  isRustBuildCommand,
+  getJsonBuildCommand,
+  parseCargoDiagnostics,
+  parseSolcDiagnostics,
+  formatCodeFrame,
+  buildDiagnosticFixMessage,
+  extractPatch
+} = require('../utils/diagnostics');
+const { AGENT_TOOLS, APPROVAL_TOOLS, readFileTool, listDirTool, detectTestCommand } = require('../utils/tools');
+const { createReport, addReportTurn, writeReport, formatDuration } = require('../utils/report');
+const { DEFAULT_APPROVAL_MODE, PROJECT_CONFIG_FILE, resolveApprovalMode, getAutoApprovedTools, getNonInteractiveMode } = require('../utils/approval');
+const { createRedactor, addSecret, redactSecrets, restoreSecrets, findUnknownTokens, redactDeep } = require('../utils/redact');
+const { loadVaultIntoEnv, setSecret } = require('../utils/vault');
+const { createShellSession, getSessionEnv, runInSession, signalProcessGroup, predictCwd, formatCwd } = require('../utils/shell');
+const { renderPrompt } = require('../utils/prompts');
+const { detectJob, findRunningJob, startJob, isPortOpen, waitForJob, stopJob, readJobLog, isJobRunning } = require('../utils/jobs');
 
 // Lazy load OpenAI to avoid startup errors
 let openaiModule = null;
 let openai = null;
 
-// Track created files
-const createdFiles = new Set();
+// The persisted session for the current assist run
+let currentSession = null;
+
+// Options of the current assist run
+let assistOptions = {};
+
+// What assist applies without asking: suggest, auto-edit or full-auto
+let approvalMode = DEFAULT_APPROVAL_MODE;
+
+// Command policy (project, global and built-in rules) for the current assist run
+let commandPolicy = null;
+
+// Project files and definitions already sent in this conversation (key -> content)
+const sentContextFiles = new Map();
+
+// Registry of deterministic fixes for known errors (built-in, project and plugin handlers)
+let errorHandlers = null;
+
+// Machine-readable report of every turn (--report)
+let executionReport = null;
+
+// Secrets of this run (environment, .env, typed-in keys) and their tokens; only tokens reach the model
+let secretRedactor = null;
+
+// Working directory and exported variables that the commands of this run share
+let shellSession = null;
+
+// Background jobs started by this run, stopped when it ends (unless --keep-jobs)
+const sessionJobs = [];
+
+// Placeholder values of a non-interactive run (--values file over the environment)
+let placeholderSource = {};
+
+// Keys from the vault or typed in for placeholders: files and commands reference their variable,
+// and the value is resolved from the environment when they run
+const runtimeSecretNames = new Set();
+
+// The resolution chain being worked on; failures inside it don't start a new chain
+let activeResolution = null;
+
+// Agent tools that run without asking (from --allow or "always" answers)
+const allowedAgentTools = new Set();
 
 // Track execution statistics for summary
 const executionStats = {
@@ -25,37 +97,153 @@ const executionStats = {
   files: {
     created: [],
     updated: [],
-    failed: []
+    failed: [],
+    conflicts: [],
+    changes: []
   },
   errors: {
     detected: 0,
     resolved: 0,
-    unresolved: 0
+    unresolved: 0,
+    // Error output of commands that exited with 0: fixed like errors, but they don't fail the run
+    warnings: 0
+  },
+  policy: {
+    decisions: []
   },
+  resolution: {
+    attempts: 0,
+    chains: []
+  },
+  // Requests and tokens per model
+  usage: {},
+  // Whether an agent task ended with done or a final answer
+  agentFinished: false,
   startTime: null,
   endTime: null
 };
 
-// Auto-execution settings
-const AUTO_EXECUTE = true; // Set to true to auto-execute without prompting
-
 // Extract a simple function to clean the API key
 function cleanApiKey(key) {
   if (!key) return '';
   return key.replace(/[\s\n\r'"]+/g, '');
 }
 
+// Commands that end an interactive chat session
+const CHAT_EXIT_COMMANDS = ['exit', 'quit', '/exit', '/quit'];
+
+// Where each approval mode setting comes from, for the startup message
+const APPROVAL_MODE_SOURCES = {
+  option: '--approval-mode',
+  project: PROJECT_CONFIG_FILE,
+  environment: 'ARVIL_APPROVAL_MODE',
+  global: '~/.arvil.json'
+};
+
+// Maximum characters of command output fed back into the conversation
+const MAX_HISTORY_OUTPUT = 2000;
+
+// Characters at the end of a failed command's output that are sent for error resolution
+const MAX_ERROR_OUTPUT = 6000;
+
+// Partial output line that is written without waiting for its end
+const MAX_PENDING_OUTPUT = 4096;
+
+// Seconds a command may run before it is stopped (overridable with --timeout or ARVIL_COMMAND_TIMEOUT)
+const DEFAULT_COMMAND_TIMEOUT = 600;
+
+// Maximum tokens of an assist response (the output limit of gpt-4-turbo)
+const MAX_RESPONSE_TOKENS = 4096;
+
+// Fix attempts for a single failure, and for all failures of a turn (overridable with ARVIL_FIX_BUDGET)
+const MAX_FIX_ATTEMPTS = 3;
+const DEFAULT_FIX_BUDGET = 6;
+
+// Compiler errors fixed one by one in a single resolution attempt
+const MAX_DIAGNOSTIC_FIXES = 5;
+
+// Model turns an agent task may take before it is stopped (overridable with --max-steps)
+const DEFAULT_AGENT_STEPS = 20;
+
+// Exit codes of non-interactive runs (--ci)
+const EXIT_CHANGES_APPLIED = 0;
+const EXIT_FAILED = 1;
+const EXIT_NO_CHANGES = 2;
+
+// Environment variables holding placeholder values (prompted values are saved under these names in .env)
+const PLACEHOLDER_ENV_KEYS = {
+  private_key: 'PRIVATE_KEY',
+  api_key: 'API_KEY',
+  wallet_address: 'WALLET_ADDRESS',
+  rpc_endpoint: 'RPC_ENDPOINT'
+};
+
 /**
  * Get AI assistance for a specific task
- * @param {string} query - The query to get assistance for
+ * @param {string} query - The query to get assistance for ("-" reads it from stdin)
+ * @param {Object} options - Assist options
+ * @param {boolean} options.chat - Keep the conversation open after the first answer
+ * @param {string} options.resume - Id of a saved session to continue
+ * @param {boolean} options.plan - Show an action plan and ask before changing anything
+ * @param {string} options.contextTokens - Token budget for project files sent with a question
+ * @param {boolean} options.agent - Let the model work through tools until the task is done
+ * @param {string} options.maxSteps - Maximum model turns per agent task
+ * @param {string} options.allow - Agent tools that run without asking (comma-separated, or "all")
+ * @param {string} options.report - Path to write a JSON and Markdown execution report to
+ * @param {boolean} options.ci - Never prompt; read the query from stdin if it is missing and set the exit code
+ * @param {boolean} options.yes - Approve every confirmation (commands, plan steps, agent tools, fixes)
+ * @param {boolean} options.exec - Run commands (false with --no-exec)
+ * @param {string} options.values - JSON or .env file with placeholder values for non-interactive runs
+ * @param {string} options.approvalMode - suggest, auto-edit or full-auto (overrides the configured mode)
+ * @param {string} options.timeout - Seconds a command may run before it is stopped (0: no limit)
+ * @param {boolean} options.keepJobs - Leave background jobs running when assist exits
  */
-async function assist(query) {
+async function assist(query, options = {}) {
+  assistOptions = options;
+  
+  if (options.ci) {
+    if (options.chat) {
+      console.log(chalk.red('Error: --chat needs a terminal and cannot be combined with --ci.'));
+      process.exitCode = EXIT_FAILED;
+      return;
+    }
+    
+    try {
+      placeholderSource = loadPlaceholderValues(options.values);
+    } catch (error) {
+      console.log(chalk.red(`Error: Could not read the values file: ${error.message}`));
+      process.exitCode = EXIT_FAILED;
+      return;
+    }
+  }
+  
+  // The query can be piped in: `arvil assist --ci < task.md` or `arvil assist -`
+  if (query === '-' || (!query && options.ci)) {
+    query = process.stdin.isTTY ? '' : (await readStdin()).trim();
+    if (!query) {
+      console.log(chalk.red('Error: No query given. Pass it as an argument or on stdin.'));
+      process.exitCode = EXIT_FAILED;
+      return;
+    }
+  }
+  
+  allowedAgentTools.clear();
+  if (options.allow) {
+    const requested = options.allow === 'all' ? APPROVAL_TOOLS : options.allow.split(',').map(tool => tool.trim());
+    requested.forEach(tool => {
+      if (APPROVAL_TOOLS.includes(tool)) {
+        allowedAgentTools.add(tool);
+      } else {
+        console.log(chalk.yellow(`Warning: Unknown tool in --allow: ${tool} (use ${APPROVAL_TOOLS.join(', ')} or all)`));
+      }
+    });
+  }
+  
   // Reset execution stats
   resetExecutionStats();
   
   // Check if in a project directory
   let projectInfo = null;
-  let projectWarningShown = false;
   
   try {
     if (isInProject()) {
@@ -67,17 +255,20 @@ async function assist(query) {
     } else {
       console.log(chalk.yellow('Warning: Not in an ARVIL project directory. Some features may not work properly.'));
       console.log(chalk.yellow('Tip: Run `arvil init my-project` to create a new project first.'));
-      projectWarningShown = true;
     }
   } catch (error) {
     // Silently continue if project detection fails
   }
   
+  // Keys stored with `arvil secrets` (CI runs unlock the vault with ARVIL_VAULT_PASSPHRASE)
+  const vaultSecrets = await loadVaultIntoEnv({ prompt: !options.ci });
+  
   // Check if OpenAI API key is set
   if (!process.env.OPENAI_API_KEY) {
     console.log(chalk.red('Error: OPENAI_API_KEY is not set.'));
     console.log(chalk.yellow('Please set your OpenAI API key by running:'));
     console.log(chalk.cyan('  arvil config'));
+    process.exitCode = EXIT_FAILED;
     return;
   }
   
@@ -96,453 +287,1907 @@ async function assist(query) {
   } catch (error) {
     console.log(chalk.red(`Error initializing OpenAI: ${error.message}`));
     console.log(chalk.yellow('Please check your internet connection and try again.'));
+    process.exitCode = EXIT_FAILED;
     return;
   }
   
-  // Rest of your function here...
-  const spinner = ora('Generating AI response...').start();
+  const projectPath = projectInfo ? projectInfo.path : process.cwd();
   
   try {
-    // Get project info for context
-    let projectInfo = null;
+    const resolved = resolveApprovalMode(projectPath, options.approvalMode);
+    approvalMode = getNonInteractiveMode(resolved.mode, options);
+    
+    if (approvalMode !== resolved.mode) {
+      console.log(chalk.gray(`Approval mode: ${approvalMode} instead of ${resolved.mode}, commands only run in --ci with --yes`));
+    }
+    
+    // The agent asks before every change unless a mode was chosen explicitly
+    if (resolved.source !== 'default') {
+      console.log(chalk.gray(`Approval mode: ${approvalMode} (from ${APPROVAL_MODE_SOURCES[resolved.source]})`));
+      getAutoApprovedTools(approvalMode).forEach(tool => allowedAgentTools.add(tool));
+    }
+  } catch (error) {
+    console.log(chalk.red(`Error: ${error.message}`));
+    process.exitCode = EXIT_FAILED;
+    return;
+  }
+  
+  commandPolicy = loadPolicy(projectPath);
+  secretRedactor = createRedactor({ projectRoot: projectPath });
+  vaultSecrets.forEach(name => {
+    addSecret(secretRedactor, process.env[name], name);
+    runtimeSecretNames.add(name);
+  });
+  errorHandlers = loadErrorHandlers(projectPath, { trusted: await confirmProjectHandlers(projectPath) });
+  shellSession = createShellSession(process.cwd());
+  
+  // Jobs must not outlive a run that ends abruptly (they are stopped properly at the end otherwise)
+  if (!options.keepJobs) {
+    process.once('exit', killSessionJobs);
+  }
+  
+  if (options.resume) {
     try {
-      projectInfo = getProjectInfo();
+      currentSession = loadSession(options.resume, projectPath);
     } catch (error) {
-      // Continue without project info
+      console.log(chalk.red(`Error: ${error.message}`));
+      process.exitCode = EXIT_FAILED;
+      return;
     }
     
-    // Prepare context for the AI
-    let context = '';
-    if (projectInfo) {
-      context = `The current project is ${projectInfo.name} (${projectInfo.description}). `;
-      
-      // Add dependencies info
-      const deps = Object.keys(projectInfo.dependencies || {}).join(', ');
-      if (deps) {
-        context += `It uses the following dependencies: ${deps}. `;
-      }
+    if (!currentSession) {
+      console.log(chalk.red(`Error: Session "${options.resume}" not found.`));
+      console.log(chalk.yellow('Run `arvil sessions list` to see saved sessions.'));
+      process.exitCode = EXIT_FAILED;
+      return;
     }
     
-    // Send request to OpenAI
-    const response = await openai.chat.completions.create({
-      model: "gpt-4-turbo",
-      messages: [
-        { role: "system", content: "You are ARVIL, an AI blockchain engineer assistant for Solana. You provide expert help with smart contract development, debugging, testing, and deployment. When providing code solutions, present them as executable commands (bash) and file snippets (with specific filenames) that should be implemented. Be concise, technical, and helpful." },
-        { role: "user", content: `${context}${query}` }
-      ],
-      temperature: 0.5,
-      max_tokens: 1500
-    });
-    
-    // Extract and display the response
-    const aiResponse = response.choices[0].message.content;
-    spinner.succeed('Response generated');
-    
-    console.log('\n' + chalk.cyan('ARVIL: ') + aiResponse + '\n');
-    
-    // Extract code blocks and execute them
-    const codeBlocks = extractCodeBlocks(aiResponse);
+    currentSession.snapshots = loadSnapshots(currentSession);
+    console.log(chalk.green(`Resuming session ${currentSession.id}${currentSession.title ? `: ${currentSession.title}` : ''}`));
+  } else {
+    currentSession = createSession(projectPath, projectInfo ? projectInfo.name : undefined);
+  }
+  
+  executionReport = options.report ? createReport({
+    sessionId: currentSession.id,
+    projectName: projectInfo ? projectInfo.name : path.basename(projectPath),
+    projectPath,
+    mode: options.agent ? 'agent' : options.plan ? 'plan' : 'assist'
+  }) : null;
+  
+  // The conversation history shared by every turn of this session
+  const messages = currentSession.messages;
+  if (messages.length === 0) {
+    messages.push({ role: "system", content: renderPrompt(options.agent ? 'agent' : 'system', projectPath) });
+  }
+  
+  if (query) {
+    const includeContext = !messages.some(message => message.role === 'user');
+    await runAssistTurn(messages, query, projectInfo, includeContext);
+    updateExecutionReport(query);
     
-    if (codeBlocks.length > 0) {
-      if (AUTO_EXECUTE) {
-        // Automatically process code blocks without prompting
-        await autoProcessCodeBlocks(codeBlocks, aiResponse, projectInfo);
-        
-        // Display summary after execution
-        displayExecutionSummary();
-      } else {
-        // Use the interactive mode if AUTO_EXECUTE is false
-        await handleCodeBlocks(codeBlocks, projectInfo);
-        
-        // Display summary after execution
-        displayExecutionSummary();
-      }
+    if (options.ci) {
+      process.exitCode = getExitCode();
     }
-    else {
-      // No code blocks to execute, but still show summary
-      executionStats.endTime = new Date();
-      displayExecutionSummary();
-    }
-    
-  } catch (error) {
-    spinner.fail('Failed to generate response');
-    console.error(chalk.red(`Error: ${error.message}`));
-    
-    if (error.message.includes('API key')) {
-      console.log(chalk.yellow('Please check your OpenAI API key:'));
-      console.log(chalk.cyan('  arvil config'));
+  }
+  
+  // Without a query (or with --chat) keep the conversation open
+  if (!query || options.chat) {
+    await startChatLoop(messages, projectInfo);
+  }
+  
+  if (!options.keepJobs) {
+    await stopSessionJobs();
+  } else if (sessionJobs.length > 0) {
+    console.log(chalk.cyan(`\nBackground jobs keep running: ${sessionJobs.map(job => job.name).join(', ')} (stop them with \`arvil jobs stop --all\`)`));
+  }
+  
+  if (currentSession.messages.length > 1) {
+    console.log(chalk.cyan(`\nSession saved: ${currentSession.id}`));
+    console.log(chalk.cyan(`Continue it with: arvil assist --resume ${currentSession.id}`));
+  }
+  
+  if (executionReport) {
+    try {
+      const written = writeReport(options.report, redactDeep(secretRedactor, executionReport));
+      console.log(chalk.cyan(`Report written: ${path.relative(process.cwd(), written.json)}, ${path.relative(process.cwd(), written.markdown)}`));
+    } catch (error) {
+      console.log(chalk.red(`Error writing the report: ${error.message}`));
     }
-    
-    // Add the error to stats
-    executionStats.errors.detected++;
-    executionStats.errors.unresolved++;
-    executionStats.endTime = new Date();
-    displayExecutionSummary();
   }
 }
 
 /**
- * Reset execution statistics
+ * Read all of stdin
+ * @returns {Promise<string>} - The text piped into the command
  */
-function resetExecutionStats() {
-  executionStats.commands.executed = [];
-  executionStats.commands.successful = 0;
-  executionStats.commands.failed = 0;
-  executionStats.files.created = [];
-  executionStats.files.updated = [];
-  executionStats.files.failed = [];
-  executionStats.errors.detected = 0;
-  executionStats.errors.resolved = 0;
-  executionStats.errors.unresolved = 0;
-  executionStats.startTime = new Date();
-  executionStats.endTime = null;
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => {
+      data += chunk;
+    });
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
 }
 
 /**
- * Display summary of execution
+ * Load the placeholder values of a non-interactive run
+ * Values from the file (JSON, or KEY=VALUE lines like .env) take precedence over the environment.
+ * @param {string} valuesFile - Path given with --values, if any
+ * @returns {Object} - Variable name -> value
  */
-function displayExecutionSummary() {
-  // Set end time if not set
-  if (!executionStats.endTime) {
-    executionStats.endTime = new Date();
+function loadPlaceholderValues(valuesFile) {
+  const values = { ...process.env };
+  if (!valuesFile) {
+    return values;
   }
   
-  // Calculate elapsed time
-  const elapsedTime = Math.round((executionStats.endTime - executionStats.startTime) / 1000);
+  const content = fs.readFileSync(valuesFile, 'utf8');
+  const fileValues = valuesFile.endsWith('.json') ? JSON.parse(content) : dotenv.parse(content);
+  Object.entries(fileValues).forEach(([key, value]) => {
+    values[key] = String(value);
+  });
   
-  console.log(chalk.cyan('\n┌─────────────────────────────────────┐'));
-  console.log(chalk.cyan('│           EXECUTION SUMMARY          │'));
-  console.log(chalk.cyan('└─────────────────────────────────────┘'));
+  return values;
+}
+
+/**
+ * Get the exit code of a non-interactive run from the stats of its turn
+ * An agent task fails when it doesn't finish; failed commands along the way are part of its work.
+ * @returns {number} - EXIT_FAILED if an error stayed unresolved or a file could not be written,
+ *                     EXIT_CHANGES_APPLIED if files were written or commands ran, EXIT_NO_CHANGES otherwise
+ */
+function getExitCode() {
+  const { commands, files, errors } = executionStats;
+  const failed = assistOptions.agent ? !executionStats.agentFinished : errors.detected > errors.resolved;
   
-  // Commands summary
-  console.log(chalk.cyan('Commands:'));
-  console.log(chalk.green(`  ✓ Successful: ${executionStats.commands.successful}`));
-  console.log(chalk.red(`  ✗ Failed: ${executionStats.commands.failed}`));
+  if (failed || files.failed.length > 0) {
+    return EXIT_FAILED;
+  }
   
-  // Files summary
-  console.log(chalk.cyan('\nFiles:'));
-  console.log(chalk.green(`  ✓ Created: ${executionStats.files.created.length}`));
-  console.log(chalk.yellow(`  ⟳ Updated: ${executionStats.files.updated.length}`));
-  console.log(chalk.red(`  ✗ Failed: ${executionStats.files.failed.length}`));
+  if (files.created.length > 0 || files.updated.length > 0 || commands.executed.length > 0) {
+    return EXIT_CHANGES_APPLIED;
+  }
   
-  // Errors summary
-  console.log(chalk.cyan('\nErrors:'));
-  console.log(chalk.yellow(`  ⚠ Detected: ${executionStats.errors.detected}`));
-  console.log(chalk.green(`  ✓ Resolved: ${executionStats.errors.resolved}`));
-  console.log(chalk.red(`  ✗ Unresolved: ${executionStats.errors.unresolved}`));
+  return EXIT_NO_CHANGES;
+}
+
+/**
+ * Answer a confirmation without asking in non-interactive mode
+ * @returns {boolean|null} - true with --yes, false with --ci alone, null if the user should be asked
+ */
+function getAutomaticAnswer() {
+  if (assistOptions.yes) {
+    return true;
+  }
   
-  // Time summary
-  console.log(chalk.cyan('\nTime:'));
-  console.log(chalk.white(`  ⏱ Elapsed: ${elapsedTime} seconds`));
+  return assistOptions.ci ? false : null;
+}
+
+/**
+ * Add the results of the last turn to the execution report and write it (--report)
+ * The report is rewritten after every turn so it is complete even if a chat is interrupted.
+ * @param {string} input - The question of the turn
+ */
+function updateExecutionReport(input) {
+  if (!executionReport) {
+    return;
+  }
   
-  // Command details if any were executed
-  if (executionStats.commands.executed.length > 0) {
-    console.log(chalk.cyan('\nCommand Details:'));
-    executionStats.commands.executed.forEach((cmd, i) => {
-      const icon = cmd.success ? chalk.green('✓') : chalk.red('✗');
-      console.log(`  ${icon} ${cmd.command.substring(0, 60)}${cmd.command.length > 60 ? '...' : ''}`);
-    });
+  const { commands, files, errors, resolution, policy, usage } = executionStats;
+  const endTime = executionStats.endTime || new Date();
+  
+  addReportTurn(executionReport, {
+    query: input,
+    startTime: executionStats.startTime.toISOString(),
+    endTime: endTime.toISOString(),
+    durationMs: endTime - executionStats.startTime,
+    commands: commands.executed.map(cmd => ({
+      command: cmd.command,
+      cwd: cmd.cwd,
+      success: cmd.success,
+      exitCode: cmd.exitCode,
+      signal: cmd.signal || null,
+      durationMs: cmd.durationMs,
+      startTime: cmd.timestamp.toISOString()
+    })),
+    files: files.changes.map(change => ({ ...change })),
+    failedFiles: [...files.failed],
+    conflicts: files.conflicts.map(conflict => ({ ...conflict })),
+    errors: { ...errors },
+    fixAttempts: resolution.attempts,
+    resolutions: resolution.chains.map(chain => JSON.parse(JSON.stringify(chain))),
+    policyDecisions: policy.decisions.map(decision => ({ ...decision })),
+    usage: JSON.parse(JSON.stringify(usage))
+  });
+  
+  try {
+    writeReport(assistOptions.report, redactDeep(secretRedactor, executionReport));
+  } catch (error) {
+    console.log(chalk.yellow(`Warning: Could not write the report: ${error.message}`));
+  }
+}
+
+/**
+ * Build a short description of the current project for the AI
+ * @param {Object|null} projectInfo - Project information if in a project
+ * @returns {string} - Context sentence(s) to prepend to the first query
+ */
+function buildProjectContext(projectInfo) {
+  if (!projectInfo) {
+    return '';
   }
   
-  // File details if any were created/updated
-  if (executionStats.files.created.length > 0 || executionStats.files.updated.length > 0) {
-    console.log(chalk.cyan('\nFile Details:'));
+  let context = `The current project is ${projectInfo.name} (${projectInfo.description}). `;
+  
+  // Add dependencies info
+  const deps = Object.keys(projectInfo.dependencies || {}).join(', ');
+  if (deps) {
+    context += `It uses the following dependencies: ${deps}. `;
+  }
+  
+  return context;
+}
+
+/**
+ * Collect the file tree, the code outline, the best matching excerpts and the project files
+ * most relevant to a question
+ * Files, excerpts and definitions already sent unchanged earlier in the conversation are left out.
+ * @param {string} input - The user's question
+ * @param {Object|null} projectInfo - Project information if in a project
+ * @param {boolean} includeTree - Include the project file tree and code outline
+ * @returns {string} - Context to prepend to the question, or an empty string
+ */
+function buildRelevantFileContext(input, projectInfo, includeTree) {
+  const budget = getContextBudget(assistOptions.contextTokens);
+  if (!projectInfo || budget === 0) {
+    return '';
+  }
+  
+  const isUnchanged = (key, text) => sentContextFiles.get(key) === text;
+  let symbolContext = { text: '', tokens: 0, definitions: [] };
+  let searchContext;
+  let fileContext;
+  
+  try {
+    // The symbol index is only used once `arvil index` has created it; changed files are re-parsed
+    if (loadIndex(projectInfo.path)) {
+      const { index } = buildIndex(projectInfo.path);
+      symbolContext = buildSymbolContext(projectInfo.path, index, input, {
+        budget: Math.floor(budget / 2),
+        includeOutline: includeTree,
+        skip: isUnchanged
+      });
+    }
     
-    executionStats.files.created.forEach(file => {
-      console.log(chalk.green(`  ✓ Created: ${file}`));
+    // Excerpts from the local search index (refreshed for changed files on every question)
+    searchContext = buildSearchContext(projectInfo.path, input, {
+      budget: Math.floor((budget - symbolContext.tokens) / 2),
+      skip: isUnchanged
     });
     
-    executionStats.files.updated.forEach(file => {
-      console.log(chalk.yellow(`  ⟳ Updated: ${file}`));
+    fileContext = buildFileContext(projectInfo.path, input, {
+      budget: budget - symbolContext.tokens - searchContext.tokens,
+      includeTree,
+      skip: isUnchanged
     });
-    
-    executionStats.files.failed.forEach(file => {
-      console.log(chalk.red(`  ✗ Failed: ${file}`));
+  } catch (error) {
+    console.log(chalk.yellow(`Warning: Could not read project files: ${error.message}`));
+    return '';
+  }
+  
+  // Excerpts of files that are included whole add nothing
+  const wholeFiles = fileContext.files.filter(file => !file.truncated).map(file => file.path);
+  const chunks = searchContext.chunks.filter(chunk => !wholeFiles.includes(chunk.result.file));
+  
+  const tokens = symbolContext.tokens + fileContext.tokens +
+    chunks.reduce((total, chunk) => total + estimateTokens(chunk.section), 0);
+  if (symbolContext.definitions.length > 0 || chunks.length > 0 || fileContext.files.length > 0) {
+    console.log(chalk.gray(`Context: ${symbolContext.definitions.length} definition(s), ${chunks.length} excerpt(s), ${fileContext.files.length} file(s), ~${tokens} of ${budget} tokens`));
+    symbolContext.definitions.forEach(definition => {
+      sentContextFiles.set(definition.key, definition.text);
+      const { symbol } = definition;
+      console.log(chalk.gray(`  • ${symbol.kind} ${symbol.name} (${symbol.file}:${symbol.line}-${symbol.endLine})`));
+    });
+    chunks.forEach(chunk => {
+      sentContextFiles.set(chunk.key, chunk.text);
+      const { result } = chunk;
+      console.log(chalk.gray(`  • ${result.file}:${result.start}-${result.end} (search: ${result.matches.slice(0, 3).join(', ')})`));
+    });
+    fileContext.files.forEach(file => {
+      sentContextFiles.set(file.path, file.content);
+      console.log(chalk.gray(`  • ${file.path} (${file.reasons.join('; ')}${file.truncated ? ', truncated' : ''})`));
     });
   }
   
-  console.log(chalk.cyan('\n──────────────────────────────────────'));
+  const excerpts = chunks.map(chunk => chunk.section).join('\n');
+  return [fileContext.text.trim(), symbolContext.text.trim(), excerpts.trim()].filter(Boolean).join('\n\n');
 }
 
 /**
- * Extract code blocks from markdown text
- * @param {string} markdown - The markdown text
- * @returns {Array} - Array of code blocks with language and content
+ * Run an interactive conversation until the user exits
+ * @param {Array} messages - The conversation history
+ * @param {Object|null} projectInfo - Project information if in a project
  */
-function extractCodeBlocks(markdown) {
-  const codeBlockRegex = /```([a-zA-Z0-9]*)\n([\s\S]*?)```/g;
-  const codeBlocks = [];
-  let match;
-
-  while ((match = codeBlockRegex.exec(markdown)) !== null) {
-    const language = match[1].trim().toLowerCase();
-    const code = match[2].trim();
+async function startChatLoop(messages, projectInfo) {
+  console.log(chalk.cyan('\nChat mode: ask follow-up questions, "/reset" clears the conversation, "exit" quits.\n'));
+  
+  // The project context is only sent with the first question of a conversation
+  let contextSent = messages.some(message => message.role === 'user');
+  
+  while (true) {
+    const { input } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'input',
+        prefix: '',
+        message: chalk.cyan('You:')
+      }
+    ]);
     
-    // Skip empty code blocks
-    if (code.trim()) {
-      codeBlocks.push({
-        language,
-        code
-      });
+    const trimmed = input.trim();
+    if (!trimmed) {
+      continue;
+    }
+    
+    if (CHAT_EXIT_COMMANDS.includes(trimmed.toLowerCase())) {
+      console.log(chalk.cyan('Ending chat session.'));
+      break;
     }
+    
+    if (trimmed === '/reset') {
+      // Keep only the system prompt
+      messages.splice(1);
+      sentContextFiles.clear();
+      contextSent = false;
+      console.log(chalk.yellow('Conversation history cleared.'));
+      continue;
+    }
+    
+    await runAssistTurn(messages, trimmed, projectInfo, !contextSent);
+    updateExecutionReport(trimmed);
+    contextSent = true;
   }
-
-  return codeBlocks;
 }
 
 /**
- * Automatically process code blocks without prompting
- * @param {Array} codeBlocks - Array of code blocks to process
- * @param {string} aiResponse - The full AI response text
+ * Send one user message, process the response and record the results in the history
+ * @param {Array} messages - The conversation history (modified in place)
+ * @param {string} input - The user's question
  * @param {Object|null} projectInfo - Project information if in a project
+ * @param {boolean} includeContext - Prepend the project context to the question
  */
-async function autoProcessCodeBlocks(codeBlocks, aiResponse, projectInfo = null) {
-  // Track if any errors occurred during processing
-  let errorsOccurred = false;
-  let errorMessages = [];
+async function runAssistTurn(messages, input, projectInfo, includeContext = false) {
+  if (assistOptions.agent) {
+    return runAgentTurn(messages, input, projectInfo, includeContext);
+  }
   
-  // First, scan for placeholders that need user input
-  const placeholderValues = await detectAndPromptForPlaceholders(aiResponse, codeBlocks);
+  // Each turn gets its own execution summary
+  resetExecutionStats();
   
-  // First, create all identified files from the codeblocks
-  const fileBlocks = codeBlocks.filter(block => {
-    // Classify code blocks better - filter out bash/shell commands
-    const isBashOrShell = ['bash', 'shell', 'sh', ''].includes(block.language);
-    
-    // Detect if it's a command block even if not explicitly labeled
-    const looksLikeCommand = !block.language && (
-      block.code.trim().startsWith('npm ') ||
-      block.code.trim().startsWith('node ') ||
-      block.code.trim().startsWith('cd ') ||
-      block.code.trim().startsWith('mkdir ')
-    );
-    
-    return !isBashOrShell && !looksLikeCommand;
-  });
+  if (!currentSession.title) {
+    currentSession.title = input.substring(0, 80);
+  }
   
-  // Extract potential filenames from the response
-  const filenameMatcher = /file[s]? (?:named|called) [`"]?([a-zA-Z0-9._\-/]+)[`"]?/gi;
-  const createMatcher = /[Cc]reate (?:a|the) [`"]?([a-zA-Z0-9._\-/]+)[`"]? file/gi;
+  const projectContext = includeContext ? buildProjectContext(projectInfo) : '';
+  const fileContext = buildRelevantFileContext(input, projectInfo, includeContext);
+  const content = [projectContext.trim(), fileContext, input].filter(Boolean).join('\n\n');
+  messages.push({ role: "user", content });
   
-  // Extract filenames from the AI response text
-  let filenameMatches = [];
-  let match;
+  const spinner = ora('Generating AI response...').start();
   
-  while ((match = filenameMatcher.exec(aiResponse)) !== null) {
-    filenameMatches.push(match[1]);
+  try {
+    // Send the whole conversation to OpenAI and print the answer as it arrives
+    const { content: aiResponse, finishReason, cancelled } = await streamCompletion({
+      model: "gpt-4-turbo",
+      messages,
+      temperature: 0.5,
+      max_tokens: MAX_RESPONSE_TOKENS
+    }, spinner, '\n' + chalk.cyan('ARVIL: '));
+    
+    if (cancelled) {
+      console.log(chalk.yellow('\nRequest cancelled. Nothing was applied.'));
+      
+      // Drop the unanswered message so the history stays consistent
+      messages.pop();
+      return;
+    }
+    
+    console.log();
+    
+    if (finishReason === 'length') {
+      console.log(chalk.yellow('Warning: The response was cut off at the token limit. Code blocks may be incomplete.\n'));
+    }
+    
+    messages.push({ role: "assistant", content: aiResponse });
+    
+    // Extract code blocks and execute them once the whole response is in
+    // The response refers to secrets by their tokens; the local files and commands get the real values
+    const codeBlocks = extractCodeBlocks(restoreSecrets(secretRedactor, aiResponse));
+    
+    codeBlocks.forEach(block => {
+      currentSession.codeBlocks.push({ ...block, timestamp: new Date().toISOString() });
+    });
+    
+    if (codeBlocks.length > 0) {
+      if (assistOptions.plan) {
+        // Show what would happen and apply only what the user approves
+        await reviewActionPlan(codeBlocks, aiResponse, projectInfo);
+      } else if (approvalMode === 'full-auto') {
+        // Automatically process code blocks without prompting
+        await autoProcessCodeBlocks(codeBlocks, aiResponse, projectInfo);
+      } else {
+        // Ask which files and commands to apply (suggest and auto-edit modes)
+        await handleCodeBlocks(codeBlocks, aiResponse, projectInfo);
+      }
+    }
+    
+    executionStats.endTime = new Date();
+    displayExecutionSummary();
+    
+    // Feed command output and written files back so follow-ups have the full picture
+    const activity = describeTurnActivity();
+    if (activity) {
+      messages.push({ role: "user", content: activity });
+    }
+    
+    persistSession();
+    
+  } catch (error) {
+    spinner.fail('Failed to generate response');
+    console.error(chalk.red(`Error: ${error.message}`));
+    
+    if (error.message.includes('API key')) {
+      console.log(chalk.yellow('Please check your OpenAI API key:'));
+      console.log(chalk.cyan('  arvil config'));
+    }
+    
+    // Drop the unanswered message so the history stays consistent
+    if (messages[messages.length - 1].content === content) {
+      messages.pop();
+    }
+    
+    // Add the error to stats
+    executionStats.errors.detected++;
+    executionStats.errors.unresolved++;
+    executionStats.endTime = new Date();
+    displayExecutionSummary();
+  }
+}
+
+/**
+ * Run one agent task: let the model call tools until it calls done or the step limit is hit
+ * @param {Array} messages - The conversation history (modified in place)
+ * @param {string} input - The user's task
+ * @param {Object|null} projectInfo - Project information if in a project
+ * @param {boolean} includeContext - Prepend the project context to the task
+ */
+async function runAgentTurn(messages, input, projectInfo, includeContext = false) {
+  resetExecutionStats();
+  
+  if (!currentSession.title) {
+    currentSession.title = input.substring(0, 80);
+  }
+  
+  const projectContext = includeContext ? buildProjectContext(projectInfo) : '';
+  const fileContext = buildRelevantFileContext(input, projectInfo, includeContext);
+  const content = [projectContext.trim(), fileContext, input].filter(Boolean).join('\n\n');
+  messages.push({ role: "user", content });
+  
+  const maxSteps = parseInt(assistOptions.maxSteps, 10) || DEFAULT_AGENT_STEPS;
+  let finished = false;
+  let step = 0;
+  
+  try {
+    while (!finished && step < maxSteps) {
+      step++;
+      const spinner = ora(step === 1 ? 'Generating AI response...' : `Step ${step}/${maxSteps}: waiting for the model...`).start();
+      
+      const { content: reply, finishReason, toolCalls, cancelled } = await streamCompletion({
+        model: "gpt-4-turbo",
+        messages,
+        tools: AGENT_TOOLS,
+        temperature: 0.2,
+        max_tokens: MAX_RESPONSE_TOKENS
+      }, spinner, '\n' + chalk.cyan('ARVIL: '));
+      
+      if (cancelled) {
+        if (step === 1) {
+          console.log(chalk.yellow('\nRequest cancelled. Nothing was applied.'));
+          messages.pop();
+        } else {
+          console.log(chalk.yellow('\nAgent stopped. Changes made so far are kept (`arvil undo` reverts them).'));
+        }
+        break;
+      }
+      
+      if (reply) {
+        console.log();
+      }
+      
+      if (finishReason === 'length') {
+        console.log(chalk.yellow('Warning: The response was cut off at the token limit.\n'));
+      }
+      
+      const assistantMessage = { role: "assistant", content: reply || null };
+      if (toolCalls.length > 0) {
+        assistantMessage.tool_calls = toolCalls;
+      }
+      messages.push(assistantMessage);
+      
+      // A reply without tool calls is the model's final answer
+      if (toolCalls.length === 0) {
+        finished = true;
+        break;
+      }
+      
+      // Every tool call needs a result, even after done
+      for (const call of toolCalls) {
+        const result = await runAgentTool(call, projectInfo);
+        messages.push({ role: "tool", tool_call_id: call.id, content: result.content });
+        
+        if (result.done) {
+          finished = true;
+        }
+      }
+      
+      persistSession();
+    }
+    
+    if (!finished && step >= maxSteps) {
+      console.log(chalk.yellow(`\nStopped after ${maxSteps} steps without the task being done. Continue in chat mode or raise --max-steps.`));
+    }
+    executionStats.agentFinished = finished;
+    
+    executionStats.endTime = new Date();
+    displayExecutionSummary();
+    persistSession();
+    
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    
+    if (error.message.includes('API key')) {
+      console.log(chalk.yellow('Please check your OpenAI API key:'));
+      console.log(chalk.cyan('  arvil config'));
+    }
+    
+    // Drop a task that never got an answer so the history stays consistent
+    if (messages[messages.length - 1].content === content) {
+      messages.pop();
+    }
+    
+    executionStats.errors.detected++;
+    executionStats.errors.unresolved++;
+    executionStats.endTime = new Date();
+    displayExecutionSummary();
+    persistSession();
+  }
+}
+
+/**
+ * Execute a tool call from the model
+ * @param {Object} call - The tool call ({ id, function: { name, arguments } })
+ * @param {Object|null} projectInfo - Project information if in a project
+ * @returns {Object} - { content, done }: the result for the model, and whether the task is finished
+ */
+async function runAgentTool(call, projectInfo) {
+  const name = call.function.name;
+  const root = projectInfo ? projectInfo.path : process.cwd();
+  
+  let args;
+  try {
+    args = JSON.parse(call.function.arguments || '{}');
+  } catch (error) {
+    console.log(chalk.red(`✗ ${name}: invalid arguments`));
+    return { content: `Error: The arguments are not valid JSON: ${error.message}` };
+  }
+  
+  Object.keys(args).forEach(key => {
+    args[key] = restoreSecrets(secretRedactor, args[key]);
+  });
+  
+  try {
+    switch (name) {
+      case 'read_file':
+        console.log(chalk.gray(`→ read_file ${args.path}${args.start_line ? `:${args.start_line}-${args.end_line || ''}` : ''}`));
+        return { content: readFileTool(root, args) };
+        
+      case 'list_dir':
+        console.log(chalk.gray(`→ list_dir ${args.path || '.'}`));
+        return { content: listDirTool(root, args) };
+        
+      case 'write_file': {
+        console.log(chalk.cyan(`→ write_file ${args.path}`));
+        const filename = resolveAnnotatedPath(args.path || '', projectInfo);
+        if (!filename || typeof args.content !== 'string') {
+          return { content: `Error: Cannot write ${args.path}: the path must be a file inside the project` };
+        }
+        
+        const existingContent = readFileIfExists(filename);
+        printDiff(createUnifiedDiff(existingContent || '', args.content, { fromFile: `a/${filename}`, toFile: `b/${filename}` }));
+        
+        if (!(await approveAgentTool(name, `${existingContent === null ? 'Create' : 'Overwrite'} ${filename}?`)).approved) {
+          return { content: `The user declined writing ${args.path}.` };
+        }
+        
+        const written = await createFile(filename, args.content);
+        return { content: written ? `Wrote ${args.path} (${args.content.split('\n').length} lines).` : `Error: Could not write ${args.path}.` };
+      }
+        
+      case 'apply_patch': {
+        console.log(chalk.cyan(`→ apply_patch ${args.path}`));
+        if (!args.path || !args.patch) {
+          return { content: 'Error: apply_patch needs a path and a patch' };
+        }
+        
+        const steps = await planPatchSteps({ language: 'diff', code: args.patch, path: args.path }, 0, projectInfo, readFileIfExists);
+        if (steps.length === 0) {
+          return { content: 'Error: The patch has no target file inside the project.' };
+        }
+        
+        const failed = steps.filter(patchStep => !patchStep.success);
+        if (failed.length > 0) {
+          const report = failed.map(patchStep => formatPatchFailures(patchStep.path, patchStep.failures)).join('\n');
+          console.log(chalk.red(`✗ ${report}`));
+          return { content: `Error: The patch does not apply. Read the file again and retry.\n${report}` };
+        }
+        
+        steps.forEach(patchStep => printDiff(patchStep.diff));
+        if (!(await approveAgentTool(name, `Apply this patch to ${steps.map(patchStep => patchStep.path).join(', ')}?`)).approved) {
+          return { content: `The user declined the patch to ${args.path}.` };
+        }
+        
+        const applied = [];
+        for (const patchStep of steps) {
+          if (await applyPatchStep(patchStep)) {
+            applied.push(patchStep.path);
+          }
+        }
+        return { content: applied.length === steps.length ? `Patched ${applied.join(', ')}.` : `Error: Only patched ${applied.join(', ') || 'nothing'}.` };
+      }
+        
+      case 'run_command':
+      case 'run_tests': {
+        const command = name === 'run_tests' ? detectTestCommand(root) : args.command;
+        console.log(chalk.cyan(`→ ${name}: ${command || '(no command)'}`));
+        if (!command) {
+          return { content: name === 'run_tests' ? 'Error: No test command found for this project. Use run_command instead.' : 'Error: run_command needs a command' };
+        }
+        
+        const approval = await approveAgentTool(name, `Run \`${redactSecrets(secretRedactor, command)}\`?`);
+        if (!approval.approved) {
+          return { content: `The user declined running ${command}.` };
+        }
+        
+        // The agent fixes failures itself, so the automatic resolver stays out of the way
+        const result = await executeCommand(command, { approved: approval.byUser, resolveErrors: false });
+        return { content: formatCommandResult(command, result) };
+      }
+        
+      case 'done':
+        console.log(chalk.green(`\n✓ Done: ${args.summary || 'task complete'}`));
+        return { content: 'Task finished.', done: true };
+        
+      default:
+        console.log(chalk.red(`✗ Unknown tool: ${name}`));
+        return { content: `Error: Unknown tool ${name}` };
+    }
+  } catch (error) {
+    console.log(chalk.red(`✗ ${name}: ${error.message}`));
+    return { content: `Error: ${error.message}` };
+  }
+}
+
+/**
+ * Ask the user whether the agent may use a tool, unless it is allowed already
+ * @param {string} tool - The tool name
+ * @param {string} question - What will happen
+ * @returns {Object} - { approved, byUser }: byUser is true if the user confirmed this call
+ */
+async function approveAgentTool(tool, question) {
+  if (allowedAgentTools.has(tool)) {
+    return { approved: true, byUser: false };
+  }
+  
+  const automatic = getAutomaticAnswer();
+  if (automatic !== null) {
+    console.log(chalk.gray(`${question} ${automatic ? 'Yes (--yes)' : 'No (--ci without --yes)'}`));
+    return { approved: automatic, byUser: automatic };
+  }
+  
+  const { answer } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'answer',
+      message: question,
+      choices: [
+        { name: 'Yes', value: 'yes' },
+        { name: `Always allow ${tool} in this session`, value: 'always' },
+        { name: 'No', value: 'no' }
+      ]
+    }
+  ]);
+  
+  if (answer === 'always') {
+    allowedAgentTools.add(tool);
+  }
+  
+  return { approved: answer !== 'no', byUser: answer !== 'no' };
+}
+
+/**
+ * Describe the result of a command for the model
+ * @param {string} command - The command
+ * @param {Object} result - Result from executeCommand
+ * @returns {string} - Tool result
+ */
+function formatCommandResult(command, result) {
+  if (result.blocked) {
+    return `Error: ${result.error}`;
+  }
+  
+  const lines = [`$ ${command} (${result.success ? 'succeeded' : 'failed'})`];
+  
+  if (result.output && result.output.trim()) {
+    lines.push('stdout:', truncateOutput(result.output));
+  }
+  
+  if (result.error && result.error.trim()) {
+    lines.push(result.success ? 'stderr:' : 'error:', truncateOutput(result.error));
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Stream a chat completion to the terminal
+ * Ctrl+C aborts the request instead of exiting ARVIL.
+ * @param {Object} params - Parameters for openai.chat.completions.create
+ * @param {Object} spinner - Spinner shown until the first token arrives
+ * @param {string} prefix - Text printed before the response
+ * @returns {Object} - { content, finishReason, toolCalls, cancelled }
+ */
+async function streamCompletion(params, spinner, prefix = '') {
+  const controller = new AbortController();
+  const onInterrupt = () => controller.abort();
+  process.on('SIGINT', onInterrupt);
+  
+  const renderer = createMarkdownRenderer();
+  let content = '';
+  let finishReason = null;
+  let started = false;
+  const toolCalls = [];
+  
+  // Replace secrets in the shared history too, so they are never sent or saved later
+  redactMessages(params.messages);
+  
+  try {
+    // include_usage adds a last chunk with the token counts of the request
+    const stream = await openai.chat.completions.create({ ...params, stream: true, stream_options: { include_usage: true } }, { signal: controller.signal });
+    recordUsage(params.model);
+    
+    for await (const chunk of stream) {
+      if (chunk.usage) {
+        recordUsage(params.model, chunk.usage);
+      }
+      
+      const choice = chunk.choices && chunk.choices[0];
+      if (!choice) {
+        continue;
+      }
+      
+      // Tool calls arrive in pieces: the name first, then the arguments bit by bit
+      const toolCallDeltas = (choice.delta && choice.delta.tool_calls) || [];
+      toolCallDeltas.forEach(part => {
+        const index = part.index || 0;
+        if (!toolCalls[index]) {
+          toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+        }
+        
+        const call = toolCalls[index];
+        if (part.id) {
+          call.id = part.id;
+        }
+        if (part.function && part.function.name) {
+          call.function.name += part.function.name;
+        }
+        if (part.function && part.function.arguments) {
+          call.function.arguments += part.function.arguments;
+        }
+      });
+      
+      const delta = choice.delta && choice.delta.content;
+      if (delta) {
+        if (!started) {
+          started = true;
+          spinner.stop();
+          process.stdout.write(prefix);
+        }
+        
+        content += delta;
+        renderer.write(delta);
+      }
+      
+      if (choice.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      throw error;
+    }
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+    renderer.end();
+  }
+  
+  if (!started) {
+    spinner.stop();
+  }
+  
+  return { content, finishReason, toolCalls: toolCalls.filter(Boolean), cancelled: controller.signal.aborted };
+}
+
+/**
+ * Count a model request, or add the token usage reported for it
+ * @param {string} model - The model of the request
+ * @param {Object} usage - Token usage from the API (omit to count the request itself)
+ */
+function recordUsage(model, usage) {
+  const entry = executionStats.usage[model] || { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  executionStats.usage[model] = entry;
+  
+  if (!usage) {
+    entry.requests++;
+    return;
+  }
+  
+  entry.promptTokens += usage.prompt_tokens || 0;
+  entry.completionTokens += usage.completion_tokens || 0;
+  entry.totalTokens += usage.total_tokens || 0;
+}
+
+/**
+ * Describe the commands and file writes of the current turn for the conversation history
+ * @returns {string} - A message for the AI, or an empty string if nothing happened
+ */
+function describeTurnActivity() {
+  const { commands, files } = executionStats;
+  
+  if (commands.executed.length === 0 && files.created.length === 0 &&
+      files.updated.length === 0 && files.failed.length === 0) {
+    return '';
+  }
+  
+  const lines = ['Results of applying your previous response:'];
+  
+  commands.executed.forEach(cmd => {
+    lines.push('', `$ ${cmd.command} (${cmd.success ? 'succeeded' : 'failed'}, cwd: ${cmd.cwd})`);
+    
+    if (cmd.output && cmd.output.trim()) {
+      lines.push('stdout:', truncateOutput(cmd.output));
+    }
+    
+    if (cmd.error && cmd.error.trim()) {
+      lines.push('stderr:', truncateOutput(cmd.error));
+    }
+  });
+  
+  if (files.created.length > 0 || files.updated.length > 0) {
+    lines.push('', 'Files written:');
+    files.created.forEach(file => lines.push(`- ${file} (created)`));
+    files.updated.forEach(file => lines.push(`- ${file} (updated)`));
+  }
+  
+  if (files.failed.length > 0) {
+    lines.push('', 'Files that could not be written:');
+    files.failed.forEach(file => lines.push(`- ${file}`));
+  }
+  
+  files.conflicts.forEach(conflict => lines.push('', conflict.report));
+  
+  return lines.join('\n');
+}
+
+/**
+ * Keep the tail of long command output
+ * @param {string} text - The output to shorten
+ * @param {number} maxLength - Maximum number of characters to keep
+ * @returns {string} - The (possibly truncated) output
+ */
+function truncateOutput(text, maxLength = MAX_HISTORY_OUTPUT) {
+  const trimmed = text.trim();
+  
+  if (trimmed.length <= maxLength) {
+    return trimmed;
+  }
+  
+  return `...[truncated]\n${trimmed.slice(-maxLength)}`;
+}
+
+/**
+ * Reset execution statistics
+ */
+function resetExecutionStats() {
+  executionStats.commands.executed = [];
+  executionStats.commands.successful = 0;
+  executionStats.commands.failed = 0;
+  executionStats.files.created = [];
+  executionStats.files.updated = [];
+  executionStats.files.failed = [];
+  executionStats.files.conflicts = [];
+  executionStats.files.changes = [];
+  executionStats.errors.detected = 0;
+  executionStats.errors.resolved = 0;
+  executionStats.errors.unresolved = 0;
+  executionStats.errors.warnings = 0;
+  executionStats.policy.decisions = [];
+  executionStats.resolution.attempts = 0;
+  executionStats.resolution.chains = [];
+  executionStats.usage = {};
+  executionStats.agentFinished = false;
+  executionStats.startTime = new Date();
+  executionStats.endTime = null;
+}
+
+/**
+ * Display summary of execution
+ */
+function displayExecutionSummary() {
+  // Set end time if not set
+  if (!executionStats.endTime) {
+    executionStats.endTime = new Date();
+  }
+  
+  // Calculate elapsed time
+  const elapsedTime = Math.round((executionStats.endTime - executionStats.startTime) / 1000);
+  
+  console.log(chalk.cyan('\n┌─────────────────────────────────────┐'));
+  console.log(chalk.cyan('│           EXECUTION SUMMARY          │'));
+  console.log(chalk.cyan('└─────────────────────────────────────┘'));
+  
+  // Commands summary
+  console.log(chalk.cyan('Commands:'));
+  console.log(chalk.green(`  ✓ Successful: ${executionStats.commands.successful}`));
+  console.log(chalk.red(`  ✗ Failed: ${executionStats.commands.failed}`));
+  
+  // Files summary
+  console.log(chalk.cyan('\nFiles:'));
+  console.log(chalk.green(`  ✓ Created: ${executionStats.files.created.length}`));
+  console.log(chalk.yellow(`  ⟳ Updated: ${executionStats.files.updated.length}`));
+  console.log(chalk.red(`  ✗ Failed: ${executionStats.files.failed.length}`));
+  
+  // Errors summary
+  console.log(chalk.cyan('\nErrors:'));
+  console.log(chalk.yellow(`  ⚠ Detected: ${executionStats.errors.detected}`));
+  console.log(chalk.green(`  ✓ Resolved: ${executionStats.errors.resolved}`));
+  console.log(chalk.red(`  ✗ Unresolved: ${executionStats.errors.unresolved}`));
+  if (executionStats.errors.warnings > 0) {
+    console.log(chalk.gray(`  Error output of successful commands: ${executionStats.errors.warnings}`));
+  }
+  
+  // Time summary
+  console.log(chalk.cyan('\nTime:'));
+  console.log(chalk.white(`  ⏱ Elapsed: ${elapsedTime} seconds`));
+  
+  // Command details if any were executed
+  if (executionStats.commands.executed.length > 0) {
+    console.log(chalk.cyan('\nCommand Details:'));
+    executionStats.commands.executed.forEach((cmd, i) => {
+      const icon = cmd.success ? chalk.green('✓') : chalk.red('✗');
+      console.log(`  ${icon} ${cmd.command.substring(0, 60)}${cmd.command.length > 60 ? '...' : ''}` + chalk.gray(` (in ${formatCwd(cmd.cwd, getShellSession().startCwd)})`));
+    });
+  }
+  
+  // File details if any were created/updated
+  if (executionStats.files.created.length > 0 || executionStats.files.updated.length > 0) {
+    console.log(chalk.cyan('\nFile Details:'));
+    
+    executionStats.files.created.forEach(file => {
+      console.log(chalk.green(`  ✓ Created: ${file}`));
+    });
+    
+    executionStats.files.updated.forEach(file => {
+      console.log(chalk.yellow(`  ⟳ Updated: ${file}`));
+    });
+    
+    executionStats.files.failed.forEach(file => {
+      console.log(chalk.red(`  ✗ Failed: ${file}`));
+    });
+  }
+  
+  // Patches that did not apply
+  if (executionStats.files.conflicts.length > 0) {
+    console.log(chalk.cyan('\nPatch Conflicts:'));
+    executionStats.files.conflicts.forEach(conflict => {
+      console.log(chalk.red(`  ✗ ${conflict.file}`));
+    });
+  }
+  
+  // Resolution chains: one per original failure, with every fix attempt
+  if (executionStats.resolution.chains.length > 0) {
+    console.log(chalk.cyan(`\nError Resolution (${executionStats.resolution.attempts}/${getFixBudget()} fix attempts used):`));
+    executionStats.resolution.chains.forEach(chain => {
+      const color = chain.status === 'resolved' ? chalk.green : chalk.red;
+      const icon = chain.status === 'resolved' ? '✓' : '✗';
+      const command = `${chain.command.substring(0, 50)}${chain.command.length > 50 ? '...' : ''}`;
+      console.log(color(`  ${icon} ${command}`) + chalk.gray(` (${chain.status}) ${chain.error}`));
+      
+      chain.steps.forEach(step => {
+        const actions = [...step.commands.filter(cmd => cmd !== chain.command).map(cmd => `$ ${cmd}`), ...step.files];
+        const result = step.verified ? chalk.green('verified') : chalk.red(step.error ? `still failing: ${step.error}` : 'not verified');
+        console.log(chalk.gray(`      ${step.attempt}. ${step.fix || 'no fix applied'}${actions.length ? `: ${actions.join(', ')}` : ''} → `) + result);
+      });
+    });
+  }
+  
+  // Command policy decisions
+  if (executionStats.policy.decisions.length > 0) {
+    console.log(chalk.cyan('\nPolicy Decisions:'));
+    executionStats.policy.decisions.forEach(decision => {
+      const color = ['allowed', 'approved'].includes(decision.outcome) ? chalk.green : chalk.red;
+      const command = `${decision.command.substring(0, 50)}${decision.command.length > 50 ? '...' : ''}`;
+      const rule = decision.rule ? `${decision.source} rule "${decision.rule}": ` : '';
+      console.log(color(`  ${decision.outcome.padEnd(8)} ${command}`) + chalk.gray(` (${rule}${decision.reason})`));
+    });
+  }
+  
+  console.log(chalk.cyan('\n──────────────────────────────────────'));
+}
+
+/**
+ * Extract code blocks from markdown text
+ * The fence info string may name the target file: ```rust path=programs/vault/src/lib.rs
+ * @param {string} markdown - The markdown text
+ * @returns {Array} - Array of code blocks with language, content and optional path
+ */
+function extractCodeBlocks(markdown) {
+  const codeBlockRegex = /```([^\n`]*)\n([\s\S]*?)```/g;
+  const codeBlocks = [];
+  let match;
+
+  while ((match = codeBlockRegex.exec(markdown)) !== null) {
+    const { language, attributes } = parseFenceInfo(match[1]);
+    const code = match[2].trim();
+    
+    // Skip empty code blocks
+    if (code.trim()) {
+      codeBlocks.push({
+        language,
+        code,
+        path: attributes.path || attributes.file || null
+      });
+    }
+  }
+
+  return codeBlocks;
+}
+
+/**
+ * Parse the info string of a code fence
+ * @param {string} info - Text after the opening ```, e.g. 'rust path="src/lib.rs"'
+ * @returns {Object} - { language, attributes }
+ */
+function parseFenceInfo(info) {
+  const attributes = {};
+  let language = '';
+  
+  const tokenRegex = /([a-zA-Z_-]+)=(?:"([^"]*)"|'([^']*)'|(\S+))|(\S+)/g;
+  let token;
+  
+  while ((token = tokenRegex.exec(info)) !== null) {
+    if (token[1]) {
+      attributes[token[1].toLowerCase()] = token[2] || token[3] || token[4] || '';
+    } else if (!language) {
+      language = token[5].toLowerCase();
+    }
+  }
+  
+  return { language, attributes };
+}
+
+/**
+ * Check whether a code block holds terminal commands rather than file content
+ * @param {Object} block - The code block
+ * @returns {boolean} - True if the block should be executed
+ */
+function isCommandBlock(block) {
+  const isBashOrShell = ['bash', 'shell', 'sh', ''].includes(block.language);
+  
+  // Detect if it's a command block even if not explicitly labeled
+  const looksLikeCommand = !block.language && (
+    block.code.trim().startsWith('npm ') ||
+    block.code.trim().startsWith('node ') ||
+    block.code.trim().startsWith('cd ') ||
+    block.code.trim().startsWith('mkdir ')
+  );
+  
+  return isBashOrShell || looksLikeCommand;
+}
+
+/**
+ * Automatically process code blocks without prompting
+ * @param {Array} codeBlocks - Array of code blocks to process
+ * @param {string} aiResponse - The full AI response text
+ * @param {Object|null} projectInfo - Project information if in a project
+ */
+async function autoProcessCodeBlocks(codeBlocks, aiResponse, projectInfo = null) {
+  const plan = await buildActionPlan(codeBlocks, aiResponse, projectInfo);
+  await executeActionPlan(plan, aiResponse);
+}
+
+/**
+ * Show the action plan for a response and apply only the approved steps
+ * @param {Array} codeBlocks - Array of code blocks to process
+ * @param {string} aiResponse - The full AI response text
+ * @param {Object|null} projectInfo - Project information if in a project
+ */
+async function reviewActionPlan(codeBlocks, aiResponse, projectInfo = null) {
+  const plan = await buildActionPlan(codeBlocks, aiResponse, projectInfo);
+  
+  if (plan.length === 0) {
+    console.log(chalk.yellow('\nThe response contains no file changes or commands.'));
+    return;
+  }
+  
+  displayActionPlan(plan);
+  
+  const approvedSteps = await selectPlanSteps(plan);
+  
+  plan
+    .filter(step => step.policy && step.policy.action === 'deny')
+    .forEach(step => recordPolicyDecision(step.command, step.policy, 'denied'));
+  
+  // Choosing a step in the plan counts as confirming it
+  approvedSteps.forEach(step => {
+    step.approved = true;
+  });
+  if (approvedSteps.length === 0) {
+    console.log(chalk.yellow('No steps approved. Nothing was changed.'));
+    return;
+  }
+  
+  // Only scan the approved steps for placeholders
+  await executeActionPlan(approvedSteps, '');
+}
+
+/**
+ * Let the user pick the files and commands of a response to apply (suggest and auto-edit modes)
+ * In auto-edit mode file changes are applied without asking and only the commands are offered.
+ * @param {Array} codeBlocks - Array of code blocks to process
+ * @param {string} aiResponse - The full AI response text
+ * @param {Object|null} projectInfo - Project information if in a project
+ */
+async function handleCodeBlocks(codeBlocks, aiResponse, projectInfo = null) {
+  const plan = await buildActionPlan(codeBlocks, aiResponse, projectInfo);
+  
+  if (plan.length === 0) {
+    console.log(chalk.yellow('\nThe response contains no file changes or commands.'));
+    return;
+  }
+  
+  const autoSteps = approvalMode === 'auto-edit' ? plan.filter(step => step.type !== 'command') : [];
+  const offeredSteps = plan.filter(step => !autoSteps.includes(step) && !step.skipReason && step.success !== false);
+  const question = approvalMode === 'auto-edit' ? 'Select the commands to run:' : 'Select the files and commands to apply:';
+  
+  if (approvalMode === 'suggest') {
+    displayActionPlan(plan);
+  }
+  
+  let selectedSteps = [];
+  if (offeredSteps.length > 0) {
+    const automatic = getAutomaticAnswer();
+    if (automatic !== null) {
+      console.log(chalk.gray(`${question} ${automatic ? 'All (--yes)' : 'None (--ci without --yes)'}`));
+      selectedSteps = automatic ? offeredSteps : [];
+    } else {
+      if (approvalMode === 'auto-edit') {
+        console.log(chalk.cyan(`\nThe response suggests ${offeredSteps.length} command(s):`));
+      }
+      selectedSteps = await checkPlanSteps(offeredSteps, question, false);
+    }
+  }
+  
+  plan
+    .filter(step => step.policy && step.policy.action === 'deny')
+    .forEach(step => recordPolicyDecision(step.command, step.policy, 'denied'));
+  
+  // Ticking a command counts as confirming it
+  selectedSteps.forEach(step => {
+    step.approved = true;
+  });
+  
+  const steps = plan.filter(step => autoSteps.includes(step) || selectedSteps.includes(step));
+  if (steps.length === 0) {
+    console.log(chalk.yellow('Nothing selected. Nothing was changed.'));
+    return;
+  }
+  
+  // Only scan the selected steps for placeholders
+  await executeActionPlan(steps, '');
+}
+
+/**
+ * Turn the code blocks of a response into an ordered list of actions, without side effects
+ * @param {Array} codeBlocks - Array of code blocks to process
+ * @param {string} aiResponse - The full AI response text
+ * @param {Object|null} projectInfo - Project information if in a project
+ * @returns {Array} - File steps ({ type: 'file', path, content, exists, diff, changes }),
+ *                    patch steps ({ type: 'patch', path, format, hunks|edits, success, failures, ... })
+ *                    followed by command steps ({ type: 'command', command, cwd, policy, skipReason })
+ */
+async function buildActionPlan(codeBlocks, aiResponse, projectInfo = null) {
+  const plan = [];
+  
+  // First, create all identified files from the codeblocks
+  const fileBlocks = codeBlocks.filter(block => !isCommandBlock(block));
+  
+  // Extract potential filenames from the response
+  const filenameMatcher = /file[s]? (?:named|called) [`"]?([a-zA-Z0-9._\-/]+)[`"]?/gi;
+  const createMatcher = /[Cc]reate (?:a|the) [`"]?([a-zA-Z0-9._\-/]+)[`"]? file/gi;
+  
+  // Extract filenames from the AI response text
+  let filenameMatches = [];
+  let match;
+  
+  while ((match = filenameMatcher.exec(aiResponse)) !== null) {
+    filenameMatches.push(match[1]);
+  }
+  
+  while ((match = createMatcher.exec(aiResponse)) !== null) {
+    filenameMatches.push(match[1]);
+  }
+  
+  // Guessed filenames are paired only with blocks that have no path annotation
+  let unannotatedIndex = 0;
+  
+  // File contents as they will be after the earlier steps of the plan
+  const plannedContents = new Map();
+  const readPlannedContent = filename => (
+    plannedContents.has(filename) ? plannedContents.get(filename) : readFileIfExists(filename)
+  );
+  
+  for (let i = 0; i < fileBlocks.length; i++) {
+    const block = fileBlocks[i];
+    
+    // Edits to existing files are applied as patches
+    if (isPatchBlock(block)) {
+      const patchSteps = await planPatchSteps(block, i, projectInfo, readPlannedContent);
+      patchSteps.forEach(step => {
+        if (step.success) {
+          plannedContents.set(step.path, step.content);
+        }
+        plan.push(step);
+      });
+      continue;
+    }
+    
+    let filename = '';
+    
+    if (block.path) {
+      // An explicit path= annotation always wins
+      filename = resolveAnnotatedPath(block.path, projectInfo);
+    } else {
+      // Fall back to guessing from the surrounding text
+      filename = guessFilename(block, unannotatedIndex, filenameMatches);
+      unannotatedIndex++;
+      
+      if (filename) {
+        filename = adjustGuessedPath(filename, projectInfo);
+      }
+    }
+    
+    // Ask when the target file can't be determined
+    if (!filename) {
+      filename = await promptForFilename(block, suggestFilename(block, i));
+      
+      if (!filename) {
+        console.log(chalk.yellow(`Skipping ${block.language || 'text'} code block ${i+1}: no target file`));
+        continue;
+      }
+    }
+    
+    // Placeholders are replaced when the plan is executed
+    let content = block.code;
+    
+    // Special handling for .env files
+    if (filename.endsWith('.env')) {
+      // Ensure .env content has proper format (KEY=VALUE)
+      content = content
+        .split('\n')
+        .map(line => {
+          // Keep comments and empty lines as is
+          if (line.trim() === '' || line.trim().startsWith('#')) {
+            return line;
+          }
+          
+          // If line is malformed JavaScript (like the example showed), clean it up
+          if (line.includes('//')) {
+            line = line.split('//')[0].trim();
+          }
+          
+          // Extract key and value
+          const parts = line.split('=');
+          if (parts.length >= 2) {
+            const key = parts[0].trim();
+            // Join the rest in case value contained = characters
+            let value = parts.slice(1).join('=').trim();
+            
+            // Strip quotes from value if they exist
+            if ((value.startsWith('"') && value.endsWith('"')) || 
+                (value.startsWith("'") && value.endsWith("'"))) {
+              value = value.substring(1, value.length - 1);
+            }
+            
+            return `${key}=${value}`;
+          }
+          
+          return line;
+        })
+        .join('\n');
+    }
+    
+    const existingContent = readPlannedContent(filename);
+    plannedContents.set(filename, content);
+    
+    plan.push({
+      type: 'file',
+      path: filename,
+      content,
+      exists: existingContent !== null,
+      diff: createUnifiedDiff(existingContent || '', content, {
+        fromFile: existingContent !== null ? `a/${filename}` : '/dev/null',
+        toFile: `b/${filename}`
+      }),
+      changes: countChanges(existingContent || '', content)
+    });
+  }
+  
+  // Then execute terminal commands
+  const commandBlocks = codeBlocks.filter(isCommandBlock);
+  
+  // Track planned commands to avoid redundancy
+  const plannedCommands = new Set();
+  
+  // Directory each command will run in, following the `cd` steps before it
+  let plannedCwd = getShellSession().cwd;
+  
+  for (const block of commandBlocks) {
+    // Split multi-line commands and process one at a time
+    const commandLines = block.code
+      .split('\n')
+      .filter(line => line.trim() && !line.trim().startsWith('#'))
+      // Remove trailing backslashes that can cause syntax errors
+      .map(line => line.replace(/\s*\\$/, ''));
+    
+    for (const line of commandLines) {
+      // Skip if we've already planned this command (avoid duplicates)
+      if (plannedCommands.has(line)) {
+        continue;
+      }
+      plannedCommands.add(line);
+      
+      const decision = evaluateCommand(line, getCommandPolicy(), plannedCwd);
+      plan.push({
+        type: 'command',
+        command: line,
+        cwd: plannedCwd,
+        policy: decision,
+        skipReason: decision.action === 'deny' ? `denied by policy: ${decision.reason}` : undefined
+      });
+      plannedCwd = predictCwd(plannedCwd, line);
+    }
   }
   
-  while ((match = createMatcher.exec(aiResponse)) !== null) {
-    filenameMatches.push(match[1]);
+  return plan;
+}
+
+/**
+ * Check whether a code block is an edit to an existing file
+ * @param {Object} block - The code block
+ * @returns {boolean} - True for unified diffs and search/replace blocks
+ */
+function isPatchBlock(block) {
+  return isSearchReplace(block.code) ||
+    (['diff', 'patch'].includes(block.language) && isUnifiedDiff(block.code));
+}
+
+/**
+ * Turn a patch block into plan steps, previewing the result against the planned file contents
+ * @param {Object} block - The code block
+ * @param {number} index - Position of the block in the response
+ * @param {Object|null} projectInfo - Project information if in a project
+ * @param {Function} readContent - Returns the current (planned) content of a file, or null
+ * @returns {Array} - Patch steps, one per target file
+ */
+async function planPatchSteps(block, index, projectInfo, readContent) {
+  const targets = [];
+  
+  if (isSearchReplace(block.code)) {
+    targets.push({
+      path: block.path,
+      format: 'search-replace',
+      edits: parseSearchReplace(block.code)
+    });
+  } else {
+    // A unified diff may touch several files; the fence path covers a diff without headers
+    parseUnifiedDiff(block.code).forEach(file => {
+      targets.push({
+        path: file.newFile || file.oldFile || block.path,
+        format: 'diff',
+        hunks: file.hunks
+      });
+    });
   }
   
-  // Create files with detected filenames
-  if (fileBlocks.length > 0) {
-    console.log(chalk.cyan('\nCreating files automatically:'));
+  const steps = [];
+  
+  for (const target of targets) {
+    let filename = target.path ? resolveAnnotatedPath(target.path, projectInfo) : '';
     
-    for (let i = 0; i < fileBlocks.length; i++) {
-      const block = fileBlocks[i];
-      
-      // Determine filename based on language if not explicitly mentioned
-      let filename = '';
-      
-      // First, check if a filename was mentioned in the text
-      if (i < filenameMatches.length) {
-        filename = filenameMatches[i];
-      } else {
-        // Fallback to language-based naming
-        switch (block.language) {
-          case 'javascript':
-          case 'js':
-            filename = `script${i+1}.js`;
-            break;
-          case 'typescript':
-          case 'ts':
-            filename = `script${i+1}.ts`;
-            break;
-          case 'rust':
-          case 'rs':
-            filename = `program${i+1}.rs`;
-            break;
-          case 'solidity':
-          case 'sol':
-            filename = `contract${i+1}.sol`;
-            break;
-          case 'plaintext':
-            if (block.code.startsWith('PRIVATE_KEY=') || block.code.includes('=')) {
-              filename = '.env';
-            } else {
-              filename = `file${i+1}.txt`;
-            }
-            break;
-          default:
-            filename = `file${i+1}.${block.language || 'txt'}`;
-        }
-      }
+    if (!filename) {
+      filename = await promptForFilename(block, '');
       
-      // Make sure we have a valid filename
-      if (!filename || filename.trim() === '') {
-        console.log(chalk.yellow(`Warning: Could not determine filename for code block ${i+1}`));
+      if (!filename) {
+        console.log(chalk.yellow(`Skipping patch block ${index+1}: no target file`));
         continue;
       }
-      
-      // Add path awareness - ensure files are created in the right location
-      // If we're in a project, make sure paths are relative to the project
-      if (projectInfo && !filename.startsWith('/')) {
-        // If the path is not absolute, make it relative to the project
-        if (!path.isAbsolute(filename)) {
-          // Check if we're trying to create a file outside the current dir
-          if (filename.startsWith('..')) {
-            console.log(chalk.yellow(`Warning: Attempting to create file outside current directory: ${filename}`));
-            console.log(chalk.yellow(`Creating in current directory instead.`));
-            filename = path.basename(filename);
-          }
-          
-          // If we're not in the project root, adjust the path
-          if (process.cwd() !== projectInfo.path) {
-            const relativeToProject = path.relative(projectInfo.path, process.cwd());
-            // Only prepend if we're in a subdirectory of the project
-            if (!relativeToProject.startsWith('..')) {
-              filename = path.join(relativeToProject, filename);
-            }
-          }
-        }
+    }
+    
+    const existingContent = readContent(filename);
+    const step = {
+      type: 'patch',
+      path: filename,
+      format: target.format,
+      edits: target.edits,
+      hunks: target.hunks,
+      exists: existingContent !== null
+    };
+    
+    const result = applyPatch(step, existingContent || '');
+    step.success = result.success;
+    step.failures = result.failures;
+    step.content = result.content;
+    step.diff = result.success
+      ? createUnifiedDiff(existingContent || '', result.content, { fromFile: `a/${filename}`, toFile: `b/${filename}` })
+      : '';
+    step.changes = countChanges(existingContent || '', result.content);
+    
+    steps.push(step);
+  }
+  
+  return steps;
+}
+
+/**
+ * Apply the edits of a patch step to some content
+ * @param {Object} step - A patch step
+ * @param {string} content - The content to patch
+ * @param {Function} transform - Applied to every inserted text (e.g. placeholder replacement)
+ * @returns {Object} - { success, content, failures }
+ */
+function applyPatch(step, content, transform = text => text) {
+  if (step.format === 'search-replace') {
+    const edits = step.edits.map(edit => ({ ...edit, replace: transform(edit.replace) }));
+    return applySearchReplace(content, edits);
+  }
+  
+  const hunks = step.hunks.map(hunk => ({
+    ...hunk,
+    lines: hunk.lines.map(line => (line.startsWith('+') ? `+${transform(line.slice(1))}` : line))
+  }));
+  return applyUnifiedDiff(content, hunks);
+}
+
+/**
+ * Apply a patch step to the file on disk
+ * @param {Object} step - A patch step
+ * @param {Object} placeholderValues - Map of placeholders to values
+ * @returns {boolean} - True if the patch was applied
+ */
+async function applyPatchStep(step, placeholderValues = {}) {
+  // Patch against the file as it is now, not as it was when the plan was made
+  const currentContent = fs.existsSync(step.path) ? fs.readFileSync(step.path, 'utf8') : '';
+  const result = applyPatch(step, currentContent, text => replacePlaceholders(text, placeholderValues, step.path));
+  
+  if (!result.success) {
+    const report = formatPatchFailures(step.path, result.failures);
+    console.log(chalk.red(`✗ ${report}`));
+    
+    executionStats.files.failed.push(step.path);
+    executionStats.files.conflicts.push({ file: step.path, report });
+    executionStats.errors.detected++;
+    return false;
+  }
+  
+  return createFile(step.path, result.content);
+}
+
+/**
+ * Read a file if it exists
+ * @param {string} filename - Path to the file
+ * @returns {string|null} - File content or null
+ */
+function readFileIfExists(filename) {
+  return fs.existsSync(filename) ? fs.readFileSync(filename, 'utf8') : null;
+}
+
+/**
+ * Resolve a path= annotation from a code fence
+ * Annotated paths are relative to the project root (or the working directory outside a project).
+ * @param {string} annotatedPath - The path from the fence
+ * @param {Object|null} projectInfo - Project information if in a project
+ * @returns {string} - Path relative to the working directory, or '' if it leaves the project
+ */
+function resolveAnnotatedPath(annotatedPath, projectInfo) {
+  const root = projectInfo ? projectInfo.path : process.cwd();
+  const absolutePath = path.resolve(root, annotatedPath);
+  
+  const relativeToRoot = path.relative(root, absolutePath);
+  if (relativeToRoot.startsWith('..') || path.isAbsolute(relativeToRoot)) {
+    console.log(chalk.yellow(`Warning: Ignoring path outside the project: ${annotatedPath}`));
+    return '';
+  }
+  
+  return path.relative(process.cwd(), absolutePath) || path.basename(absolutePath);
+}
+
+/**
+ * Guess the target file of an unannotated code block from the response text
+ * @param {Object} block - The code block
+ * @param {number} index - Position among the unannotated file blocks
+ * @param {Array} filenameMatches - Filenames mentioned in the response, in order
+ * @returns {string} - The guessed filename, or '' if there is no reasonable guess
+ */
+function guessFilename(block, index, filenameMatches) {
+  // A filename mentioned in the text, paired by position
+  if (index < filenameMatches.length) {
+    return filenameMatches[index];
+  }
+  
+  // KEY=VALUE content is almost always meant for .env
+  if (['env', 'dotenv', 'plaintext'].includes(block.language) &&
+      block.code.split('\n').every(line => !line.trim() || line.trim().startsWith('#') || /^[A-Za-z_][A-Za-z0-9_]*=/.test(line.trim()))) {
+    return '.env';
+  }
+  
+  return '';
+}
+
+/**
+ * Make a guessed filename relative to the right directory
+ * @param {string} filename - The guessed filename
+ * @param {Object|null} projectInfo - Project information if in a project
+ * @returns {string} - The adjusted filename
+ */
+function adjustGuessedPath(filename, projectInfo) {
+  // Add path awareness - ensure files are created in the right location
+  // If we're in a project, make sure paths are relative to the project
+  if (projectInfo && !path.isAbsolute(filename)) {
+    // Check if we're trying to create a file outside the current dir
+    if (filename.startsWith('..')) {
+      console.log(chalk.yellow(`Warning: Attempting to create file outside current directory: ${filename}`));
+      console.log(chalk.yellow(`Creating in current directory instead.`));
+      filename = path.basename(filename);
+    }
+    
+    // If we're not in the project root, adjust the path
+    if (process.cwd() !== projectInfo.path) {
+      const relativeToProject = path.relative(projectInfo.path, process.cwd());
+      // Only prepend if we're in a subdirectory of the project
+      if (!relativeToProject.startsWith('..')) {
+        filename = path.join(relativeToProject, filename);
+      }
+    }
+  }
+  
+  return filename;
+}
+
+/**
+ * Suggest a filename for a code block based on its language
+ * @param {Object} block - The code block
+ * @param {number} index - Position of the block in the response
+ * @returns {string} - Suggested filename
+ */
+function suggestFilename(block, index) {
+  switch (block.language) {
+    case 'javascript':
+    case 'js':
+      return `script${index+1}.js`;
+    case 'typescript':
+    case 'ts':
+      return `script${index+1}.ts`;
+    case 'rust':
+    case 'rs':
+      return `program${index+1}.rs`;
+    case 'solidity':
+    case 'sol':
+      return `contract${index+1}.sol`;
+    default:
+      return `file${index+1}.${block.language || 'txt'}`;
+  }
+}
+
+/**
+ * Ask the user where a code block should be written
+ * @param {Object} block - The code block
+ * @param {string} suggestion - Default filename
+ * @returns {string} - The chosen filename, or '' to skip the block
+ */
+async function promptForFilename(block, suggestion) {
+  console.log(chalk.yellow(`\nCould not determine the target file for this ${block.language || 'text'} block:`));
+  console.log(chalk.white(block.code.slice(0, 200) + (block.code.length > 200 ? '...' : '')));
+  
+  // Never guess a target file without asking
+  if (assistOptions.ci) {
+    return '';
+  }
+  
+  const { filename } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'filename',
+      message: 'Save it as (leave empty to skip):',
+      default: suggestion
+    }
+  ]);
+  
+  return filename.trim();
+}
+
+/**
+ * Apply the steps of an action plan
+ * @param {Array} plan - Steps from buildActionPlan
+ * @param {string} aiResponse - The full AI response text, scanned for placeholders
+ */
+async function executeActionPlan(plan, aiResponse = '') {
+  // First, scan for placeholders that need user input
+  const placeholderValues = await detectAndPromptForPlaceholders(
+    aiResponse,
+    plan.map(step => ({ code: step.type === 'command' ? step.command : step.content }))
+  );
+  if (!placeholderValues) {
+    console.log(chalk.red('Nothing was applied.'));
+    return;
+  }
+  
+  // Typed-in keys are redacted like the ones in .env (wallet addresses are public), and files and
+  // commands get their variable, so the key has to be in the environment of the commands
+  ['private_key', 'api_key'].forEach(type => {
+    const envKey = PLACEHOLDER_ENV_KEYS[type];
+    if (placeholderValues[type]) {
+      addSecret(secretRedactor, placeholderValues[type], envKey);
+      process.env[envKey] = process.env[envKey] || placeholderValues[type];
+      runtimeSecretNames.add(envKey);
+    }
+  });
+  
+  const fileSteps = plan.filter(step => step.type !== 'command');
+  
+  // Create files with detected filenames
+  if (fileSteps.length > 0) {
+    console.log(chalk.cyan('\nCreating files automatically:'));
+    
+    for (const step of fileSteps) {
+      if (step.type === 'patch') {
+        await applyPatchStep(step, placeholderValues);
+        continue;
       }
       
       // Replace placeholders in the code with user-provided values
-      let codeWithReplacements = replacePlaceholders(block.code, placeholderValues);
-      
-      // Special handling for .env files
-      if (filename.endsWith('.env')) {
-        // Ensure .env content has proper format (KEY=VALUE)
-        codeWithReplacements = codeWithReplacements
-          .split('\n')
-          .map(line => {
-            // Keep comments and empty lines as is
-            if (line.trim() === '' || line.trim().startsWith('#')) {
-              return line;
-            }
-            
-            // If line is malformed JavaScript (like the example showed), clean it up
-            if (line.includes('//')) {
-              line = line.split('//')[0].trim();
-            }
-            
-            // Extract key and value
-            const parts = line.split('=');
-            if (parts.length >= 2) {
-              const key = parts[0].trim();
-              // Join the rest in case value contained = characters
-              let value = parts.slice(1).join('=').trim();
-              
-              // Strip quotes from value if they exist
-              if ((value.startsWith('"') && value.endsWith('"')) || 
-                  (value.startsWith("'") && value.endsWith("'"))) {
-                value = value.substring(1, value.length - 1);
-              }
-              
-              return `${key}=${value}`;
-            }
-            
-            return line;
-          })
-          .join('\n');
-      }
+      const codeWithReplacements = replacePlaceholders(step.content, placeholderValues, step.path);
       
-      try {
-        await createFile(filename, codeWithReplacements);
-      } catch (error) {
-        errorsOccurred = true;
-        errorMessages.push(`Error creating file ${filename}: ${error.message}`);
-      }
+      await createFile(step.path, codeWithReplacements);
     }
   }
   
-  // Then execute terminal commands
-  const commandBlocks = codeBlocks.filter(block => {
-    const isBashOrShell = ['bash', 'shell', 'sh', ''].includes(block.language);
-    
-    // Detect if it's a command block even if not explicitly labeled
-    const looksLikeCommand = !block.language && (
-      block.code.trim().startsWith('npm ') ||
-      block.code.trim().startsWith('node ') ||
-      block.code.trim().startsWith('cd ') ||
-      block.code.trim().startsWith('mkdir ')
-    );
-    
-    return isBashOrShell || looksLikeCommand;
-  });
+  const commandSteps = plan.filter(step => step.type === 'command');
   
-  if (commandBlocks.length > 0) {
+  if (commandSteps.length > 0) {
     console.log(chalk.cyan('\nExecuting commands automatically:'));
     
-    // Track executed commands to avoid redundancy
-    const executedCommands = new Set();
-    
-    for (const block of commandBlocks) {
-      // Skip commands that might be unsafe or are just examples
-      if (block.code.includes('sudo ') || 
-          block.code.includes('rm -rf')) {
-        console.log(chalk.yellow(`Skipping potentially unsafe command: ${block.code.substring(0, 50)}...`));
+    for (const step of commandSteps) {
+      if (step.skipReason) {
+        console.log(chalk.yellow(`Skipping command (${step.skipReason}): ${redactSecrets(secretRedactor, step.command).substring(0, 50)}...`));
+        if (step.policy) {
+          recordPolicyDecision(step.command, step.policy, 'denied');
+        }
         continue;
       }
       
-      // Split multi-line commands and process one at a time
-      const commandLines = block.code
-        .split('\n')
-        .filter(line => line.trim() && !line.trim().startsWith('#'))
-        // Remove trailing backslashes that can cause syntax errors
-        .map(line => line.replace(/\s*\\$/, ''));
-      
       // Replace placeholders with user input
-      for (const line of commandLines) {
-        const commandWithReplacements = replacePlaceholders(line, placeholderValues);
-        
-        // Skip example commands that haven't been properly filled in
-        if (commandWithReplacements.includes('[YourPrivateKey') || 
-            commandWithReplacements.includes('your_actual_private_key_here')) {
-          console.log(chalk.yellow(`Skipping example command: ${commandWithReplacements.substring(0, 50)}...`));
-          continue;
-        }
-        
-        // Skip if we've already executed this command (avoid duplicates)
-        if (executedCommands.has(commandWithReplacements)) {
-          console.log(chalk.yellow(`Skipping duplicate command: ${commandWithReplacements}`));
-          continue;
-        }
-        
-        // Add to executed commands tracking
-        executedCommands.add(commandWithReplacements);
-        
-        const result = await executeCommand(commandWithReplacements);
-        if (!result.success) {
-          errorsOccurred = true;
-          errorMessages.push(`Command failed: ${commandWithReplacements}`);
-        }
+      const commandWithReplacements = replacePlaceholders(step.command, placeholderValues);
+      
+      // Skip example commands that haven't been properly filled in
+      if (commandWithReplacements.includes('[YourPrivateKey') || 
+          commandWithReplacements.includes('your_actual_private_key_here')) {
+        console.log(chalk.yellow(`Skipping example command: ${commandWithReplacements.substring(0, 50)}...`));
+        continue;
       }
+      
+      // A failed command gets its own resolution chain inside executeCommand
+      await executeCommand(commandWithReplacements, { approved: step.approved });
     }
   }
+}
+
+/**
+ * Print an action plan with file diffs
+ * @param {Array} plan - Steps from buildActionPlan
+ */
+function displayActionPlan(plan) {
+  console.log(chalk.cyan('\nAction plan (nothing has been changed yet):'));
   
-  // If errors occurred during processing, attempt to resolve them
-  if (errorsOccurred) {
-    console.log(chalk.yellow('\nErrors occurred during execution. Attempting to resolve...'));
-    for (const errorMsg of errorMessages) {
-      console.log(chalk.red(`- ${errorMsg}`));
+  plan.forEach((step, index) => {
+    const number = chalk.cyan(`${index + 1}.`.padStart(4));
+    
+    if (step.type === 'patch') {
+      console.log(`\n${number} ${chalk.magenta('patch')} ${step.path} ${chalk.gray(`(${step.format}, +${step.changes.added} -${step.changes.removed})`)}`);
       
-      // Add to error stats
-      executionStats.errors.detected++;
+      if (step.success) {
+        printDiff(step.diff);
+      } else {
+        formatPatchFailures(step.path, step.failures).split('\n').forEach(line => {
+          console.log(chalk.red(`       ${line}`));
+        });
+      }
+    } else if (step.type === 'file') {
+      const summary = step.exists
+        ? `update, +${step.changes.added} -${step.changes.removed}`
+        : `new file, ${step.changes.added} lines`;
+      console.log(`\n${number} ${chalk.green('write')} ${step.path} ${chalk.gray(`(${summary})`)}`);
+      
+      if (step.diff) {
+        printDiff(step.diff);
+      } else {
+        console.log(chalk.gray('       No changes to the existing file'));
+      }
+    } else {
+      console.log(`\n${number} ${chalk.yellow('run')}   ${redactSecrets(secretRedactor, step.command).split('\n').join('\n         ')}`);
+      console.log(chalk.gray(`       cwd: ${formatCwd(step.cwd, getShellSession().startCwd)}${detectJob(step.command, step.cwd || getShellSession().cwd) ? ', runs as a background job' : ''}`));
+      
+      if (step.skipReason) {
+        console.log(chalk.red(`       Will be skipped (${step.skipReason})`));
+      } else if (step.policy && step.policy.action === 'ask') {
+        console.log(chalk.yellow(`       Requires confirmation (${step.policy.reason})`));
+      }
     }
-    
-    // Use AI to suggest fixes for the errors
-    await attemptErrorResolution('auto-process', errorMessages.join('\n'));
+  });
+  
+  console.log();
+}
+
+/**
+ * Print a unified diff with colors
+ * @param {string} diff - The unified diff
+ * @param {number} maxLines - Maximum number of lines to print
+ */
+function printDiff(diff, maxLines = 80) {
+  const lines = redactSecrets(secretRedactor, diff).split('\n');
+  
+  lines.slice(0, maxLines).forEach(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) {
+      console.log(chalk.gray(`       ${line}`));
+    } else if (line.startsWith('+')) {
+      console.log(chalk.green(`       ${line}`));
+    } else if (line.startsWith('-')) {
+      console.log(chalk.red(`       ${line}`));
+    } else if (line.startsWith('@@')) {
+      console.log(chalk.cyan(`       ${line}`));
+    } else {
+      console.log(chalk.white(`       ${line}`));
+    }
+  });
+  
+  if (lines.length > maxLines) {
+    console.log(chalk.gray(`       ... ${lines.length - maxLines} more lines`));
+  }
+}
+
+/**
+ * Describe a plan step in one line
+ * @param {Object} step - A plan step
+ * @returns {string} - Short description
+ */
+function describePlanStep(step) {
+  if (step.type === 'patch') {
+    return `patch ${step.path}${step.success ? '' : ' (does not apply)'}`;
+  }
+  
+  if (step.type === 'file') {
+    return `write ${step.path}${step.exists ? ' (update)' : ' (new)'}`;
+  }
+  
+  return `run ${redactSecrets(secretRedactor, step.command)}${describeCwd(step.cwd)}`;
+}
+
+/**
+ * Describe the directory a command runs in, if the shell left the starting directory
+ * @param {string} cwd - The directory
+ * @returns {string} - ' (in <dir>)', or an empty string for the starting directory
+ */
+function describeCwd(cwd) {
+  const shell = getShellSession();
+  return cwd && cwd !== shell.startCwd ? ` (in ${formatCwd(cwd, shell.startCwd)})` : '';
+}
+
+/**
+ * Ask which steps of a plan should be applied
+ * @param {Array} plan - Steps from buildActionPlan
+ * @returns {Array} - The approved steps, in plan order
+ */
+async function selectPlanSteps(plan) {
+  const runnableSteps = plan.filter(step => !step.skipReason && step.success !== false);
+  
+  if (runnableSteps.length === 0) {
+    return [];
+  }
+  
+  const automatic = getAutomaticAnswer();
+  if (automatic !== null) {
+    console.log(chalk.gray(`Apply this plan? ${automatic ? 'All steps (--yes)' : 'Nothing (--ci without --yes)'}`));
+    return automatic ? runnableSteps : [];
+  }
+  
+  const { decision } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'decision',
+      message: 'Apply this plan?',
+      choices: [
+        { name: 'Apply all steps', value: 'all' },
+        { name: 'Choose individual steps', value: 'choose' },
+        { name: 'Apply nothing', value: 'none' }
+      ]
+    }
+  ]);
+  
+  if (decision === 'all') {
+    return runnableSteps;
   }
+  
+  if (decision === 'none') {
+    return [];
+  }
+  
+  return checkPlanSteps(runnableSteps, 'Select the steps to apply:', true);
+}
+
+/**
+ * Let the user tick the plan steps to apply
+ * @param {Array} steps - Runnable plan steps
+ * @param {string} message - The question
+ * @param {boolean} checked - Whether every step starts ticked
+ * @returns {Array} - The ticked steps, in plan order
+ */
+async function checkPlanSteps(steps, message, checked) {
+  const { selectedSteps } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'selectedSteps',
+      message,
+      choices: steps.map(step => ({
+        name: describePlanStep(step),
+        value: step,
+        checked
+      }))
+    }
+  ]);
+  
+  return steps.filter(step => selectedSteps.includes(step));
 }
 
 /**
  * Detect placeholders in the AI response and prompt the user for values
+ * Non-interactive runs (--ci) take the values from the --values file or the environment instead.
  * @param {string} aiResponse - The full AI response
  * @param {Array} codeBlocks - The extracted code blocks
- * @returns {Object} - A map of placeholders to their user-provided values
+ * @returns {Object|null} - A map of placeholders to their user-provided values, or null if a
+ *                          non-interactive run is missing a value
  */
 async function detectAndPromptForPlaceholders(aiResponse, codeBlocks) {
   const placeholderValues = {};
@@ -601,9 +2246,20 @@ async function detectAndPromptForPlaceholders(aiResponse, codeBlocks) {
     },
   ];
   
+  if (assistOptions.ci) {
+    return resolvePlaceholdersFromValues(patterns, allCode, aiResponse);
+  }
+  
   // Check for each pattern in the code
   for (const pattern of patterns) {
     if (pattern.regex.test(allCode) || pattern.regex.test(aiResponse)) {
+      // Keys already in the vault or the environment are used without asking
+      const envKey = PLACEHOLDER_ENV_KEYS[pattern.type];
+      if (!placeholderValues[pattern.type] && process.env[envKey] && pattern.validation(process.env[envKey])) {
+        console.log(chalk.gray(`Using ${envKey} from the secrets vault or environment`));
+        placeholderValues[pattern.type] = process.env[envKey];
+      }
+      
       // Only prompt for each type once
       if (!placeholderValues[pattern.type]) {
         const { value } = await inquirer.prompt([
@@ -618,27 +2274,20 @@ async function detectAndPromptForPlaceholders(aiResponse, codeBlocks) {
         
         placeholderValues[pattern.type] = value;
         
-        // Store private key in .env file for future use
-        if (pattern.type === 'private_key') {
-          await updateEnvFile('PRIVATE_KEY', value);
-          console.log(chalk.green('✓ Saved private key to .env file'));
-        }
-        
-        // Store API key in .env file
-        if (pattern.type === 'api_key') {
-          await updateEnvFile('API_KEY', value);
-          console.log(chalk.green('✓ Saved API key to .env file'));
+        // Keep keys in the encrypted vault for future use, never in .env
+        if (pattern.type === 'private_key' || pattern.type === 'api_key') {
+          await storePlaceholderSecret(envKey, value);
         }
         
         // Store wallet address
         if (pattern.type === 'wallet_address') {
-          await updateEnvFile('WALLET_ADDRESS', value);
+          await updateEnvFile(PLACEHOLDER_ENV_KEYS.wallet_address, value);
           console.log(chalk.green('✓ Saved wallet address to .env file'));
         }
         
         // Store RPC endpoint
         if (pattern.type === 'rpc_endpoint') {
-          await updateEnvFile('RPC_ENDPOINT', value);
+          await updateEnvFile(PLACEHOLDER_ENV_KEYS.rpc_endpoint, value);
           console.log(chalk.green('✓ Saved RPC endpoint to .env file'));
         }
       }
@@ -648,6 +2297,62 @@ async function detectAndPromptForPlaceholders(aiResponse, codeBlocks) {
   return placeholderValues;
 }
 
+/**
+ * Fill the placeholders of a response from the --values file or the environment
+ * @param {Array} patterns - Placeholder patterns from detectAndPromptForPlaceholders
+ * @param {string} allCode - The code of every block
+ * @param {string} aiResponse - The full AI response
+ * @returns {Object|null} - A map of placeholders to their values, or null if one is missing or invalid
+ */
+function resolvePlaceholdersFromValues(patterns, allCode, aiResponse) {
+  const placeholderValues = {};
+  const missing = new Set();
+  
+  patterns
+    .filter(pattern => pattern.regex.test(allCode) || pattern.regex.test(aiResponse))
+    .forEach(pattern => {
+      const key = PLACEHOLDER_ENV_KEYS[pattern.type];
+      const value = placeholderSource[key];
+      
+      if (value !== undefined && pattern.validation(value)) {
+        placeholderValues[pattern.type] = value;
+      } else {
+        missing.add(key);
+      }
+    });
+  
+  if (missing.size > 0) {
+    console.log(chalk.red(`\nMissing placeholder value(s): ${[...missing].join(', ')}`));
+    console.log(chalk.yellow('Set them in the environment or in the file passed with --values.'));
+    executionStats.errors.detected++;
+    executionStats.errors.unresolved++;
+    return null;
+  }
+  
+  return placeholderValues;
+}
+
+/**
+ * Store a typed-in key in the secrets vault and make it available to the commands of this run
+ * @param {string} key - The variable name (PRIVATE_KEY or API_KEY)
+ * @param {string} value - The key
+ */
+async function storePlaceholderSecret(key, value) {
+  process.env[key] = value;
+  
+  try {
+    if (await setSecret(key, value)) {
+      console.log(chalk.green(`✓ Saved ${key} to the secrets vault`));
+      return;
+    }
+  } catch (error) {
+    console.error(chalk.yellow(`Warning: Could not save ${key} to the secrets vault: ${error.message}`));
+    return;
+  }
+  
+  console.log(chalk.yellow(`${key} was not saved. Store it later with \`arvil secrets set ${key}\`.`));
+}
+
 /**
  * Update or create .env file with a key-value pair
  * @param {string} key - The env variable name
@@ -674,31 +2379,44 @@ async function updateEnvFile(key, value) {
   }
   
   // Write updated content back to .env file
+  snapshotFile(envPath);
   fs.writeFileSync(envPath, envContent.trim(), 'utf8');
+  recordWrite(envPath);
 }
 
 /**
  * Replace placeholder patterns in code with user-provided values
+ * Keys are not written out: files and commands get a reference to PRIVATE_KEY or API_KEY, which
+ * is resolved from the vault or the environment when they run. Wallet addresses and RPC
+ * endpoints are public and filled in as they are.
  * @param {string} code - The code block to process
  * @param {Object} placeholderValues - Map of placeholders to values
+ * @param {string|null} target - File the code is written to, or null for a command
  * @returns {string} - Code with replacements
  */
-function replacePlaceholders(code, placeholderValues) {
+function replacePlaceholders(code, placeholderValues, target = null) {
   let result = code;
   
-  // Replace private key placeholders
-  if (placeholderValues.private_key) {
-    result = result.replace(/\[YourPrivateKey(?:Array)?\]/g, placeholderValues.private_key);
-    result = result.replace(/['"]your_(?:actual_)?private_key(?:_array)?_here['"]/g, `"${placeholderValues.private_key}"`);
-    result = result.replace(/PRIVATE_KEY=.*$/m, `PRIVATE_KEY=${placeholderValues.private_key}`);
-  }
-  
-  // Replace API key placeholders
-  if (placeholderValues.api_key) {
-    result = result.replace(/\[YourAPIKey\]/g, placeholderValues.api_key);
-    result = result.replace(/['"]your_api_key(?:_here)?['"]/g, `"${placeholderValues.api_key}"`);
-    result = result.replace(/API_KEY=.*$/m, `API_KEY=${placeholderValues.api_key}`);
-  }
+  // Replace private key and API key placeholders with references to their variables
+  [
+    { type: 'private_key', placeholder: /\[YourPrivateKey(?:Array)?\]/g, quoted: /(['"])your_(?:actual_)?private_key(?:_array)?_here\1/g },
+    { type: 'api_key', placeholder: /\[YourAPIKey\]/g, quoted: /(['"])your_api_key(?:_here)?\1/g }
+  ].forEach(({ type, placeholder, quoted }) => {
+    if (!placeholderValues[type]) {
+      return;
+    }
+    
+    const name = PLACEHOLDER_ENV_KEYS[type];
+    if (target && isEnvFile(target)) {
+      // .env files can't refer to other variables: the line says where the key comes from instead
+      const keyLine = new RegExp(`^(?:export\\s+)?${name}=.*$|^.*(?:${placeholder.source}|${quoted.source}).*$`, 'gm');
+      result = result.replace(keyLine, () => vaultComment(name));
+    } else {
+      result = result.replace(new RegExp(`\\b${name}=(?:"[^"]*"|'[^']*'|[^\\s;&|]*)`, 'g'), `${name}="$${name}"`);
+    }
+    result = result.replace(placeholder, () => envReference(name, target));
+    result = result.replace(quoted, (match, quote) => envReference(name, target, quote));
+  });
   
   // Replace wallet address placeholders
   if (placeholderValues.wallet_address) {
@@ -717,6 +2435,80 @@ function replacePlaceholders(code, placeholderValues) {
   return result;
 }
 
+/**
+ * Check whether a file is a .env file (.env, .env.local, ...)
+ * @param {string} filename - The file
+ * @returns {boolean} - True for .env files
+ */
+function isEnvFile(filename) {
+  return /^\.env(\.|$)/.test(path.basename(filename));
+}
+
+/**
+ * Get the line a .env file gets instead of a key that is kept in the vault
+ * @param {string} name - Variable name
+ * @returns {string} - A comment telling where the key comes from
+ */
+function vaultComment(name) {
+  return `# ${name} is resolved from the secrets vault at run time (arvil secrets set ${name})`;
+}
+
+/**
+ * Get the code that reads a variable from the environment, in the language of a file
+ * @param {string} name - Variable name
+ * @param {string|null} target - File the reference goes into, or null for a command
+ * @param {string} quote - Quote that surrounded the replaced value ('' if none)
+ * @returns {string} - e.g. process.env.PRIVATE_KEY in JavaScript, "$PRIVATE_KEY" in a command
+ */
+function envReference(name, target, quote = '') {
+  const extension = target ? path.extname(target).toLowerCase() : '.sh';
+  
+  if (['.js', '.cjs', '.mjs', '.jsx', '.ts', '.tsx'].includes(extension)) {
+    return `process.env.${name}`;
+  }
+  if (extension === '.py') {
+    return `os.environ["${name}"]`;
+  }
+  if (extension === '.rs') {
+    return `std::env::var("${name}").expect("${name} is not set")`;
+  }
+  if (['.sh', '.bash', ''].includes(extension)) {
+    return `"$${name}"`;
+  }
+  
+  // Config files (TOML, YAML, JSON) keep their quotes; foundry.toml and most loaders expand ${NAME}
+  return `${quote}\${${name}}${quote}`;
+}
+
+/**
+ * Replace the values of vault keys in a file with references to their variables
+ * The model only sees tokens, and restoring them would write the real key into the project.
+ * Values the file held already (an existing .env entry) are kept as they are.
+ * @param {string} content - File content with the secrets restored
+ * @param {string} filename - The file
+ * @param {string} previousContent - Content of the file before the write
+ * @returns {string} - The content
+ */
+function referenceRuntimeSecrets(content, filename, previousContent) {
+  let result = content;
+  
+  runtimeSecretNames.forEach(name => {
+    const value = process.env[name];
+    if (!value || value.length < 8 || !result.includes(value) || previousContent.includes(value)) {
+      return;
+    }
+    
+    const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (isEnvFile(filename)) {
+      result = result.replace(new RegExp(`^.*${escaped}.*$`, 'gm'), vaultComment(name));
+    } else {
+      result = result.replace(new RegExp(`(["'\`]?)${escaped}\\1`, 'g'), (match, quote) => envReference(name, filename, quote));
+    }
+  });
+  
+  return result;
+}
+
 /**
  * Create a file with the given name and content
  * @param {string} filename - The name of the file to create
@@ -776,15 +2568,42 @@ async function createFile(filename, content) {
         .join('\n');
     }
     
+    content = restoreSecrets(secretRedactor, content);
+    warnUnknownTokens(content, filename);
+    
+    // Remember the previous contents so the write can be undone
+    const existed = snapshotFile(filename);
+    const previousContent = existed ? fs.readFileSync(filename, 'utf8') : '';
+    content = referenceRuntimeSecrets(content, filename, previousContent);
+    
     // Write the file
     fs.writeFileSync(filename, content);
-    console.log(chalk.green(`✓ Created file: ${filename}`));
+    recordWrite(filename);
+    console.log(chalk.green(`✓ ${existed ? 'Updated' : 'Created'} file: ${filename}`));
     
-    // Add to tracked files
-    createdFiles.add(filename);
+    // Add to created/updated files stats
+    if (existed) {
+      executionStats.files.updated.push(filename);
+    } else {
+      executionStats.files.created.push(filename);
+    }
+    executionStats.files.changes.push({
+      path: filename,
+      action: existed ? 'updated' : 'created',
+      diff: createUnifiedDiff(previousContent, content, {
+        fromFile: existed ? `a/${filename}` : '/dev/null',
+        toFile: `b/${filename}`
+      })
+    });
     
-    // Add to created files stats
-    executionStats.files.created.push(filename);
+    if (currentSession) {
+      currentSession.files.push({
+        path: filename,
+        absolutePath: path.resolve(filename),
+        action: existed ? 'updated' : 'created',
+        timestamp: new Date().toISOString()
+      });
+    }
     
     // Make executable if it's a script
     if (filename.endsWith('.sh') || filename.endsWith('.js')) {
@@ -805,90 +2624,679 @@ async function createFile(filename, content) {
   }
 }
 
+/**
+ * Record the state of a file before assist writes to it
+ * Only the first write in a session is recorded, so undo restores the original state.
+ * @param {string} filename - The file about to be written
+ * @returns {boolean} - True if the file already existed
+ */
+function snapshotFile(filename) {
+  const absolutePath = path.resolve(filename);
+  const existed = fs.existsSync(absolutePath);
+  
+  if (!currentSession) {
+    return existed;
+  }
+  
+  // A file whose earlier changes were undone gets a new snapshot
+  currentSession.snapshots = currentSession.snapshots || [];
+  if (findSnapshot(absolutePath)) {
+    return existed;
+  }
+  
+  const stats = existed ? fs.statSync(absolutePath) : null;
+  currentSession.snapshots.push({
+    path: absolutePath,
+    existed,
+    previousContent: existed ? fs.readFileSync(absolutePath, 'utf8') : null,
+    mode: stats ? stats.mode & 0o777 : null,
+    timestamp: new Date().toISOString()
+  });
+  
+  // Save right away so the snapshot survives a crash mid-turn
+  persistSession();
+  
+  return existed;
+}
+
+/**
+ * Find the snapshot of a file that `arvil undo` would revert
+ * @param {string} absolutePath - The file
+ * @returns {Object|undefined} - The snapshot, if the session changed the file and it wasn't undone
+ */
+function findSnapshot(absolutePath) {
+  return currentSession.snapshots.find(snapshot => snapshot.path === absolutePath && !isSnapshotUndone(currentSession, snapshot));
+}
+
+/**
+ * Remember what assist wrote to a file, so undo can tell whether it was changed since
+ * @param {string} filename - The file just written
+ */
+function recordWrite(filename) {
+  const snapshot = currentSession && findSnapshot(path.resolve(filename));
+  if (!snapshot) {
+    return;
+  }
+  
+  snapshot.writtenHash = hashContent(fs.readFileSync(filename, 'utf8'));
+  persistSession();
+}
+
+/**
+ * Get the command policy, loading it for the current directory if assist didn't
+ * @returns {Object} - Policy from loadPolicy
+ */
+function getCommandPolicy() {
+  if (!commandPolicy) {
+    const project = getCurrentProject();
+    commandPolicy = loadPolicy(project ? project.path : process.cwd());
+  }
+  
+  return commandPolicy;
+}
+
+/**
+ * Get the root of the current project (the working directory outside a project)
+ * @returns {string} - Absolute path
+ */
+function getProjectRoot() {
+  const project = getCurrentProject();
+  return project ? project.path : process.cwd();
+}
+
+/**
+ * Get the shell session, starting one in the current directory if assist didn't
+ * @returns {Object} - Session from createShellSession
+ */
+function getShellSession() {
+  if (!shellSession) {
+    shellSession = createShellSession(process.cwd());
+  }
+  
+  return shellSession;
+}
+
+/**
+ * Check a command against the command policy, asking the user when a rule requires it
+ * @param {string} command - The command to check
+ * @param {Object} options - Check options
+ * @param {boolean} options.approved - The user already confirmed the command (e.g. in the action plan)
+ * @returns {Object} - The decision ({ action, rule, reason, source }) with allowed: true|false
+ */
+async function checkCommandPolicy(command, options = {}) {
+  const decision = evaluateCommand(command, getCommandPolicy(), getShellSession().cwd);
+  
+  if (decision.action === 'allow') {
+    recordPolicyDecision(command, decision, 'allowed');
+    return { ...decision, allowed: true };
+  }
+  
+  if (decision.action === 'deny') {
+    console.log(chalk.red(`✗ Blocked by command policy (${decision.reason}): ${command}`));
+    recordPolicyDecision(command, decision, 'denied');
+    return { ...decision, allowed: false };
+  }
+  
+  if (options.approved) {
+    recordPolicyDecision(command, decision, 'approved');
+    return { ...decision, allowed: true };
+  }
+  
+  console.log(chalk.yellow(`\nThe command policy requires confirmation (${decision.reason}):`));
+  console.log(chalk.cyan(`  $ ${command}`));
+  
+  const automatic = getAutomaticAnswer();
+  if (automatic !== null) {
+    console.log(chalk.gray(`Run this command? ${automatic ? 'Yes (--yes)' : 'No (--ci without --yes)'}`));
+    recordPolicyDecision(command, decision, automatic ? 'approved' : 'rejected');
+    return { ...decision, allowed: automatic };
+  }
+  
+  const { runCommand } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'runCommand',
+      message: 'Run this command?',
+      default: false
+    }
+  ]);
+  
+  recordPolicyDecision(command, decision, runCommand ? 'approved' : 'rejected');
+  return { ...decision, allowed: runCommand };
+}
+
+/**
+ * Log a policy decision in the execution stats and the current session
+ * @param {string} command - The command
+ * @param {Object} decision - Decision from evaluateCommand
+ * @param {string} outcome - 'allowed', 'denied', 'approved' or 'rejected'
+ */
+function recordPolicyDecision(command, decision, outcome) {
+  const entry = {
+    command: redactSecrets(secretRedactor, command),
+    action: decision.action,
+    outcome,
+    rule: decision.rule,
+    reason: decision.reason,
+    source: decision.source,
+    timestamp: new Date().toISOString()
+  };
+  
+  executionStats.policy.decisions.push(entry);
+  
+  if (currentSession) {
+    currentSession.policyDecisions = currentSession.policyDecisions || [];
+    currentSession.policyDecisions.push(entry);
+  }
+}
+
 /**
  * Execute a command in the terminal
  * @param {string} command - The command to execute
+ * @param {Object} options - Execution options
+ * @param {boolean} options.approved - The user already confirmed the command
+ * @param {boolean} options.resolveErrors - Try to fix a failure automatically (default: true)
+ * @returns {Object} - { success, output, error, blocked }
  */
-async function executeCommand(command) {
-  console.log(chalk.cyan(`$ ${command}`));
-  const spinner = ora('Running command').start();
+async function executeCommand(command, options = {}) {
+  // Run the real command, but show and record it with tokens in place of secrets
+  const localCommand = restoreSecrets(secretRedactor, command);
+  command = redactSecrets(secretRedactor, localCommand);
+  warnUnknownTokens(localCommand, 'This command');
+  
+  if (assistOptions.exec === false) {
+    console.log(chalk.yellow(`Not running (--no-exec): ${command}`));
+    return { success: false, blocked: true, error: 'Commands are disabled (--no-exec)' };
+  }
+  
+  const decision = await checkCommandPolicy(command, options);
+  if (!decision.allowed) {
+    return { success: false, blocked: true, error: `Blocked by command policy: ${decision.reason}` };
+  }
+  
+  // Validators, local nodes and dev servers never exit, so they run as background jobs
+  const jobSpec = detectJob(localCommand, getShellSession().cwd);
+  if (jobSpec) {
+    return runBackgroundJob(command, jobSpec, options);
+  }
+  
+  const shell = getShellSession();
+  console.log(chalk.cyan(`$ ${command}`) + chalk.gray(describeCwd(shell.cwd)));
   
   // Add to executed commands stats
   const commandStats = {
     command,
+    cwd: shell.cwd,
+    success: false,
+    exitCode: null,
+    durationMs: 0,
+    timestamp: new Date()
+  };
+  executionStats.commands.executed.push(commandStats);
+  
+  // Ctrl+C stops the command and what it started instead of exiting ARVIL
+  const controller = new AbortController();
+  const onInterrupt = () => controller.abort();
+  process.on('SIGINT', onInterrupt);
+  
+  // Output is shown while the command runs (secrets redacted line by line)
+  const stdoutWriter = createOutputWriter(text => process.stdout.write(text));
+  const stderrWriter = createOutputWriter(text => process.stderr.write(chalk.yellow(text)));
+  
+  try {
+    // `cd` and `export` carry over to the next command of this run
+    const result = await runInSession(shell, localCommand, {
+      timeout: getCommandTimeout() * 1000,
+      signal: controller.signal,
+      onStdout: stdoutWriter.write,
+      onStderr: stderrWriter.write
+    });
+    stdoutWriter.end();
+    stderrWriter.end();
+    
+    const stdout = redactSecrets(secretRedactor, result.stdout);
+    const stderr = redactSecrets(secretRedactor, result.stderr);
+    commandStats.exitCode = 0;
+    commandStats.durationMs = Date.now() - commandStats.timestamp;
+    console.log(chalk.green(`✓ Command executed (${formatDuration(commandStats.durationMs)})`));
+    
+    // Error output of a successful command is worth a fix, but only a non-zero exit fails the run
+    // (errors during a fix belong to its chain)
+    if (hasErrorOutput(stderr) && !activeResolution) {
+      executionStats.errors.warnings++;
+      
+      if (options.resolveErrors !== false) {
+        await attemptErrorResolution(command, stderr, { warning: true });
+      }
+    }
+    
+    // Update command stats to successful
+    commandStats.success = true;
+    commandStats.output = stdout;
+    commandStats.error = stderr;
+    recordSessionCommand(commandStats);
+    executionStats.commands.successful++;
+    
+    return { success: true, output: stdout, error: stderr };
+  } catch (error) {
+    stdoutWriter.end();
+    stderrWriter.end();
+    
+    const message = redactSecrets(secretRedactor, error.message);
+    if (error.cancelled) {
+      console.log(chalk.yellow('✗ Command cancelled (Ctrl+C)'));
+    } else {
+      console.error(chalk.red(`✗ ${message}`));
+    }
+    
+    // Update command stats as failed (a command killed by a signal has no exit code)
+    commandStats.success = false;
+    commandStats.exitCode = typeof error.code === 'number' ? error.code : null;
+    commandStats.signal = error.signal || null;
+    commandStats.durationMs = Date.now() - commandStats.timestamp;
+    commandStats.output = redactSecrets(secretRedactor, error.stdout || '');
+    commandStats.error = redactSecrets(secretRedactor, error.stderr || error.message);
+    recordSessionCommand(commandStats);
+    executionStats.commands.failed++;
+    
+    // The end of the output usually holds the error; the streams are interleaved as they were shown
+    const tail = redactSecrets(secretRedactor, error.output || '').trim().slice(-MAX_ERROR_OUTPUT);
+    const errorMessage = tail ? `${message}\n${tail}` : message;
+    
+    // Attempt to resolve the error (failures during a fix belong to its chain; a cancel is not an error)
+    if (!activeResolution && !error.cancelled) {
+      executionStats.errors.detected++;
+      
+      if (options.resolveErrors !== false) {
+        await attemptErrorResolution(command, errorMessage);
+      }
+    }
+    
+    return { success: false, output: commandStats.output, error: errorMessage };
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+}
+
+/**
+ * Start a long-running command as a background job and wait until it is ready
+ * @param {string} command - The command (secrets redacted)
+ * @param {Object} spec - Job from detectJob (with the real command)
+ * @param {Object} options - Options of executeCommand (resolveErrors)
+ * @returns {Object} - { success, output, error } like executeCommand
+ */
+async function runBackgroundJob(command, spec, options) {
+  const shell = getShellSession();
+  const projectRoot = getProjectRoot();
+  console.log(chalk.cyan(`$ ${command}`) + chalk.gray(`${describeCwd(shell.cwd)} (background job)`));
+  
+  const commandStats = {
+    command,
+    cwd: shell.cwd,
     success: false,
+    exitCode: null,
+    durationMs: 0,
     timestamp: new Date()
   };
   executionStats.commands.executed.push(commandStats);
   
+  // A node that runs already (from an earlier turn or outside ARVIL) is used as it is
+  const running = findRunningJob(projectRoot, spec.command, shell.cwd);
+  if (!running && spec.port && await isPortOpen(spec.port)) {
+    const output = `Port ${spec.port} is in use already, so ${spec.name} was not started again. Using the service on that port.`;
+    console.log(chalk.yellow(output));
+    return recordJobResult(commandStats, { success: true, output });
+  }
+  
+  const { job, reused } = running ? { job: running, reused: true } : startJob(projectRoot, spec, {
+    cwd: shell.cwd,
+    env: getSessionEnv(shell),
+    session: currentSession ? currentSession.id : null
+  });
+  
+  if (!reused) {
+    sessionJobs.push(job);
+  }
+  
+  const spinner = ora(`Waiting for ${job.name} to be ready${job.port ? ` on port ${job.port}` : ''}...`).start();
+  
   try {
-    const { stdout, stderr } = await execAsync(command);
-    spinner.succeed('Command executed');
+    await waitForJob(job);
+    const output = `${reused ? 'Already running' : 'Started'} as background job "${job.name}" (pid ${job.pid}${job.port ? `, ready on port ${job.port}` : ''}). Logs: arvil jobs logs ${job.name}`;
+    spinner.succeed(output);
+    return recordJobResult(commandStats, { success: true, output });
+  } catch (error) {
+    spinner.fail(error.message);
+    
+    // The end of the log says why it didn't start
+    const log = redactSecrets(secretRedactor, readJobLog(job, 30)).trim();
+    if (log) {
+      console.log(chalk.yellow(log));
+    }
+    await stopJob(projectRoot, job);
     
-    if (stdout) {
-      console.log(chalk.green('\nOutput:'));
-      console.log(stdout);
+    const errorMessage = log ? `${error.message}\n${log}` : error.message;
+    recordJobResult(commandStats, { success: false, output: log, error: errorMessage });
+    
+    if (!activeResolution) {
+      executionStats.errors.detected++;
+      
+      if (options.resolveErrors !== false) {
+        await attemptErrorResolution(command, errorMessage);
+      }
     }
     
-    if (stderr) {
-      console.log(chalk.yellow('\nWarnings/Errors:'));
-      console.log(stderr);
+    return { success: false, output: log, error: errorMessage };
+  }
+}
+
+/**
+ * Record the outcome of starting a background job in the execution stats and the session
+ * @param {Object} commandStats - The command entry from executionStats
+ * @param {Object} result - { success, output, error }
+ * @returns {Object} - The result
+ */
+function recordJobResult(commandStats, result) {
+  commandStats.success = result.success;
+  commandStats.exitCode = result.success ? 0 : null;
+  commandStats.durationMs = Date.now() - commandStats.timestamp;
+  commandStats.output = result.output;
+  commandStats.error = result.error || '';
+  recordSessionCommand(commandStats);
+  
+  if (result.success) {
+    executionStats.commands.successful++;
+  } else {
+    executionStats.commands.failed++;
+  }
+  
+  return result;
+}
+
+/**
+ * Stop the background jobs this run started
+ */
+async function stopSessionJobs() {
+  const projectRoot = getProjectRoot();
+  
+  while (sessionJobs.length > 0) {
+    const job = sessionJobs.shift();
+    if (await stopJob(projectRoot, job)) {
+      console.log(chalk.gray(`Stopped background job ${job.name}`));
+    }
+  }
+}
+
+/**
+ * Signal the background jobs of this run to stop when ARVIL exits before it could stop them
+ */
+function killSessionJobs() {
+  sessionJobs.filter(isJobRunning).forEach(job => signalProcessGroup(job.pid, 'SIGTERM'));
+}
+
+/**
+ * Pass command output on to the terminal a line at a time, with secrets redacted
+ * A secret split across two chunks is still found because only complete lines are written.
+ * @param {Function} write - Writes redacted text
+ * @returns {Object} - { write(chunk), end() }
+ */
+function createOutputWriter(write) {
+  let pending = '';
+  
+  return {
+    write: chunk => {
+      pending += chunk;
+      
+      // Progress bars end their lines with \r; very long lines are written in pieces
+      const lineEnd = Math.max(pending.lastIndexOf('\n'), pending.lastIndexOf('\r'));
+      const end = lineEnd >= 0 ? lineEnd + 1 : (pending.length > MAX_PENDING_OUTPUT ? pending.length : 0);
+      if (end > 0) {
+        write(redactSecrets(secretRedactor, pending.slice(0, end)));
+        pending = pending.slice(end);
+      }
+    },
+    end: () => {
+      if (pending) {
+        write(`${redactSecrets(secretRedactor, pending)}\n`);
+        pending = '';
+      }
+    }
+  };
+}
+
+/**
+ * Get the time a command may run before it is stopped
+ * @returns {number} - Seconds (0: no limit), from --timeout, ARVIL_COMMAND_TIMEOUT or the default
+ */
+function getCommandTimeout() {
+  const timeout = parseInt(assistOptions.timeout !== undefined ? assistOptions.timeout : process.env.ARVIL_COMMAND_TIMEOUT, 10);
+  return Number.isNaN(timeout) ? DEFAULT_COMMAND_TIMEOUT : Math.max(timeout, 0);
+}
+
+/**
+ * Replace the secrets in a conversation with their tokens, in place
+ * @param {Array} messages - Chat messages (content and tool call arguments are redacted)
+ */
+function redactMessages(messages) {
+  messages.forEach((message, i) => {
+    messages[i] = redactDeep(secretRedactor, message);
+  });
+}
+
+/**
+ * Save the current session with tokens in place of secrets
+ * Snapshots keep the real file contents so `arvil undo` restores them as they were;
+ * saveSession keeps them out of the session file.
+ */
+function persistSession() {
+  const { snapshots, ...session } = currentSession;
+  saveSession({ ...redactDeep(secretRedactor, session), snapshots });
+}
+
+/**
+ * Warn about tokens of secrets this run doesn't know, which would end up literally in a file or command
+ * @param {string} text - File content or command with the known secrets restored
+ * @param {string} target - What is about to be written or run
+ */
+function warnUnknownTokens(text, target) {
+  const unknown = findUnknownTokens(secretRedactor, text);
+  if (unknown.length > 0) {
+    console.error(chalk.yellow(`Warning: ${target} contains redacted value(s) that can't be restored: ${unknown.join(', ')}`));
+  }
+}
+
+/**
+ * Record an executed command in the current session
+ * @param {Object} commandStats - The command entry from executionStats
+ */
+function recordSessionCommand(commandStats) {
+  if (!currentSession) {
+    return;
+  }
+  
+  currentSession.commands.push({
+    command: commandStats.command,
+    cwd: commandStats.cwd,
+    success: commandStats.success,
+    exitCode: commandStats.exitCode,
+    durationMs: commandStats.durationMs,
+    stdout: commandStats.output,
+    stderr: commandStats.error,
+    timestamp: commandStats.timestamp.toISOString()
+  });
+}
+
+/**
+ * Attempt to automatically resolve an error
+ * Each failure gets a resolution chain: the AI proposes a fix, the fix is applied and the failed
+ * command is run again, until it succeeds or the attempts run out. Failures of commands run while
+ * a chain is active belong to that chain and don't start a new one.
+ * @param {string} failedCommand - The command that failed
+ * @param {string} errorMessage - The error message
+ * @param {Object} options - Options
+ * @param {boolean} options.warning - The command exited with 0, so the chain doesn't count as a resolved or unresolved error
+ */
+async function attemptErrorResolution(failedCommand, errorMessage, options = {}) {
+  if (activeResolution) {
+    return;
+  }
+  
+  const { resolution } = executionStats;
+  const chain = {
+    command: failedCommand,
+    error: firstErrorLine(errorMessage),
+    status: 'unresolved',
+    warning: Boolean(options.warning),
+    steps: []
+  };
+  resolution.chains.push(chain);
+  
+  if (resolution.attempts >= getFixBudget()) {
+    console.log(chalk.yellow(`\nSkipping automatic error resolution: all ${getFixBudget()} fix attempts of this turn are used up.`));
+    chain.status = 'budget exhausted';
+    if (!chain.warning) {
+      executionStats.errors.unresolved++;
+    }
+    return;
+  }
+  
+  console.log(chalk.cyan('\nAttempting to fix the error automatically...'));
+  activeResolution = chain;
+  
+  // Fixes already tried for this failure, and the commands they ran
+  const state = {
+    attemptedSolutions: new Set(),
+    executedCommands: new Set(),
+    messages: [
+      { role: "system", content: renderPrompt('error-resolver', getProjectRoot()) }
+    ]
+  };
+  let currentError = errorMessage;
+  
+  try {
+    for (let attempt = 1; attempt <= MAX_FIX_ATTEMPTS; attempt++) {
+      if (resolution.attempts >= getFixBudget()) {
+        console.log(chalk.yellow(`\nStopping: all ${getFixBudget()} fix attempts of this turn are used up.`));
+        chain.status = 'budget exhausted';
+        break;
+      }
+      resolution.attempts++;
+      
+      const step = { attempt, fix: '', commands: [], files: [], verified: false, error: '' };
+      chain.steps.push(step);
+      
+      const commandsBefore = executionStats.commands.executed.length;
+      const createdBefore = executionStats.files.created.length;
+      const updatedBefore = executionStats.files.updated.length;
+      
+      const outcome = await proposeFix(failedCommand, currentError, attempt, state, step);
       
-      // Check if error is serious enough to attempt resolution
-      if (stderr.includes('Error:') || stderr.includes('error:') || stderr.includes('fatal:')) {
-        // Add to error stats
-        executionStats.errors.detected++;
-        
-        await attemptErrorResolution(command, stderr);
+      step.commands = executionStats.commands.executed.slice(commandsBefore).map(cmd => cmd.command);
+      step.files = [...new Set([
+        ...executionStats.files.created.slice(createdBefore),
+        ...executionStats.files.updated.slice(updatedBefore)
+      ])];
+      
+      if (outcome.stop) {
+        chain.steps.pop();
+        chain.status = outcome.stop;
+        break;
+      }
+      
+      // A fix that already ran the failed command successfully needs no second run
+      let verified = outcome.verified;
+      if (!verified) {
+        console.log(chalk.cyan(`\nRe-running the failed command to verify the fix (attempt ${attempt}/${MAX_FIX_ATTEMPTS}):`));
+        const result = await executeCommand(failedCommand, { approved: true });
+        verified = result.success && !hasErrorOutput(result.error);
+        if (!verified) {
+          currentError = result.error || 'The command failed without output.';
+        }
+      }
+      
+      step.verified = verified;
+      if (verified) {
+        chain.status = 'resolved';
+        console.log(chalk.green(`✓ Fix verified: \`${failedCommand}\` now succeeds.`));
+        break;
       }
+      
+      step.error = firstErrorLine(currentError);
+      console.log(chalk.yellow(`✗ The fix did not resolve the error: ${step.error}`));
     }
-    
-    // Update command stats to successful
-    commandStats.success = true;
-    executionStats.commands.successful++;
-    
-    return { success: true, output: stdout, error: stderr };
-  } catch (error) {
-    spinner.fail('Command failed');
-    console.error(chalk.red(`Error: ${error.message}`));
-    
-    // Update command stats as failed
-    commandStats.success = false;
-    executionStats.commands.failed++;
-    
-    // Add to error stats
-    executionStats.errors.detected++;
-    
-    // Attempt to resolve the error
-    await attemptErrorResolution(command, error.message);
-    
-    return { success: false, error: error.message };
+  } finally {
+    activeResolution = null;
+  }
+  
+  // A command that exited with 0 didn't fail, so there is no error to count as resolved or not
+  if (!chain.warning) {
+    if (chain.status === 'resolved') {
+      executionStats.errors.resolved++;
+    } else {
+      executionStats.errors.unresolved++;
+    }
+  }
+  
+  if (currentSession) {
+    currentSession.resolutions = currentSession.resolutions || [];
+    currentSession.resolutions.push({ ...chain, timestamp: new Date().toISOString() });
   }
 }
 
 /**
- * Attempt to automatically resolve an error
+ * Ask the AI for a fix and apply it (one step of a resolution chain)
  * @param {string} failedCommand - The command that failed
- * @param {string} errorMessage - The error message
+ * @param {string} errorMessage - The current error message
+ * @param {number} attempt - Number of this attempt
+ * @param {Object} state - Chain state: { attemptedSolutions, executedCommands, messages, handlerFix }
+ * @param {Object} step - The chain step, gets a description of the fix
+ * @returns {Object} - { verified } if a fix was applied, { stop: status } if the chain ends here
  */
-async function attemptErrorResolution(failedCommand, errorMessage) {
-  console.log(chalk.cyan('\nAttempting to fix the error automatically...'));
+async function proposeFix(failedCommand, errorMessage, attempt, state, step) {
+  const { messages } = state;
+  
+  // A known error gets the deterministic fix of its handler before the AI is asked
+  if (!state.handlerFix) {
+    const known = await findHandlerFix(failedCommand, errorMessage);
+    if (known) {
+      state.handlerFix = known.handler.id;
+      if (!(await confirmFix(`Apply the "${known.handler.id}" fix for this error?`))) {
+        return { stop: 'declined' };
+      }
+      
+      await applyErrorFix(known);
+      step.fix = `${known.handler.source} handler ${known.handler.id}`;
+      return { verified: false };
+    }
+  }
   
-  // Track attempted solutions to avoid loops
-  const attemptedSolutions = new Set();
+  // Rust builds: fix each compiler error with a targeted patch instead of one generic answer
+  if (isRustBuildCommand(failedCommand)) {
+    const diagnostics = await collectRustDiagnostics(failedCommand);
+    if (diagnostics.length > 0) {
+      return fixDiagnostics(diagnostics, step);
+    }
+  }
   
-  // Track commands that have been executed to avoid redundant execution
-  const executedCommands = new Set();
+  // Solidity builds (Hardhat, Foundry, solc) print their diagnostics with the error itself
+  const solidityDiagnostics = rebaseDiagnostics(parseSolcDiagnostics(errorMessage, { root: getShellSession().cwd }));
+  if (solidityDiagnostics.length > 0) {
+    return fixDiagnostics(solidityDiagnostics, step);
+  }
   
-  // Prepare the context for the AI
-  const context = {
-    command: failedCommand,
-    error: errorMessage,
-    // Add current directory and environment
-    currentDir: process.cwd()
-  };
+  if (messages.length === 1) {
+    messages.push({
+      role: "user",
+      content: `I encountered an error while executing this command: "${failedCommand}"\n\nError message:\n${errorMessage}\n\nCurrent directory: ${getShellSession().cwd}\n\nPlease provide a single definitive solution that can be automatically applied.`
+    });
+  } else {
+    messages.push({
+      role: "user",
+      content: `I applied that fix, but running "${failedCommand}" still fails:\n${truncateOutput(errorMessage)}\n\nPlease provide a different solution.`
+    });
+  }
   
-  // Send request to OpenAI for error resolution
+  let solution;
   try {
     if (!openai) {
       if (!openaiModule) {
@@ -900,566 +3308,486 @@ async function attemptErrorResolution(failedCommand, errorMessage) {
       });
     }
     
-    const spinner = ora('Analyzing error...').start();
+    const spinner = ora(attempt === 1 ? 'Analyzing error...' : `Analyzing error (attempt ${attempt}/${MAX_FIX_ATTEMPTS})...`).start();
     
     // Generate a solution for the error
-    const response = await openai.chat.completions.create({
+    const completion = await streamCompletion({
       model: "gpt-4-turbo",
-      messages: [
-        { 
-          role: "system", 
-          content: "You are an expert error resolver for command-line operations and code. Analyze errors and provide practical, immediate solutions. Output code blocks or commands that should be executed to fix the problem. Be direct and concise. Focus on common development errors including package installation issues, configuration problems, missing dependencies, syntax errors, etc. Provide solutions that can be automatically executed. When providing shell commands, ensure they will work in a single execution - avoid requiring user input unless absolutely necessary. If a command requires input, consider providing it via arguments or environment variables. IMPORTANT: If the error involves conflicting configuration formats (like ESLint config files), choose ONE definitive solution and stick with it rather than trying both approaches."
-        },
-        { 
-          role: "user", 
-          content: `I encountered an error while executing this command: "${failedCommand}"\n\nError message:\n${errorMessage}\n\nCurrent directory: ${context.currentDir}\n\nPlease provide a single definitive solution that can be automatically applied.` 
-        }
-      ],
+      messages,
       temperature: 0.3,
       max_tokens: 1000
-    });
+    }, spinner, chalk.cyan('\nProposed solution:\n'));
+    
+    if (completion.cancelled) {
+      console.log(chalk.yellow('\nError resolution cancelled.'));
+      return { stop: 'cancelled' };
+    }
+    
+    solution = completion.content;
+    messages.push({ role: "assistant", content: solution });
+  } catch (error) {
+    console.error(chalk.red(`Error while attempting resolution: ${error.message}`));
     
-    const solution = response.choices[0].message.content;
-    spinner.succeed('Solution found');
+    // Provide fallback for common errors even if AI fails
+    if (!(await confirmFix('Apply the built-in fix for this error?'))) {
+      return { stop: 'declined' };
+    }
     
-    console.log(chalk.cyan('\nProposed solution:'));
-    console.log(solution);
+    return applyHandlerFix(failedCommand, errorMessage, step, state);
+  }
+  
+  if (!(await confirmFix())) {
+    return { stop: 'declined' };
+  }
+  
+  // Extract code blocks or commands
+  const fixCodeBlocks = extractCodeBlocks(restoreSecrets(secretRedactor, solution));
+  
+  if (fixCodeBlocks.length === 0) {
+    console.log(chalk.yellow('\nNo specific commands or files to fix were found in the solution.'));
     
-    // Extract code blocks or commands
-    const fixCodeBlocks = extractCodeBlocks(solution);
+    // Try to address common errors directly
+    return applyHandlerFix(failedCommand, errorMessage, step, state);
+  }
+  
+  // Hash the solution to avoid applying the same fix repeatedly
+  const solutionHash = JSON.stringify(fixCodeBlocks.map(block => block.code));
+  
+  if (state.attemptedSolutions.has(solutionHash)) {
+    console.log(chalk.yellow('\nThis solution has already been attempted. Trying a different approach...'));
     
-    if (fixCodeBlocks.length > 0) {
-      // Hash the solution to avoid applying the same fix repeatedly
-      const solutionHash = JSON.stringify(fixCodeBlocks.map(block => block.code));
+    // Try a more direct approach for common problems
+    return applyHandlerFix(failedCommand, errorMessage, step, state);
+  }
+  
+  // Mark this solution as attempted
+  state.attemptedSolutions.add(solutionHash);
+  step.fix = `${fixCodeBlocks.length} code block(s) from the AI`;
+  
+  console.log(chalk.cyan('\nApplying fix automatically...'));
+  
+  let verified = false;
+  
+  for (const block of fixCodeBlocks) {
+    if (['bash', 'shell', 'sh', ''].includes(block.language)) {
+      // For shell commands, execute one by one
+      const commandLines = block.code
+        .split('\n')
+        .filter(line => line.trim() && !line.trim().startsWith('#'))
+        // Remove trailing backslashes that can cause syntax errors
+        .map(line => line.replace(/\s*\\$/, ''));
       
-      if (attemptedSolutions.has(solutionHash)) {
-        console.log(chalk.yellow('\nThis solution has already been attempted. Trying a different approach...'));
+      for (const command of commandLines) {
+        // Skip if we've already executed this exact command
+        if (state.executedCommands.has(command)) {
+          console.log(chalk.yellow(`Skipping already executed command: ${command}`));
+          continue;
+        }
+        
+        // Add to executed commands set
+        state.executedCommands.add(command);
+        
+        console.log(chalk.cyan(`Executing: ${command}`));
+        const result = await executeCommand(command);
         
-        // Try a more direct approach for common problems
-        await handleCommonErrors(failedCommand, errorMessage);
-        return;
+        // The fix re-ran the failed command itself
+        if (command.trim() === failedCommand.trim()) {
+          verified = result.success && !hasErrorOutput(result.error);
+        }
       }
+    } else if (isPatchBlock(block)) {
+      // Targeted edits to existing files
+      const patchSteps = await planPatchSteps(block, 0, getCurrentProject(), readFileIfExists);
+      for (const patchStep of patchSteps) {
+        await applyPatchStep(patchStep);
+      }
+    } else {
+      // For file content, try to determine the target file from the solution text
+      const fileMatchers = [
+        /(?:create|modify|update|fix) (?:the )?(?:file )?[`'"]?([^`'"\s]+\.[a-zA-Z]+)[`'"]?/i,
+        /file (?:named|called) [`'"]?([^`'"\s]+\.[a-zA-Z]+)[`'"]?/i,
+        /[`'"]?([^`'"\s]+\.(?:js|ts|env|json|md|yml|yaml|sh|rs|sol))[`'"]?/i
+      ];
       
-      // Mark this solution as attempted
-      attemptedSolutions.add(solutionHash);
-      
-      console.log(chalk.cyan('\nApplying fix automatically...'));
-      
-      // Process only one code block at a time for better control
-      const executionPromises = [];
+      const projectInfo = getCurrentProject();
+      let filename = '';
       
-      for (const block of fixCodeBlocks) {
-        if (['bash', 'shell', 'sh', ''].includes(block.language)) {
-          // For shell commands, execute one by one
-          const commandLines = block.code
-            .split('\n')
-            .filter(line => line.trim() && !line.trim().startsWith('#'))
-            // Remove trailing backslashes that can cause syntax errors
-            .map(line => line.replace(/\s*\\$/, ''));
-          
-          for (const command of commandLines) {
-            // Skip potentially unsafe commands
-            if (command.includes('sudo ') || command.includes('rm -rf')) {
-              console.log(chalk.yellow(`Skipping potentially unsafe command: ${command}`));
-              continue;
-            }
-            
-            // Skip if we've already executed this exact command
-            if (executedCommands.has(command)) {
-              console.log(chalk.yellow(`Skipping already executed command: ${command}`));
-              continue;
-            }
-            
-            // Add to executed commands set
-            executedCommands.add(command);
-            
-            console.log(chalk.cyan(`Executing: ${command}`));
-            const result = await executeCommand(command);
-            
-            // If this command succeeded, break out of the loop
-            if (result.success && 
-                (command.includes(failedCommand) || 
-                 result.output.includes("0 vulnerabilities") || 
-                 !result.error)) {
-              console.log(chalk.green('✓ Fix successfully applied!'));
-              return;
-            }
-          }
-        } else {
-          // For file content, try to determine the target file from the solution text
-          const fileMatchers = [
-            /create|modify|update|fix (?:the )?(?:file )?[`'"]?([^`'"\s]+\.[a-zA-Z]+)[`'"]?/i,
-            /file (?:named|called) [`'"]?([^`'"\s]+\.[a-zA-Z]+)[`'"]?/i,
-            /[`'"]?([^`'"\s]+\.(?:js|ts|env|json|md|yml|yaml|sh|rs|sol))[`'"]?/i
-          ];
-          
-          let filename = null;
-          
-          // Try each matcher until we find a filename
-          for (const matcher of fileMatchers) {
-            const match = solution.match(matcher);
-            if (match) {
-              filename = match[1];
-              break;
-            }
-          }
-          
-          // If no filename was found in the solution text, try to guess from the language
-          if (!filename) {
-            switch (block.language) {
-              case 'javascript':
-              case 'js':
-                filename = 'fix.js';
-                break;
-              case 'json':
-                filename = 'config.json';
-                break;
-              case 'env':
-              case 'plaintext':
-                if (block.code.includes('=')) {
-                  filename = '.env';
-                } else {
-                  filename = 'fix.txt';
-                }
-                break;
-              default:
-                filename = `fix.${block.language || 'txt'}`;
-            }
+      if (block.path) {
+        // An explicit path= annotation wins, and must stay inside the project like in a plan
+        filename = resolveAnnotatedPath(block.path, projectInfo);
+        if (!filename) {
+          console.log(chalk.yellow(`Skipping ${block.language || 'text'} code block: ${block.path} is outside the project`));
+          continue;
+        }
+      } else {
+        // Try each matcher until we find a filename
+        for (const matcher of fileMatchers) {
+          const match = solution.match(matcher);
+          if (!match || !match[1]) {
+            continue;
           }
           
-          if (filename) {
-            const success = await createFile(filename, block.code);
-            if (success) {
-              console.log(chalk.green(`✓ Created/updated file: ${filename}`));
-            }
-          } else {
-            console.log(chalk.yellow(`Could not determine filename for code block with language: ${block.language}`));
-          }
+          filename = resolveAnnotatedPath(match[1], projectInfo);
+          break;
         }
       }
       
-      // If we got here, direct command execution didn't fully solve the issue
-      // Let's try a more targeted approach for common errors
-      if (errorMessage.includes('ESLint')) {
-        await handleEslintErrors(errorMessage);
-      } else if (errorMessage.includes('npm ERR!')) {
-        await handleNpmErrors(errorMessage);
+      // Ask when the target file can't be determined (--ci skips the block)
+      if (!filename) {
+        filename = await promptForFilename(block, suggestFilename(block, 0));
+        
+        if (!filename) {
+          console.log(chalk.yellow(`Skipping ${block.language || 'text'} code block: no target file`));
+          continue;
+        }
       }
-    } else {
-      console.log(chalk.yellow('\nNo specific commands or files to fix were found in the solution.'));
       
-      // Try to address common errors directly
-      await handleCommonErrors(failedCommand, errorMessage);
+      const success = await createFile(filename, block.code);
+      if (success) {
+        console.log(chalk.green(`✓ Created/updated file: ${filename}`));
+      }
     }
-    
-  } catch (error) {
-    console.error(chalk.red(`Error while attempting resolution: ${error.message}`));
-    
-    // Provide fallback for common errors even if AI fails
-    await handleCommonErrors(failedCommand, errorMessage);
   }
+  
+  return { verified };
 }
 
 /**
- * Handle common types of errors with direct solutions
- * @param {string} failedCommand - The command that failed
- * @param {string} errorMessage - The error message
+ * Re-run a failed Rust build with JSON output and parse its compiler errors
+ * @param {string} failedCommand - The build command that failed (secrets redacted)
+ * @returns {Array} - Diagnostics from parseCargoDiagnostics (empty if there are none)
  */
-async function handleCommonErrors(failedCommand, errorMessage) {
-  // ESLint configuration issues
-  if (errorMessage.includes("ESLint") && errorMessage.includes("eslint.config")) {
-    await handleEslintErrors(errorMessage);
-    return;
+async function collectRustDiagnostics(failedCommand) {
+  const jsonCommand = getJsonBuildCommand(failedCommand);
+  if (!jsonCommand) {
+    return [];
   }
   
-  // npm dependency issues
-  if (errorMessage.includes("npm ERR!") || failedCommand.includes("npm install")) {
-    await handleNpmErrors(errorMessage);
-    return;
+  // The extra build is a command like any other: the approval mode and the command policy apply
+  if (!(await confirmFix(`Run \`${jsonCommand}\` to collect the compiler errors?`))) {
+    return [];
   }
   
-  // File not found or permission issues
-  if (errorMessage.includes("ENOENT") || errorMessage.includes("permission denied")) {
-    await handleFileErrors(failedCommand, errorMessage);
-    return;
+  const decision = await checkCommandPolicy(jsonCommand);
+  if (!decision.allowed) {
+    return [];
+  }
+  
+  const spinner = ora(`Collecting compiler diagnostics: ${jsonCommand}`).start();
+  const chunks = [];
+  
+  // Ctrl+C stops the build, not ARVIL
+  const controller = new AbortController();
+  const onInterrupt = () => controller.abort();
+  process.on('SIGINT', onInterrupt);
+  
+  try {
+    // A copy of the shell state: collecting diagnostics must not move the session; the full
+    // stdout is kept since the JSON messages can be longer than the tail runInSession keeps
+    const shell = getShellSession();
+    await runInSession({ ...shell, exports: { ...shell.exports }, unset: [...shell.unset] }, restoreSecrets(secretRedactor, jsonCommand), {
+      timeout: getCommandTimeout() * 1000,
+      signal: controller.signal,
+      onStdout: chunk => chunks.push(chunk)
+    });
+  } catch (error) {
+    if (error.cancelled || error.timedOut) {
+      spinner.fail(`Collecting compiler diagnostics ${error.cancelled ? 'cancelled' : 'timed out'}`);
+      return [];
+    }
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
   }
   
-  console.log(chalk.yellow("Could not automatically resolve this error. Please check the error message and try to resolve it manually."));
+  const output = chunks.join('');
+  const diagnostics = parseCargoDiagnostics(output, { root: getShellSession().cwd });
+  spinner.stop();
+  
+  return rebaseDiagnostics(diagnostics);
 }
 
 /**
- * Handle ESLint specific errors
- * @param {string} errorMessage - The error message
+ * Make diagnostic file names relative to the working directory of assist
+ * The compiler ran in the shell's directory, which a `cd` may have changed.
+ * @param {Array} diagnostics - Diagnostics with an absolutePath
+ * @returns {Array} - The diagnostics with file relative to process.cwd()
+ */
+function rebaseDiagnostics(diagnostics) {
+  return diagnostics.map(diagnostic => ({
+    ...diagnostic,
+    file: path.relative(process.cwd(), diagnostic.absolutePath).split(path.sep).join('/')
+  }));
+}
+
+/**
+ * Ask the AI for a patch per compiler error and apply it (one step of a resolution chain)
+ * @param {Array} diagnostics - Diagnostics from collectRustDiagnostics or parseSolcDiagnostics
+ * @param {Object} step - The chain step, gets a description of the fix
+ * @returns {Object} - { verified: false } if a patch was applied, { stop: status } otherwise
  */
-async function handleEslintErrors(errorMessage) {
-  console.log(chalk.cyan("Fixing ESLint configuration issues..."));
-  
-  // Determine current directory
-  const currentDir = process.cwd();
-  
-  // Track what approach we've tried for this specific project
-  // This prevents trying multiple conflicting ESLint config approaches  
-  const eslintFixApproach = new Set();
-  
-  // ESLint v9 uses eslint.config.js, previous versions use .eslintrc.*
-  if (errorMessage.includes("ESLint couldn't find an eslint.config") || 
-      errorMessage.includes("ESLint") || 
-      errorMessage.includes("eslint")) {
-    
-    // Check which ESLint configs already exist
-    const hasEslintConfig = fs.existsSync(path.join(currentDir, 'eslint.config.js'));
-    const hasEslintRcJs = fs.existsSync(path.join(currentDir, '.eslintrc.js'));
-    const hasEslintRcJson = fs.existsSync(path.join(currentDir, '.eslintrc.json'));
-    const hasEslintRc = fs.existsSync(path.join(currentDir, '.eslintrc'));
-    const hasPackageJson = fs.existsSync(path.join(currentDir, 'package.json'));
-    
-    let packageJson = null;
-    if (hasPackageJson) {
-      try {
-        packageJson = JSON.parse(fs.readFileSync(path.join(currentDir, 'package.json'), 'utf8'));
-      } catch (error) {
-        console.log(chalk.yellow(`Warning: Could not parse package.json: ${error.message}`));
+async function fixDiagnostics(diagnostics, step) {
+  console.log(chalk.cyan(`\nFound ${diagnostics.length} compiler error(s):\n`));
+  diagnostics.forEach(diagnostic => printCodeFrame(diagnostic));
+  
+  const selected = diagnostics.slice(0, MAX_DIAGNOSTIC_FIXES);
+  if (diagnostics.length > selected.length) {
+    console.log(chalk.yellow(`Fixing the first ${selected.length}; the rest will be reported again if they remain.\n`));
+  }
+  
+  let applied = 0;
+  
+  for (const diagnostic of selected) {
+    const location = `${diagnostic.file}:${diagnostic.line}`;
+    
+    // An earlier patch may already have rewritten the line (compilers often report one mistake twice)
+    const currentContent = readFileIfExists(diagnostic.file);
+    if (applied > 0 && diagnostic.source && currentContent !== null) {
+      const original = diagnostic.source.lines[diagnostic.line - diagnostic.source.start];
+      const current = currentContent.split('\n')[diagnostic.line - 1];
+      if (original !== current) {
+        console.log(chalk.gray(`Skipping ${location}: the line was changed by an earlier fix.`));
+        continue;
       }
     }
     
-    // Choose the appropriate fix based on the error and existing configuration
-    if (errorMessage.includes("ESLint couldn't find an eslint.config") && !eslintFixApproach.has('flat-config')) {
-      // ESLint v9+ flat config approach
-      eslintFixApproach.add('flat-config');
-      
-      // Create flat config
-      const configContent = `export default [
-  {
-    ignores: ['node_modules/**', 'dist/**', 'build/**'],
-  },
-  {
-    files: ['**/*.js', '**/*.jsx', '**/*.ts', '**/*.tsx'],
-    languageOptions: {
-      ecmaVersion: 2022,
-      sourceType: 'module',
-    },
-    rules: {
-      // Basic rules
-      'no-unused-vars': 'warn',
-      'no-undef': 'error',
-    },
-  },
-];`;
-      
-      fs.writeFileSync(path.join(currentDir, 'eslint.config.js'), configContent);
-      console.log(chalk.green("✓ Created eslint.config.js with basic rules (ESLint v9+ flat config)"));
-      
-      // Add type:module to package.json if it exists
-      if (packageJson && !packageJson.type) {
-        packageJson.type = 'module';
-        fs.writeFileSync(path.join(currentDir, 'package.json'), JSON.stringify(packageJson, null, 2));
-        console.log(chalk.green("✓ Added type:module to package.json"));
-      }
+    if (!(await confirmFix(`Ask the AI to fix ${location} (${diagnostic.code || diagnostic.type || diagnostic.message})?`))) {
+      continue;
     }
-    else if ((errorMessage.includes("eslintrc") || !hasEslintConfig) && 
-             !eslintFixApproach.has('legacy-config')) {
-      // ESLint v8 and earlier approach with .eslintrc.*
-      eslintFixApproach.add('legacy-config');
-      
-      // If we don't have any eslintrc file, create one
-      if (!hasEslintRcJs && !hasEslintRcJson && !hasEslintRc) {
-        const configContent = {
-          "env": {
-            "browser": true,
-            "es2021": true,
-            "node": true
-          },
-          "extends": "eslint:recommended",
-          "parserOptions": {
-            "ecmaVersion": "latest",
-            "sourceType": "module"
-          },
-          "rules": {
-            "no-unused-vars": "warn",
-            "no-undef": "error"
-          }
-        };
-        
-        fs.writeFileSync(path.join(currentDir, '.eslintrc.json'), JSON.stringify(configContent, null, 2));
-        console.log(chalk.green("✓ Created .eslintrc.json with basic rules (ESLint legacy config)"));
-      }
+    
+    const spinner = ora(`Asking for a fix for ${location}...`).start();
+    const { content, cancelled } = await streamCompletion({
+      model: "gpt-4-turbo",
+      messages: [
+        { role: "system", content: renderPrompt('diagnostic-fix', getProjectRoot()) },
+        { role: "user", content: buildDiagnosticFixMessage(diagnostic) }
+      ],
+      temperature: 0.2,
+      max_tokens: 1000
+    }, spinner, chalk.cyan(`\nProposed fix for ${location}:\n`));
+    
+    if (cancelled) {
+      console.log(chalk.yellow('\nError resolution cancelled.'));
+      return applied > 0 ? { verified: false } : { stop: 'cancelled' };
     }
-    else if (!eslintFixApproach.has('package-json-config')) {
-      // Try ESLint config in package.json
-      eslintFixApproach.add('package-json-config');
-      
-      if (packageJson) {
-        // Add ESLint config to package.json
-        packageJson.eslintConfig = {
-          "env": {
-            "browser": true,
-            "es2021": true,
-            "node": true
-          },
-          "extends": "eslint:recommended",
-          "parserOptions": {
-            "ecmaVersion": "latest",
-            "sourceType": "module"
-          },
-          "rules": {
-            "no-unused-vars": "warn",
-            "no-undef": "error"
-          }
-        };
-        
-        fs.writeFileSync(path.join(currentDir, 'package.json'), JSON.stringify(packageJson, null, 2));
-        console.log(chalk.green("✓ Added eslintConfig to package.json"));
+    
+    const patch = extractPatch(restoreSecrets(secretRedactor, content));
+    if (!patch) {
+      console.log(chalk.yellow(`\nNo patch found in the fix for ${location}.`));
+      continue;
+    }
+    
+    // Patch paths are relative to the directory the compiler ran in
+    const patchSteps = await planPatchSteps({ language: 'diff', code: patch, path: diagnostic.file }, 0, null, readFileIfExists);
+    for (const patchStep of patchSteps) {
+      if (patchStep.success) {
+        printDiff(patchStep.diff);
+      }
+      if (await applyPatchStep(patchStep)) {
+        applied++;
       }
     }
   }
   
-  // Ensure ESLint is installed
-  try {
-    await executeCommand('npm install eslint --save-dev');
-  } catch (error) {
-    console.log(chalk.yellow(`Warning: Could not install ESLint: ${error.message}`));
+  if (applied === 0) {
+    return { stop: 'unresolved' };
   }
   
-  console.log(chalk.green("ESLint configuration has been fixed."));
+  step.fix = `AI patches for ${applied} of ${diagnostics.length} compiler error(s)`;
+  return { verified: false };
 }
 
 /**
- * Handle npm specific errors
- * @param {string} errorMessage - The error message
+ * Print a compiler diagnostic with its source lines
+ * @param {Object} diagnostic - Diagnostic from parseCargoDiagnostics or parseSolcDiagnostics
  */
-async function handleNpmErrors(errorMessage) {
-  console.log(chalk.cyan("Fixing npm dependency issues..."));
-  
-  // Check for specific npm errors
-  if (errorMessage.includes('EACCES') || errorMessage.includes('permission denied')) {
-    // Permission issues
-    console.log(chalk.cyan("Fixing npm permissions..."));
-    await executeCommand('mkdir -p ~/.npm-global');
-    await executeCommand('npm config set prefix ~/.npm-global');
-    await executeCommand('npm install');
-  } else if (errorMessage.includes('ENOENT') && errorMessage.includes('package.json')) {
-    // Missing package.json
-    console.log(chalk.cyan("Creating basic package.json..."));
-    await executeCommand('npm init -y');
-  } else if (errorMessage.includes('Cannot find module')) {
-    // Missing dependency
-    const moduleMatch = errorMessage.match(/Cannot find module '([^']+)'/);
-    if (moduleMatch) {
-      const moduleName = moduleMatch[1];
-      console.log(chalk.cyan(`Installing missing module: ${moduleName}`));
-      await executeCommand(`npm install ${moduleName} --save`);
-    }
-  } else {
-    // General npm fix - clear cache and reinstall
-    console.log(chalk.cyan("Fixing npm with cache clear and reinstall..."));
-    await executeCommand('npm cache clean --force');
-    await executeCommand('npm install');
-  }
-  
-  console.log(chalk.green("npm issues have been addressed."));
+function printCodeFrame(diagnostic) {
+  const [header, ...frame] = formatCodeFrame(diagnostic).split('\n');
+  console.log(chalk.red(header));
+  frame.forEach(line => console.log(chalk.gray(line)));
+  console.log();
 }
 
 /**
- * Handle file-related errors
+ * Apply the fix of the matching error handler as one step of a resolution chain
  * @param {string} failedCommand - The command that failed
- * @param {string} errorMessage - The error message
+ * @param {string} errorMessage - The current error message
+ * @param {Object} step - The chain step, gets a description of the fix
+ * @param {Object} state - Chain state: handlerFix is the id of the handler already applied
+ * @returns {Object} - { verified: false } if a fix was applied, { stop: 'unresolved' } if no new handler matched
  */
-async function handleFileErrors(failedCommand, errorMessage) {
-  console.log(chalk.cyan("Fixing file-related issues..."));
+async function applyHandlerFix(failedCommand, errorMessage, step, state) {
+  const known = await findHandlerFix(failedCommand, errorMessage);
   
-  // Check for file not found errors
-  const fileMatch = errorMessage.match(/ENOENT: no such file or directory[^']*'([^']+)'/);
-  if (fileMatch) {
-    const filePath = fileMatch[1];
-    const dirname = path.dirname(filePath);
-    
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(dirname)) {
-      console.log(chalk.cyan(`Creating directory: ${dirname}`));
-      fs.mkdirSync(dirname, { recursive: true });
-    }
-    
-    // Create an empty file if it was supposed to be a file
-    if (path.extname(filePath)) {
-      console.log(chalk.cyan(`Creating empty file: ${filePath}`));
-      fs.writeFileSync(filePath, '');
-    }
+  // Applying the same fix again would only fail again
+  if (!known || known.handler.id === state.handlerFix) {
+    console.log(chalk.yellow("Could not automatically resolve this error. Please check the error message and try to resolve it manually."));
+    return { stop: 'unresolved' };
   }
   
-  console.log(chalk.green("File issues have been addressed."));
+  state.handlerFix = known.handler.id;
+  await applyErrorFix(known);
+  
+  const { handler } = known;
+  step.fix = `${handler.source} handler ${handler.id}`;
+  return { verified: false };
 }
 
 /**
- * Handle extracted code blocks (interactive mode)
- * @param {Array} codeBlocks - Array of code blocks to handle
- * @param {Object|null} projectInfo - Project information if in a project
+ * Get the number of fix attempts allowed per turn
+ * @returns {number} - ARVIL_FIX_BUDGET, or the default budget
  */
-async function handleCodeBlocks(codeBlocks, projectInfo = null) {
-  console.log(chalk.yellow('\nDetected code blocks in the response. Would you like to:'));
-  console.log(chalk.cyan('1. Execute terminal commands'));
-  console.log(chalk.cyan('2. Create files'));
-  console.log(chalk.cyan('3. Show created files list'));
-  console.log(chalk.cyan('4. Skip'));
-  
-  const { action } = await inquirer.prompt([
-    {
-      type: 'list',
-      name: 'action',
-      message: 'Choose an action:',
-      choices: [
-        { name: 'Execute terminal commands', value: '1' },
-        { name: 'Create files', value: '2' },
-        { name: 'Show created files list', value: '3' },
-        { name: 'Skip', value: '4' }
-      ]
-    }
-  ]);
-  
-  switch (action) {
-    case '1':
-      await executeCommands(codeBlocks);
-      break;
-    case '2':
-      await createFiles(codeBlocks);
-      break;
-    case '3':
-      showCreatedFiles();
-      break;
-    default:
-      console.log(chalk.yellow('No action taken.'));
-  }
+function getFixBudget() {
+  const budget = parseInt(process.env.ARVIL_FIX_BUDGET, 10);
+  return Number.isNaN(budget) ? DEFAULT_FIX_BUDGET : Math.max(budget, 0);
 }
 
 /**
- * Execute terminal commands from code blocks
- * @param {Array} codeBlocks - Array of code blocks to execute
+ * Check whether the stderr of a successful command reports an error
+ * @param {string} stderr - The stderr output
+ * @returns {boolean} - True if the output contains an error
  */
-async function executeCommands(codeBlocks) {
-  // Filter for bash/shell code blocks
-  const commandBlocks = codeBlocks.filter(block => 
-    ['bash', 'shell', 'sh', ''].includes(block.language));
-  
-  if (commandBlocks.length === 0) {
-    console.log(chalk.yellow('No terminal commands found.'));
-    return;
+function hasErrorOutput(stderr) {
+  return Boolean(stderr) && (stderr.includes('Error:') || stderr.includes('error:') || stderr.includes('fatal:'));
+}
+
+/**
+ * Get the line of an error message that says what went wrong
+ * @param {string} errorMessage - The error message
+ * @returns {string} - The first line mentioning an error, or the first line
+ */
+function firstErrorLine(errorMessage) {
+  // exec prefixes its errors with "Command failed: <command>", which says nothing new
+  const lines = (errorMessage || '').split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('Command failed:'));
+  const line = lines.find(text => /error|fatal|failed/i.test(text)) || lines[0] || '';
+  return line.length > 120 ? `${line.slice(0, 117)}...` : line;
+}
+
+/**
+ * Ask before an automatic fix changes anything, unless assist runs in full-auto mode without --plan
+ * @param {string} message - The confirmation question
+ * @returns {boolean} - True if the fix may be applied
+ */
+async function confirmFix(message = 'Apply this fix?') {
+  if (!assistOptions.plan && approvalMode === 'full-auto') {
+    return true;
   }
   
-  // Display available command blocks
-  console.log(chalk.cyan('\nAvailable terminal commands:'));
-  commandBlocks.forEach((block, index) => {
-    console.log(chalk.cyan(`\n${index + 1}. Command:`));
-    console.log(chalk.white(block.code));
-  });
-  
-  // Ask which command to execute
-  const { commandIndex } = await inquirer.prompt([
-    {
-      type: 'list',
-      name: 'commandIndex',
-      message: 'Which command would you like to execute?',
-      choices: [
-        ...commandBlocks.map((_, index) => ({ 
-          name: `Command ${index + 1}`, 
-          value: index 
-        })),
-        { name: 'Cancel', value: -1 }
-      ]
-    }
-  ]);
-  
-  if (commandIndex === -1) {
-    console.log(chalk.yellow('Command execution canceled.'));
-    return;
+  const automatic = getAutomaticAnswer();
+  if (automatic !== null) {
+    console.log(chalk.gray(`${message} ${automatic ? 'Yes (--yes)' : 'No (--ci without --yes)'}`));
+    return automatic;
   }
   
-  const selectedCommand = commandBlocks[commandIndex].code;
-  
-  // Confirm execution
-  const { confirmExecute } = await inquirer.prompt([
+  const { applyFix } = await inquirer.prompt([
     {
       type: 'confirm',
-      name: 'confirmExecute',
-      message: `Execute this command: "${selectedCommand}"?`,
+      name: 'applyFix',
+      message,
       default: false
     }
   ]);
   
-  if (!confirmExecute) {
-    console.log(chalk.yellow('Command execution canceled.'));
-    return;
+  if (!applyFix) {
+    console.log(chalk.yellow('Fix skipped.'));
   }
   
-  // Execute the command
-  await executeCommand(selectedCommand);
+  return applyFix;
 }
 
 /**
- * Create files from code blocks
- * @param {Array} codeBlocks - Array of code blocks to create files from
+ * Ask whether the error handlers a project brings along may be loaded
+ * They are code from the repository, so they only run for a trusted project or after confirmation.
+ * Without a prompt (--ci, --yes) they are only loaded for a trusted project.
+ * @param {string} projectPath - Project root
+ * @returns {boolean} - True if the project's handlers may be loaded
  */
-async function createFiles(codeBlocks) {
-  // Skip bash blocks that are likely commands, not file contents
-  const fileBlocks = codeBlocks.filter(block => 
-    !['bash', 'shell', 'sh'].includes(block.language));
-  
-  if (fileBlocks.length === 0) {
-    console.log(chalk.yellow('No file content blocks found.'));
-    return;
+async function confirmProjectHandlers(projectPath) {
+  const modules = listProjectHandlerModules(projectPath);
+  if (modules.length === 0 || isTrustedProject(projectPath)) {
+    return true;
   }
   
-  console.log(chalk.cyan('\nDetected possible file content:'));
-  fileBlocks.forEach((block, index) => {
-    console.log(chalk.cyan(`\n${index + 1}. ${block.language} code:`));
-    console.log(chalk.white(block.code.slice(0, 100) + (block.code.length > 100 ? '...' : '')));
-  });
+  console.log(chalk.yellow('This project has its own error handlers, which run as code on this machine:'));
+  modules.forEach(modulePath => console.log(chalk.yellow(`  ${modulePath}`)));
+  
+  if (getAutomaticAnswer() !== null) {
+    console.log(chalk.gray(`Not loading them: the project is not listed in ARVIL_TRUSTED_PROJECTS of ${GLOBAL_CONFIG_FILE}`));
+    return false;
+  }
   
-  // Ask which block to save
-  const { fileIndex } = await inquirer.prompt([
+  const { answer } = await inquirer.prompt([
     {
       type: 'list',
-      name: 'fileIndex',
-      message: 'Which code block would you like to save to a file?',
+      name: 'answer',
+      message: 'Load the project\'s error handlers?',
       choices: [
-        ...fileBlocks.map((block, index) => ({ 
-          name: `${block.language} code block ${index + 1}`, 
-          value: index 
-        })),
-        { name: 'Cancel', value: -1 }
+        { name: 'No', value: 'no' },
+        { name: 'Yes, for this run', value: 'once' },
+        { name: 'Always trust this project', value: 'always' }
       ]
     }
   ]);
   
-  if (fileIndex === -1) {
-    console.log(chalk.yellow('File creation canceled.'));
-    return;
-  }
-  
-  // Ask for filename
-  const { filename } = await inquirer.prompt([
-    {
-      type: 'input',
-      name: 'filename',
-      message: 'Enter filename:',
-      validate: input => input.trim() ? true : 'Filename is required'
+  if (answer === 'always') {
+    try {
+      trustProject(projectPath);
+      console.log(chalk.gray(`Added ${projectPath} to ARVIL_TRUSTED_PROJECTS in ${GLOBAL_CONFIG_FILE}`));
+    } catch (error) {
+      console.log(chalk.yellow(`Warning: ${error.message}; the handlers are loaded for this run only`));
     }
-  ]);
+  }
   
-  await createFile(filename, fileBlocks[fileIndex].code);
+  return answer !== 'no';
 }
 
 /**
- * Display list of created files
+ * Get the error handlers, loading them for the current directory if assist didn't
+ * Project handlers are only loaded here if the project is trusted.
+ * @returns {Array} - Handlers from loadErrorHandlers
  */
-function showCreatedFiles() {
-  if (createdFiles.size === 0) {
-    console.log(chalk.yellow('\nNo files have been created yet.'));
-    return;
+function getErrorHandlers() {
+  if (!errorHandlers) {
+    const project = getCurrentProject();
+    errorHandlers = loadErrorHandlers(project ? project.path : process.cwd());
   }
   
-  console.log(chalk.cyan('\nFiles created this session:'));
-  [...createdFiles].forEach(file => {
-    console.log(chalk.green(`- ${file}`));
+  return errorHandlers;
+}
+
+/**
+ * Find the fix of the first error handler that matches an error
+ * @param {string} failedCommand - The command that failed
+ * @param {string} errorMessage - The error message
+ * @returns {Object|null} - { handler, fix } from findErrorFix, or null if no handler matched
+ */
+async function findHandlerFix(failedCommand, errorMessage) {
+  return findErrorFix(getErrorHandlers(), {
+    command: failedCommand,
+    error: errorMessage,
+    cwd: getShellSession().cwd
   });
 }
 
+/**
+ * Apply the fix of an error handler
+ * @param {Object} result - { handler, fix } from findHandlerFix
+ */
+async function applyErrorFix({ handler, fix }) {
+  console.log(chalk.cyan(`Applying fix "${handler.id}" (${handler.source}): ${handler.description || ''}`));
+  
+  if (fix.message) {
+    console.log(chalk.yellow(fix.message));
+  }
+  
+  for (const file of fix.files) {
+    await createFile(file.path, file.content);
+  }
+  
+  for (const command of fix.commands) {
+    await executeCommand(command);
+  }
+}
+
 module.exports = assist; 
\ No newline at end of file
@@ -5,7 +5,30 @@ const ora = require('ora');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
+const inquirer = require('inquirer');
 const { isProjectDirectory } = require('../utils/project');
+const {
+  parseCargoDiagnostics,
+  parseSolcDiagnostics,
+  formatCodeFrame,
+  buildDiagnosticFixMessage,
+  extractPatch
+} = require('../utils/diagnostics');
+const { createRedactor, redactSecrets, restoreSecrets } = require('../utils/redact');
+const { loadVaultIntoEnv } = require('../utils/vault');
+const { renderPrompt } = require('../utils/prompts');
+const {
+  isSearchReplace,
+  parseSearchReplace,
+  parseUnifiedDiff,
+  applySearchReplace,
+  applyUnifiedDiff,
+  formatPatchFailures
+} = require('../utils/patch');
+const { createUnifiedDiff } = require('../utils/diff');
+
+// JSON diagnostics of a large workspace don't fit exec's default buffer
+const BUILD_MAX_BUFFER = 64 * 1024 * 1024;
 
 /**
  * Compile smart contracts
@@ -23,7 +46,7 @@ async function compile() {
   
   if (!projectType) {
     console.log(chalk.red('Error: Unable to determine project type.'));
-    console.log(chalk.yellow('Make sure you have the necessary configuration files (Cargo.toml for Rust/Solana).'));
+    console.log(chalk.yellow('Make sure you have the necessary configuration files (Cargo.toml for Rust/Solana, hardhat.config.js for EVM).'));
     return;
   }
   
@@ -31,12 +54,18 @@ async function compile() {
   
   // Compile based on project type
   switch (projectType) {
+    case 'anchor':
+      await compileAnchor();
+      break;
     case 'solana-rust':
       await compileRustSolana();
       break;
     case 'solana-js':
       await compileSolanaJs();
       break;
+    case 'hardhat':
+      await compileHardhat();
+      break;
     default:
       console.log(chalk.red(`Error: Compiling ${projectType} projects is not yet supported.`));
   }
@@ -47,6 +76,10 @@ async function compile() {
  * @returns {string|null} - Project type or null if unknown
  */
 function detectProjectType() {
+  if (fs.existsSync('Anchor.toml')) {
+    return 'anchor';
+  }
+  
   if (fs.existsSync('Cargo.toml')) {
     // Check if it's a Solana Rust project
     try {
@@ -59,6 +92,10 @@ function detectProjectType() {
     }
   }
   
+  if (fs.existsSync('hardhat.config.js') || fs.existsSync('hardhat.config.ts')) {
+    return 'hardhat';
+  }
+  
   // Check for Solana JavaScript projects
   if (fs.existsSync('package.json')) {
     try {
@@ -116,7 +153,15 @@ async function compileRustSolana() {
     
     // Compile the program
     spinner.text = 'Building BPF program...';
-    const { stdout, stderr } = await execAsync('cargo build-bpf');
+    let stderr;
+    try {
+      // Compiler errors are reported as JSON so they can be shown with their source lines
+      ({ stderr } = await execAsync('cargo build-bpf -- --message-format=json', { maxBuffer: BUILD_MAX_BUFFER }));
+    } catch (error) {
+      spinner.fail('Compilation failed');
+      await reportDiagnostics(parseCargoDiagnostics(error.stdout, { root: process.cwd() }), error.stderr || error.message);
+      return;
+    }
     
     if (stderr && stderr.includes('error:')) {
       spinner.fail('Compilation failed');
@@ -158,6 +203,273 @@ async function compileRustSolana() {
   }
 }
 
+/**
+ * Compile the programs of an Anchor workspace
+ */
+async function compileAnchor() {
+  const spinner = ora('Building Anchor workspace...').start();
+  
+  try {
+    await execAsync('anchor --version');
+  } catch (error) {
+    spinner.fail('Anchor CLI is not installed');
+    console.log(chalk.yellow('Please install it with avm:'));
+    console.log(chalk.cyan('  cargo install --git https://github.com/coral-xyz/anchor avm --locked'));
+    console.log(chalk.cyan('  avm install latest && avm use latest'));
+    return;
+  }
+  
+  try {
+    await execAsync('anchor build', { maxBuffer: BUILD_MAX_BUFFER });
+  } catch (error) {
+    spinner.fail('Compilation failed');
+    
+    // anchor build can't report JSON diagnostics; cargo check finds the same compiler errors
+    let output;
+    try {
+      ({ stdout: output } = await execAsync('cargo check --message-format=json', { maxBuffer: BUILD_MAX_BUFFER }));
+    } catch (checkError) {
+      output = checkError.stdout || '';
+    }
+    
+    await reportDiagnostics(parseCargoDiagnostics(output, { root: process.cwd() }), error.stderr || error.message);
+    return;
+  }
+  
+  spinner.succeed('Programs compiled successfully');
+  
+  const buildDir = path.join('target', 'deploy');
+  const programs = fs.existsSync(buildDir) ? fs.readdirSync(buildDir).filter(file => file.endsWith('.so')) : [];
+  programs.forEach(program => {
+    console.log(chalk.green(`Compiled program: ${chalk.cyan(path.join(buildDir, program))}`));
+  });
+  
+  console.log(chalk.green('\nTo deploy the programs:'));
+  console.log(chalk.cyan('  arvil deploy --network devnet'));
+}
+
+/**
+ * Compile the contracts of a Hardhat project
+ */
+async function compileHardhat() {
+  const spinner = ora('Compiling contracts with Hardhat...').start();
+  
+  try {
+    const { stderr } = await execAsync('npx hardhat compile', { maxBuffer: BUILD_MAX_BUFFER });
+    spinner.succeed('Contracts compiled successfully');
+    
+    // Compiler warnings are printed on stderr of a successful build
+    const warnings = parseSolcDiagnostics(stderr, { root: process.cwd(), levels: ['warning'] });
+    if (warnings.length > 0) {
+      console.log(chalk.yellow(`\n${warnings.length} compiler warning(s):\n`));
+      warnings.forEach(warning => {
+        console.log(chalk.yellow(formatCodeFrame(warning)));
+        console.log();
+      });
+    }
+  } catch (error) {
+    spinner.fail('Compilation failed');
+    
+    // solc errors are printed on stderr, Hardhat's own errors (HH...) may not have a location
+    const output = `${error.stdout || ''}\n${error.stderr || ''}`;
+    await reportDiagnostics(parseSolcDiagnostics(output, { root: process.cwd() }), error.stderr || error.message);
+    return;
+  }
+  
+  if (fs.existsSync('artifacts')) {
+    console.log(chalk.green(`\nArtifacts location: ${chalk.cyan('artifacts/contracts')}`));
+  }
+  
+  console.log(chalk.green('\nTo deploy the contracts:'));
+  console.log(chalk.cyan('  arvil deploy --blockchain ethereum --network sepolia'));
+}
+
+/**
+ * Show the compiler errors of a failed build and offer AI fixes for them
+ * @param {Array} diagnostics - Diagnostics from parseCargoDiagnostics or parseSolcDiagnostics
+ * @param {string} rawError - The error output, shown if there are no diagnostics
+ */
+async function reportDiagnostics(diagnostics, rawError) {
+  if (diagnostics.length === 0) {
+    console.error(chalk.red(rawError));
+    return;
+  }
+  
+  console.log(chalk.red(`\n${diagnostics.length} compiler error(s):\n`));
+  diagnostics.forEach(diagnostic => {
+    const [header, ...frame] = formatCodeFrame(diagnostic).split('\n');
+    console.log(chalk.red(header));
+    frame.forEach(line => console.log(chalk.gray(line)));
+    console.log();
+  });
+  
+  await offerDiagnosticFixes(diagnostics);
+}
+
+/**
+ * Offer an AI patch for each compiler error, applied after showing the diff
+ * @param {Array} diagnostics - Compiler diagnostics
+ */
+async function offerDiagnosticFixes(diagnostics) {
+  if (!process.env.OPENAI_API_KEY) {
+    await loadVaultIntoEnv();
+  }
+  
+  if (!process.env.OPENAI_API_KEY) {
+    console.log(chalk.yellow('Tip: Set your OpenAI API key with `arvil config` to get AI fixes for these errors.'));
+    return;
+  }
+  
+  let openai;
+  try {
+    const { OpenAI } = require('openai');
+    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY.replace(/[\s\n\r'"]+/g, '') });
+  } catch (error) {
+    console.log(chalk.red(`Error initializing OpenAI: ${error.message}`));
+    return;
+  }
+  
+  // Keys in the sources are sent as tokens and put back in the patches
+  const redactor = createRedactor({ projectRoot: process.cwd() });
+  const systemPrompt = renderPrompt('diagnostic-fix', process.cwd());
+  
+  // Compilers often report one mistake as several errors on the same line
+  const patchedLocations = new Set();
+  
+  for (const diagnostic of diagnostics) {
+    const location = `${diagnostic.file}:${diagnostic.line}`;
+    if (patchedLocations.has(location)) {
+      console.log(chalk.gray(`Skipping ${location} (${diagnostic.code || diagnostic.type || diagnostic.message}): the line was already patched`));
+      continue;
+    }
+    
+    // Only files of the project are patched, not dependencies or sources the compiler could not resolve
+    if (!isInsideProject(diagnostic.absolutePath) || !fs.existsSync(diagnostic.absolutePath)) {
+      console.log(chalk.gray(`Skipping ${location}: the file is not part of the project`));
+      continue;
+    }
+    
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: `Fix ${location} (${diagnostic.code || diagnostic.type || diagnostic.message})?`,
+        choices: [
+          { name: 'Ask the AI for a patch', value: 'fix' },
+          { name: 'Skip this error', value: 'skip' },
+          { name: 'Stop fixing', value: 'stop' }
+        ]
+      }
+    ]);
+    
+    if (action === 'stop') {
+      break;
+    }
+    if (action === 'skip') {
+      continue;
+    }
+    
+    const spinner = ora(`Asking the AI for a patch for ${location}...`).start();
+    let response;
+    try {
+      const completion = await openai.chat.completions.create({
+        model: "gpt-4-turbo",
+        messages: [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: redactSecrets(redactor, buildDiagnosticFixMessage(diagnostic)) }
+        ],
+        temperature: 0.2,
+        max_tokens: 1000
+      });
+      response = completion.choices[0].message.content;
+      spinner.stop();
+    } catch (error) {
+      spinner.fail(`Could not get a fix: ${error.message}`);
+      continue;
+    }
+    
+    const patch = extractPatch(restoreSecrets(redactor, response));
+    if (!patch) {
+      console.log(chalk.yellow(`No patch found in the AI response:\n${response}`));
+      continue;
+    }
+    
+    if (await applyDiagnosticPatch(diagnostic, patch, redactor)) {
+      patchedLocations.add(location);
+    }
+  }
+  
+  if (patchedLocations.size > 0) {
+    console.log(chalk.green(`\nApplied ${patchedLocations.size} fix(es). Run \`arvil compile\` again to check them.`));
+  }
+}
+
+/**
+ * Check whether a file is inside the project (the working directory)
+ * @param {string} filePath - Absolute path of the file, if known
+ * @returns {boolean} - True if the file is inside the project
+ */
+function isInsideProject(filePath) {
+  if (!filePath) {
+    return false;
+  }
+  
+  const relativePath = path.relative(process.cwd(), filePath);
+  return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+}
+
+/**
+ * Show an AI patch for a diagnostic and write it after confirmation
+ * @param {Object} diagnostic - Compiler diagnostic
+ * @param {string} patch - Search/replace edits or a unified diff
+ * @param {Object} redactor - Redactor from createRedactor, to show the diff without secrets
+ * @returns {boolean} - True if the patch was written
+ */
+async function applyDiagnosticPatch(diagnostic, patch, redactor) {
+  const content = fs.readFileSync(diagnostic.absolutePath, 'utf8');
+  let result;
+  
+  if (isSearchReplace(patch)) {
+    result = applySearchReplace(content, parseSearchReplace(patch));
+  } else {
+    const [filePatch] = parseUnifiedDiff(patch);
+    result = filePatch ? applyUnifiedDiff(content, filePatch.hunks) : { success: false, failures: [] };
+  }
+  
+  if (!result.success) {
+    console.log(chalk.red(`✗ ${formatPatchFailures(diagnostic.file, result.failures)}`));
+    return false;
+  }
+  
+  const diff = createUnifiedDiff(content, result.content, { fromFile: `a/${diagnostic.file}`, toFile: `b/${diagnostic.file}` });
+  redactSecrets(redactor, diff).split('\n').forEach(line => {
+    if (line.startsWith('+') && !line.startsWith('+++')) {
+      console.log(chalk.green(`  ${line}`));
+    } else if (line.startsWith('-') && !line.startsWith('---')) {
+      console.log(chalk.red(`  ${line}`));
+    } else {
+      console.log(chalk.gray(`  ${line}`));
+    }
+  });
+  
+  const { apply } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'apply',
+      message: `Apply this patch to ${diagnostic.file}?`,
+      default: true
+    }
+  ]);
+  
+  if (!apply) {
+    return false;
+  }
+  
+  fs.writeFileSync(diagnostic.absolutePath, result.content);
+  console.log(chalk.green(`✓ Updated ${diagnostic.file}`));
+  return true;
+}
+
 /**
  * Compile a Solana JavaScript project
  */
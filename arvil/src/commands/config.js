@@ -4,10 +4,13 @@ const chalk = require('chalk');
 const ora = require('ora');
 const inquirer = require('inquirer');
 const { isInProject, getProjectInfo } = require('../utils/project');
+const { DEFAULT_APPROVAL_MODE } = require('../utils/approval');
+const { VAULT_FILE, loadVaultIntoEnv, setSecret } = require('../utils/vault');
 
 /**
  * Configure ARVIL settings
- * This includes OpenAI API keys and Solana network
+ * This includes OpenAI API keys and Solana network. The API key is kept in the encrypted
+ * secrets vault; the other settings go to ~/.arvil.json and the project's .env file.
  */
 async function config() {
   console.log(chalk.cyan('ARVIL Configuration\n'));
@@ -56,6 +59,9 @@ async function config() {
   // Combine configs, local takes precedence
   const combinedConfig = { ...globalConfig, ...localConfig };
   
+  // An API key stored earlier is in the vault
+  await loadVaultIntoEnv();
+  
   // Function to clean API key by removing whitespace and newlines
   const cleanApiKey = (key) => {
     if (!key) return '';
@@ -69,7 +75,7 @@ async function config() {
       type: 'password',
       name: 'apiKey',
       message: 'Enter your OpenAI API key:',
-      default: combinedConfig.OPENAI_API_KEY || '',
+      default: combinedConfig.OPENAI_API_KEY || process.env.OPENAI_API_KEY || '',
       mask: '*'
     }
   ]);
@@ -153,6 +159,37 @@ async function config() {
     }
   ]);
   
+  // Prompt for what assist may apply without asking
+  const { approvalMode } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'approvalMode',
+      message: 'Select the approval mode of arvil assist:',
+      choices: [
+        { name: 'Suggest (ask before every file change and command)', value: 'suggest' },
+        { name: 'Auto-edit (write files, ask before commands)', value: 'auto-edit' },
+        { name: 'Full-auto (write files and run commands)', value: 'full-auto' }
+      ],
+      default: combinedConfig.ARVIL_APPROVAL_MODE || DEFAULT_APPROVAL_MODE
+    }
+  ]);
+  
+  // The API key goes to the encrypted vault, never into ~/.arvil.json or .env
+  let apiKeyStored = false;
+  if (cleanedApiKey) {
+    try {
+      apiKeyStored = await setSecret('OPENAI_API_KEY', cleanedApiKey);
+    } catch (error) {
+      console.log(chalk.red(`Error saving the API key: ${error.message}`));
+    }
+    
+    if (apiKeyStored) {
+      console.log(chalk.green(`\nAPI key saved to the secrets vault ${VAULT_FILE}`));
+    } else {
+      console.log(chalk.yellow('\nThe API key was not saved. Store it later with `arvil secrets set OPENAI_API_KEY`.'));
+    }
+  }
+  
   // Ask if user wants to save globally
   const { saveGlobally } = await inquirer.prompt([
     {
@@ -168,12 +205,17 @@ async function config() {
     // Save to global config
     const newGlobalConfig = {
       ...globalConfig,
-      OPENAI_API_KEY: cleanedApiKey,
       KEYPAIR_PATH: keypairPath,
       BLOCKCHAIN_PLATFORM: blockchain,
-      DEFAULT_NETWORK: network
+      DEFAULT_NETWORK: network,
+      ARVIL_APPROVAL_MODE: approvalMode
     };
     
+    // Drop a plaintext key written by earlier versions once the vault has it
+    if (apiKeyStored) {
+      delete newGlobalConfig.OPENAI_API_KEY;
+    }
+    
     try {
       fs.writeFileSync(globalConfigPath, JSON.stringify(newGlobalConfig, null, 2));
       console.log(chalk.green(`\nConfiguration saved globally to ${globalConfigPath}`));
@@ -205,10 +247,13 @@ async function config() {
         }
       };
       
-      envContent = updateEnvVar(envContent, 'OPENAI_API_KEY', cleanedApiKey);
+      if (apiKeyStored) {
+        envContent = envContent.replace(/^OPENAI_API_KEY=.*(\n|$)/m, '');
+      }
       envContent = updateEnvVar(envContent, 'KEYPAIR_PATH', keypairPath);
       envContent = updateEnvVar(envContent, 'BLOCKCHAIN_PLATFORM', blockchain);
       envContent = updateEnvVar(envContent, 'DEFAULT_NETWORK', network);
+      envContent = updateEnvVar(envContent, 'ARVIL_APPROVAL_MODE', approvalMode);
       
       fs.writeFileSync(localEnvPath, envContent);
       console.log(chalk.green('\nConfiguration saved to local .env file'));
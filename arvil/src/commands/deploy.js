@@ -6,7 +6,9 @@ const inquirer = require('inquirer');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
+const os = require('os');
 const { isProjectDirectory } = require('../utils/project');
+const { loadVaultIntoEnv } = require('../utils/vault');
 
 /**
  * Deploy a smart contract
@@ -20,6 +22,9 @@ async function deploy(options) {
     return;
   }
 
+  // Deployer keys (SOLANA_PRIVATE_KEY, PRIVATE_KEY, RPC URLs) can live in the secrets vault
+  await loadVaultIntoEnv();
+
   // Load project configuration
   const projectConfig = loadProjectConfig();
   const blockchain = options.blockchain || projectConfig.BLOCKCHAIN_PLATFORM || 'solana';
@@ -74,9 +79,9 @@ async function deploySolana(options, spinner) {
   if (process.env.SOLANA_PRIVATE_KEY) {
     spinner.text = 'Using private key from environment variable...';
     
-    // Create temporary keyfile from environment variable
-    const tempKeyPath = path.join(process.cwd(), '.temp-keypair.json');
-    fs.writeFileSync(tempKeyPath, process.env.SOLANA_PRIVATE_KEY);
+    // The Solana CLI needs a file: keep it private, outside the project, for the deploy only
+    const tempKeyPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-')), '.temp-keypair.json');
+    fs.writeFileSync(tempKeyPath, process.env.SOLANA_PRIVATE_KEY, { mode: 0o600 });
     privateKeyPath = tempKeyPath;
   } else {
     spinner.text = 'Checking for Solana keypair...';
@@ -199,7 +204,8 @@ async function deploySolana(options, spinner) {
   spinner.start();
   
   try {
-    const { stdout } = await execAsync(`solana program deploy ${programPath}`);
+    const keypairOption = privateKeyPath.includes('.temp-keypair.json') ? ` --keypair ${privateKeyPath}` : '';
+    const { stdout } = await execAsync(`solana program deploy ${programPath}${keypairOption}`);
     
     // Extract program ID
     const programIdLine = stdout.split('\n').find(line => line.includes('Program Id:'));
@@ -224,7 +230,7 @@ async function deploySolana(options, spinner) {
     
     // Clean up temporary key file if created
     if (privateKeyPath.includes('.temp-keypair.json')) {
-      fs.removeSync(privateKeyPath);
+      fs.removeSync(path.dirname(privateKeyPath));
     }
   } catch (error) {
     spinner.fail('Deployment failed');
@@ -232,7 +238,7 @@ async function deploySolana(options, spinner) {
     
     // Clean up temporary key file if created
     if (privateKeyPath.includes('.temp-keypair.json')) {
-      fs.removeSync(privateKeyPath);
+      fs.removeSync(path.dirname(privateKeyPath));
     }
   }
 }
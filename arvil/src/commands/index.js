@@ -0,0 +1,59 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const { getCurrentProject } = require('../utils/project');
+const { INDEX_FILE, buildIndex, formatOutline } = require('../utils/symbols');
+
+/**
+ * Build the symbol index of the current project
+ * @param {Object} options - Command options
+ * @param {boolean} options.force - Parse every file again instead of only changed files
+ * @param {boolean} options.list - Print the outline of the indexed symbols
+ */
+async function index(options = {}) {
+  const project = getCurrentProject();
+  const projectPath = project ? project.path : process.cwd();
+
+  if (!project) {
+    console.log(chalk.yellow('Warning: Not in an ARVIL project directory. Indexing the current directory.'));
+  }
+
+  const spinner = ora('Indexing project sources...').start();
+
+  let result;
+  try {
+    result = buildIndex(projectPath, { force: options.force });
+  } catch (error) {
+    spinner.fail('Indexing failed');
+    console.error(chalk.red(`Error: ${error.message}`));
+    return;
+  }
+
+  const { index: symbolIndex, stats } = result;
+  const files = Object.values(symbolIndex.files);
+  const symbols = files.reduce((all, file) => all.concat(file.symbols), []);
+
+  spinner.succeed(`Indexed ${symbols.length} symbols in ${files.length} files`);
+  console.log(chalk.gray(`  Parsed: ${stats.parsed}, unchanged: ${stats.reused}, removed: ${stats.removed}`));
+
+  // Count symbols by kind
+  const kinds = {};
+  symbols.forEach(symbol => {
+    kinds[symbol.kind] = (kinds[symbol.kind] || 0) + 1;
+  });
+  Object.keys(kinds).sort().forEach(kind => {
+    console.log(chalk.cyan(`  ${kind}: ${kinds[kind]}`));
+  });
+
+  if (stats.parsers.regex > 0 && stats.parsers['tree-sitter'] === 0) {
+    console.log(chalk.yellow('\ntree-sitter is not available; the built-in parser was used instead.'));
+    console.log(chalk.yellow('Reinstall ARVIL with build tools (python, make, a C++ compiler) for more accurate results.'));
+  }
+
+  if (options.list) {
+    console.log(`\n${formatOutline(symbolIndex)}`);
+  }
+
+  console.log(chalk.green(`\nIndex saved to ${INDEX_FILE}. arvil assist will use it to find the code your questions refer to.`));
+}
+
+module.exports = index;
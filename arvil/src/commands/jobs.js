@@ -0,0 +1,156 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { getCurrentProject } = require('../utils/project');
+const { loadJobs, isJobRunning, stopJob, readJobLog } = require('../utils/jobs');
+const { createRedactor, addSecret, redactSecrets } = require('../utils/redact');
+const { loadVaultIntoEnv } = require('../utils/vault');
+
+// How often `jobs logs --follow` looks for new output
+const FOLLOW_INTERVAL = 500;
+
+/**
+ * Manage the background jobs (validators, local nodes, dev servers) started by assist
+ * @param {string} action - list, logs or stop
+ * @param {string} name - Job name
+ * @param {Object} options - Command options
+ * @param {string} options.lines - Number of log lines to print
+ * @param {boolean} options.follow - Keep printing new log output
+ * @param {boolean} options.all - Stop every job of the project
+ */
+async function jobs(action = 'list', name, options = {}) {
+  const project = getCurrentProject();
+  const projectRoot = project ? project.path : process.cwd();
+  const projectJobs = loadJobs(projectRoot);
+
+  if (name && !projectJobs[name]) {
+    console.log(chalk.red(`Error: Job "${name}" not found.`));
+    console.log(chalk.yellow('Run `arvil jobs list` to see the jobs of this project.'));
+    process.exitCode = 1;
+    return;
+  }
+
+  switch (action) {
+    case 'list':
+      listJobs(projectJobs);
+      break;
+    case 'logs':
+      if (!name) {
+        console.log(chalk.red('Error: Please provide a job name: arvil jobs logs <name>'));
+        process.exitCode = 1;
+        return;
+      }
+      await printJobLog(projectJobs[name], options, await createLogRedactor(projectRoot));
+      break;
+    case 'stop':
+      if (!name && !options.all) {
+        console.log(chalk.red('Error: Please provide a job name, or --all: arvil jobs stop <name>'));
+        process.exitCode = 1;
+        return;
+      }
+      await stopJobs(projectRoot, name ? [projectJobs[name]] : Object.values(projectJobs));
+      break;
+    default:
+      console.log(chalk.red(`Error: Unknown action "${action}". Use list, logs or stop.`));
+      process.exitCode = 1;
+  }
+}
+
+/**
+ * Print the jobs of the project with their state
+ * @param {Object} projectJobs - Jobs from loadJobs
+ */
+function listJobs(projectJobs) {
+  const entries = Object.values(projectJobs);
+  if (entries.length === 0) {
+    console.log(chalk.yellow('No background jobs. Assist starts validators, local nodes and dev servers as jobs.'));
+    return;
+  }
+
+  console.log(chalk.cyan('Background jobs:\n'));
+  entries.forEach(job => {
+    const state = isJobRunning(job) ? chalk.green('running') : chalk.red('exited');
+    const port = job.port ? chalk.gray(` port ${job.port}`) : '';
+    console.log(`${chalk.green(job.name)}  ${state}  ${chalk.gray(`pid ${job.pid}`)}${port}  ${chalk.gray(`since ${job.startedAt}`)}`);
+    console.log(chalk.gray(`  $ ${job.command}`));
+    console.log(chalk.gray(`  log: ${path.relative(process.cwd(), job.log)}`));
+  });
+}
+
+/**
+ * Create a redactor for job logs, which can contain keys a node or script printed
+ * @param {string} projectRoot - Project root (for its .env file)
+ * @returns {Promise<Object>} - Redactor that also knows the secrets of the vault
+ */
+async function createLogRedactor(projectRoot) {
+  const redactor = createRedactor({ projectRoot });
+  const vaultSecrets = await loadVaultIntoEnv({ prompt: false });
+  vaultSecrets.forEach(name => addSecret(redactor, process.env[name], name));
+  return redactor;
+}
+
+/**
+ * Print the end of a job's log, and new output while it runs with --follow
+ * Secrets are redacted; followed output is printed a line at a time so a secret is never split.
+ * @param {Object} job - The job
+ * @param {Object} options - Command options (lines, follow)
+ * @param {Object} redactor - Redactor from createLogRedactor
+ */
+async function printJobLog(job, options, redactor) {
+  const lines = parseInt(options.lines, 10) || 50;
+  process.stdout.write(redactSecrets(redactor, readJobLog(job, lines)));
+
+  if (!options.follow) {
+    return;
+  }
+
+  let position = fs.existsSync(job.log) ? fs.statSync(job.log).size : 0;
+  let pending = '';
+
+  // Until the job exits or Ctrl+C
+  await new Promise(resolve => {
+    const timer = setInterval(() => {
+      const size = fs.existsSync(job.log) ? fs.statSync(job.log).size : 0;
+      if (size > position) {
+        const buffer = Buffer.alloc(size - position);
+        const fd = fs.openSync(job.log, 'r');
+        fs.readSync(fd, buffer, 0, buffer.length, position);
+        fs.closeSync(fd);
+        position = size;
+
+        pending += buffer.toString('utf8');
+        const lineEnd = pending.lastIndexOf('\n') + 1;
+        process.stdout.write(redactSecrets(redactor, pending.slice(0, lineEnd)));
+        pending = pending.slice(lineEnd);
+      }
+
+      if (!isJobRunning(job)) {
+        clearInterval(timer);
+        if (pending) {
+          process.stdout.write(redactSecrets(redactor, pending));
+        }
+        console.log(chalk.yellow(`\n${job.name} exited.`));
+        resolve();
+      }
+    }, FOLLOW_INTERVAL);
+  });
+}
+
+/**
+ * Stop jobs and remove them from the project's job list
+ * @param {string} projectRoot - Project root
+ * @param {Array} jobsToStop - The jobs
+ */
+async function stopJobs(projectRoot, jobsToStop) {
+  if (jobsToStop.length === 0) {
+    console.log(chalk.yellow('No background jobs to stop.'));
+    return;
+  }
+
+  for (const job of jobsToStop) {
+    const wasRunning = await stopJob(projectRoot, job);
+    console.log(wasRunning ? chalk.green(`✓ Stopped ${job.name}`) : chalk.gray(`${job.name} had exited already`));
+  }
+}
+
+module.exports = jobs;
@@ -0,0 +1,89 @@
+const path = require('path');
+const chalk = require('chalk');
+const { getCurrentProject } = require('../utils/project');
+const {
+  PROMPT_NAMES,
+  PROMPT_VARIABLES,
+  PROJECT_PROMPTS_DIR,
+  GLOBAL_PROMPTS_DIR,
+  loadPromptTemplate,
+  renderTemplate,
+  getPromptVariables
+} = require('../utils/prompts');
+
+// Prompts sent as system messages; file-fences and edits are parts of them
+const MAIN_PROMPTS = ['system', 'agent', 'error-resolver', 'diagnostic-fix'];
+
+// Variables shown in full; longer ones are summarized
+const MAX_VARIABLE_PREVIEW = 80;
+
+/**
+ * Show the prompt templates of the current project, rendered with its variables
+ * @param {string} action - show
+ * @param {string} name - Prompt name (all system prompts if omitted)
+ * @param {Object} options - Command options
+ * @param {boolean} options.raw - Print the template instead of the rendered prompt
+ */
+async function prompts(action = 'show', name, options = {}) {
+  if (action !== 'show') {
+    console.log(chalk.red(`Error: Unknown action "${action}". Use show.`));
+    process.exitCode = 1;
+    return;
+  }
+
+  if (name && !PROMPT_NAMES.includes(name)) {
+    console.log(chalk.red(`Error: Unknown prompt "${name}". Use one of: ${PROMPT_NAMES.join(', ')}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  const project = getCurrentProject();
+  const projectRoot = project ? project.path : process.cwd();
+  const variables = getPromptVariables(projectRoot);
+
+  // A single raw template is printed as it is, to be copied into an override file
+  if (name && options.raw) {
+    process.stdout.write(loadPromptTemplate(name, projectRoot).template);
+    return;
+  }
+
+  if (!name) {
+    printVariables(variables);
+  }
+
+  (name ? [name] : MAIN_PROMPTS).forEach(promptName => {
+    const template = loadPromptTemplate(promptName, projectRoot);
+    const source = template.source === 'built-in' ? 'built-in' : `${template.source}: ${template.path}`;
+
+    console.log(chalk.cyan(`\n── ${promptName} (${source}) ──\n`));
+    console.log(options.raw ? template.template.trim() : renderTemplate(template.template, variables));
+  });
+
+  console.log(chalk.gray(`\nOverride a prompt with ${path.join(PROJECT_PROMPTS_DIR, '<name>.md')} or ${path.join(GLOBAL_PROMPTS_DIR, '<name>.md')}.`));
+}
+
+/**
+ * Print the values of the template variables for this project
+ * @param {Object} variables - Variables from getPromptVariables
+ */
+function printVariables(variables) {
+  console.log(chalk.cyan('Variables:\n'));
+
+  PROMPT_VARIABLES.forEach(variable => {
+    const value = renderTemplate(`{{${variable}}}`, variables);
+    const lines = value.split('\n');
+    let preview = value;
+
+    if (!value) {
+      preview = chalk.gray('(not set)');
+    } else if (lines.length > 1) {
+      preview = chalk.gray(`${lines[0].slice(0, MAX_VARIABLE_PREVIEW)}... (${lines.length} lines)`);
+    } else if (value.length > MAX_VARIABLE_PREVIEW) {
+      preview = chalk.gray(`${value.slice(0, MAX_VARIABLE_PREVIEW)}...`);
+    }
+
+    console.log(`  ${chalk.green(`{{${variable}}}`)} ${preview}`);
+  });
+}
+
+module.exports = prompts;
@@ -0,0 +1,67 @@
+const chalk = require('chalk');
+const { getCurrentProject } = require('../utils/project');
+const { updateSearchIndex, search: searchIndex, readResult } = require('../utils/search');
+
+// Lines of each result shown unless --full is given
+const PREVIEW_LINES = 8;
+
+/**
+ * Search the project with the local index assist uses for retrieval
+ * @param {Array} terms - Search terms
+ * @param {Object} options - Command options
+ * @param {string} options.limit - Maximum number of results
+ * @param {boolean} options.full - Print whole chunks instead of a preview
+ * @param {boolean} options.reindex - Rebuild the index from scratch
+ */
+async function search(terms = [], options = {}) {
+  const query = terms.join(' ').trim();
+  if (!query) {
+    console.log(chalk.red('Error: Please provide search terms: arvil search <terms>'));
+    return;
+  }
+
+  const project = getCurrentProject();
+  const projectPath = project ? project.path : process.cwd();
+
+  let result;
+  try {
+    result = updateSearchIndex(projectPath, { force: options.reindex });
+  } catch (error) {
+    console.log(chalk.red(`Error building the search index: ${error.message}`));
+    return;
+  }
+
+  const { index, stats } = result;
+  const chunkCount = Object.values(index.files).reduce((total, file) => total + file.chunks.length, 0);
+  console.log(chalk.gray(`Index: ${Object.keys(index.files).length} files, ${chunkCount} chunks (${stats.indexed} re-indexed)\n`));
+
+  const limit = parseInt(options.limit, 10) || 5;
+  const results = searchIndex(index, query, { limit });
+
+  if (results.length === 0) {
+    console.log(chalk.yellow(`No results for "${query}".`));
+    return;
+  }
+
+  results.forEach((match, i) => {
+    console.log(chalk.cyan(`${i + 1}. ${match.file}:${match.start}-${match.end}`) +
+      chalk.gray(`  score ${match.score.toFixed(2)}, matches: ${match.matches.join(', ')}`));
+
+    const text = readResult(projectPath, match);
+    if (text === null) {
+      return;
+    }
+
+    const lines = text.split('\n');
+    const shown = options.full ? lines : lines.slice(0, PREVIEW_LINES);
+    shown.forEach((line, offset) => {
+      console.log(chalk.gray(`${String(match.start + offset).padStart(5)} │ `) + line);
+    });
+    if (shown.length < lines.length) {
+      console.log(chalk.gray(`      │ ... ${lines.length - shown.length} more lines`));
+    }
+    console.log();
+  });
+}
+
+module.exports = search;
@@ -0,0 +1,244 @@
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const {
+  VAULT_FILE,
+  SECRET_NAME,
+  vaultExists,
+  unlockVault,
+  writeVault,
+  setSecret
+} = require('../utils/vault');
+
+/**
+ * Manage the encrypted secrets vault (~/.arvil/secrets.enc)
+ * @param {string} action - set, get, list, rm or rotate
+ * @param {string} name - Secret name (an environment variable name like PRIVATE_KEY)
+ * @param {Object} options - Command options
+ * @param {boolean} options.yes - Remove without asking for confirmation
+ */
+async function secrets(action = 'list', name, options = {}) {
+  if (name && !SECRET_NAME.test(name)) {
+    console.log(chalk.red(`Error: Invalid secret name "${name}". Use letters, digits and underscores, like PRIVATE_KEY.`));
+    process.exitCode = 1;
+    return;
+  }
+
+  if (['set', 'get', 'rm'].includes(action) && !name) {
+    console.log(chalk.red(`Error: Please provide a secret name: arvil secrets ${action} <name>`));
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    switch (action) {
+      case 'set':
+        await storeSecret(name);
+        break;
+      case 'get':
+        await printSecret(name);
+        break;
+      case 'list':
+        await listSecrets();
+        break;
+      case 'rm':
+        await removeSecret(name, options);
+        break;
+      case 'rotate':
+        await (name ? storeSecret(name, true) : rotatePassphrase());
+        break;
+      default:
+        console.log(chalk.red(`Error: Unknown action "${action}". Use set, get, list, rm or rotate.`));
+        process.exitCode = 1;
+    }
+  } catch (error) {
+    console.log(chalk.red(`Error: ${error.message}`));
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Read a value piped into the command (`pbpaste | arvil secrets set API_KEY`)
+ * @returns {string} - stdin without the trailing newline
+ */
+async function readStdin() {
+  let input = '';
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
+  return input.replace(/\r?\n$/, '');
+}
+
+/**
+ * Unlock the vault for a command, or explain why it can't be
+ * @returns {Object|null} - { passphrase, secrets } from unlockVault
+ */
+async function openVault() {
+  if (!vaultExists()) {
+    console.log(chalk.yellow('The secrets vault is empty. Add a secret with `arvil secrets set <name>`.'));
+    return null;
+  }
+
+  const vault = await unlockVault();
+  if (!vault) {
+    console.log(chalk.yellow('The secrets vault stays locked.'));
+  }
+  return vault;
+}
+
+/**
+ * Store a new value for a secret
+ * @param {string} name - Secret name
+ * @param {boolean} rotate - The secret must exist already
+ */
+async function storeSecret(name, rotate = false) {
+  if (rotate) {
+    const vault = await openVault();
+    if (!vault) {
+      return;
+    }
+    if (!vault.secrets[name]) {
+      console.log(chalk.red(`Error: Secret "${name}" not found.`));
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  let value;
+  if (process.stdin.isTTY) {
+    ({ value } = await inquirer.prompt([
+      {
+        type: 'password',
+        name: 'value',
+        message: rotate ? `New value of ${name}:` : `Value of ${name}:`,
+        mask: '*',
+        validate: input => (input.length > 0 ? true : 'The value cannot be empty')
+      }
+    ]));
+  } else {
+    value = await readStdin();
+  }
+
+  if (!value) {
+    console.log(chalk.red('Error: The value cannot be empty.'));
+    process.exitCode = 1;
+    return;
+  }
+
+  if (await setSecret(name, value)) {
+    console.log(chalk.green(`✓ ${rotate ? 'Rotated' : 'Stored'} ${name} in ${VAULT_FILE}`));
+  } else {
+    console.log(chalk.yellow('The secrets vault stays locked. Nothing was stored.'));
+  }
+}
+
+/**
+ * Print the value of a secret (to stdout, so it can be piped)
+ * @param {string} name - Secret name
+ */
+async function printSecret(name) {
+  const vault = await openVault();
+  if (!vault) {
+    return;
+  }
+
+  if (!vault.secrets[name]) {
+    console.log(chalk.red(`Error: Secret "${name}" not found.`));
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(vault.secrets[name].value);
+}
+
+/**
+ * Print the names of the stored secrets, never their values
+ */
+async function listSecrets() {
+  const vault = await openVault();
+  if (!vault) {
+    return;
+  }
+
+  const names = Object.keys(vault.secrets).sort();
+  if (names.length === 0) {
+    console.log(chalk.yellow('The secrets vault is empty.'));
+    return;
+  }
+
+  console.log(chalk.cyan(`Secrets in ${VAULT_FILE}:\n`));
+  names.forEach(secretName => {
+    console.log(`${chalk.green(secretName)}  ${chalk.gray(`updated ${vault.secrets[secretName].updatedAt}`)}`);
+  });
+}
+
+/**
+ * Remove a secret from the vault
+ * @param {string} name - Secret name
+ * @param {Object} options - Command options (yes)
+ */
+async function removeSecret(name, options) {
+  const vault = await openVault();
+  if (!vault) {
+    return;
+  }
+
+  if (!vault.secrets[name]) {
+    console.log(chalk.red(`Error: Secret "${name}" not found.`));
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!options.yes) {
+    const { confirmRemove } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmRemove',
+        message: `Remove ${name} from the vault?`,
+        default: false
+      }
+    ]);
+
+    if (!confirmRemove) {
+      console.log(chalk.yellow('Nothing was removed.'));
+      return;
+    }
+  }
+
+  const remaining = { ...vault.secrets };
+  delete remaining[name];
+  writeVault(remaining, vault.passphrase);
+  console.log(chalk.green(`✓ Removed ${name}`));
+}
+
+/**
+ * Encrypt the vault with a new passphrase
+ */
+async function rotatePassphrase() {
+  const vault = await openVault();
+  if (!vault) {
+    return;
+  }
+
+  const { passphrase } = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: 'New passphrase:',
+      mask: '*',
+      validate: input => (input.length >= 8 ? true : 'Use at least 8 characters')
+    },
+    {
+      type: 'password',
+      name: 'confirmation',
+      message: 'Repeat the new passphrase:',
+      mask: '*',
+      validate: (input, answers) => (input === answers.passphrase ? true : 'The passphrases do not match')
+    }
+  ]);
+
+  writeVault(vault.secrets, passphrase);
+  console.log(chalk.green(`✓ The vault is now encrypted with the new passphrase (${Object.keys(vault.secrets).length} secrets).`));
+  console.log(chalk.yellow('Update ARVIL_VAULT_PASSPHRASE wherever it is set (CI secrets).'));
+}
+
+module.exports = secrets;
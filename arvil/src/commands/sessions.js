@@ -0,0 +1,150 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { getCurrentProject } = require('../utils/project');
+const { listSessions, loadSession, formatMessageContent, formatSessionMarkdown } = require('../utils/session');
+
+/**
+ * Manage saved assist sessions
+ * @param {string} action - list, show or export
+ * @param {string} id - Session id (or unique prefix) for show/export
+ * @param {Object} options - Command options
+ */
+async function sessions(action = 'list', id, options = {}) {
+  const project = getCurrentProject();
+  const projectPath = project ? project.path : process.cwd();
+
+  switch (action) {
+    case 'list':
+      listProjectSessions(options.all ? null : projectPath);
+      break;
+    case 'show':
+    case 'export': {
+      if (!id) {
+        console.log(chalk.red(`Error: Please provide a session id: arvil sessions ${action} <id>`));
+        return;
+      }
+
+      let session = null;
+      try {
+        session = loadSession(id, projectPath);
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        return;
+      }
+
+      if (!session) {
+        console.log(chalk.red(`Error: Session "${id}" not found.`));
+        return;
+      }
+
+      if (action === 'show') {
+        showSession(session);
+      } else {
+        exportSession(session, options);
+      }
+      break;
+    }
+    default:
+      console.log(chalk.red(`Error: Unknown action "${action}". Use list, show or export.`));
+  }
+}
+
+/**
+ * Print a table of saved sessions
+ * @param {string|null} projectPath - Project to list sessions for, or null for all projects
+ */
+function listProjectSessions(projectPath) {
+  const saved = listSessions(projectPath);
+
+  if (saved.length === 0) {
+    console.log(chalk.yellow(projectPath ? 'No saved sessions for this project.' : 'No saved sessions.'));
+    return;
+  }
+
+  console.log(chalk.cyan(projectPath ? `Sessions for ${projectPath}:\n` : 'All sessions:\n'));
+
+  saved.forEach(session => {
+    const turns = session.messages.filter(message => message.role === 'assistant').length;
+    console.log(`${chalk.green(session.id)}  ${chalk.white(session.title || '(untitled)')}`);
+    console.log(chalk.gray(`  ${session.createdAt}  ${turns} turns, ${session.commands.length} commands, ${session.files.length} files`));
+    if (!projectPath) {
+      console.log(chalk.gray(`  ${session.projectPath}`));
+    }
+  });
+
+  console.log(chalk.cyan('\nContinue a session with: arvil assist --resume <id>'));
+}
+
+/**
+ * Print the details of a session
+ * @param {Object} session - The session to show
+ */
+function showSession(session) {
+  console.log(chalk.cyan(`Session ${session.id}`));
+  console.log(chalk.white(`  Title:   ${session.title || '(untitled)'}`));
+  console.log(chalk.white(`  Project: ${session.projectName} (${session.projectPath})`));
+  console.log(chalk.white(`  Started: ${session.createdAt}`));
+  console.log(chalk.white(`  Updated: ${session.updatedAt}`));
+
+  const labels = { assistant: chalk.cyan('ARVIL: '), tool: chalk.gray('Tool result: ') };
+  console.log(chalk.cyan('\nConversation:'));
+  session.messages
+    .filter(message => message.role !== 'system')
+    .forEach(message => {
+      console.log(`\n${labels[message.role] || chalk.green('You: ')}${formatMessageContent(message)}`);
+    });
+
+  if (session.commands.length > 0) {
+    console.log(chalk.cyan('\nCommands:'));
+    session.commands.forEach(cmd => {
+      const icon = cmd.success ? chalk.green('✓') : chalk.red('✗');
+      console.log(`  ${icon} ${cmd.command}`);
+    });
+  }
+
+  if (session.files.length > 0) {
+    console.log(chalk.cyan('\nFiles:'));
+    session.files.forEach(file => {
+      console.log(chalk.green(`  ${file.action}: ${file.path}`));
+    });
+  }
+}
+
+/**
+ * Export a session as Markdown or JSON
+ * @param {Object} session - The session to export
+ * @param {Object} options - Export options (format, output)
+ */
+function exportSession(session, options) {
+  const format = (options.format || 'markdown').toLowerCase();
+
+  // Sessions saved before snapshots had their own file carry the real file contents
+  const { snapshots, ...exported } = session;
+
+  let content;
+  if (format === 'json') {
+    content = JSON.stringify(exported, null, 2);
+  } else if (format === 'markdown' || format === 'md') {
+    content = formatSessionMarkdown(session);
+  } else {
+    console.log(chalk.red(`Error: Unsupported export format "${options.format}". Use markdown or json.`));
+    return;
+  }
+
+  if (!options.output) {
+    console.log(content);
+    return;
+  }
+
+  try {
+    const outputPath = path.resolve(options.output);
+    fs.ensureDirSync(path.dirname(outputPath));
+    fs.writeFileSync(outputPath, content, 'utf8');
+    console.log(chalk.green(`Session exported to ${outputPath}`));
+  } catch (error) {
+    console.log(chalk.red(`Error exporting session: ${error.message}`));
+  }
+}
+
+module.exports = sessions;
@@ -0,0 +1,207 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { getCurrentProject } = require('../utils/project');
+const { listSessions, loadSession, loadSnapshots, saveSession, hashContent, isSnapshotUndone } = require('../utils/session');
+
+/**
+ * Roll back the file changes of an assist session
+ * Files changed since the session wrote them are only reverted after asking about each one.
+ * @param {string} sessionId - Session id (or unique prefix); defaults to the latest session with changes
+ * @param {Object} options - Command options
+ * @param {boolean} options.yes - Revert without asking for confirmation (files changed since are kept)
+ */
+async function undo(sessionId, options = {}) {
+  const project = getCurrentProject();
+  const projectPath = project ? project.path : process.cwd();
+
+  let session = null;
+  try {
+    session = sessionId
+      ? loadSession(sessionId, projectPath)
+      : listSessions(projectPath).find(saved => loadSnapshots(saved).some(snapshot => !isSnapshotUndone(saved, snapshot))) || null;
+  } catch (error) {
+    console.log(chalk.red(`Error: ${error.message}`));
+    return;
+  }
+
+  if (!session) {
+    console.log(chalk.yellow(sessionId
+      ? `Session "${sessionId}" not found.`
+      : 'No assist session with file changes to undo in this project.'));
+    return;
+  }
+
+  const snapshots = loadSnapshots(session);
+  if (snapshots.length === 0) {
+    console.log(chalk.yellow(`Session ${session.id} did not change any files.`));
+    return;
+  }
+
+  // Snapshots taken after an undo (when the session was resumed) can be undone on their own
+  const pending = snapshots.filter(snapshot => !isSnapshotUndone(session, snapshot));
+  if (pending.length === 0) {
+    console.log(chalk.yellow(`Session ${session.id} was already undone at ${session.undoneAt}.`));
+    return;
+  }
+
+  const actions = planUndo(pending);
+
+  console.log(chalk.cyan(`Undo session ${session.id}${session.title ? `: ${session.title}` : ''}\n`));
+  console.log(chalk.cyan('The following changes will be reverted:'));
+  actions.forEach(action => {
+    const relativePath = path.relative(process.cwd(), action.snapshot.path) || action.snapshot.path;
+    const modified = action.modified ? chalk.red(' - changed since the session wrote it') : '';
+    switch (action.type) {
+      case 'restore':
+        console.log(chalk.yellow(`  ⟲ Restore ${relativePath} to its previous contents`) + modified);
+        break;
+      case 'delete':
+        console.log(chalk.red(`  ✗ Delete ${relativePath} (created by the session)`) + modified);
+        break;
+      default:
+        console.log(chalk.gray(`  - Skip ${relativePath} (${action.reason})`));
+    }
+  });
+
+  const changes = actions.filter(action => action.type !== 'skip');
+  if (changes.length === 0) {
+    console.log(chalk.yellow('\nNothing to revert.'));
+    markUndone(session, snapshots, actions);
+    return;
+  }
+
+  if (!options.yes) {
+    const { confirmUndo } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmUndo',
+        message: `Revert ${changes.length} file(s)?`,
+        default: false
+      }
+    ]);
+
+    if (!confirmUndo) {
+      console.log(chalk.yellow('Undo canceled.'));
+      return;
+    }
+  }
+
+  const reverted = [];
+  let failed = 0;
+  let kept = 0;
+  for (const action of changes) {
+    const { snapshot } = action;
+
+    if (action.modified && !(await confirmOverwrite(snapshot, action.type, options))) {
+      kept++;
+      continue;
+    }
+
+    try {
+      if (action.type === 'restore') {
+        fs.ensureDirSync(path.dirname(snapshot.path));
+        fs.writeFileSync(snapshot.path, snapshot.previousContent);
+        if (snapshot.mode !== null && snapshot.mode !== undefined) {
+          fs.chmodSync(snapshot.path, snapshot.mode);
+        }
+        console.log(chalk.green(`✓ Restored ${snapshot.path}`));
+      } else {
+        fs.removeSync(snapshot.path);
+        console.log(chalk.green(`✓ Deleted ${snapshot.path}`));
+      }
+      reverted.push(action);
+    } catch (error) {
+      failed++;
+      console.log(chalk.red(`✗ Could not revert ${snapshot.path}: ${error.message}`));
+    }
+  }
+
+  const done = markUndone(session, snapshots, [...actions.filter(action => action.type === 'skip'), ...reverted]);
+
+  if (done) {
+    console.log(chalk.green(`\nSession ${session.id} has been undone.`));
+  } else if (failed > 0) {
+    console.log(chalk.yellow(`\n${failed} file(s) could not be reverted. Fix the problem and run the undo again.`));
+  } else {
+    console.log(chalk.yellow(`\nKept ${kept} changed file(s). Run \`arvil undo ${session.id}\` again to revert them.`));
+  }
+}
+
+/**
+ * Ask before reverting a file that was changed after the session wrote it
+ * @param {Object} snapshot - The snapshot
+ * @param {string} type - 'restore' or 'delete'
+ * @param {Object} options - Command options (yes)
+ * @returns {Promise<boolean>} - True if the file may be overwritten or deleted
+ */
+async function confirmOverwrite(snapshot, type, options) {
+  if (options.yes) {
+    console.log(chalk.yellow(`Kept ${snapshot.path}: it was changed since the session wrote it (run without --yes to revert it)`));
+    return false;
+  }
+
+  const { overwrite } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'overwrite',
+      message: `${snapshot.path} was changed since the session wrote it. ${type === 'restore' ? 'Overwrite it with its previous contents' : 'Delete it anyway'}?`,
+      default: false
+    }
+  ]);
+
+  if (!overwrite) {
+    console.log(chalk.yellow(`Kept ${snapshot.path}`));
+  }
+  return overwrite;
+}
+
+/**
+ * Mark snapshots as undone and save the session
+ * @param {Object} session - The session
+ * @param {Array} snapshots - All snapshots of the session
+ * @param {Array} actions - Actions whose snapshots are done with (reverted or skipped)
+ * @returns {boolean} - True if no snapshot is left to undo
+ */
+function markUndone(session, snapshots, actions) {
+  const undoneAt = new Date().toISOString();
+  actions.forEach(action => {
+    action.snapshot.undoneAt = undoneAt;
+  });
+
+  const done = snapshots.every(snapshot => isSnapshotUndone(session, snapshot));
+  if (done) {
+    session.undoneAt = undoneAt;
+  }
+
+  saveSession({ ...session, snapshots });
+  return done;
+}
+
+/**
+ * Decide how to revert each snapshot
+ * A file that no longer holds what the session last wrote to it is marked as modified.
+ * @param {Array} snapshots - Snapshots from the session
+ * @returns {Array} - Actions: { type: 'restore'|'delete'|'skip', snapshot, modified, reason }
+ */
+function planUndo(snapshots) {
+  return snapshots.map(snapshot => {
+    const current = fs.existsSync(snapshot.path) ? fs.readFileSync(snapshot.path, 'utf8') : null;
+    const modified = current !== null && Boolean(snapshot.writtenHash) && hashContent(current) !== snapshot.writtenHash;
+
+    if (snapshot.existed) {
+      return current === snapshot.previousContent
+        ? { type: 'skip', snapshot, reason: 'unchanged' }
+        : { type: 'restore', snapshot, modified };
+    }
+
+    if (current !== null) {
+      return { type: 'delete', snapshot, modified };
+    }
+
+    return { type: 'skip', snapshot, reason: 'already removed' };
+  });
+}
+
+module.exports = undo;
@@ -0,0 +1,105 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+
+// How much assist applies without asking
+const APPROVAL_MODES = ['suggest', 'auto-edit', 'full-auto'];
+const DEFAULT_APPROVAL_MODE = 'full-auto';
+
+// Project settings ({ "approvalMode": "auto-edit" }) and the global config written by `arvil config`
+const PROJECT_CONFIG_FILE = path.join('.arvil', 'config.json');
+const GLOBAL_CONFIG_FILE = path.join(os.homedir(), '.arvil.json');
+
+// Agent tools that run without asking in each mode
+const MODE_AGENT_TOOLS = {
+  suggest: [],
+  'auto-edit': ['write_file', 'apply_patch'],
+  'full-auto': ['write_file', 'apply_patch', 'run_command', 'run_tests']
+};
+
+/**
+ * Read a setting from a JSON config file
+ * @param {string} configFile - Path of the file
+ * @param {string} key - The setting
+ * @returns {*} - The value, or undefined if the file or setting doesn't exist
+ */
+function readConfigValue(configFile, key) {
+  if (!fs.existsSync(configFile)) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configFile, 'utf8'))[key];
+  } catch (error) {
+    console.error(chalk.yellow(`Warning: Could not read config file ${configFile}: ${error.message}`));
+    return undefined;
+  }
+}
+
+/**
+ * Work out the approval mode of an assist run
+ * The first setting found wins: --approval-mode, the project's .arvil/config.json,
+ * ARVIL_APPROVAL_MODE in the environment, then ARVIL_APPROVAL_MODE in ~/.arvil.json.
+ * @param {string} projectRoot - Project root (or working directory outside a project)
+ * @param {string} override - Mode given for this invocation, if any
+ * @returns {Object} - { mode, source }; source is 'default' if nothing was configured
+ */
+function resolveApprovalMode(projectRoot, override) {
+  if (override) {
+    if (!APPROVAL_MODES.includes(override)) {
+      throw new Error(`Unknown approval mode "${override}" (use ${APPROVAL_MODES.join(', ')})`);
+    }
+    return { mode: override, source: 'option' };
+  }
+
+  const settings = [
+    { value: readConfigValue(path.join(projectRoot, PROJECT_CONFIG_FILE), 'approvalMode'), source: 'project' },
+    { value: process.env.ARVIL_APPROVAL_MODE, source: 'environment' },
+    { value: readConfigValue(GLOBAL_CONFIG_FILE, 'ARVIL_APPROVAL_MODE'), source: 'global' }
+  ];
+
+  for (const setting of settings) {
+    if (setting.value === undefined || setting.value === '') {
+      continue;
+    }
+
+    if (APPROVAL_MODES.includes(setting.value)) {
+      return { mode: setting.value, source: setting.source };
+    }
+
+    console.error(chalk.yellow(`Warning: Ignoring unknown approval mode "${setting.value}" (${setting.source} setting)`));
+  }
+
+  return { mode: DEFAULT_APPROVAL_MODE, source: 'default' };
+}
+
+/**
+ * Get the agent tools a mode runs without asking
+ * @param {string} mode - An approval mode
+ * @returns {Array} - Tool names
+ */
+function getAutoApprovedTools(mode) {
+  return MODE_AGENT_TOOLS[mode] || [];
+}
+
+/**
+ * Get the mode of a run without prompts
+ * --ci declines every confirmation unless --yes is given, so commands must not run on full-auto
+ * (the default) either: the run drops to auto-edit, which writes files but only offers commands.
+ * @param {string} mode - The resolved approval mode
+ * @param {Object} options - Assist options (ci, yes)
+ * @returns {string} - The mode to use
+ */
+function getNonInteractiveMode(mode, { ci, yes } = {}) {
+  return ci && !yes && mode === 'full-auto' ? 'auto-edit' : mode;
+}
+
+module.exports = {
+  APPROVAL_MODES,
+  DEFAULT_APPROVAL_MODE,
+  PROJECT_CONFIG_FILE,
+  resolveApprovalMode,
+  getAutoApprovedTools,
+  getNonInteractiveMode
+};
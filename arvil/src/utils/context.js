@@ -0,0 +1,289 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { execSync } = require('child_process');
+const { scanDirectory, getFileContent } = require('./project');
+
+// Default token budget for file context, overridable with ARVIL_CONTEXT_TOKENS or --context-tokens
+const DEFAULT_CONTEXT_TOKENS = 6000;
+
+// How deep the file tree is scanned (programs/<name>/src/lib.rs needs 4 levels)
+const TREE_DEPTH = 5;
+
+// Files that are never worth sending
+const IGNORED_FILES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'Cargo.lock'];
+
+// Files larger than this are left out of the context
+const MAX_FILE_SIZE = 100 * 1024;
+
+// Words that say nothing about which files are relevant
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'how', 'what', 'why', 'can', 'you',
+  'please', 'make', 'add', 'use', 'using', 'create', 'update', 'change', 'fix', 'file', 'files',
+  'code', 'should', 'would', 'could', 'does', 'have', 'has', 'not', 'are', 'was', 'when', 'where',
+  'which', 'all', 'new', 'our', 'its'
+]);
+
+/**
+ * Estimate the number of tokens in a text (roughly four characters per token)
+ * @param {string} text - The text
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Get the context token budget
+ * @param {number|string} override - Budget given on the command line
+ * @returns {number} - Token budget
+ */
+function getContextBudget(override) {
+  const budget = parseInt(override || process.env.ARVIL_CONTEXT_TOKENS, 10);
+  return Number.isNaN(budget) || budget < 0 ? DEFAULT_CONTEXT_TOKENS : budget;
+}
+
+/**
+ * List the files of a tree from scanDirectory
+ * @param {Object} tree - Directory structure
+ * @param {string} prefix - Path of the tree relative to the project root
+ * @returns {Array} - Relative file paths
+ */
+function flattenTree(tree, prefix = '') {
+  const files = [];
+
+  Object.entries(tree).forEach(([name, value]) => {
+    const relativePath = prefix ? `${prefix}/${name}` : name;
+    if (value === '[file]') {
+      files.push(relativePath);
+    } else if (value && typeof value === 'object') {
+      files.push(...flattenTree(value, relativePath));
+    }
+  });
+
+  return files;
+}
+
+/**
+ * List the files of a project that are worth reading
+ * @param {string} root - Project root
+ * @returns {Array} - Relative file paths
+ */
+function listProjectFiles(root) {
+  return flattenTree(scanDirectory(root, TREE_DEPTH));
+}
+
+/**
+ * Read a project file unless it is a lock file or too large to be useful
+ * @param {string} root - Project root
+ * @param {string} file - Relative file path
+ * @returns {string|null} - File content, or null if the file should be skipped
+ */
+function readProjectFile(root, file) {
+  if (IGNORED_FILES.includes(path.basename(file))) {
+    return null;
+  }
+
+  const absolutePath = path.join(root, file);
+  try {
+    if (fs.statSync(absolutePath).size > MAX_FILE_SIZE) {
+      return null;
+    }
+    return getFileContent(absolutePath);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Render a tree from scanDirectory as an indented list
+ * @param {Object} tree - Directory structure
+ * @param {string} indent - Current indentation
+ * @returns {string} - One entry per line, directories end with /
+ */
+function formatTree(tree, indent = '') {
+  return Object.keys(tree)
+    .sort()
+    .map(name => {
+      const value = tree[name];
+      if (value && typeof value === 'object') {
+        const children = formatTree(value, `${indent}  `);
+        return children ? `${indent}${name}/\n${children}` : `${indent}${name}/`;
+      }
+      return value === '[directory]' ? `${indent}${name}/ ...` : `${indent}${name}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Find files with uncommitted changes or changed in recent commits
+ * @param {string} root - Project root
+ * @returns {Map} - Relative path -> 'uncommitted' | 'recent commit'
+ */
+function getRecentlyChangedFiles(root) {
+  const changed = new Map();
+  const run = command => execSync(command, { cwd: root, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 5000 });
+
+  try {
+    // Paths from git are relative to the repository root, not the project root
+    const gitRoot = run('git rev-parse --show-toplevel').trim();
+    const toProjectPath = file => path.relative(root, path.join(gitRoot, file)).split(path.sep).join('/');
+
+    run('git log -n 10 --name-only --pretty=format:')
+      .split('\n')
+      .filter(Boolean)
+      .forEach(file => changed.set(toProjectPath(file), 'recent commit'));
+
+    run('git status --porcelain')
+      .split('\n')
+      .filter(Boolean)
+      .forEach(line => changed.set(toProjectPath(line.slice(3).split(' -> ').pop()), 'uncommitted'));
+  } catch (error) {
+    // Not a git repository or git is not installed
+  }
+
+  return changed;
+}
+
+/**
+ * Extract the search keywords of a question
+ * @param {string} query - The user's question
+ * @returns {Array} - Lower-case keywords
+ */
+function extractKeywords(query) {
+  const words = query.toLowerCase().match(/[a-z_][a-z0-9_]{2,}/g) || [];
+  return [...new Set(words.filter(word => !STOP_WORDS.has(word)))];
+}
+
+/**
+ * Score how relevant each project file is to a question
+ * @param {string} root - Project root
+ * @param {Array} files - Relative file paths
+ * @param {string} query - The user's question
+ * @returns {Array} - Relevant files, best first: { path, score, reasons, content }
+ */
+function rankFiles(root, files, query) {
+  const lowerQuery = query.toLowerCase();
+  const keywords = extractKeywords(query);
+  const changed = getRecentlyChangedFiles(root);
+  const ranked = [];
+
+  for (const file of files) {
+    const content = readProjectFile(root, file);
+    if (content === null) {
+      continue;
+    }
+
+    let score = 0;
+    const reasons = [];
+
+    // The question names the file
+    const baseName = path.basename(file).toLowerCase();
+    const stem = path.basename(file, path.extname(file)).toLowerCase();
+    if (lowerQuery.includes(file.toLowerCase()) || lowerQuery.includes(baseName)) {
+      score += 10;
+      reasons.push('named');
+    } else if (stem.length >= 3 && keywords.includes(stem)) {
+      score += 6;
+      reasons.push('named');
+    }
+
+    // The file was touched recently
+    if (changed.has(file)) {
+      score += changed.get(file) === 'uncommitted' ? 3 : 2;
+      reasons.push(changed.get(file));
+    }
+
+    // The file mentions the keywords of the question
+    const lowerContent = content.toLowerCase();
+    const matchedKeywords = keywords.filter(keyword => lowerContent.includes(keyword));
+    if (matchedKeywords.length > 0) {
+      score += Math.min(matchedKeywords.length, 5);
+      reasons.push(`keywords: ${matchedKeywords.slice(0, 3).join(', ')}`);
+    }
+
+    if (score > 0) {
+      ranked.push({ path: file, score, reasons, content });
+    }
+  }
+
+  return ranked.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+}
+
+/**
+ * Build the file context for a question: the file tree and the most relevant files
+ * @param {string} root - Project root
+ * @param {string} query - The user's question
+ * @param {Object} options - Context options
+ * @param {number} options.budget - Token budget for the whole context
+ * @param {boolean} options.includeTree - Include the file tree
+ * @param {Function} options.skip - Return true for files that shouldn't be included (path, content)
+ * @returns {Object} - { text, tokens, files: [{ path, tokens, reasons, truncated, content }] }
+ */
+function buildFileContext(root, query, options = {}) {
+  const { budget = DEFAULT_CONTEXT_TOKENS, includeTree = true, skip = () => false } = options;
+  const tree = scanDirectory(root, TREE_DEPTH);
+  const sections = [];
+  const included = [];
+  let remaining = budget;
+
+  if (includeTree) {
+    const treeText = `Project files:\n${formatTree(tree)}\n`;
+    if (estimateTokens(treeText) <= remaining) {
+      sections.push(treeText);
+      remaining -= estimateTokens(treeText);
+    }
+  }
+
+  for (const file of rankFiles(root, flattenTree(tree), query)) {
+    if (skip(file.path, file.content)) {
+      continue;
+    }
+
+    const language = path.extname(file.path).slice(1);
+    let content = file.content.replace(/\n$/, '');
+    let section = `File ${file.path}:\n\`\`\`${language}\n${content}\n\`\`\`\n`;
+    let truncated = false;
+
+    if (estimateTokens(section) > remaining) {
+      // Cut the best remaining file to fit, unless very little budget is left
+      if (remaining < 200) {
+        break;
+      }
+      content = `${content.slice(0, (remaining - 50) * 4)}\n... [truncated]`;
+      section = `File ${file.path}:\n\`\`\`${language}\n${content}\n\`\`\`\n`;
+      truncated = true;
+    }
+
+    sections.push(section);
+    remaining -= estimateTokens(section);
+    included.push({
+      path: file.path,
+      tokens: estimateTokens(section),
+      reasons: file.reasons,
+      truncated,
+      content: file.content
+    });
+
+    if (truncated) {
+      break;
+    }
+  }
+
+  return {
+    text: sections.join('\n'),
+    tokens: budget - remaining,
+    files: included
+  };
+}
+
+module.exports = {
+  DEFAULT_CONTEXT_TOKENS,
+  STOP_WORDS,
+  estimateTokens,
+  getContextBudget,
+  extractKeywords,
+  listProjectFiles,
+  readProjectFile,
+  formatTree,
+  buildFileContext
+};
@@ -0,0 +1,357 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Commands whose failures are Rust compiler errors
+const RUST_BUILD_COMMAND = /(^|[;&|]\s*)(cargo\s+(build-bpf|build-sbf|build|check|test)|anchor\s+(build|test))\b/;
+
+// Source lines shown around a diagnostic, and sent to the AI with a fix request
+const FRAME_CONTEXT_LINES = 3;
+const FIX_CONTEXT_LINES = 40;
+
+// Whole files up to this many lines are sent with a fix request
+const MAX_FIX_FILE_LINES = 300;
+
+// First line of a solc diagnostic: "TypeError: ..." (Hardhat) or "Error (7576): ..." (solc, Foundry)
+const SOLC_HEADER = /^(Error|Warning|Info|[A-Z]\w*Error|[A-Z]\w*Exception)(?: \((\d+)\))?: (.+)$/;
+const SOLC_LOCATION = /^\s*--> (.+?):(\d+):(\d+):?\s*$/;
+const ANSI_ESCAPE = /\u001b\[[0-9;]*m/g;
+
+/**
+ * Check whether a command builds Rust code
+ * @param {string} command - The command
+ * @returns {boolean} - True for cargo builds, checks and tests and anchor build/test
+ */
+function isRustBuildCommand(command) {
+  return RUST_BUILD_COMMAND.test(command);
+}
+
+/**
+ * Get the variant of a build command that reports diagnostics as JSON
+ * cargo build-bpf/build-sbf pass arguments after -- on to cargo; Anchor doesn't, so
+ * Anchor workspaces are checked with cargo directly.
+ * @param {string} command - The build command
+ * @returns {string|null} - The JSON command, or null if the command isn't a Rust build
+ */
+function getJsonBuildCommand(command) {
+  if (command.includes('--message-format')) {
+    return command;
+  }
+
+  if (/^\s*anchor\s+(build|test)\b/.test(command)) {
+    return 'cargo check --message-format=json';
+  }
+
+  const match = command.match(/\bcargo\s+(build-bpf|build-sbf|build|check|test)\b/);
+  if (!match) {
+    return null;
+  }
+
+  const separator = command.indexOf(' -- ', match.index);
+
+  if (match[1].startsWith('build-')) {
+    return separator === -1
+      ? `${command} -- --message-format=json`
+      : `${command.slice(0, separator)} -- --message-format=json ${command.slice(separator + 4)}`;
+  }
+
+  return separator === -1
+    ? `${command} --message-format=json`
+    : `${command.slice(0, separator)} --message-format=json${command.slice(separator)}`;
+}
+
+/**
+ * Read the source lines around a line of a file
+ * @param {string} filePath - Absolute path of the file
+ * @param {number} line - First line of the range (1-based)
+ * @param {number} endLine - Last line of the range
+ * @param {number} contextLines - Lines to add before and after
+ * @returns {Object|null} - { start, lines }, or null if the file can't be read
+ */
+function readSourceLines(filePath, line, endLine, contextLines) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    return null;
+  }
+
+  const fileLines = content.split('\n');
+  const start = Math.max(1, line - contextLines);
+  const end = Math.min(fileLines.length, endLine + contextLines);
+  return { start, lines: fileLines.slice(start - 1, end) };
+}
+
+/**
+ * Describe the child messages of a diagnostic (help, notes and suggested replacements)
+ * @param {Array} children - Child messages from rustc
+ * @returns {Array} - Lines such as "help: consider borrowing here: `&amount`"
+ */
+function describeChildren(children = []) {
+  return children.map(child => {
+    const suggestions = (child.spans || [])
+      .filter(span => span.suggested_replacement !== null && span.suggested_replacement !== undefined)
+      .map(span => `\`${span.suggested_replacement}\``);
+    return `${child.level}: ${child.message}${suggestions.length ? `: ${suggestions.join(', ')}` : ''}`;
+  });
+}
+
+/**
+ * Parse the JSON messages of cargo (--message-format=json) into diagnostics
+ * Messages without a source location (like "aborting due to 2 previous errors") are left out,
+ * and so are duplicates reported for several targets.
+ * @param {string} output - stdout of the cargo command
+ * @param {Object} options - Parse options
+ * @param {string} options.root - Directory cargo ran in (file names are relative to it)
+ * @param {Array} options.levels - Levels to keep (default: ['error'])
+ * @returns {Array} - Diagnostics: { level, code, message, file, absolutePath, line, column,
+ *   endLine, endColumn, label, notes, rendered, source: { start, lines } }
+ */
+function parseCargoDiagnostics(output, options = {}) {
+  const { root = process.cwd(), levels = ['error'] } = options;
+  const diagnostics = [];
+  const seen = new Set();
+
+  for (const line of (output || '').split('\n')) {
+    if (!line.startsWith('{')) {
+      continue;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      continue;
+    }
+
+    const message = entry.message;
+    if (entry.reason !== 'compiler-message' || !message || !levels.includes(message.level)) {
+      continue;
+    }
+
+    const span = (message.spans || []).find(candidate => candidate.is_primary) || (message.spans || [])[0];
+    if (!span) {
+      continue;
+    }
+
+    // File names are relative to the workspace root; fall back to the package directory
+    let absolutePath = path.resolve(root, span.file_name);
+    if (!fs.existsSync(absolutePath) && entry.manifest_path) {
+      const packagePath = path.resolve(path.dirname(entry.manifest_path), span.file_name);
+      if (fs.existsSync(packagePath)) {
+        absolutePath = packagePath;
+      }
+    }
+
+    const key = `${absolutePath}:${span.line_start}:${span.column_start}:${message.message}`;
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+
+    diagnostics.push({
+      level: message.level,
+      code: message.code ? message.code.code : null,
+      message: message.message,
+      file: path.relative(root, absolutePath).split(path.sep).join('/'),
+      absolutePath,
+      line: span.line_start,
+      column: span.column_start,
+      endLine: span.line_end,
+      endColumn: span.column_end,
+      label: span.label || '',
+      notes: describeChildren(message.children),
+      rendered: message.rendered || '',
+      source: readSourceLines(absolutePath, span.line_start, span.line_end, FRAME_CONTEXT_LINES)
+    });
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Parse the error output of solc, Hardhat or Foundry into diagnostics
+ * solc prints each diagnostic as a header line, a "--> file:line:column:" line and a code frame
+ * whose ^ marks the span. "Note:" locations that follow become notes of the diagnostic.
+ * @param {string} output - Output of the compiler
+ * @param {Object} options - Parse options
+ * @param {string} options.root - Project root (source names are relative to it)
+ * @param {Array} options.levels - Levels to keep (default: ['error'])
+ * @returns {Array} - Diagnostics in the shape of parseCargoDiagnostics, plus the solc error type
+ */
+function parseSolcDiagnostics(output, options = {}) {
+  const { root = process.cwd(), levels = ['error'] } = options;
+  const lines = (output || '').replace(ANSI_ESCAPE, '').split('\n');
+  const diagnostics = [];
+  const seen = new Set();
+  let current = null;
+
+  const finish = () => {
+    if (!current) {
+      return;
+    }
+
+    const key = `${current.absolutePath}:${current.line}:${current.column}:${current.message}`;
+    if (levels.includes(current.level) && !seen.has(key)) {
+      seen.add(key);
+      current.rendered = current.rendered.join('\n').trim();
+      current.source = readSourceLines(current.absolutePath, current.line, current.endLine, FRAME_CONTEXT_LINES);
+      diagnostics.push(current);
+    }
+    current = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const header = line.match(SOLC_HEADER);
+    const location = header && (lines[i + 1] || '').match(SOLC_LOCATION);
+
+    if (current && /^Note: /.test(line)) {
+      const noteLocation = (lines[i + 1] || '').match(SOLC_LOCATION);
+      current.notes.push(`note: ${line.slice('Note: '.length)}${noteLocation ? ` ${noteLocation[1]}:${noteLocation[2]}:${noteLocation[3]}` : ''}`);
+      current.rendered.push(line);
+      continue;
+    }
+
+    if (!location) {
+      // Frame lines and "Note:" locations belong to the current diagnostic
+      if (current && (/^\s*(\d+\s*)?\|/.test(line) || SOLC_LOCATION.test(line))) {
+        current.rendered.push(line);
+
+        // The first ^ line marks the span of the diagnostic
+        const marker = line.match(/^\s*\|\s?(\s*)(\^+)\s*(.*)$/);
+        if (marker && !current.marked) {
+          current.marked = true;
+          const multiline = /spans across multiple lines/.test(marker[3]);
+          current.endColumn = current.column + (multiline ? 1 : marker[2].length);
+          current.label = multiline ? '' : marker[3];
+        }
+      } else {
+        finish();
+      }
+      continue;
+    }
+
+    finish();
+
+    // Source names of libraries (like @openzeppelin/...) live in node_modules
+    let absolutePath = path.resolve(root, location[1]);
+    if (!fs.existsSync(absolutePath) && fs.existsSync(path.resolve(root, 'node_modules', location[1]))) {
+      absolutePath = path.resolve(root, 'node_modules', location[1]);
+    }
+
+    const severity = header[1].toLowerCase();
+    current = {
+      level: severity === 'warning' || severity === 'info' ? severity : 'error',
+      type: header[1],
+      code: header[2] || null,
+      message: header[3],
+      file: path.relative(root, absolutePath).split(path.sep).join('/'),
+      absolutePath,
+      line: Number(location[2]),
+      column: Number(location[3]),
+      endLine: Number(location[2]),
+      endColumn: Number(location[3]) + 1,
+      label: '',
+      notes: [],
+      rendered: [line]
+    };
+  }
+
+  finish();
+
+  return diagnostics.map(({ marked, ...diagnostic }) => diagnostic);
+}
+
+/**
+ * Format a diagnostic like rustc does, with the source lines around it
+ * @param {Object} diagnostic - Diagnostic from parseCargoDiagnostics
+ * @returns {string} - The code frame
+ */
+function formatCodeFrame(diagnostic) {
+  // solc diagnostics keep their own style ("TypeError (6359): ...")
+  const header = diagnostic.type
+    ? `${diagnostic.type}${diagnostic.code ? ` (${diagnostic.code})` : ''}: ${diagnostic.message}`
+    : `${diagnostic.level}${diagnostic.code ? `[${diagnostic.code}]` : ''}: ${diagnostic.message}`;
+  const location = `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}`;
+
+  if (!diagnostic.source) {
+    return [header, `  --> ${location}`, ...diagnostic.notes.map(note => `  = ${note}`)].join('\n');
+  }
+
+  const { start, lines } = diagnostic.source;
+  const width = String(start + lines.length - 1).length;
+  const gutter = ' '.repeat(width);
+  const frame = [header, `${gutter}--> ${location}`, `${gutter} |`];
+
+  lines.forEach((text, offset) => {
+    const lineNumber = start + offset;
+    frame.push(`${String(lineNumber).padStart(width)} | ${text}`);
+
+    // Underline the span on its first line
+    if (lineNumber === diagnostic.line) {
+      const end = diagnostic.endLine === diagnostic.line ? diagnostic.endColumn : text.length + 1;
+      const marker = `${' '.repeat(diagnostic.column - 1)}${'^'.repeat(Math.max(end - diagnostic.column, 1))}`;
+      frame.push(`${gutter} | ${marker}${diagnostic.label ? ` ${diagnostic.label}` : ''}`);
+    }
+  });
+
+  frame.push(`${gutter} |`);
+  diagnostic.notes.forEach(note => frame.push(`${gutter} = ${note.split('\n').join(`\n${gutter}   `)}`));
+
+  return frame.join('\n');
+}
+
+/**
+ * Build the user message asking the AI to fix one diagnostic
+ * The whole file is included when it is short, otherwise the lines around the diagnostic.
+ * @param {Object} diagnostic - Diagnostic from parseCargoDiagnostics
+ * @returns {string} - The message
+ */
+function buildDiagnosticFixMessage(diagnostic) {
+  const extension = path.extname(diagnostic.file).slice(1);
+  const language = { '': 'rust', rs: 'rust', sol: 'solidity' }[extension] || extension;
+  const source = readSourceLines(diagnostic.absolutePath, 1, Infinity, 0);
+  const excerpt = source && source.lines.length <= MAX_FIX_FILE_LINES
+    ? source
+    : readSourceLines(diagnostic.absolutePath, diagnostic.line, diagnostic.endLine, FIX_CONTEXT_LINES);
+
+  const parts = [
+    `Fix this compiler ${diagnostic.level} in ${diagnostic.file}:`,
+    '```',
+    formatCodeFrame(diagnostic),
+    '```'
+  ];
+
+  if (excerpt) {
+    const whole = source && excerpt.start === 1 && excerpt.lines.length === source.lines.length;
+    parts.push(
+      '',
+      whole ? `${diagnostic.file}:` : `${diagnostic.file} (lines ${excerpt.start}-${excerpt.start + excerpt.lines.length - 1}):`,
+      `\`\`\`${language}`,
+      excerpt.lines.join('\n'),
+      '```'
+    );
+  }
+
+  return parts.join('\n');
+}
+
+/**
+ * Get the patch from a fix response
+ * @param {string} response - The AI response
+ * @returns {string|null} - The content of the first diff block, or null if there is none
+ */
+function extractPatch(response) {
+  const match = (response || '').match(/```diff[^\n]*\n([\s\S]*?)```/);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  isRustBuildCommand,
+  getJsonBuildCommand,
+  parseCargoDiagnostics,
+  parseSolcDiagnostics,
+  formatCodeFrame,
+  buildDiagnosticFixMessage,
+  extractPatch
+};
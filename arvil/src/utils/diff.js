@@ -0,0 +1,244 @@
+/**
+ * Split text into lines, ignoring a single trailing newline
+ * @param {string} text - The text to split
+ * @returns {Array} - Lines of text
+ */
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+// Beyond this many changed lines the differing part is shown as one replacement
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Compute a line-based edit script between two texts (Myers' algorithm)
+ * Common leading and trailing lines are matched first; a new or deleted file needs no search at all.
+ * @param {string} oldText - Original text
+ * @param {string} newText - Updated text
+ * @returns {Array} - Operations: { type: 'equal'|'delete'|'insert', line, oldLine, newLine }
+ */
+function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const ops = [];
+  for (let i = 0; i < prefix; i++) {
+    ops.push({ type: 'equal', line: a[i], oldLine: i + 1, newLine: i + 1 });
+  }
+
+  const middle = diffMiddle(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix));
+  middle.forEach(op => ops.push({ ...op, oldLine: op.oldLine + prefix, newLine: op.newLine + prefix }));
+
+  for (let i = suffix; i > 0; i--) {
+    ops.push({ type: 'equal', line: a[a.length - i], oldLine: a.length - i + 1, newLine: b.length - i + 1 });
+  }
+
+  return ops;
+}
+
+/**
+ * Replace all of one list of lines by another
+ * @param {Array} a - Old lines
+ * @param {Array} b - New lines
+ * @returns {Array} - Deletes of every old line followed by inserts of every new line
+ */
+function replaceLines(a, b) {
+  return [
+    ...a.map((line, i) => ({ type: 'delete', line, oldLine: i + 1, newLine: 0 })),
+    ...b.map((line, i) => ({ type: 'insert', line, oldLine: a.length, newLine: i + 1 }))
+  ];
+}
+
+/**
+ * Diff two lists of lines that differ in their first and last line
+ * The trace keeps only the diagonals reached at each step, so memory grows with the edit distance.
+ * @param {Array} a - Old lines
+ * @param {Array} b - New lines
+ * @returns {Array} - Operations like diffLines, with line numbers relative to the lists
+ */
+function diffMiddle(a, b) {
+  const n = a.length;
+  const m = b.length;
+
+  if (n === 0 || m === 0) {
+    return replaceLines(a, b);
+  }
+
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = n + m + 1;
+  const trace = [];
+
+  const v = new Int32Array(2 * (n + m) + 3);
+  let done = false;
+
+  for (let d = 0; d <= max && !done; d++) {
+    // Diagonals -d-1 .. d+1 are all the backtrack reads at this step
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[k - 1 + offset] < v[k + 1 + offset])) {
+        x = v[k + 1 + offset];
+      } else {
+        x = v[k - 1 + offset] + 1;
+      }
+
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[k + offset] = x;
+
+      if (x >= n && y >= m) {
+        done = true;
+        break;
+      }
+    }
+  }
+
+  if (!done) {
+    return replaceLines(a, b);
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const at = diagonal => vd[diagonal + d + 1];
+    const k = x - y;
+
+    let prevK;
+    if (k === -d || (k !== d && at(k - 1) < at(k + 1))) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', line: a[x - 1], oldLine: x, newLine: y });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', line: b[y - 1], oldLine: x, newLine: y });
+      } else {
+        ops.push({ type: 'delete', line: a[x - 1], oldLine: x, newLine: y });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Create a unified diff between two texts
+ * @param {string} oldText - Original text ('' for a new file)
+ * @param {string} newText - Updated text
+ * @param {Object} options - Diff options
+ * @param {string} options.fromFile - Label of the original file
+ * @param {string} options.toFile - Label of the updated file
+ * @param {number} options.context - Lines of context around each change
+ * @returns {string} - The unified diff, or an empty string if the texts are identical
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const { fromFile = 'a', toFile = 'b', context = 3 } = options;
+  const ops = diffLines(oldText, newText);
+
+  const changeIndexes = [];
+  ops.forEach((op, index) => {
+    if (op.type !== 'equal') {
+      changeIndexes.push(index);
+    }
+  });
+
+  if (changeIndexes.length === 0) {
+    return '';
+  }
+
+  // Group changes that are close together into hunks
+  const ranges = [];
+  for (const index of changeIndexes) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+
+    if (last && start <= last.end + 1) {
+      last.end = Math.max(last.end, end);
+    } else {
+      ranges.push({ start, end });
+    }
+  }
+
+  const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+
+  for (const range of ranges) {
+    const hunkOps = ops.slice(range.start, range.end + 1);
+    const oldCount = hunkOps.filter(op => op.type !== 'insert').length;
+    const newCount = hunkOps.filter(op => op.type !== 'delete').length;
+
+    // Inserts carry the number of old lines before them, deletes the number of new lines
+    const first = hunkOps[0];
+    const oldStart = first.type === 'insert' && oldCount > 0 ? first.oldLine + 1 : first.oldLine;
+    const newStart = first.type === 'delete' && newCount > 0 ? first.newLine + 1 : first.newLine;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    hunkOps.forEach(op => {
+      const prefix = op.type === 'equal' ? ' ' : (op.type === 'delete' ? '-' : '+');
+      lines.push(`${prefix}${op.line}`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Count the lines added and removed between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Updated text
+ * @returns {Object} - { added, removed }
+ */
+function countChanges(oldText, newText) {
+  const ops = diffLines(oldText, newText);
+  return {
+    added: ops.filter(op => op.type === 'insert').length,
+    removed: ops.filter(op => op.type === 'delete').length
+  };
+}
+
+module.exports = {
+  splitLines,
+  diffLines,
+  createUnifiedDiff,
+  countChanges
+};
@@ -0,0 +1,547 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+
+// Project handlers are every .js file in .arvil/handlers; plugin modules are listed in handlers.json
+const PROJECT_HANDLERS_DIR = path.join('.arvil', 'handlers');
+const PROJECT_HANDLERS_CONFIG = path.join('.arvil', 'handlers.json');
+const GLOBAL_HANDLERS_CONFIG = path.join(os.homedir(), '.arvil', 'handlers.json');
+
+// Project handlers are code from the repository, so they only load for projects listed here
+// ({ "ARVIL_TRUSTED_PROJECTS": ["/path/to/project"] } in the global config written by `arvil config`)
+const GLOBAL_CONFIG_FILE = path.join(os.homedir(), '.arvil.json');
+const TRUSTED_PROJECTS_SETTING = 'ARVIL_TRUSTED_PROJECTS';
+
+const FLAT_ESLINT_CONFIG = `export default [
+  {
+    ignores: ['node_modules/**', 'dist/**', 'build/**'],
+  },
+  {
+    files: ['**/*.js', '**/*.jsx', '**/*.ts', '**/*.tsx'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'module',
+    },
+    rules: {
+      // Basic rules
+      'no-unused-vars': 'warn',
+      'no-undef': 'error',
+    },
+  },
+];`;
+
+const LEGACY_ESLINT_CONFIG = {
+  "env": {
+    "browser": true,
+    "es2021": true,
+    "node": true
+  },
+  "extends": "eslint:recommended",
+  "parserOptions": {
+    "ecmaVersion": "latest",
+    "sourceType": "module"
+  },
+  "rules": {
+    "no-unused-vars": "warn",
+    "no-undef": "error"
+  }
+};
+
+/**
+ * Read a JSON file
+ * @param {string} filePath - Path to the file
+ * @returns {Object|null} - The parsed content, or null if it can't be read
+ */
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the package name of a module specifier (@scope/name/sub -> @scope/name)
+ * @param {string} specifier - Module specifier
+ * @returns {string} - The package name
+ */
+function packageName(specifier) {
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+// Handlers that ship with ARVIL, most specific first
+// A handler matches an error (and optionally the failed command) and returns a deterministic fix:
+// { commands, files: [{ path, content }], message }, or null if it can't help after all.
+const BUILTIN_HANDLERS = [
+  {
+    id: 'anchor-program-id',
+    description: 'Sync declare_id! and Anchor.toml with the program keypairs',
+    match: /DeclaredProgramIdMismatch|declared program id does not match/i,
+    fix: () => ({ commands: ['anchor keys sync'] })
+  },
+  {
+    id: 'anchor-idl-build',
+    description: 'Add the idl-build feature to the program Cargo.toml',
+    match: /`idl-build` feature is missing[\s\S]*?in `([^`]+Cargo\.toml)`/,
+    fix: ({ cwd, match }) => {
+      const manifest = path.resolve(cwd, match[1]);
+      if (!fs.existsSync(manifest)) {
+        return null;
+      }
+
+      const content = fs.readFileSync(manifest, 'utf8');
+      const feature = 'idl-build = ["anchor-lang/idl-build"]';
+      const updated = /^\[features\]\s*$/m.test(content)
+        ? content.replace(/^\[features\]\s*$/m, `[features]\n${feature}`)
+        : `${content.trimEnd()}\n\n[features]\n${feature}\n`;
+
+      return { files: [{ path: path.relative(cwd, manifest), content: updated }] };
+    }
+  },
+  {
+    id: 'anchor-cli-missing',
+    description: 'Install the Anchor CLI through avm',
+    match: /anchor: (command )?not found/,
+    fix: () => ({
+      commands: [
+        'cargo install --git https://github.com/coral-xyz/anchor avm --locked',
+        'avm install latest',
+        'avm use latest'
+      ]
+    })
+  },
+  {
+    id: 'solana-keypair-missing',
+    description: 'Create the default Solana keypair',
+    match: /No default signer found|Unable to read keypair file/,
+    fix: ({ error }) => {
+      const suggested = error.match(/solana-keygen new -o "?([^\s"]+)"?/);
+      const outfile = suggested ? suggested[1] : '~/.config/solana/id.json';
+
+      // Without --force, solana-keygen refuses to overwrite an existing keypair
+      return { commands: [`solana-keygen new --no-bip39-passphrase --outfile ${outfile}`] };
+    }
+  },
+  {
+    id: 'solana-insufficient-funds',
+    description: 'Airdrop SOL to the default wallet (devnet, testnet and localnet only)',
+    match: /insufficient funds|insufficient lamports|found no record of a prior credit/i,
+    fix: ({ command, error }) => {
+      if (/mainnet/.test(command) || /mainnet/.test(error) || /\s-um\b/.test(command)) {
+        return null;
+      }
+      return { commands: ['solana airdrop 2'] };
+    }
+  },
+  {
+    id: 'solana-cli-missing',
+    description: 'Explain how to install the Solana CLI',
+    match: /(solana|solana-keygen|solana-test-validator|cargo-build-sbf): (command )?not found|no such command: `build-sbf`/,
+    fix: () => ({
+      message: 'The Solana CLI is not installed. Install it with:\n  sh -c "$(curl -sSfL https://release.anza.xyz/stable/install)"\nthen add ~/.local/share/solana/install/active_release/bin to your PATH.'
+    })
+  },
+  {
+    id: 'cargo-lockfile-v4',
+    description: 'Downgrade Cargo.lock to version 3 for the Solana toolchain',
+    match: /lock file version 4 requires `-Znext-lockfile-bump`/,
+    fix: ({ cwd, error }) => {
+      const reported = error.match(/failed to parse lock file at: (\S+)/);
+      const lockfile = reported ? reported[1] : path.join(cwd, 'Cargo.lock');
+      if (!fs.existsSync(lockfile)) {
+        return null;
+      }
+
+      const content = fs.readFileSync(lockfile, 'utf8');
+      return { files: [{ path: path.relative(cwd, lockfile), content: content.replace(/^version = 4$/m, 'version = 3') }] };
+    }
+  },
+  {
+    id: 'cargo-version-conflict',
+    description: 'Update Cargo.lock to resolve conflicting dependency versions',
+    match: /failed to select a version for/,
+    fix: () => ({ commands: ['cargo update'] })
+  },
+  {
+    id: 'cargo-rustc-too-old',
+    description: 'Update the stable Rust toolchain',
+    match: /requires rustc \d+\.\d+(\.\d+)? or newer/,
+    fix: ({ command }) => {
+      // Programs are built with the rustc of the Solana platform tools, which rustup doesn't update
+      if (/build-sbf|anchor/.test(command)) {
+        return {
+          message: 'A dependency needs a newer rustc than the Solana platform tools provide. Pin it to an older version with `cargo update -p <crate> --precise <version>` or update the Solana CLI.'
+        };
+      }
+      return { commands: ['rustup update stable'] };
+    }
+  },
+  {
+    id: 'hardhat-missing-library',
+    description: 'Install a library a contract imports',
+    match: /HH411: The library (\S+), imported from/,
+    fix: ({ match }) => ({ commands: [`npm install --save-dev ${match[1]}`] })
+  },
+  {
+    id: 'hardhat-not-installed',
+    description: 'Install Hardhat locally',
+    match: /HH12: Trying to use a non-local installation of Hardhat/,
+    fix: () => ({ commands: ['npm install --save-dev hardhat'] })
+  },
+  {
+    id: 'hardhat-missing-artifact',
+    description: 'Compile the contracts to create their artifacts',
+    match: /HH700: Artifact for contract "[^"]+" not found/,
+    fix: () => ({ commands: ['npx hardhat compile'] })
+  },
+  {
+    id: 'foundry-forge-std',
+    description: 'Install forge-std',
+    command: /\bforge\b/,
+    match: /Source "forge-std\/[^"]+" not found/,
+    fix: () => ({ commands: ['forge install foundry-rs/forge-std'] })
+  },
+  {
+    id: 'foundry-openzeppelin',
+    description: 'Install OpenZeppelin contracts and add the remapping',
+    command: /\bforge\b/,
+    match: /Source "@openzeppelin\/(contracts(?:-upgradeable)?)\/[^"]+" not found/,
+    fix: ({ cwd, match }) => {
+      const repository = `openzeppelin-${match[1]}`;
+      const remapping = `@openzeppelin/${match[1]}/=lib/${repository}/contracts/`;
+      const remappingsFile = path.join(cwd, 'remappings.txt');
+      const remappings = fs.existsSync(remappingsFile) ? fs.readFileSync(remappingsFile, 'utf8') : '';
+
+      const fix = { commands: [`forge install OpenZeppelin/${repository}`] };
+      if (!remappings.includes(remapping)) {
+        fix.files = [{ path: 'remappings.txt', content: `${remappings}${remappings && !remappings.endsWith('\n') ? '\n' : ''}${remapping}\n` }];
+      }
+      return fix;
+    }
+  },
+  {
+    id: 'eslint-config',
+    description: 'Create a basic ESLint configuration and install ESLint',
+    match: ({ error }) => error.includes('ESLint') && error.includes('eslint.config'),
+    fix: ({ cwd, error }) => {
+      const packageJson = readJson(path.join(cwd, 'package.json'));
+      const files = [];
+
+      if (error.includes("ESLint couldn't find an eslint.config")) {
+        // ESLint v9+ flat config, which needs ES modules
+        files.push({ path: 'eslint.config.js', content: FLAT_ESLINT_CONFIG });
+        if (packageJson && !packageJson.type) {
+          files.push({ path: 'package.json', content: JSON.stringify({ ...packageJson, type: 'module' }, null, 2) });
+        }
+      } else if (error.includes('eslintrc') || !fs.existsSync(path.join(cwd, 'eslint.config.js'))) {
+        // ESLint v8 and earlier
+        const hasEslintRc = ['.eslintrc.js', '.eslintrc.json', '.eslintrc'].some(file => fs.existsSync(path.join(cwd, file)));
+        if (!hasEslintRc) {
+          files.push({ path: '.eslintrc.json', content: JSON.stringify(LEGACY_ESLINT_CONFIG, null, 2) });
+        }
+      } else if (packageJson) {
+        files.push({ path: 'package.json', content: JSON.stringify({ ...packageJson, eslintConfig: LEGACY_ESLINT_CONFIG }, null, 2) });
+      }
+
+      return { files, commands: ['npm install eslint --save-dev'] };
+    }
+  },
+  {
+    id: 'npm',
+    description: 'Fix npm permissions, a missing package.json or a missing module',
+    match: ({ command, error }) => error.includes('npm ERR!') || command.includes('npm install'),
+    fix: ({ error }) => {
+      if (error.includes('EACCES') || error.includes('permission denied')) {
+        return { commands: ['mkdir -p ~/.npm-global', 'npm config set prefix ~/.npm-global', 'npm install'] };
+      }
+
+      if (error.includes('ENOENT') && error.includes('package.json')) {
+        return { commands: ['npm init -y'] };
+      }
+
+      const moduleMatch = error.match(/Cannot find module '([^']+)'/);
+      if (moduleMatch) {
+        return { commands: [`npm install ${packageName(moduleMatch[1])} --save`] };
+      }
+
+      // General npm fix - clear cache and reinstall
+      return { commands: ['npm cache clean --force', 'npm install'] };
+    }
+  },
+  {
+    id: 'missing-file',
+    description: 'Create a missing file or directory',
+    match: /ENOENT: no such file or directory[^']*'([^']+)'/,
+    fix: ({ cwd, match }) => {
+      // Only paths inside the working directory are created, never absolute or ../ ones elsewhere
+      const relativePath = path.relative(cwd, path.resolve(cwd, match[1]));
+      if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+        return null;
+      }
+
+      if (path.extname(relativePath)) {
+        return { files: [{ path: relativePath, content: '' }] };
+      }
+      return { commands: [`mkdir -p ${JSON.stringify(relativePath)}`] };
+    }
+  }
+];
+
+/**
+ * Check that a handler has an id, a match and a fix, and compile its string patterns
+ * A pattern that isn't a valid regex rejects the handler here, instead of failing on every error.
+ * @param {Object} handler - The handler
+ * @param {string} source - Where the handler comes from (for warnings)
+ * @returns {Object|null} - The handler with RegExp patterns, or null if it can't be used
+ */
+function compileHandler(handler, source) {
+  const isPattern = pattern => pattern instanceof RegExp || typeof pattern === 'string';
+  const validMatch = pattern => isPattern(pattern) || typeof pattern === 'function';
+
+  if (!handler || typeof handler.id !== 'string' || typeof handler.fix !== 'function' ||
+      !(Array.isArray(handler.match) ? handler.match : [handler.match]).every(validMatch) ||
+      (handler.command !== undefined && !isPattern(handler.command))) {
+    console.error(chalk.yellow(`Warning: Ignoring invalid error handler from ${source}: it needs an id, a match and a fix function`));
+    return null;
+  }
+
+  const compile = pattern => (typeof pattern === 'string' ? new RegExp(pattern) : pattern);
+  try {
+    return {
+      ...handler,
+      command: handler.command === undefined ? undefined : compile(handler.command),
+      match: Array.isArray(handler.match) ? handler.match.map(compile) : compile(handler.match)
+    };
+  } catch (error) {
+    console.error(chalk.yellow(`Warning: Ignoring error handler "${handler.id}" from ${source}: ${error.message}`));
+    return null;
+  }
+}
+
+/**
+ * Load the handlers exported by a module
+ * A module exports a handler, an array of handlers, or { handlers: [...] }.
+ * @param {string} modulePath - Resolved path of the module
+ * @param {string} source - Where the handlers come from
+ * @returns {Array} - Valid handlers with their source
+ */
+function loadHandlerModule(modulePath, source) {
+  try {
+    const exported = require(modulePath);
+    const handlers = (Array.isArray(exported) ? exported : (exported.handlers || [exported]))
+      .map(handler => compileHandler(handler, source))
+      .filter(Boolean)
+      .map(handler => ({ ...handler, source }));
+
+    console.log(chalk.gray(`Loaded error handlers from ${source} (${modulePath}): ${handlers.map(handler => handler.id).join(', ') || 'none'}`));
+    return handlers;
+  } catch (error) {
+    console.error(chalk.yellow(`Warning: Could not load error handlers from ${source}: ${error.message}`));
+    return [];
+  }
+}
+
+/**
+ * Load the plugin modules listed in a handlers.json file
+ * Entries are npm package names (resolved from the directory of the file and the project)
+ * or paths relative to the directory of the file.
+ * @param {string} configFile - Path to handlers.json
+ * @param {string} projectRoot - Project root
+ * @returns {Array} - Handlers of all listed plugins
+ */
+function loadConfiguredPlugins(configFile, projectRoot) {
+  if (!fs.existsSync(configFile)) {
+    return [];
+  }
+
+  const config = readJson(configFile);
+  if (!config || !Array.isArray(config.plugins)) {
+    console.error(chalk.yellow(`Warning: Ignoring ${configFile}: expected { "plugins": [...] }`));
+    return [];
+  }
+
+  const baseDir = path.dirname(configFile);
+  const handlers = [];
+
+  config.plugins.forEach(plugin => {
+    let modulePath;
+    try {
+      modulePath = plugin.startsWith('.') || path.isAbsolute(plugin)
+        ? path.resolve(baseDir, plugin)
+        : require.resolve(plugin, { paths: [projectRoot, baseDir] });
+    } catch (error) {
+      console.error(chalk.yellow(`Warning: Error handler plugin "${plugin}" not found (listed in ${configFile})`));
+      return;
+    }
+
+    handlers.push(...loadHandlerModule(modulePath, `plugin ${plugin}`));
+  });
+
+  return handlers;
+}
+
+/**
+ * Check whether the project's own handler code may be loaded
+ * @param {string} projectRoot - Project root
+ * @returns {boolean} - True if the project is listed in ARVIL_TRUSTED_PROJECTS of ~/.arvil.json
+ */
+function isTrustedProject(projectRoot) {
+  const config = fs.existsSync(GLOBAL_CONFIG_FILE) ? readJson(GLOBAL_CONFIG_FILE) : null;
+  const trusted = config && Array.isArray(config[TRUSTED_PROJECTS_SETTING]) ? config[TRUSTED_PROJECTS_SETTING] : [];
+  return trusted.some(trustedPath => path.resolve(trustedPath) === path.resolve(projectRoot));
+}
+
+/**
+ * Add a project to ARVIL_TRUSTED_PROJECTS in ~/.arvil.json, so its handlers load without asking
+ * @param {string} projectRoot - Project root
+ */
+function trustProject(projectRoot) {
+  const config = fs.existsSync(GLOBAL_CONFIG_FILE) ? readJson(GLOBAL_CONFIG_FILE) : {};
+  if (!config) {
+    throw new Error(`Could not read ${GLOBAL_CONFIG_FILE}`);
+  }
+  const trusted = Array.isArray(config[TRUSTED_PROJECTS_SETTING]) ? config[TRUSTED_PROJECTS_SETTING] : [];
+
+  if (!trusted.some(trustedPath => path.resolve(trustedPath) === path.resolve(projectRoot))) {
+    config[TRUSTED_PROJECTS_SETTING] = [...trusted, path.resolve(projectRoot)];
+    fs.writeFileSync(GLOBAL_CONFIG_FILE, JSON.stringify(config, null, 2), 'utf8');
+  }
+}
+
+/**
+ * List the handler code a project brings along
+ * @param {string} projectRoot - Project root
+ * @returns {Array} - Handler files and plugin entries, relative to the project (empty if there are none)
+ */
+function listProjectHandlerModules(projectRoot) {
+  const modules = [];
+
+  const handlersDir = path.join(projectRoot, PROJECT_HANDLERS_DIR);
+  if (fs.existsSync(handlersDir)) {
+    fs.readdirSync(handlersDir)
+      .filter(file => file.endsWith('.js'))
+      .sort()
+      .forEach(file => modules.push(path.join(PROJECT_HANDLERS_DIR, file)));
+  }
+
+  const config = readJson(path.join(projectRoot, PROJECT_HANDLERS_CONFIG));
+  if (config && Array.isArray(config.plugins)) {
+    config.plugins.forEach(plugin => modules.push(`${plugin} (${PROJECT_HANDLERS_CONFIG})`));
+  }
+
+  return modules;
+}
+
+/**
+ * Load every error handler for a project
+ * Project handlers come first, then plugins listed in the project and global handlers.json,
+ * then the built-in handlers. The first handler that matches an error fixes it.
+ * The project's handlers and plugins are code from the repository: they are only loaded for a
+ * trusted project, so running assist in a freshly cloned repository doesn't run its code.
+ * @param {string} projectRoot - Project root
+ * @param {Object} options - Options
+ * @param {boolean} options.trusted - Load the project's handlers (default: isTrustedProject)
+ * @returns {Array} - Handlers with a source ('project', 'plugin <name>' or 'built-in')
+ */
+function loadErrorHandlers(projectRoot, { trusted = isTrustedProject(projectRoot) } = {}) {
+  const handlers = [];
+
+  if (trusted) {
+    const handlersDir = path.join(projectRoot, PROJECT_HANDLERS_DIR);
+    if (fs.existsSync(handlersDir)) {
+      fs.readdirSync(handlersDir)
+        .filter(file => file.endsWith('.js'))
+        .sort()
+        .forEach(file => {
+          handlers.push(...loadHandlerModule(path.join(handlersDir, file), `project ${path.join(PROJECT_HANDLERS_DIR, file)}`));
+        });
+    }
+
+    handlers.push(...loadConfiguredPlugins(path.join(projectRoot, PROJECT_HANDLERS_CONFIG), projectRoot));
+  }
+
+  handlers.push(...loadConfiguredPlugins(GLOBAL_HANDLERS_CONFIG, projectRoot));
+
+  return [...handlers, ...BUILTIN_HANDLERS.map(handler => ({ ...handler, source: 'built-in' }))];
+}
+
+/**
+ * Check whether a handler applies to an error
+ * @param {Object} handler - The handler (patterns compiled by loadErrorHandlers)
+ * @param {Object} context - { command, error, cwd }
+ * @returns {Array|Object|null} - The match (regex match or true), or null
+ */
+function matchHandler(handler, context) {
+  if (handler.command && !handler.command.test(context.command)) {
+    return null;
+  }
+
+  const patterns = Array.isArray(handler.match) ? handler.match : [handler.match];
+  for (const pattern of patterns) {
+    if (typeof pattern === 'function') {
+      if (pattern(context)) {
+        return [];
+      }
+      continue;
+    }
+
+    const match = context.error.match(pattern);
+    if (match) {
+      return match;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the first handler with a fix for an error
+ * @param {Array} handlers - Handlers from loadErrorHandlers
+ * @param {Object} context - { command, error, cwd }
+ * @returns {Object|null} - { handler, fix: { commands, files, message } }, or null if no handler applies
+ */
+async function findErrorFix(handlers, context) {
+  for (const handler of handlers) {
+    const match = matchHandler(handler, context);
+    if (!match) {
+      continue;
+    }
+
+    let fix;
+    try {
+      fix = await handler.fix({ ...context, match });
+    } catch (error) {
+      console.error(chalk.yellow(`Warning: Error handler "${handler.id}" (${handler.source}) failed: ${error.message}`));
+      continue;
+    }
+
+    if (fix) {
+      return {
+        handler,
+        fix: {
+          commands: fix.commands || [],
+          files: fix.files || [],
+          message: fix.message || ''
+        }
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  PROJECT_HANDLERS_DIR,
+  PROJECT_HANDLERS_CONFIG,
+  GLOBAL_HANDLERS_CONFIG,
+  GLOBAL_CONFIG_FILE,
+  BUILTIN_HANDLERS,
+  isTrustedProject,
+  trustProject,
+  listProjectHandlerModules,
+  loadErrorHandlers,
+  matchHandler,
+  findErrorFix
+};
@@ -0,0 +1,392 @@
+const fs = require('fs-extra');
+const path = require('path');
+const net = require('net');
+const { spawn, execFileSync } = require('child_process');
+const axios = require('axios');
+const { signalProcessGroup } = require('./shell');
+
+// Background jobs of a project and their logs
+const JOBS_FILE = path.join('.arvil', 'jobs.json');
+const JOBS_LOG_DIR = path.join('.arvil', 'jobs');
+
+// Commands that keep running until they are stopped, with the port and check that tell they are ready
+const LONG_RUNNING_COMMANDS = [
+  {
+    name: 'solana-test-validator',
+    match: /\bsolana-test-validator\b/,
+    portOption: /--rpc-port[\s=](\d+)/,
+    port: 8899,
+    check: 'solana'
+  },
+  {
+    name: 'hardhat-node',
+    match: /\bhardhat\s+node\b/,
+    portOption: /--port[\s=](\d+)/,
+    port: 8545,
+    check: 'ethereum'
+  },
+  {
+    name: 'anvil',
+    match: /(^|[;&|]\s*)anvil\b/,
+    portOption: /(?:--port|-p)[\s=](\d+)/,
+    port: 8545,
+    check: 'ethereum'
+  },
+  {
+    name: 'ganache',
+    match: /\bganache(-cli)?\b/,
+    portOption: /(?:--server\.port|--port|-p)[\s=](\d+)/,
+    port: 8545,
+    check: 'ethereum'
+  },
+  {
+    name: 'dev-server',
+    match: /\b(npm|yarn|pnpm)\s+(run\s+)?dev\b|\bnext\s+(dev|start)\b|\bvite(\s|$)/,
+    portOption: /(?:--port|-p)[\s=](\d+)/,
+    port: null,
+    check: 'port'
+  }
+];
+
+// `npm start` runs whatever the project's start script is; it is a dev server only if that script starts one
+const START_SCRIPT_COMMAND = /\b(npm|yarn|pnpm)\s+(run\s+)?start\b/;
+const SERVER_SCRIPT = /\b(next|vite|nuxt|astro|gatsby|remix|react-scripts|webpack-dev-server|webpack\s+serve|ng\s+serve|parcel|nodemon|http-server|live-server|serve|expo\s+start)\b|\bnode\s+\S*(server|app)(\.[cm]?js)?\b/;
+
+// Options that make a long-running tool print something and exit
+const ONE_SHOT_OPTIONS = /\s(--help|-h|--version|-V)(\s|$)/;
+
+// Time a job gets to become ready, and between SIGTERM and SIGKILL when it is stopped
+const READY_TIMEOUT = 60000;
+const READY_POLL_INTERVAL = 500;
+const STOP_GRACE_PERIOD = 3000;
+
+/**
+ * Check whether the start script of a project starts a server
+ * @param {string} command - The `npm start` command (a leading `cd <dir> &&` is followed)
+ * @param {string} cwd - Directory the command runs in
+ * @returns {boolean} - True if package.json has a start script that runs a known server
+ */
+function startsServer(command, cwd) {
+  const cd = command.match(/^cd\s+("[^"]+"|'[^']+'|\S+)\s*&&/);
+  const dir = cd ? path.resolve(cwd, cd[1].replace(/^['"]|['"]$/g, '')) : cwd;
+
+  try {
+    const { scripts = {} } = fs.readJsonSync(path.join(dir, 'package.json'));
+    return typeof scripts.start === 'string' && SERVER_SCRIPT.test(scripts.start);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a command keeps running and should be started as a background job
+ * Commands ending with `&` are jobs too, since they would hold the output open.
+ * @param {string} command - The command
+ * @param {string} cwd - Directory the command runs in (to read the start script of `npm start`)
+ * @returns {Object|null} - { name, command, port, check } (command without a trailing &), or null
+ */
+function detectJob(command, cwd = process.cwd()) {
+  const trimmed = command.trim();
+  const background = /[^&]&$/.test(trimmed);
+  const jobCommand = background ? trimmed.slice(0, -1).trim() : trimmed;
+
+  if (ONE_SHOT_OPTIONS.test(` ${jobCommand}`)) {
+    return null;
+  }
+
+  const known = LONG_RUNNING_COMMANDS.find(entry => entry.match.test(jobCommand)) ||
+    (START_SCRIPT_COMMAND.test(jobCommand) && startsServer(jobCommand, cwd)
+      ? LONG_RUNNING_COMMANDS.find(entry => entry.name === 'dev-server')
+      : null);
+  if (known) {
+    const portMatch = jobCommand.match(known.portOption);
+    const port = portMatch ? Number(portMatch[1]) : known.port;
+    return { name: known.name, command: jobCommand, port, check: port ? known.check : null };
+  }
+
+  if (background) {
+    const program = path.basename(jobCommand.split(/\s+/).find(word => !word.includes('=')) || 'job');
+    return { name: program.replace(/[^A-Za-z0-9_.-]/g, '') || 'job', command: jobCommand, port: null, check: null };
+  }
+
+  return null;
+}
+
+/**
+ * Read the jobs of a project
+ * @param {string} projectRoot - Project root
+ * @returns {Object} - Job name -> job
+ */
+function loadJobs(projectRoot) {
+  try {
+    return fs.readJsonSync(path.join(projectRoot, JOBS_FILE));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Write the jobs of a project
+ * @param {string} projectRoot - Project root
+ * @param {Object} jobs - Job name -> job
+ */
+function saveJobs(projectRoot, jobs) {
+  fs.outputJsonSync(path.join(projectRoot, JOBS_FILE), jobs, { spaces: 2 });
+}
+
+/**
+ * Read the state and start time of a process
+ * Uses /proc where there is one, and ps elsewhere.
+ * @param {number} pid - Process id
+ * @returns {Object|null} - { state, startTime }, or null if the process doesn't exist
+ */
+function readProcessInfo(pid) {
+  if (fs.existsSync('/proc')) {
+    try {
+      // The process name is in parentheses and may contain spaces: the fields after it are fixed
+      const fields = fs.readFileSync(path.join('/proc', String(pid), 'stat'), 'utf8').replace(/^.*\) /s, '').split(' ');
+      return { state: fields[0], startTime: fields[19] };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  try {
+    const startTime = execFileSync('ps', ['-o', 'lstart=', '-p', String(pid)], { encoding: 'utf8' }).trim();
+    return startTime ? { state: null, startTime } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether the process of a job is still running
+ * The pid must still belong to the process the job started: once the job exits, the system
+ * can give its pid to an unrelated process, which must never be taken for the job (or stopped).
+ * @param {Object} job - The job
+ * @returns {boolean} - True if it runs
+ */
+function isJobRunning(job) {
+  try {
+    process.kill(job.pid, 0);
+  } catch (error) {
+    if (error.code !== 'EPERM') {
+      return false;
+    }
+  }
+
+  const info = readProcessInfo(job.pid);
+
+  // Jobs recorded without a start time can't be told apart from a reused pid
+  if (!info || !job.startTime || info.startTime !== job.startTime) {
+    return false;
+  }
+
+  // An exited job whose parent is gone can stay a zombie until init reaps it
+  return info.state !== 'Z';
+}
+
+/**
+ * Find a running job of a command
+ * @param {string} projectRoot - Project root
+ * @param {string} command - The job command
+ * @param {string} cwd - Directory it runs in
+ * @returns {Object|null} - The job, or null if the command doesn't run as a job
+ */
+function findRunningJob(projectRoot, command, cwd) {
+  return Object.values(loadJobs(projectRoot)).find(job => job.command === command && job.cwd === cwd && isJobRunning(job)) || null;
+}
+
+/**
+ * Start a command as a background job, writing its output to .arvil/jobs/<name>.log
+ * A job with the same command that still runs is reused instead of started twice.
+ * @param {string} projectRoot - Project root
+ * @param {Object} spec - { name, command, port, check } from detectJob
+ * @param {Object} options - Start options
+ * @param {string} options.cwd - Directory to run the command in
+ * @param {Object} options.env - Environment of the command
+ * @param {string} options.session - Id of the assist session that started the job
+ * @returns {Object} - { job, reused }
+ */
+function startJob(projectRoot, spec, options = {}) {
+  const jobs = loadJobs(projectRoot);
+  const cwd = options.cwd || projectRoot;
+
+  const running = findRunningJob(projectRoot, spec.command, cwd);
+  if (running) {
+    return { job: running, reused: true };
+  }
+
+  // Another job keeps its name while it runs
+  let name = spec.name;
+  for (let i = 2; jobs[name] && isJobRunning(jobs[name]); i++) {
+    name = `${spec.name}-${i}`;
+  }
+
+  const log = path.join(projectRoot, JOBS_LOG_DIR, `${name}.log`);
+  fs.ensureDirSync(path.dirname(log));
+  const output = fs.openSync(log, 'w');
+
+  // Its own process group, so stopping the job also stops what it started (cmd.exe on Windows)
+  const child = spawn(spec.command, [], {
+    shell: process.platform === 'win32' ? true : '/bin/sh',
+    cwd,
+    env: options.env || process.env,
+    stdio: ['ignore', output, output],
+    detached: true
+  });
+  child.unref();
+  fs.closeSync(output);
+
+  const job = {
+    name,
+    command: spec.command,
+    cwd,
+    pid: child.pid,
+    startTime: (readProcessInfo(child.pid) || {}).startTime || null,
+    port: spec.port,
+    check: spec.check,
+    log,
+    session: options.session || null,
+    startedAt: new Date().toISOString()
+  };
+
+  jobs[name] = job;
+  saveJobs(projectRoot, jobs);
+
+  return { job, reused: false };
+}
+
+/**
+ * Check whether something accepts connections on a local port
+ * @param {number} port - The port
+ * @returns {Promise<boolean>} - True if a connection could be made
+ */
+function isPortOpen(port) {
+  return new Promise(resolve => {
+    const socket = net.connect({ host: '127.0.0.1', port });
+    const done = open => {
+      socket.destroy();
+      resolve(open);
+    };
+    socket.setTimeout(1000, () => done(false));
+    socket.once('connect', () => done(true));
+    socket.once('error', () => done(false));
+  });
+}
+
+/**
+ * Ask the RPC endpoint of a job whether it is ready
+ * @param {Object} job - Job with a port and check (solana, ethereum or port)
+ * @returns {Promise<boolean>} - True if it answers
+ */
+async function checkJobReady(job) {
+  if (job.check === 'port') {
+    return isPortOpen(job.port);
+  }
+
+  const request = job.check === 'solana'
+    ? { jsonrpc: '2.0', id: 1, method: 'getHealth' }
+    : { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] };
+
+  try {
+    const { data } = await axios.post(`http://127.0.0.1:${job.port}`, request, { timeout: 2000 });
+    return job.check === 'solana' ? data.result === 'ok' : data.result !== undefined;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wait until a job is ready: its RPC answers, its port is open, or (without a port) it keeps running
+ * @param {Object} job - The job
+ * @param {number} timeout - Milliseconds to wait
+ * @returns {Promise<void>} - Rejected if the job exits or isn't ready in time
+ */
+async function waitForJob(job, timeout = READY_TIMEOUT) {
+  const deadline = Date.now() + timeout;
+
+  while (Date.now() < deadline) {
+    if (!isJobRunning(job)) {
+      throw new Error(`${job.name} exited before it was ready`);
+    }
+
+    if (!job.check) {
+      // Nothing to check: a job that survives its first second counts as started
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      if (isJobRunning(job)) {
+        return;
+      }
+      continue;
+    }
+
+    if (await checkJobReady(job)) {
+      return;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, READY_POLL_INTERVAL));
+  }
+
+  throw new Error(`${job.name} was not ready after ${timeout / 1000}s`);
+}
+
+/**
+ * Stop a job and forget it (its log stays)
+ * Its process group is only signalled while the pid still belongs to the job (see isJobRunning).
+ * @param {string} projectRoot - Project root
+ * @param {Object} job - The job
+ * @returns {Promise<boolean>} - False if it wasn't running anymore
+ */
+async function stopJob(projectRoot, job) {
+  const wasRunning = isJobRunning(job);
+
+  if (wasRunning) {
+    signalProcessGroup(job.pid, 'SIGTERM');
+
+    const deadline = Date.now() + STOP_GRACE_PERIOD;
+    while (isJobRunning(job) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    if (isJobRunning(job)) {
+      signalProcessGroup(job.pid, 'SIGKILL');
+    }
+  }
+
+  const jobs = loadJobs(projectRoot);
+  if (jobs[job.name] && jobs[job.name].pid === job.pid) {
+    delete jobs[job.name];
+    saveJobs(projectRoot, jobs);
+  }
+
+  return wasRunning;
+}
+
+/**
+ * Read the last lines of a job's log
+ * @param {Object} job - The job
+ * @param {number} lines - Number of lines
+ * @returns {string} - The end of the log ('' if there is none)
+ */
+function readJobLog(job, lines = 50) {
+  if (!fs.existsSync(job.log)) {
+    return '';
+  }
+
+  return fs.readFileSync(job.log, 'utf8').split('\n').slice(-lines - 1).join('\n');
+}
+
+module.exports = {
+  JOBS_FILE,
+  JOBS_LOG_DIR,
+  detectJob,
+  loadJobs,
+  isJobRunning,
+  findRunningJob,
+  startJob,
+  isPortOpen,
+  checkJobReady,
+  waitForJob,
+  stopJob,
+  readJobLog
+};
@@ -0,0 +1,333 @@
+const { splitLines } = require('./diff');
+
+const SEARCH_MARKER = /^<{5,9} SEARCH\s*$/;
+const DIVIDER_MARKER = /^={5,9}\s*$/;
+const REPLACE_MARKER = /^>{5,9} REPLACE\s*$/;
+
+/**
+ * Check whether text contains search/replace edit blocks
+ * @param {string} text - Code block content
+ * @returns {boolean} - True if the text has at least one SEARCH marker
+ */
+function isSearchReplace(text) {
+  return text.split('\n').some(line => SEARCH_MARKER.test(line));
+}
+
+/**
+ * Check whether text looks like a unified diff
+ * @param {string} text - Code block content
+ * @returns {boolean} - True if the text has hunk headers
+ */
+function isUnifiedDiff(text) {
+  return /^@@ -\d+(?:,\d+)? \+\d+(?:,\d+)? @@/m.test(text);
+}
+
+/**
+ * Strip the a/ or b/ prefix git puts on diff paths
+ * @param {string} filePath - Path from a ---/+++ header
+ * @returns {string|null} - The path, or null for /dev/null
+ */
+function cleanDiffPath(filePath) {
+  const cleaned = filePath.trim().split('\t')[0];
+
+  if (cleaned === '/dev/null') {
+    return null;
+  }
+
+  return cleaned.replace(/^[ab]\//, '');
+}
+
+/**
+ * Parse a unified diff, possibly touching several files
+ * @param {string} text - The diff
+ * @returns {Array} - Files: { oldFile, newFile, hunks: [{ oldStart, oldCount, newStart, newCount, lines }] }
+ */
+function parseUnifiedDiff(text) {
+  const files = [];
+  let currentFile = null;
+  let currentHunk = null;
+
+  const lines = text.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.startsWith('--- ') && i + 1 < lines.length && lines[i + 1].startsWith('+++ ')) {
+      currentFile = {
+        oldFile: cleanDiffPath(line.slice(4)),
+        newFile: cleanDiffPath(lines[i + 1].slice(4)),
+        hunks: []
+      };
+      files.push(currentFile);
+      currentHunk = null;
+      i++;
+      continue;
+    }
+
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      // A diff without file headers applies to the file named elsewhere
+      if (!currentFile) {
+        currentFile = { oldFile: null, newFile: null, hunks: [] };
+        files.push(currentFile);
+      }
+
+      currentHunk = {
+        oldStart: parseInt(header[1], 10),
+        oldCount: header[2] === undefined ? 1 : parseInt(header[2], 10),
+        newStart: parseInt(header[3], 10),
+        newCount: header[4] === undefined ? 1 : parseInt(header[4], 10),
+        header: line,
+        lines: []
+      };
+      currentFile.hunks.push(currentHunk);
+      continue;
+    }
+
+    if (!currentHunk) {
+      // Ignore "diff --git", "index ..." and other preamble lines
+      continue;
+    }
+
+    if (line.startsWith(' ') || line.startsWith('-') || line.startsWith('+')) {
+      currentHunk.lines.push(line);
+    } else if (line === '') {
+      // Editors and models often drop the leading space of empty context lines
+      currentHunk.lines.push(' ');
+    }
+    // "\ No newline at end of file" and anything else is ignored
+  }
+
+  // Trailing empty context lines are usually just the end of the code block
+  files.forEach(file => file.hunks.forEach(hunk => {
+    while (hunk.lines.length > 0 && hunk.lines[hunk.lines.length - 1] === ' ') {
+      hunk.lines.pop();
+    }
+  }));
+
+  return files;
+}
+
+/**
+ * Parse search/replace edit blocks
+ * @param {string} text - Text containing <<<<<<< SEARCH / ======= / >>>>>>> REPLACE blocks
+ * @returns {Array} - Edits: { search, replace }
+ */
+function parseSearchReplace(text) {
+  const edits = [];
+  const lines = text.split('\n');
+  let i = 0;
+
+  while (i < lines.length) {
+    if (!SEARCH_MARKER.test(lines[i])) {
+      i++;
+      continue;
+    }
+
+    const search = [];
+    const replace = [];
+    i++;
+
+    while (i < lines.length && !DIVIDER_MARKER.test(lines[i])) {
+      search.push(lines[i]);
+      i++;
+    }
+    i++;
+
+    while (i < lines.length && !REPLACE_MARKER.test(lines[i])) {
+      replace.push(lines[i]);
+      i++;
+    }
+    i++;
+
+    edits.push({ search: search.join('\n'), replace: replace.join('\n') });
+  }
+
+  return edits;
+}
+
+/**
+ * Find where a block of lines occurs in a file
+ * @param {Array} fileLines - Lines of the file
+ * @param {Array} blockLines - Lines to look for
+ * @param {number} expectedIndex - Where the block is expected, searched outwards from here
+ * @param {boolean} loose - Ignore differences in surrounding whitespace
+ * @returns {number} - Index of the first line, or -1 if not found
+ */
+function findLines(fileLines, blockLines, expectedIndex, loose) {
+  const normalize = loose ? line => line.trim() : line => line;
+  const target = blockLines.map(normalize);
+  const lastStart = fileLines.length - target.length;
+
+  const matchesAt = start => target.every((line, offset) => normalize(fileLines[start + offset]) === line);
+
+  for (let distance = 0; distance <= Math.max(expectedIndex, lastStart - expectedIndex); distance++) {
+    for (const start of [expectedIndex - distance, expectedIndex + distance]) {
+      if (start >= 0 && start <= lastStart && matchesAt(start)) {
+        return start;
+      }
+      if (distance === 0) {
+        break;
+      }
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Apply the hunks of a unified diff to file content
+ * Nothing is changed unless every hunk applies.
+ * @param {string} content - Current file content ('' for a new file)
+ * @param {Array} hunks - Hunks from parseUnifiedDiff
+ * @returns {Object} - { success, content, failures: [{ hunk, reason, expected }] }
+ */
+function applyUnifiedDiff(content, hunks) {
+  const hadTrailingNewline = content === '' || content.endsWith('\n');
+  const fileLines = splitLines(content);
+  const failures = [];
+
+  // Line offset introduced by the hunks applied so far
+  let offset = 0;
+
+  for (let h = 0; h < hunks.length; h++) {
+    const hunk = hunks[h];
+    const oldLines = hunk.lines.filter(line => !line.startsWith('+')).map(line => line.slice(1));
+    const newLines = hunk.lines.filter(line => !line.startsWith('-')).map(line => line.slice(1));
+
+    const expectedIndex = Math.max(0, hunk.oldStart - 1 + offset);
+    let index = oldLines.length === 0
+      ? Math.min(hunk.oldStart + offset, fileLines.length)
+      : findLines(fileLines, oldLines, expectedIndex, false);
+
+    if (index === -1) {
+      index = findLines(fileLines, oldLines, expectedIndex, true);
+    }
+
+    if (index === -1) {
+      failures.push({
+        hunk: h + 1,
+        header: hunk.header,
+        reason: 'context and removed lines were not found in the file',
+        expected: oldLines.join('\n')
+      });
+      continue;
+    }
+
+    fileLines.splice(index, oldLines.length, ...newLines);
+    offset += newLines.length - oldLines.length;
+  }
+
+  if (failures.length > 0) {
+    return { success: false, content, failures };
+  }
+
+  const result = fileLines.join('\n');
+  return {
+    success: true,
+    content: hadTrailingNewline && result ? `${result}\n` : result,
+    failures
+  };
+}
+
+/**
+ * Apply search/replace edits to file content
+ * Every search text must occur exactly once; nothing is changed unless every edit applies.
+ * @param {string} content - Current file content
+ * @param {Array} edits - Edits from parseSearchReplace
+ * @returns {Object} - { success, content, failures: [{ hunk, reason, expected }] }
+ */
+function applySearchReplace(content, edits) {
+  let result = content;
+  const failures = [];
+
+  edits.forEach((edit, e) => {
+    // An empty search creates the file
+    if (!edit.search.trim()) {
+      if (result.trim()) {
+        failures.push({ hunk: e + 1, reason: 'empty SEARCH section, but the file is not empty', expected: '' });
+      } else {
+        result = edit.replace.endsWith('\n') ? edit.replace : `${edit.replace}\n`;
+      }
+      return;
+    }
+
+    const occurrences = result.split(edit.search).length - 1;
+
+    if (occurrences === 1) {
+      result = result.replace(edit.search, () => edit.replace);
+      return;
+    }
+
+    if (occurrences > 1) {
+      failures.push({
+        hunk: e + 1,
+        reason: `SEARCH section matches ${occurrences} places; add more lines to make it unique`,
+        expected: edit.search
+      });
+      return;
+    }
+
+    // Retry line by line, ignoring indentation and trailing whitespace
+    const fileLines = result.split('\n');
+    const searchLines = edit.search.split('\n');
+    const index = findLines(fileLines, searchLines, 0, true);
+
+    if (index === -1) {
+      failures.push({ hunk: e + 1, reason: 'SEARCH section was not found in the file', expected: edit.search });
+      return;
+    }
+
+    // Without indentation, lines like `}` or `return;` repeat: only a unique match is safe to replace
+    if (findLines(fileLines.slice(index + 1), searchLines, 0, true) !== -1) {
+      failures.push({
+        hunk: e + 1,
+        reason: 'SEARCH section matches several places when whitespace is ignored; add more lines to make it unique',
+        expected: edit.search
+      });
+      return;
+    }
+
+    fileLines.splice(index, searchLines.length, ...edit.replace.split('\n'));
+    result = fileLines.join('\n');
+  });
+
+  if (failures.length > 0) {
+    return { success: false, content, failures };
+  }
+
+  return { success: true, content: result, failures };
+}
+
+/**
+ * Describe why a patch could not be applied
+ * @param {string} filename - The file the patch targets
+ * @param {Array} failures - Failures from applyUnifiedDiff or applySearchReplace
+ * @returns {string} - Multi-line report
+ */
+function formatPatchFailures(filename, failures) {
+  const lines = [`Patch for ${filename} was not applied (the file is unchanged):`];
+
+  failures.forEach(failure => {
+    lines.push(`  Hunk ${failure.hunk}${failure.header ? ` ${failure.header}` : ''}: ${failure.reason}`);
+
+    if (failure.expected) {
+      lines.push('  Expected to find:');
+      failure.expected.split('\n').slice(0, 10).forEach(line => lines.push(`    | ${line}`));
+      if (failure.expected.split('\n').length > 10) {
+        lines.push('    | ...');
+      }
+    }
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  isSearchReplace,
+  isUnifiedDiff,
+  parseUnifiedDiff,
+  parseSearchReplace,
+  applyUnifiedDiff,
+  applySearchReplace,
+  formatPatchFailures
+};
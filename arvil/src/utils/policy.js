@@ -0,0 +1,230 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+
+// Policy files: project rules take precedence over global rules, which take precedence over the defaults,
+// except that a checked-in project policy can only tighten the global and built-in deny rules
+const GLOBAL_POLICY_FILE = path.join(os.homedir(), '.arvil', 'policy.json');
+const PROJECT_POLICY_FILE = path.join('.arvil', 'policy.json');
+
+const ACTIONS = ['allow', 'deny', 'ask'];
+
+// Actions from the least to the most strict
+const STRICTNESS = ['allow', 'ask', 'deny'];
+
+// Built-in rules for AI-suggested commands
+const DEFAULT_RULES = [
+  {
+    id: 'sudo',
+    match: '(^|[;&|]\\s*)sudo\\s',
+    action: 'deny',
+    reason: 'runs with root privileges'
+  },
+  {
+    id: 'recursive-delete',
+    match: '\\brm\\s+(-[a-zA-Z]*r[a-zA-Z]*f|-[a-zA-Z]*f[a-zA-Z]*r|-r\\s+-f|-f\\s+-r)',
+    action: 'deny',
+    reason: 'forced recursive delete'
+  },
+  {
+    id: 'pipe-to-shell',
+    match: '\\b(curl|wget)\\b[^|]*\\|\\s*(sudo\\s+)?(ba|z|da)?sh\\b',
+    action: 'deny',
+    reason: 'pipes a downloaded script into a shell'
+  },
+  {
+    id: 'solana-program-close',
+    match: '\\bsolana\\s+program\\s+close\\b',
+    action: 'ask',
+    reason: 'closes a deployed program (irreversible)'
+  },
+  {
+    id: 'mainnet',
+    match: 'mainnet|\\s(-um|--url\\s+m)(\\s|$)',
+    action: 'ask',
+    reason: 'targets a mainnet network'
+  },
+  {
+    id: 'publish',
+    match: '\\b(npm|yarn|pnpm)\\s+publish\\b|\\bcargo\\s+publish\\b',
+    action: 'ask',
+    reason: 'publishes a package'
+  },
+  {
+    id: 'outside-project',
+    check: 'outside-project',
+    action: 'ask',
+    reason: 'writes outside the project'
+  }
+];
+
+// Commands whose non-flag arguments are all written to
+const WRITING_COMMANDS = ['touch', 'mkdir', 'rm', 'rmdir', 'tee', 'truncate'];
+
+// Commands whose last argument is the destination
+const COPYING_COMMANDS = ['cp', 'mv', 'install', 'ln', 'rsync'];
+
+/**
+ * Read the rules of a policy file
+ * @param {string} policyFile - Path to the policy file
+ * @returns {Object} - { rules, default } (empty if the file doesn't exist)
+ */
+function readPolicyFile(policyFile) {
+  if (!fs.existsSync(policyFile)) {
+    return { rules: [] };
+  }
+
+  try {
+    const policy = JSON.parse(fs.readFileSync(policyFile, 'utf8'));
+    const rules = (policy.rules || []).filter(rule => {
+      if (!ACTIONS.includes(rule.action) || !(rule.match || rule.check)) {
+        console.error(chalk.yellow(`Warning: Ignoring invalid rule in ${policyFile}: ${JSON.stringify(rule)}`));
+        return false;
+      }
+      return true;
+    });
+
+    return {
+      rules,
+      default: ACTIONS.includes(policy.default) ? policy.default : undefined
+    };
+  } catch (error) {
+    console.error(chalk.yellow(`Warning: Could not read policy file ${policyFile}: ${error.message}`));
+    return { rules: [] };
+  }
+}
+
+/**
+ * Load the command policy for a project
+ * @param {string} projectRoot - Project root (or working directory outside a project)
+ * @returns {Object} - { rules: [{ ...rule, source }], default, projectRoot }
+ */
+function loadPolicy(projectRoot) {
+  const projectPolicy = readPolicyFile(path.join(projectRoot, PROJECT_POLICY_FILE));
+  const globalPolicy = readPolicyFile(GLOBAL_POLICY_FILE);
+
+  const projectRules = projectPolicy.rules.map(rule => ({ ...rule, source: 'project' }));
+  const defaultRules = DEFAULT_RULES.map(rule => ({ ...rule, source: 'default' }));
+
+  // The project policy comes with the repository: its allow rules and default cannot loosen the user's policy
+  const globalDefault = globalPolicy.default || 'allow';
+  const projectDefault = projectPolicy.default || globalDefault;
+
+  return {
+    rules: [
+      ...projectRules.filter(rule => rule.action !== 'allow'),
+      ...globalPolicy.rules.map(rule => ({ ...rule, source: 'global' })),
+      ...defaultRules.filter(rule => rule.action === 'deny'),
+      ...projectRules.filter(rule => rule.action === 'allow'),
+      ...defaultRules.filter(rule => rule.action !== 'deny')
+    ],
+    default: STRICTNESS.indexOf(projectDefault) > STRICTNESS.indexOf(globalDefault) ? projectDefault : globalDefault,
+    projectRoot
+  };
+}
+
+/**
+ * Find the paths a shell command writes to (best effort)
+ * @param {string} command - The command
+ * @returns {Array} - Paths as written in the command
+ */
+function findWriteTargets(command) {
+  const targets = [];
+
+  // Output redirections, ignoring fd duplication like 2>&1
+  const redirectRegex = /(?:^|[^<>&0-9])\d?>{1,2}\s*([^\s;&|<>]+)/g;
+  let match;
+  while ((match = redirectRegex.exec(command)) !== null) {
+    if (!match[1].startsWith('&')) {
+      targets.push(match[1]);
+    }
+  }
+
+  for (const segment of command.split(/&&|\|\||[;|]/)) {
+    const tokens = segment.trim().split(/\s+/).filter(Boolean);
+    const name = tokens[0];
+    const args = tokens.slice(1).filter(token => !token.startsWith('-') && !/[<>]/.test(token));
+
+    if (WRITING_COMMANDS.includes(name)) {
+      targets.push(...args);
+    } else if (COPYING_COMMANDS.includes(name) && args.length > 1) {
+      targets.push(args[args.length - 1]);
+    }
+  }
+
+  return targets.filter(target => target !== '/dev/null');
+}
+
+/**
+ * Check whether a command writes outside the project
+ * @param {string} command - The command
+ * @param {string} projectRoot - Project root
+ * @param {string} cwd - Directory the command runs in
+ * @returns {string|null} - The first offending path, or null
+ */
+function findWriteOutsideProject(command, projectRoot, cwd) {
+  for (const target of findWriteTargets(command)) {
+    const expanded = target.replace(/^~(?=$|\/)/, os.homedir()).replace(/^['"]|['"]$/g, '');
+    const absolutePath = path.resolve(cwd, expanded);
+    const relativePath = path.relative(projectRoot, absolutePath);
+
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      return target;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decide whether a command may run
+ * @param {string} command - The command
+ * @param {Object} policy - Policy from loadPolicy
+ * @param {string} cwd - Directory the command runs in
+ * @returns {Object} - { action, rule, reason, source }
+ */
+function evaluateCommand(command, policy, cwd = process.cwd()) {
+  for (const rule of policy.rules) {
+    let matched = false;
+    let detail = '';
+
+    if (rule.check === 'outside-project') {
+      const target = findWriteOutsideProject(command, policy.projectRoot, cwd);
+      matched = !!target;
+      detail = target ? ` (${target})` : '';
+    } else if (rule.match) {
+      try {
+        matched = new RegExp(rule.match, 'i').test(command);
+      } catch (error) {
+        // Invalid patterns never match
+        matched = false;
+      }
+    }
+
+    if (matched) {
+      return {
+        action: rule.action,
+        rule: rule.id || rule.match || rule.check,
+        reason: `${rule.reason || 'matched policy rule'}${detail}`,
+        source: rule.source
+      };
+    }
+  }
+
+  return {
+    action: policy.default,
+    rule: null,
+    reason: 'no rule matched',
+    source: 'default'
+  };
+}
+
+module.exports = {
+  GLOBAL_POLICY_FILE,
+  PROJECT_POLICY_FILE,
+  DEFAULT_RULES,
+  loadPolicy,
+  evaluateCommand,
+  findWriteTargets
+};
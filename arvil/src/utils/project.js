@@ -7,6 +7,9 @@ const chalk = require('chalk');
 const ARVIL_CONFIG_DIR = path.join(os.homedir(), '.arvil');
 const PROJECTS_FILE = path.join(ARVIL_CONFIG_DIR, 'projects.json');
 
+// Build output directories skipped when scanning a project
+const BUILD_DIRECTORIES = ['target', 'dist', 'build', 'artifacts', 'cache', 'coverage', 'test-ledger'];
+
 /**
  * Check if the current directory is an ARVIL project
  * @returns {boolean} - True if in an ARVIL project directory
@@ -303,8 +306,9 @@ function scanDirectory(dir, depth = 2, currentDepth = 0) {
   for (const entry of entries) {
     const entryPath = path.join(dir, entry.name);
     
-    // Skip hidden files and node_modules
-    if (entry.name.startsWith('.') || entry.name === 'node_modules') {
+    // Skip hidden files, node_modules and build output
+    if (entry.name.startsWith('.') || entry.name === 'node_modules' ||
+        (entry.isDirectory() && BUILD_DIRECTORIES.includes(entry.name))) {
       continue;
     }
     
@@ -316,9 +320,9 @@ function scanDirectory(dir, depth = 2, currentDepth = 0) {
         result[entry.name] = '[directory]';
       }
     } else {
-      // Only show JavaScript, TypeScript, Rust, and Solidity files
+      // Only show source files and the manifests that configure them
       const ext = path.extname(entry.name).toLowerCase();
-      if (['.js', '.ts', '.jsx', '.tsx', '.rs', '.sol'].includes(ext)) {
+      if (['.js', '.ts', '.jsx', '.tsx', '.rs', '.sol', '.py', '.toml', '.json'].includes(ext)) {
         result[entry.name] = '[file]';
       }
     }
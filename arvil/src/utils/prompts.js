@@ -0,0 +1,235 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+const dotenv = require('dotenv');
+const { scanDirectory } = require('./project');
+const { formatTree } = require('./context');
+
+// Prompt templates: the project's override wins over the global one, which wins over the built-in default
+const BUILT_IN_PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+const GLOBAL_PROMPTS_DIR = path.join(os.homedir(), '.arvil', 'prompts');
+const PROJECT_PROMPTS_DIR = path.join('.arvil', 'prompts');
+
+// Conventions of a project, added to the prompts that have a {{#conventions}} section
+const CONVENTIONS_FILE = path.join('.arvil', 'conventions.md');
+
+const PROMPT_NAMES = ['system', 'agent', 'error-resolver', 'diagnostic-fix', 'file-fences', 'edits'];
+
+// Variables a template can use as {{name}}, or as a {{#name}}...{{/name}} section shown only if it is set
+const PROMPT_VARIABLES = ['chain', 'network', 'framework', 'fileTree', 'conventions', 'fileFenceInstructions', 'editInstructions'];
+
+const CHAIN_NAMES = {
+  solana: 'Solana',
+  ethereum: 'Ethereum',
+  base: 'Base',
+  evm: 'EVM chains (Ethereum, Base)'
+};
+
+// Frameworks recognized by the files at the project root
+const FRAMEWORK_FILES = [
+  { files: ['Anchor.toml'], name: 'Anchor', chain: 'solana' },
+  { files: ['hardhat.config.js', 'hardhat.config.ts', 'hardhat.config.cjs', 'hardhat.config.mjs'], name: 'Hardhat', chain: 'evm' },
+  { files: ['foundry.toml'], name: 'Foundry', chain: 'evm' },
+  { files: ['truffle-config.js', 'truffle.js'], name: 'Truffle', chain: 'evm' }
+];
+
+// How deep and how long the {{fileTree}} of a project gets
+const FILE_TREE_DEPTH = 3;
+const MAX_FILE_TREE_LINES = 150;
+
+/**
+ * Find the template of a prompt
+ * @param {string} name - Prompt name (one of PROMPT_NAMES)
+ * @param {string} projectRoot - Project root (for .arvil/prompts)
+ * @returns {Object} - { name, source: 'project'|'global'|'built-in', path, template }
+ * @throws {Error} - If the prompt name is unknown
+ */
+function loadPromptTemplate(name, projectRoot = process.cwd()) {
+  if (!PROMPT_NAMES.includes(name)) {
+    throw new Error(`Unknown prompt "${name}" (use ${PROMPT_NAMES.join(', ')})`);
+  }
+
+  const candidates = [
+    { source: 'project', path: path.join(projectRoot, PROJECT_PROMPTS_DIR, `${name}.md`) },
+    { source: 'global', path: path.join(GLOBAL_PROMPTS_DIR, `${name}.md`) }
+  ];
+
+  for (const candidate of candidates) {
+    if (!fs.existsSync(candidate.path)) {
+      continue;
+    }
+
+    try {
+      return { name, ...candidate, template: fs.readFileSync(candidate.path, 'utf8') };
+    } catch (error) {
+      console.error(chalk.yellow(`Warning: Could not read the prompt template ${candidate.path}: ${error.message}`));
+    }
+  }
+
+  const builtIn = path.join(BUILT_IN_PROMPTS_DIR, `${name}.md`);
+  return { name, source: 'built-in', path: builtIn, template: fs.readFileSync(builtIn, 'utf8') };
+}
+
+/**
+ * Fill in a template
+ * Variables may be functions, which are only called if the template uses them.
+ * @param {string} template - Template with {{name}} and {{#name}}...{{/name}}
+ * @param {Object} variables - Variable name -> value or function returning it
+ * @returns {string} - The prompt (unknown {{names}} are left as they are)
+ */
+function renderTemplate(template, variables) {
+  const values = new Map();
+  const valueOf = name => {
+    if (!values.has(name)) {
+      const value = typeof variables[name] === 'function' ? variables[name]() : variables[name];
+      values.set(name, value === undefined || value === null ? '' : String(value).trim());
+    }
+    return values.get(name);
+  };
+
+  return template
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, body) => (valueOf(name) ? body : ''))
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => (name in variables ? valueOf(name) : match))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Read the settings of a project (.env) and the global settings (~/.arvil.json)
+ * @param {string} projectRoot - Project root
+ * @returns {Object} - { project, global }
+ */
+function readSettings(projectRoot) {
+  const settings = { project: {}, global: {} };
+
+  try {
+    settings.project = dotenv.parse(fs.readFileSync(path.join(projectRoot, '.env'), 'utf8'));
+  } catch (error) {
+    // No .env in this project
+  }
+
+  try {
+    settings.global = fs.readJsonSync(path.join(os.homedir(), '.arvil.json'));
+  } catch (error) {
+    // Not configured yet
+  }
+
+  return settings;
+}
+
+/**
+ * Detect the frameworks of a project from its config files
+ * @param {string} projectRoot - Project root
+ * @returns {Array} - Entries of FRAMEWORK_FILES, plus native Solana programs
+ */
+function detectFrameworks(projectRoot) {
+  const frameworks = FRAMEWORK_FILES.filter(framework => (
+    framework.files.some(file => fs.existsSync(path.join(projectRoot, file)))
+  ));
+
+  const cargoToml = path.join(projectRoot, 'Cargo.toml');
+  if (frameworks.length === 0 && fs.existsSync(cargoToml) && fs.readFileSync(cargoToml, 'utf8').includes('solana-program')) {
+    frameworks.push({ name: 'native Solana programs (Rust)', chain: 'solana' });
+  }
+
+  return frameworks;
+}
+
+/**
+ * Work out which chain a project targets
+ * The project's BLOCKCHAIN_PLATFORM wins, then its frameworks and dependencies, then the global setting.
+ * @param {string} projectRoot - Project root
+ * @param {Object} settings - Settings from readSettings
+ * @param {Array} frameworks - Frameworks from detectFrameworks
+ * @returns {string} - Chain name for the prompt
+ */
+function detectChain(projectRoot, settings, frameworks) {
+  const platform = settings.project.BLOCKCHAIN_PLATFORM;
+  if (platform) {
+    return CHAIN_NAMES[platform] || platform;
+  }
+
+  if (frameworks.length > 0) {
+    return CHAIN_NAMES[frameworks[0].chain];
+  }
+
+  try {
+    const packageJson = fs.readJsonSync(path.join(projectRoot, 'package.json'));
+    const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    if (deps['@solana/web3.js'] || deps['@coral-xyz/anchor'] || deps['@solana/spl-token']) {
+      return CHAIN_NAMES.solana;
+    }
+    if (deps.ethers || deps.web3 || deps.viem || deps['@openzeppelin/contracts']) {
+      return CHAIN_NAMES.evm;
+    }
+  } catch (error) {
+    // Not a Node.js project
+  }
+
+  const globalPlatform = settings.global.BLOCKCHAIN_PLATFORM;
+  return CHAIN_NAMES[globalPlatform] || globalPlatform || 'Solana, Ethereum and Base';
+}
+
+/**
+ * Render the file tree of a project for {{fileTree}}
+ * @param {string} projectRoot - Project root
+ * @returns {string} - Indented tree, cut off after MAX_FILE_TREE_LINES lines
+ */
+function buildFileTree(projectRoot) {
+  const lines = formatTree(scanDirectory(projectRoot, FILE_TREE_DEPTH) || {}).split('\n').filter(Boolean);
+
+  if (lines.length <= MAX_FILE_TREE_LINES) {
+    return lines.join('\n');
+  }
+
+  return [...lines.slice(0, MAX_FILE_TREE_LINES), `... ${lines.length - MAX_FILE_TREE_LINES} more`].join('\n');
+}
+
+/**
+ * Collect the variables of the prompts for a project
+ * @param {string} projectRoot - Project root
+ * @returns {Object} - Variable name -> function returning the value
+ */
+function getPromptVariables(projectRoot = process.cwd()) {
+  const settings = readSettings(projectRoot);
+  const frameworks = detectFrameworks(projectRoot);
+  const conventionsFile = path.join(projectRoot, CONVENTIONS_FILE);
+
+  const variables = {
+    chain: () => detectChain(projectRoot, settings, frameworks),
+    network: () => settings.project.DEFAULT_NETWORK || settings.project.SOLANA_NETWORK || settings.global.DEFAULT_NETWORK || '',
+    framework: () => frameworks.map(framework => framework.name).join(' and '),
+    fileTree: () => buildFileTree(projectRoot),
+    conventions: () => (fs.existsSync(conventionsFile) ? fs.readFileSync(conventionsFile, 'utf8') : ''),
+    fileFenceInstructions: () => renderTemplate(loadPromptTemplate('file-fences', projectRoot).template, nestedVariables()),
+    editInstructions: () => renderTemplate(loadPromptTemplate('edits', projectRoot).template, nestedVariables())
+  };
+
+  // The instruction templates are rendered without themselves, so an override that references them cannot recurse
+  const nestedVariables = () => ({ ...variables, fileFenceInstructions: '', editInstructions: '' });
+
+  return variables;
+}
+
+/**
+ * Render a prompt for a project
+ * @param {string} name - Prompt name (one of PROMPT_NAMES)
+ * @param {string} projectRoot - Project root
+ * @returns {string} - The prompt
+ */
+function renderPrompt(name, projectRoot = process.cwd()) {
+  return renderTemplate(loadPromptTemplate(name, projectRoot).template, getPromptVariables(projectRoot));
+}
+
+module.exports = {
+  PROMPT_NAMES,
+  PROMPT_VARIABLES,
+  PROJECT_PROMPTS_DIR,
+  GLOBAL_PROMPTS_DIR,
+  CONVENTIONS_FILE,
+  loadPromptTemplate,
+  renderTemplate,
+  getPromptVariables,
+  renderPrompt
+};
@@ -0,0 +1,351 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+
+// Key of the token hashes, so a token can't be matched against guessed values elsewhere
+const REDACTION_KEY_FILE = path.join(os.homedir(), '.arvil', 'redaction.key');
+
+// Tokens look like __ARVIL_SECRET_PRIVATE_KEY_3f9a2c1b__: valid in code and shells, and the same for the same value
+const TOKEN_PATTERN = /__ARVIL_SECRET_[A-Z0-9_]+?_[0-9a-f]{8}__/g;
+
+// Environment variables whose values are treated as secrets
+const SECRET_NAME = /KEY|SECRET|TOKEN|PASSWORD|PASSPHRASE|MNEMONIC|SEED|CREDENTIAL|AUTH/i;
+const NON_SECRET_NAME = /_(PATH|FILE|DIR|URL)$/i;
+
+// A 64 byte array, the format of Solana keypair files and Keypair.fromSecretKey
+const SOLANA_KEYPAIR = /\[\s*(?:\d{1,3}\s*,\s*){63}\d{1,3}\s*\]/g;
+
+// 32 bytes of hex where a private key is expected (EVM private keys); the last group is the key
+// Bare 64 hex strings are left alone: most are transaction hashes, sha256 digests or storage slots.
+const HEX_PRIVATE_KEYS = [
+  // privateKey: "0x...", --private-key 0x..., Deployer key: 0x... (not keyHash and the like)
+  /[\w-]*key["']?\s*(?:[:=]\s*|\s+)["']?(0x[0-9a-fA-F]{64})(?![0-9a-zA-Z_])/gi,
+  // PRIVATE_KEY=... also without 0x
+  /\bPRIVATE_?KEY\w*["']?\s*[:=]\s*["']?((?:0x)?[0-9a-fA-F]{64})(?![0-9a-zA-Z_])/gi,
+  // new Wallet("0x..."), accounts: ["0x..."] in Hardhat configs
+  /(?:\bWallet\(\s*|\baccounts\s*:\s*\[\s*)["'](0x[0-9a-fA-F]{64})["']/g
+];
+
+// Runs of 12 or more short lowercase words, checked against the BIP39 wordlist
+const WORD_RUN = /\b(?:[a-z]{3,8}\s+){11,}[a-z]{3,8}\b/g;
+const MNEMONIC_LENGTHS = [24, 21, 18, 15, 12];
+
+// API keys recognised by their format; the last group is the key
+const API_KEY_PATTERNS = [
+  /\b(sk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,})/g,
+  /\b(gh[pousr]_[A-Za-z0-9]{36,})/g,
+  /\b(xox[abpr]-[A-Za-z0-9-]{10,})/g,
+  /\b(AIza[0-9A-Za-z_-]{35})/g,
+  /(?:infura\.io\/v3\/|alchemy\.com\/v2\/|quiknode\.pro\/)([A-Za-z0-9_-]{16,})/g,
+  /[?&](?:api[-_]?key|apikey|token)=([A-Za-z0-9_-]{16,})/gi,
+  // apiKey: "...", PRIVATE_KEY = '...'
+  /(?:api[_-]?key|apikey|secret|token|password|private[_-]?key)\w*["']?\s*[:=]\s*(["'])([^"'\s]{8,})\1/gi,
+  // API_KEY=... lines of .env files and shell exports
+  /^\s*(?:export\s+)?\w*(?:API_?KEY|SECRET|TOKEN|PASSWORD|PRIVATE_?KEY|MNEMONIC)\w*=([^\s"'#]{8,})/gim
+];
+
+// Example values that are safe to send
+const PLACEHOLDER_VALUE = /^(your|<|\[|x{4,}|placeholder|example|changeme|process\.env)|your_|_here$/i;
+
+let bip39Wordlist = null;
+let ethersMnemonic = null;
+
+/**
+ * Load the BIP39 English wordlist from ethers on first use
+ * @returns {Object} - { wordlist, Mnemonic }
+ */
+function loadWordlist() {
+  if (!bip39Wordlist) {
+    const { LangEn, Mnemonic } = require('ethers');
+    bip39Wordlist = LangEn.wordlist();
+    ethersMnemonic = Mnemonic;
+  }
+
+  return { wordlist: bip39Wordlist, Mnemonic: ethersMnemonic };
+}
+
+/**
+ * Read the key of the token hashes, creating it on first use
+ * @returns {Buffer} - The key
+ */
+function getRedactionKey() {
+  try {
+    if (fs.existsSync(REDACTION_KEY_FILE)) {
+      return Buffer.from(fs.readFileSync(REDACTION_KEY_FILE, 'utf8').trim(), 'hex');
+    }
+
+    const key = crypto.randomBytes(32);
+    fs.outputFileSync(REDACTION_KEY_FILE, key.toString('hex'), { mode: 0o600 });
+    return key;
+  } catch (error) {
+    // Tokens are then only stable within this run
+    return crypto.randomBytes(32);
+  }
+}
+
+/**
+ * Check whether an environment variable looks like it holds a secret
+ * @param {string} name - Variable name
+ * @param {string} value - Variable value
+ * @returns {boolean} - True if the value should be redacted
+ */
+function isSecretVariable(name, value) {
+  return Boolean(value) &&
+    value.length >= 8 &&
+    SECRET_NAME.test(name) &&
+    !NON_SECRET_NAME.test(name) &&
+    !/^[/~.]/.test(value) &&
+    !PLACEHOLDER_VALUE.test(value);
+}
+
+/**
+ * Check whether a value looks random enough to be a key (letters and digits, no spaces)
+ * @param {string} value - The value
+ * @returns {boolean} - True for values like "a8Fq02kLm3..."
+ */
+function looksRandom(value) {
+  return value.length >= 16 &&
+    /^[A-Za-z0-9_+/=-]+$/.test(value) &&
+    /[0-9]/.test(value) &&
+    /[A-Za-z]/.test(value) &&
+    !PLACEHOLDER_VALUE.test(value);
+}
+
+/**
+ * Create a redactor that knows the secrets of the environment and the project's .env file
+ * @param {Object} options - Options
+ * @param {string} options.projectRoot - Directory with the .env file
+ * @param {Object} options.env - Environment variables (default: process.env)
+ * @param {Buffer} options.key - Key of the token hashes (default: ~/.arvil/redaction.key)
+ * @returns {Object} - Redactor for redactSecrets and restoreSecrets
+ */
+function createRedactor({ projectRoot = process.cwd(), env = process.env, key } = {}) {
+  const redactor = {
+    key: key || getRedactionKey(),
+    // token -> value and value -> token
+    secrets: new Map(),
+    tokens: new Map()
+  };
+
+  Object.entries(env).forEach(([name, value]) => {
+    if (isSecretVariable(name, value)) {
+      addSecret(redactor, value, name);
+    }
+  });
+
+  const envFile = path.join(projectRoot, '.env');
+  if (fs.existsSync(envFile)) {
+    try {
+      Object.entries(dotenv.parse(fs.readFileSync(envFile, 'utf8'))).forEach(([name, value]) => {
+        if (isSecretVariable(name, value) || looksRandom(value)) {
+          addSecret(redactor, value, name);
+        }
+      });
+    } catch (error) {
+      // An unreadable .env file has nothing to redact
+    }
+  }
+
+  return redactor;
+}
+
+/**
+ * Register a secret and get its token
+ * @param {Object} redactor - Redactor from createRedactor
+ * @param {string} value - The secret
+ * @param {string} label - What it is (PRIVATE_KEY, an environment variable name, ...)
+ * @returns {string} - The token that replaces it
+ */
+function addSecret(redactor, value, label) {
+  if (redactor.tokens.has(value)) {
+    return redactor.tokens.get(value);
+  }
+
+  const name = label.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'VALUE';
+  const hash = crypto.createHmac('sha256', redactor.key).update(value).digest('hex').slice(0, 8);
+  const token = `__ARVIL_SECRET_${name}_${hash}__`;
+
+  redactor.secrets.set(token, value);
+  redactor.tokens.set(value, token);
+  return token;
+}
+
+/**
+ * Find the BIP39 mnemonics in a text
+ * @param {string} text - The text
+ * @returns {Array} - { start, end, value } of each phrase with a valid checksum
+ */
+function findMnemonics(text) {
+  const found = [];
+  const runs = [...text.matchAll(WORD_RUN)];
+  if (runs.length === 0) {
+    return found;
+  }
+
+  const { wordlist, Mnemonic } = loadWordlist();
+
+  runs.forEach(run => {
+    const words = [...run[0].matchAll(/[a-z]+/g)].map(word => ({
+      word: word[0],
+      start: run.index + word.index,
+      end: run.index + word.index + word[0].length,
+      known: wordlist.getWordIndex(word[0]) >= 0
+    }));
+
+    let i = 0;
+    while (i <= words.length - 12) {
+      const size = MNEMONIC_LENGTHS.find(length => (
+        i + length <= words.length &&
+        words.slice(i, i + length).every(word => word.known) &&
+        Mnemonic.isValidMnemonic(words.slice(i, i + length).map(word => word.word).join(' '))
+      ));
+
+      if (size) {
+        found.push({ start: words[i].start, end: words[i + size - 1].end, value: text.slice(words[i].start, words[i + size - 1].end) });
+        i += size;
+      } else {
+        i++;
+      }
+    }
+  });
+
+  return found;
+}
+
+/**
+ * Find the secrets in a text by their format
+ * @param {string} text - The text
+ * @returns {Array} - { start, end, value, label } sorted by position, without overlaps
+ */
+function findSecrets(text) {
+  const matches = [];
+
+  for (const match of text.matchAll(SOLANA_KEYPAIR)) {
+    if (match[0].match(/\d+/g).every(byte => Number(byte) <= 255)) {
+      matches.push({ start: match.index, end: match.index + match[0].length, value: match[0], label: 'SOLANA_KEYPAIR' });
+    }
+  }
+
+  HEX_PRIVATE_KEYS.forEach(pattern => {
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index + match[0].lastIndexOf(match[1]);
+      matches.push({ start, end: start + match[1].length, value: match[1], label: 'PRIVATE_KEY' });
+    }
+  });
+
+  findMnemonics(text).forEach(mnemonic => matches.push({ ...mnemonic, label: 'MNEMONIC' }));
+
+  API_KEY_PATTERNS.forEach(pattern => {
+    for (const match of text.matchAll(pattern)) {
+      const value = match[match.length - 1];
+      if (PLACEHOLDER_VALUE.test(value) || value.includes('__ARVIL_SECRET_')) {
+        continue;
+      }
+
+      const start = match.index + match[0].lastIndexOf(value);
+      matches.push({ start, end: start + value.length, value, label: 'API_KEY' });
+    }
+  });
+
+  // Keep the first (and then longest) match where matches overlap
+  matches.sort((a, b) => a.start - b.start || b.end - a.end);
+  return matches.filter((match, i) => !matches.slice(0, i).some(other => other.end > match.start && other.start <= match.start));
+}
+
+/**
+ * Replace the secrets in a text with their tokens
+ * Known secrets (environment, .env, values entered by the user) are replaced first, then anything
+ * that looks like a keypair, private key, mnemonic or API key is registered and replaced.
+ * @param {Object} redactor - Redactor from createRedactor
+ * @param {string} text - The text
+ * @returns {string} - The text without secrets
+ */
+function redactSecrets(redactor, text) {
+  if (!redactor || typeof text !== 'string' || text.length === 0) {
+    return text;
+  }
+
+  let redacted = text;
+  [...redactor.tokens.keys()]
+    .sort((a, b) => b.length - a.length)
+    .forEach(value => {
+      if (redacted.includes(value)) {
+        redacted = redacted.split(value).join(redactor.tokens.get(value));
+      }
+    });
+
+  const tokens = [...redacted.matchAll(TOKEN_PATTERN)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+  const secrets = findSecrets(redacted)
+    .filter(secret => !tokens.some(token => token.end > secret.start && token.start < secret.end));
+
+  let result = '';
+  let position = 0;
+  secrets.forEach(secret => {
+    result += redacted.slice(position, secret.start) + addSecret(redactor, secret.value, secret.label);
+    position = secret.end;
+  });
+
+  return result + redacted.slice(position);
+}
+
+/**
+ * Put the real values back in place of their tokens
+ * @param {Object} redactor - Redactor from createRedactor
+ * @param {string} text - Text that may contain tokens
+ * @returns {string} - The text with secrets
+ */
+function restoreSecrets(redactor, text) {
+  if (!redactor || typeof text !== 'string') {
+    return text;
+  }
+
+  return text.replace(TOKEN_PATTERN, token => (redactor.secrets.has(token) ? redactor.secrets.get(token) : token));
+}
+
+/**
+ * Find tokens that this redactor can't restore (from another machine, or a value it never saw)
+ * @param {Object} redactor - Redactor from createRedactor
+ * @param {string} text - Text that may contain tokens
+ * @returns {Array} - The unknown tokens
+ */
+function findUnknownTokens(redactor, text) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+
+  return [...new Set(text.match(TOKEN_PATTERN) || [])].filter(token => !redactor || !redactor.secrets.has(token));
+}
+
+/**
+ * Redact every string in a value (messages, session entries, reports)
+ * @param {Object} redactor - Redactor from createRedactor
+ * @param {*} value - Any JSON value
+ * @returns {*} - A copy without secrets
+ */
+function redactDeep(redactor, value) {
+  if (typeof value === 'string') {
+    return redactSecrets(redactor, value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactDeep(redactor, item));
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactDeep(redactor, item)]));
+  }
+
+  return value;
+}
+
+module.exports = {
+  createRedactor,
+  addSecret,
+  findSecrets,
+  redactSecrets,
+  restoreSecrets,
+  findUnknownTokens,
+  redactDeep
+};
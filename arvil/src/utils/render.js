@@ -0,0 +1,68 @@
+const chalk = require('chalk');
+
+const FENCE_LINE = /^\s*```/;
+
+/**
+ * Create a renderer that prints streamed Markdown as it arrives, highlighting code fences
+ * Text is written as soon as it can't be the start of a fence line, so prose appears
+ * token by token while fences are recognised line by line.
+ * @param {Function} write - Output function, defaults to stdout
+ * @returns {Object} - { write(chunk), end() }
+ */
+function createMarkdownRenderer(write = text => process.stdout.write(text)) {
+  let inFence = false;
+  // Start of the current line, held back while it could still become a fence
+  let pending = '';
+  // Whether part of the current line has already been written
+  let lineStarted = false;
+
+  const styleText = text => (inFence ? chalk.green(text) : text);
+
+  const writeLine = text => {
+    if (!lineStarted && FENCE_LINE.test(text)) {
+      inFence = !inFence;
+      write(`${chalk.gray(text)}\n`);
+    } else {
+      write(`${styleText(text)}\n`);
+    }
+    lineStarted = false;
+  };
+
+  return {
+    write(chunk) {
+      const lines = (pending + chunk).split('\n');
+      pending = '';
+
+      const partial = lines.pop();
+      lines.forEach(writeLine);
+
+      if (!partial) {
+        return;
+      }
+
+      // Hold back anything that may still turn into ``` at the start of the line
+      const trimmed = partial.trimStart();
+      if (!lineStarted && (trimmed.length < 3 ? '```'.startsWith(trimmed) : trimmed.startsWith('```'))) {
+        pending = partial;
+        return;
+      }
+
+      write(styleText(partial));
+      lineStarted = true;
+    },
+
+    end() {
+      if (pending) {
+        writeLine(pending);
+        pending = '';
+      } else if (lineStarted) {
+        write('\n');
+        lineStarted = false;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createMarkdownRenderer
+};
@@ -0,0 +1,197 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Bumped when fields of the JSON report change meaning
+const REPORT_VERSION = 1;
+
+/**
+ * Create an empty execution report for an assist run
+ * @param {Object} meta - Run details
+ * @param {string} meta.sessionId - Id of the assist session
+ * @param {string} meta.projectName - Name of the project
+ * @param {string} meta.projectPath - Project root
+ * @param {string} meta.mode - assist, plan or agent
+ * @returns {Object} - The report
+ */
+function createReport(meta) {
+  return {
+    version: REPORT_VERSION,
+    session: meta.sessionId,
+    project: { name: meta.projectName, path: meta.projectPath },
+    mode: meta.mode,
+    startTime: new Date().toISOString(),
+    endTime: null,
+    totals: {
+      commands: { executed: 0, successful: 0, failed: 0 },
+      files: { created: 0, updated: 0, failed: 0 },
+      errors: { detected: 0, resolved: 0, unresolved: 0 },
+      fixAttempts: 0
+    },
+    usage: {},
+    turns: []
+  };
+}
+
+/**
+ * Add a turn to a report and update the totals
+ * @param {Object} report - Report from createReport (modified in place)
+ * @param {Object} turn - { query, startTime, endTime, durationMs, commands, files, failedFiles,
+ *   conflicts, errors, fixAttempts, resolutions, policyDecisions, usage }
+ */
+function addReportTurn(report, turn) {
+  report.turns.push(turn);
+  report.endTime = turn.endTime;
+
+  const { totals } = report;
+  totals.commands.executed += turn.commands.length;
+  totals.commands.successful += turn.commands.filter(cmd => cmd.success).length;
+  totals.commands.failed += turn.commands.filter(cmd => !cmd.success).length;
+  totals.files.created += turn.files.filter(file => file.action === 'created').length;
+  totals.files.updated += turn.files.filter(file => file.action === 'updated').length;
+  totals.files.failed += turn.failedFiles.length;
+  totals.errors.detected += turn.errors.detected;
+  totals.errors.resolved += turn.errors.resolved;
+  totals.errors.unresolved += turn.errors.unresolved;
+  totals.fixAttempts += turn.fixAttempts;
+
+  Object.entries(turn.usage).forEach(([model, usage]) => {
+    const total = report.usage[model] || { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    Object.keys(total).forEach(key => {
+      total[key] += usage[key] || 0;
+    });
+    report.usage[model] = total;
+  });
+}
+
+/**
+ * Format a duration for people
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Like "850ms" or "12.4s"
+ */
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Format a report as Markdown for code review
+ * @param {Object} report - Report from createReport
+ * @returns {string} - Markdown document
+ */
+function formatReportMarkdown(report) {
+  const { totals } = report;
+  const lines = [
+    '# ARVIL execution report',
+    '',
+    `- Project: ${report.project.name} (${report.project.path})`,
+    `- Session: ${report.session} (${report.mode})`,
+    `- Started: ${report.startTime}`,
+    `- Finished: ${report.endTime || 'not finished'}`,
+    '',
+    '## Summary',
+    '',
+    '| | Total |',
+    '|---|---|',
+    `| Commands | ${totals.commands.executed} (${totals.commands.successful} succeeded, ${totals.commands.failed} failed) |`,
+    `| Files | ${totals.files.created} created, ${totals.files.updated} updated, ${totals.files.failed} failed |`,
+    `| Errors | ${totals.errors.detected} detected, ${totals.errors.resolved} resolved, ${totals.errors.unresolved} unresolved |`,
+    `| Fix attempts | ${totals.fixAttempts} |`,
+    ''
+  ];
+
+  const models = Object.entries(report.usage);
+  if (models.length > 0) {
+    lines.push('## Model usage', '', '| Model | Requests | Prompt tokens | Completion tokens | Total tokens |', '|---|---|---|---|---|');
+    models.forEach(([model, usage]) => {
+      lines.push(`| ${model} | ${usage.requests} | ${usage.promptTokens} | ${usage.completionTokens} | ${usage.totalTokens} |`);
+    });
+    lines.push('');
+  }
+
+  report.turns.forEach((turn, i) => {
+    lines.push(`## Turn ${i + 1}: ${turn.query.split('\n')[0]}`, '', `Duration: ${formatDuration(turn.durationMs)}`, '');
+
+    if (turn.commands.length > 0) {
+      lines.push('### Commands', '', '| Command | Directory | Exit code | Duration |', '|---|---|---|---|');
+      turn.commands.forEach(cmd => {
+        const exitCode = cmd.exitCode === null ? (cmd.signal || 'n/a') : cmd.exitCode;
+        const directory = cmd.cwd ? path.relative(report.project.path, cmd.cwd) || '.' : '';
+        lines.push(`| \`${cmd.command.replace(/\|/g, '\\|')}\` | ${directory} | ${exitCode} | ${formatDuration(cmd.durationMs)} |`);
+      });
+      lines.push('');
+    }
+
+    if (turn.files.length > 0 || turn.failedFiles.length > 0) {
+      lines.push('### Files', '');
+      turn.files.forEach(file => {
+        lines.push(`#### ${file.action}: \`${file.path}\``, '', '```diff', file.diff.trimEnd(), '```', '');
+      });
+      turn.failedFiles.forEach(file => {
+        lines.push(`- failed: \`${file}\``);
+      });
+      turn.conflicts.forEach(conflict => {
+        lines.push('', `Patch conflict in \`${conflict.file}\`:`, '', '```', conflict.report, '```');
+      });
+      if (turn.failedFiles.length > 0 || turn.conflicts.length > 0) {
+        lines.push('');
+      }
+    }
+
+    if (turn.resolutions.length > 0) {
+      lines.push(`### Error resolution (${turn.fixAttempts} fix attempts)`, '');
+      turn.resolutions.forEach(chain => {
+        lines.push(`- \`${chain.command}\`: ${chain.status} (${chain.error})`);
+        chain.steps.forEach(step => {
+          const actions = [...step.commands.map(command => `\`${command}\``), ...step.files];
+          const result = step.verified ? 'verified' : `still failing: ${step.error || 'not verified'}`;
+          lines.push(`  ${step.attempt}. ${step.fix || 'no fix applied'}${actions.length ? ` (${actions.join(', ')})` : ''}: ${result}`);
+        });
+      });
+      lines.push('');
+    }
+
+    if (turn.policyDecisions.length > 0) {
+      lines.push('### Command policy', '');
+      turn.policyDecisions.forEach(decision => {
+        const rule = decision.rule ? `${decision.source} rule \`${decision.rule}\`, ` : '';
+        lines.push(`- ${decision.outcome}: \`${decision.command}\` (${rule}${decision.reason})`);
+      });
+      lines.push('');
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Get the JSON and Markdown paths of a report
+ * "report", "report.json" and "report.md" all give report.json and report.md.
+ * @param {string} reportPath - Path given with --report
+ * @returns {Object} - { json, markdown } absolute paths
+ */
+function getReportPaths(reportPath) {
+  const resolved = path.resolve(reportPath);
+  const base = /\.(json|md)$/i.test(resolved) ? resolved.replace(/\.(json|md)$/i, '') : resolved;
+  return { json: `${base}.json`, markdown: `${base}.md` };
+}
+
+/**
+ * Write a report as JSON and Markdown
+ * @param {string} reportPath - Path given with --report
+ * @param {Object} report - Report from createReport
+ * @returns {Object} - { json, markdown } paths that were written
+ */
+function writeReport(reportPath, report) {
+  const paths = getReportPaths(reportPath);
+  fs.outputJsonSync(paths.json, report, { spaces: 2 });
+  fs.outputFileSync(paths.markdown, formatReportMarkdown(report));
+  return paths;
+}
+
+module.exports = {
+  createReport,
+  addReportTurn,
+  formatReportMarkdown,
+  formatDuration,
+  getReportPaths,
+  writeReport
+};
@@ -0,0 +1,270 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { STOP_WORDS, estimateTokens, listProjectFiles, readProjectFile } = require('./context');
+
+// The search index is cached per project under .arvil/
+const SEARCH_INDEX_FILE = path.join('.arvil', 'search.json');
+const SEARCH_INDEX_VERSION = 1;
+
+// Files are split into overlapping chunks of lines
+const CHUNK_LINES = 40;
+const CHUNK_OVERLAP = 10;
+
+// Number of chunks assist adds to a question, overridable with ARVIL_SEARCH_RESULTS
+const DEFAULT_SEARCH_RESULTS = 5;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Split text into search terms
+ * Identifiers are indexed whole and by their camelCase and snake_case parts.
+ * @param {string} text - Text to tokenize
+ * @returns {Array} - Lower-case terms (with repetitions)
+ */
+function tokenize(text) {
+  const terms = [];
+
+  for (const word of text.match(/[A-Za-z0-9_]+/g) || []) {
+    const parts = word.split(/_+|(?<=[a-z0-9])(?=[A-Z])/).map(part => part.toLowerCase());
+    const candidates = new Set([word.toLowerCase(), ...parts]);
+
+    candidates.forEach(term => {
+      if (term.length >= 2 && !/^\d+$/.test(term) && !STOP_WORDS.has(term)) {
+        terms.push(term);
+      }
+    });
+  }
+
+  return terms;
+}
+
+/**
+ * Split a file into chunks with term frequencies
+ * @param {string} content - File content
+ * @returns {Array} - Chunks: { start, end, length, terms: { term: frequency } }
+ */
+function chunkFile(content) {
+  const lines = content.split('\n');
+  const chunks = [];
+
+  for (let start = 0; start < lines.length; start += CHUNK_LINES - CHUNK_OVERLAP) {
+    const end = Math.min(start + CHUNK_LINES, lines.length);
+    const tokens = tokenize(lines.slice(start, end).join('\n'));
+
+    if (tokens.length > 0) {
+      const terms = {};
+      tokens.forEach(term => {
+        terms[term] = (terms[term] || 0) + 1;
+      });
+      chunks.push({ start: start + 1, end, length: tokens.length, terms });
+    }
+
+    if (end === lines.length) {
+      break;
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Load the cached search index of a project
+ * @param {string} root - Project root
+ * @returns {Object|null} - The index, or null if there is none (or it is outdated)
+ */
+function loadSearchIndex(root) {
+  try {
+    const index = JSON.parse(fs.readFileSync(path.join(root, SEARCH_INDEX_FILE), 'utf8'));
+    return index.version === SEARCH_INDEX_VERSION ? index : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build or refresh the search index of a project
+ * Only files whose modification time changed since the last run are read again.
+ * @param {string} root - Project root
+ * @param {Object} options - Index options
+ * @param {boolean} options.force - Read every file again
+ * @returns {Object} - { index, stats: { indexed, reused, removed } }
+ */
+function updateSearchIndex(root, options = {}) {
+  const previous = options.force ? null : loadSearchIndex(root);
+  const previousFiles = previous ? previous.files : {};
+  const files = {};
+  const stats = { indexed: 0, reused: 0, removed: 0 };
+
+  for (const file of listProjectFiles(root)) {
+    let stat;
+    try {
+      stat = fs.statSync(path.join(root, file));
+    } catch (error) {
+      continue;
+    }
+
+    const cached = previousFiles[file];
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      files[file] = cached;
+      stats.reused++;
+      continue;
+    }
+
+    const content = readProjectFile(root, file);
+    if (content === null) {
+      continue;
+    }
+
+    files[file] = { mtimeMs: stat.mtimeMs, size: stat.size, chunks: chunkFile(content) };
+    stats.indexed++;
+  }
+
+  stats.removed = Object.keys(previousFiles).filter(file => !files[file]).length;
+
+  const index = {
+    version: SEARCH_INDEX_VERSION,
+    updatedAt: new Date().toISOString(),
+    files
+  };
+
+  // Nothing changed: keep the file on disk as it is
+  if (stats.indexed > 0 || stats.removed > 0 || !previous) {
+    fs.outputFileSync(path.join(root, SEARCH_INDEX_FILE), JSON.stringify(index));
+  }
+
+  return { index, stats };
+}
+
+/**
+ * Rank the chunks of the index against a query with BM25
+ * Overlapping chunks of the same file are collapsed into the best one.
+ * @param {Object} index - Search index
+ * @param {string} query - Search terms or question
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Maximum number of results
+ * @returns {Array} - Results, best first: { file, start, end, score, matches }
+ */
+function search(index, query, options = {}) {
+  const { limit = DEFAULT_SEARCH_RESULTS } = options;
+  const queryTerms = [...new Set(tokenize(query))];
+  const chunks = [];
+
+  Object.entries(index.files).forEach(([file, entry]) => {
+    entry.chunks.forEach(chunk => chunks.push({ file, chunk }));
+  });
+
+  if (queryTerms.length === 0 || chunks.length === 0) {
+    return [];
+  }
+
+  const averageLength = chunks.reduce((total, { chunk }) => total + chunk.length, 0) / chunks.length;
+  const documentFrequency = {};
+  queryTerms.forEach(term => {
+    documentFrequency[term] = chunks.filter(({ chunk }) => chunk.terms[term]).length;
+  });
+
+  const scored = [];
+  for (const { file, chunk } of chunks) {
+    let score = 0;
+    const matches = [];
+
+    queryTerms.forEach(term => {
+      const frequency = chunk.terms[term];
+      if (!frequency) {
+        return;
+      }
+
+      const df = documentFrequency[term];
+      const idf = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+      score += idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * chunk.length / averageLength));
+      matches.push(term);
+    });
+
+    if (score > 0) {
+      scored.push({ file, start: chunk.start, end: chunk.end, score, matches });
+    }
+  }
+
+  scored.sort((a, b) => b.score - a.score);
+
+  const results = [];
+  for (const result of scored) {
+    const overlaps = results.some(kept => kept.file === result.file &&
+      result.start <= kept.end && kept.start <= result.end);
+
+    if (!overlaps) {
+      results.push(result);
+    }
+    if (results.length >= limit) {
+      break;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Read the lines of a search result
+ * @param {string} root - Project root
+ * @param {Object} result - Result from search
+ * @returns {string|null} - The chunk text, or null if the file can't be read
+ */
+function readResult(root, result) {
+  const content = readProjectFile(root, result.file);
+  if (content === null) {
+    return null;
+  }
+  return content.split('\n').slice(result.start - 1, result.end).join('\n');
+}
+
+/**
+ * Build the search context for a question: the top chunks of the project
+ * @param {string} root - Project root
+ * @param {string} query - The user's question
+ * @param {Object} options - Context options
+ * @param {number} options.budget - Token budget
+ * @param {number} options.limit - Maximum number of chunks
+ * @param {Function} options.skip - Return true for chunks that shouldn't be included (key, text)
+ * @returns {Object} - { text, tokens, chunks: [{ key, result, text }] }
+ */
+function buildSearchContext(root, query, options = {}) {
+  const { budget, skip = () => false } = options;
+  const limit = options.limit || parseInt(process.env.ARVIL_SEARCH_RESULTS, 10) || DEFAULT_SEARCH_RESULTS;
+  const { index } = updateSearchIndex(root);
+  const chunks = [];
+  let remaining = budget;
+
+  for (const result of search(index, query, { limit })) {
+    const text = readResult(root, result);
+    const key = `${result.file}:${result.start}-${result.end}`;
+    if (text === null || skip(key, text)) {
+      continue;
+    }
+
+    const language = path.extname(result.file).slice(1);
+    const section = `Excerpt of ${result.file} (lines ${result.start}-${result.end}):\n\`\`\`${language}\n${text}\n\`\`\`\n`;
+    if (estimateTokens(section) > remaining) {
+      continue;
+    }
+
+    chunks.push({ key, result, text, section });
+    remaining -= estimateTokens(section);
+  }
+
+  return {
+    text: chunks.map(chunk => chunk.section).join('\n'),
+    tokens: budget - remaining,
+    chunks
+  };
+}
+
+module.exports = {
+  SEARCH_INDEX_FILE,
+  tokenize,
+  updateSearchIndex,
+  search,
+  readResult,
+  buildSearchContext
+};
@@ -0,0 +1,338 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const chalk = require('chalk');
+
+// Assist sessions are stored per project under ~/.arvil/sessions/<project-key>/<id>.json
+const SESSIONS_DIR = path.join(os.homedir(), '.arvil', 'sessions');
+
+// File snapshots for `arvil undo` hold real file contents (.env included), so they are kept
+// next to the session in <id>.snapshots.json, readable only by the current user
+const SNAPSHOTS_SUFFIX = '.snapshots.json';
+
+/**
+ * Get the storage key for a project path
+ * @param {string} projectPath - Absolute path to the project
+ * @returns {string} - Directory-safe key, e.g. "my-token-3f2a9c1b"
+ */
+function getProjectKey(projectPath) {
+  const normalizedPath = path.normalize(projectPath);
+  const name = path.basename(normalizedPath).replace(/[^a-zA-Z0-9._-]/g, '_') || 'root';
+  const hash = crypto.createHash('sha1').update(normalizedPath).digest('hex').slice(0, 8);
+  return `${name}-${hash}`;
+}
+
+/**
+ * Generate a sortable session id
+ * @returns {string} - Session id, e.g. "20240501-142233-a1b2"
+ */
+function generateSessionId() {
+  const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${timestamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Create a new, empty session
+ * @param {string} projectPath - Absolute path to the project (or working directory)
+ * @param {string} projectName - Display name of the project
+ * @returns {Object} - The session
+ */
+function createSession(projectPath, projectName = path.basename(projectPath)) {
+  const now = new Date().toISOString();
+
+  return {
+    id: generateSessionId(),
+    title: '',
+    projectPath: path.normalize(projectPath),
+    projectName,
+    createdAt: now,
+    updatedAt: now,
+    messages: [],
+    codeBlocks: [],
+    commands: [],
+    files: [],
+    snapshots: [],
+    policyDecisions: [],
+    resolutions: []
+  };
+}
+
+/**
+ * Get the file a session is stored in
+ * @param {Object} session - The session
+ * @returns {string} - Absolute path to the session file
+ */
+function getSessionFile(session) {
+  return path.join(SESSIONS_DIR, getProjectKey(session.projectPath), `${session.id}.json`);
+}
+
+/**
+ * Get the file the snapshots of a session are stored in
+ * @param {Object} session - The session
+ * @returns {string} - Absolute path to the snapshots file
+ */
+function getSnapshotsFile(session) {
+  return path.join(SESSIONS_DIR, getProjectKey(session.projectPath), `${session.id}${SNAPSHOTS_SUFFIX}`);
+}
+
+/**
+ * Write a session to disk
+ * Its snapshots go to a separate file with mode 0600; the session file never holds them.
+ * @param {Object} session - The session to save
+ */
+function saveSession(session) {
+  session.updatedAt = new Date().toISOString();
+  const { snapshots, ...saved } = session;
+
+  try {
+    const sessionFile = getSessionFile(session);
+    fs.ensureDirSync(path.dirname(sessionFile));
+    fs.writeFileSync(sessionFile, JSON.stringify(saved, null, 2), 'utf8');
+
+    if (snapshots) {
+      const snapshotsFile = getSnapshotsFile(session);
+      fs.writeFileSync(snapshotsFile, JSON.stringify(snapshots, null, 2), { encoding: 'utf8', mode: 0o600 });
+      // The mode only applies to new files
+      fs.chmodSync(snapshotsFile, 0o600);
+    }
+  } catch (error) {
+    console.error(chalk.yellow(`Warning: Could not save session: ${error.message}`));
+  }
+}
+
+/**
+ * Read the file snapshots of a session
+ * @param {Object} session - The session
+ * @returns {Array} - Snapshots ([] if the session wrote no files)
+ */
+function loadSnapshots(session) {
+  const snapshotsFile = getSnapshotsFile(session);
+
+  if (fs.existsSync(snapshotsFile)) {
+    try {
+      return JSON.parse(fs.readFileSync(snapshotsFile, 'utf8'));
+    } catch (error) {
+      console.error(chalk.yellow(`Warning: Could not read the snapshots of session ${session.id}: ${error.message}`));
+      return [];
+    }
+  }
+
+  // Sessions saved before snapshots had their own file
+  return Array.isArray(session.snapshots) ? session.snapshots : [];
+}
+
+/**
+ * Hash file contents, to tell later whether a file still holds what assist wrote
+ * @param {string} content - The contents
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Check whether `arvil undo` already reverted a snapshot
+ * Sessions undone before snapshots were marked one by one only have the session's undoneAt,
+ * which covers the snapshots taken before it.
+ * @param {Object} session - The session
+ * @param {Object} snapshot - One of its snapshots
+ * @returns {boolean} - True if the snapshot was reverted
+ */
+function isSnapshotUndone(session, snapshot) {
+  if (snapshot.undoneAt) {
+    return true;
+  }
+
+  return Boolean(session.undoneAt && snapshot.timestamp <= session.undoneAt);
+}
+
+/**
+ * List the session files for one project or for all projects
+ * @param {string|null} projectPath - Project to list sessions for, or null for all projects
+ * @returns {Array} - Absolute paths of session files
+ */
+function listSessionFiles(projectPath = null) {
+  if (!fs.existsSync(SESSIONS_DIR)) {
+    return [];
+  }
+
+  const projectDirs = projectPath
+    ? [path.join(SESSIONS_DIR, getProjectKey(projectPath))]
+    : fs.readdirSync(SESSIONS_DIR).map(dir => path.join(SESSIONS_DIR, dir));
+
+  const files = [];
+  for (const dir of projectDirs) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+      continue;
+    }
+
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json') && !file.endsWith(SNAPSHOTS_SUFFIX))
+      .forEach(file => files.push(path.join(dir, file)));
+  }
+
+  return files;
+}
+
+/**
+ * Read a session file
+ * @param {string} sessionFile - Absolute path to the session file
+ * @returns {Object|null} - The session or null if it can't be read
+ */
+function readSessionFile(sessionFile) {
+  try {
+    return JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
+  } catch (error) {
+    console.error(chalk.yellow(`Warning: Could not read session ${path.basename(sessionFile)}: ${error.message}`));
+    return null;
+  }
+}
+
+/**
+ * List sessions, newest first
+ * @param {string|null} projectPath - Project to list sessions for, or null for all projects
+ * @returns {Array} - Sessions
+ */
+function listSessions(projectPath = null) {
+  return listSessionFiles(projectPath)
+    .map(readSessionFile)
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Load a session by id or unique id prefix
+ * The current project is searched first, then all projects.
+ * @param {string} id - Session id or prefix
+ * @param {string|null} projectPath - Current project path
+ * @returns {Object|null} - The session or null if not found
+ */
+function loadSession(id, projectPath = null) {
+  const searchOrder = projectPath ? [projectPath, null] : [null];
+
+  for (const searchPath of searchOrder) {
+    const files = listSessionFiles(searchPath);
+    const exact = files.find(file => path.basename(file, '.json') === id);
+    if (exact) {
+      return readSessionFile(exact);
+    }
+
+    const matches = files.filter(file => path.basename(file, '.json').startsWith(id));
+    if (matches.length === 1) {
+      return readSessionFile(matches[0]);
+    }
+
+    if (matches.length > 1) {
+      throw new Error(`Session id "${id}" is ambiguous (${matches.length} matches)`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the most recent session of a project
+ * @param {string} projectPath - Project path
+ * @returns {Object|null} - The newest session or null if there are none
+ */
+function getLatestSession(projectPath) {
+  return listSessions(projectPath)[0] || null;
+}
+
+/**
+ * Get the text of a message for display
+ * Agent replies that only call tools have no content; their tool calls are listed instead.
+ * @param {Object} message - A chat message
+ * @returns {string} - The content, followed by one line per tool call
+ */
+function formatMessageContent(message) {
+  const calls = (message.tool_calls || [])
+    .map(call => `→ ${call.function.name}(${call.function.arguments || ''})`);
+  return [message.content, ...calls].filter(Boolean).join('\n');
+}
+
+/**
+ * Render a session as Markdown
+ * @param {Object} session - The session to render
+ * @returns {string} - Markdown document
+ */
+function formatSessionMarkdown(session) {
+  const lines = [
+    `# ARVIL session ${session.id}`,
+    '',
+    `- Project: ${session.projectName} (${session.projectPath})`,
+    `- Started: ${session.createdAt}`,
+    `- Last updated: ${session.updatedAt}`,
+    ''
+  ];
+
+  const labels = { assistant: 'ARVIL', tool: 'Tool result' };
+  lines.push('## Conversation', '');
+  session.messages
+    .filter(message => message.role !== 'system')
+    .forEach(message => {
+      lines.push(`### ${labels[message.role] || 'User'}`, '', formatMessageContent(message), '');
+    });
+
+  if (session.commands.length > 0) {
+    lines.push('## Commands', '');
+    session.commands.forEach(cmd => {
+      lines.push(`### \`${cmd.command}\` — ${cmd.success ? 'succeeded' : 'failed'} (${cmd.timestamp})`, '');
+      if (cmd.stdout && cmd.stdout.trim()) {
+        lines.push('stdout:', '', '```', cmd.stdout.trim(), '```', '');
+      }
+      if (cmd.stderr && cmd.stderr.trim()) {
+        lines.push('stderr:', '', '```', cmd.stderr.trim(), '```', '');
+      }
+    });
+  }
+
+  if (session.files.length > 0) {
+    lines.push('## Files', '');
+    session.files.forEach(file => {
+      lines.push(`- ${file.action}: \`${file.path}\` (${file.timestamp})`);
+    });
+    lines.push('');
+  }
+
+  const policyDecisions = session.policyDecisions || [];
+  if (policyDecisions.length > 0) {
+    lines.push('## Command policy', '');
+    policyDecisions.forEach(decision => {
+      const rule = decision.rule ? `${decision.source} rule \`${decision.rule}\`, ` : '';
+      lines.push(`- ${decision.outcome}: \`${decision.command}\` (${rule}${decision.reason})`);
+    });
+    lines.push('');
+  }
+
+  const resolutions = session.resolutions || [];
+  if (resolutions.length > 0) {
+    lines.push('## Error resolution', '');
+    resolutions.forEach(chain => {
+      lines.push(`- \`${chain.command}\`: ${chain.status} (${chain.error})`);
+      chain.steps.forEach(step => {
+        const actions = [...step.commands.map(command => `\`${command}\``), ...step.files];
+        const result = step.verified ? 'verified' : `still failing: ${step.error || 'not verified'}`;
+        lines.push(`  ${step.attempt}. ${step.fix}${actions.length ? ` (${actions.join(', ')})` : ''}: ${result}`);
+      });
+    });
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  SESSIONS_DIR,
+  createSession,
+  saveSession,
+  loadSession,
+  loadSnapshots,
+  hashContent,
+  isSnapshotUndone,
+  listSessions,
+  getLatestSession,
+  formatMessageContent,
+  formatSessionMarkdown
+};
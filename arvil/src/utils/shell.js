@@ -0,0 +1,343 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+
+// Variables the shell sets on its own, which are not carried over to the next command
+const VOLATILE_VARIABLES = ['_', 'SHLVL', 'PWD'];
+
+// Characters of stdout, stderr and their interleaved output kept per command
+const OUTPUT_TAIL_LENGTH = 64 * 1024;
+
+// Time a stopped command gets between SIGTERM and SIGKILL
+const KILL_GRACE_PERIOD = 2000;
+
+// Number of commands run in this process, for unique state file names
+let commandCount = 0;
+
+/**
+ * Create a shell session: the working directory and exported variables of one assist run
+ * @param {string} cwd - Directory the first command runs in
+ * @returns {Object} - { startCwd, cwd, exports, unset }
+ */
+function createShellSession(cwd = process.cwd()) {
+  return {
+    startCwd: cwd,
+    cwd,
+    exports: {},
+    unset: []
+  };
+}
+
+/**
+ * Get the environment for the next command of a session
+ * Variables set in process.env later on (like keys from the vault) are picked up too.
+ * @param {Object} session - Session from createShellSession
+ * @param {Object} baseEnv - Environment of the assist process
+ * @returns {Object} - The environment
+ */
+function getSessionEnv(session, baseEnv = process.env) {
+  const env = { ...baseEnv, ...session.exports, PWD: session.cwd };
+  session.unset.forEach(name => delete env[name]);
+  return env;
+}
+
+/**
+ * Quote a string for a POSIX shell
+ * @param {string} value - The string
+ * @returns {string} - The string in single quotes
+ */
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Wrap a command so the shell writes its directory and environment to a file when it exits
+ * The exit status of the command is kept, also when it calls `exit` itself. The file can hold
+ * secrets from the environment, so only the current user can read it. Where `env` has no -0
+ * (older BSD and busybox builds), Node prints the environment instead.
+ * @param {string} command - The command
+ * @param {string} stateFile - File for the directory and environment (NUL separated)
+ * @returns {string} - The wrapped command
+ */
+function wrapCommand(command, stateFile) {
+  const printEnv = `${shellQuote(process.execPath)} -e ${shellQuote('process.stdout.write(Object.entries(process.env).map(entry => entry.join("=") + String.fromCharCode(0)).join(""))')}`;
+  const saveState = `__arvil_status=$?; umask 077; { printf '%s\\0' "$(pwd)"; env -0 2>/dev/null || ${printEnv}; } > ${shellQuote(stateFile)}; exit $__arvil_status`;
+  return `trap ${shellQuote(saveState)} EXIT\n${command}`;
+}
+
+/**
+ * Start the shell that runs a command
+ * POSIX systems run it in /bin/sh, wrapped to save the session state. Windows has no /bin/sh:
+ * the command runs in cmd.exe (ComSpec), and `cd` and `set` don't carry over to the next command.
+ * @param {string} command - The command
+ * @param {string} stateFile - File for the state of the session
+ * @param {Object} options - Options for spawn (cwd, env, stdio)
+ * @returns {ChildProcess} - The shell
+ */
+function spawnShell(command, stateFile, options) {
+  if (process.platform === 'win32') {
+    return spawn(command, [], { ...options, shell: true });
+  }
+
+  // Its own process group, so the command and its children can be stopped together
+  return spawn('/bin/sh', ['-c', wrapCommand(command, stateFile)], { ...options, detached: true });
+}
+
+/**
+ * Read the state file written by a wrapped command
+ * @param {string} stateFile - The state file
+ * @returns {Object|null} - { cwd, env }, or null if the shell didn't write it
+ */
+function readShellState(stateFile) {
+  let content;
+  try {
+    content = fs.readFileSync(stateFile, 'utf8');
+  } catch (error) {
+    return null;
+  }
+
+  const [cwd, ...entries] = content.split('\0').filter(Boolean);
+  const env = {};
+  entries.forEach(entry => {
+    const separator = entry.indexOf('=');
+    if (separator > 0) {
+      env[entry.slice(0, separator)] = entry.slice(separator + 1);
+    }
+  });
+
+  return cwd ? { cwd, env } : null;
+}
+
+/**
+ * Remember the directory and variable changes of a command for the next ones
+ * @param {Object} session - Session from createShellSession
+ * @param {Object} before - Environment the command started with
+ * @param {Object} state - State from readShellState
+ */
+function updateSession(session, before, state) {
+  session.cwd = state.cwd;
+
+  Object.entries(state.env).forEach(([name, value]) => {
+    if (!VOLATILE_VARIABLES.includes(name) && before[name] !== value) {
+      session.exports[name] = value;
+      session.unset = session.unset.filter(unsetName => unsetName !== name);
+    }
+  });
+
+  Object.keys(before).forEach(name => {
+    if (!VOLATILE_VARIABLES.includes(name) && !(name in state.env)) {
+      delete session.exports[name];
+      if (!session.unset.includes(name)) {
+        session.unset.push(name);
+      }
+    }
+  });
+}
+
+/**
+ * Keep the end of a growing text
+ * @param {string} text - Text so far
+ * @param {string} chunk - New output
+ * @returns {string} - The last OUTPUT_TAIL_LENGTH characters
+ */
+function appendTail(text, chunk) {
+  const combined = text + chunk;
+  return combined.length > OUTPUT_TAIL_LENGTH ? combined.slice(-OUTPUT_TAIL_LENGTH) : combined;
+}
+
+/**
+ * Send a signal to a process and everything it started (its process group)
+ * @param {number} pid - Process id of the group leader
+ * @param {string} signal - Signal name
+ * @returns {boolean} - False if the process group is gone already
+ */
+function signalProcessGroup(pid, signal) {
+  try {
+    process.kill(process.platform === 'win32' ? pid : -pid, signal);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Stop a command and everything it started, but not ARVIL itself
+ * @param {Object} child - The child process
+ */
+function killProcessGroup(child) {
+  signalProcessGroup(child.pid, 'SIGTERM');
+
+  // Give the command a moment to clean up, then force it
+  setTimeout(() => {
+    if (child.exitCode === null && child.signalCode === null) {
+      signalProcessGroup(child.pid, 'SIGKILL');
+    }
+  }, KILL_GRACE_PERIOD).unref();
+}
+
+/**
+ * Run a command in a shell session, so `cd` and `export` carry over to the next command
+ * Output is passed on while the command runs; only its tail is kept.
+ * @param {Object} session - Session from createShellSession
+ * @param {string} command - The command
+ * @param {Object} options - Run options
+ * @param {number} options.timeout - Stop the command after this many milliseconds (0: no limit)
+ * @param {AbortSignal} options.signal - Stops the command when aborted (Ctrl+C)
+ * @param {Function} options.onStdout - Called with each stdout chunk
+ * @param {Function} options.onStderr - Called with each stderr chunk
+ * @returns {Promise<Object>} - { stdout, stderr, output, cwd } (output interleaves both streams),
+ *                              rejected with an error that has the same fields and code, signal,
+ *                              timedOut and cancelled
+ */
+function runInSession(session, command, options = {}) {
+  // A directory removed by an earlier command can't be entered anymore
+  if (!fs.existsSync(session.cwd)) {
+    session.cwd = session.startCwd;
+  }
+
+  const cwd = session.cwd;
+  const env = getSessionEnv(session);
+  const stateFile = path.join(os.tmpdir(), `arvil-shell-${process.pid}-${++commandCount}`);
+  const result = { stdout: '', stderr: '', output: '', cwd };
+
+  return new Promise((resolve, reject) => {
+    const child = spawnShell(command, stateFile, { cwd, env, stdio: ['ignore', 'pipe', 'pipe'] });
+
+    let timedOut = false;
+    let cancelled = false;
+    let timer = null;
+    let settled = false;
+
+    if (options.timeout > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        killProcessGroup(child);
+      }, options.timeout);
+    }
+
+    const onAbort = () => {
+      cancelled = true;
+      killProcessGroup(child);
+    };
+    if (options.signal) {
+      if (options.signal.aborted) {
+        onAbort();
+      } else {
+        options.signal.addEventListener('abort', onAbort);
+      }
+    }
+
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', chunk => {
+      result.stdout = appendTail(result.stdout, chunk);
+      result.output = appendTail(result.output, chunk);
+      if (options.onStdout) {
+        options.onStdout(chunk);
+      }
+    });
+    child.stderr.on('data', chunk => {
+      result.stderr = appendTail(result.stderr, chunk);
+      result.output = appendTail(result.output, chunk);
+      if (options.onStderr) {
+        options.onStderr(chunk);
+      }
+    });
+
+    const finish = (code, signal, spawnError) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      if (options.signal) {
+        options.signal.removeEventListener('abort', onAbort);
+      }
+
+      const state = readShellState(stateFile);
+      fs.removeSync(stateFile);
+
+      if (state) {
+        updateSession(session, env, state);
+      }
+
+      if (code === 0 && !spawnError) {
+        resolve(result);
+        return;
+      }
+
+      let reason;
+      if (spawnError) {
+        reason = spawnError.message;
+      } else if (timedOut) {
+        reason = `timed out after ${options.timeout / 1000}s`;
+      } else if (cancelled) {
+        reason = 'cancelled';
+      } else {
+        reason = signal ? `killed by ${signal}` : `exit code ${code}`;
+      }
+
+      const error = new Error(`Command failed (${reason}): ${command}`);
+      Object.assign(error, result, { code: spawnError ? spawnError.code : code, signal, timedOut, cancelled });
+      reject(error);
+    };
+
+    child.on('error', error => finish(null, null, error));
+    child.on('close', (code, signal) => finish(code, signal, null));
+  });
+}
+
+/**
+ * Work out the directory a command leaves the shell in, from its `cd` steps
+ * Used to show where planned commands will run; anything unclear keeps the current directory.
+ * @param {string} cwd - Directory the command starts in
+ * @param {string} command - The command
+ * @returns {string} - The directory after the command
+ */
+function predictCwd(cwd, command) {
+  let current = cwd;
+
+  for (const segment of command.split(/&&|;/)) {
+    const match = segment.trim().match(/^cd(?:\s+(.*))?$/);
+    if (!match) {
+      continue;
+    }
+
+    const target = (match[1] || '~').trim().replace(/^(['"])(.*)\1$/, '$2');
+    if (target === '-' || target.includes('$') || target.includes('`')) {
+      return current;
+    }
+
+    current = target.startsWith('~')
+      ? path.join(os.homedir(), target.slice(1))
+      : path.resolve(current, target);
+  }
+
+  return current;
+}
+
+/**
+ * Format a directory for display, relative to where the session started
+ * @param {string} cwd - The directory
+ * @param {string} startCwd - Directory the session started in
+ * @returns {string} - '.', a relative path, or the absolute path if it is outside
+ */
+function formatCwd(cwd, startCwd) {
+  const relative = path.relative(startCwd, cwd);
+
+  if (!relative) {
+    return '.';
+  }
+
+  return relative.startsWith('..') || path.isAbsolute(relative) ? cwd : relative;
+}
+
+module.exports = {
+  createShellSession,
+  getSessionEnv,
+  runInSession,
+  signalProcessGroup,
+  predictCwd,
+  formatCwd
+};
@@ -0,0 +1,718 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { estimateTokens, listProjectFiles } = require('./context');
+
+// The symbol index is cached per project under .arvil/
+const INDEX_FILE = path.join('.arvil', 'index.json');
+const INDEX_VERSION = 1;
+
+// Grammar package for each indexed extension (null: always use the built-in parser)
+const LANGUAGES = {
+  '.rs': 'tree-sitter-rust',
+  '.js': 'tree-sitter-javascript',
+  '.jsx': 'tree-sitter-javascript',
+  '.mjs': 'tree-sitter-javascript',
+  '.cjs': 'tree-sitter-javascript',
+  '.ts': null,
+  '.tsx': null,
+  '.py': 'tree-sitter-python',
+  '.sol': null
+};
+
+// Lazily created tree-sitter parsers per grammar (false: not available)
+const parsers = {};
+
+/**
+ * Get a tree-sitter parser for a grammar, if tree-sitter is installed
+ * @param {string|null} grammar - Grammar package name
+ * @returns {Object|null} - The parser or null to use the built-in parser
+ */
+function getParser(grammar) {
+  if (!grammar) {
+    return null;
+  }
+
+  if (parsers[grammar] === undefined) {
+    try {
+      const Parser = require('tree-sitter');
+      const parser = new Parser();
+      parser.setLanguage(require(grammar));
+      parsers[grammar] = parser;
+    } catch (error) {
+      // Native modules that failed to build are not an error, the built-in parser takes over
+      parsers[grammar] = false;
+    }
+  }
+
+  return parsers[grammar] || null;
+}
+
+/**
+ * Create a symbol record
+ * @param {string} kind - Symbol kind
+ * @param {string} name - Symbol name
+ * @param {Array} lines - Lines of the file
+ * @param {number} line - First line (1-based)
+ * @param {number} endLine - Last line (1-based)
+ * @param {Object} extra - Additional fields (container, exported)
+ * @returns {Object} - { kind, name, line, endLine, signature, ... }
+ */
+function createSymbol(kind, name, lines, line, endLine, extra = {}) {
+  return {
+    kind,
+    name,
+    line,
+    endLine,
+    signature: (lines[line - 1] || '').trim().replace(/\s*\{$/, '').substring(0, 120),
+    ...extra
+  };
+}
+
+/**
+ * Find the first named child of a syntax node with one of the given types
+ * @param {Object} node - tree-sitter node
+ * @param {Array} types - Node types
+ * @returns {Object|null} - The child node
+ */
+function findChild(node, types) {
+  return node.namedChildren.find(child => types.includes(child.type)) || null;
+}
+
+/**
+ * Collect Rust symbols from a tree-sitter node
+ * Functions inside a #[program] module are Anchor instructions, structs deriving
+ * Accounts are instruction account contexts and #[account] structs are account types.
+ * @param {Object} node - Node whose children are items
+ * @param {Array} lines - Lines of the file
+ * @param {Array} symbols - Collected symbols (modified in place)
+ * @param {Object} scope - { program, container }
+ */
+function collectRustSymbols(node, lines, symbols, scope = {}) {
+  let attributes = [];
+
+  for (const child of node.namedChildren) {
+    if (child.type === 'attribute_item') {
+      attributes.push(child.text);
+      continue;
+    }
+
+    const nameNode = findChild(child, ['identifier', 'type_identifier']);
+    const name = nameNode ? nameNode.text : null;
+    const line = child.startPosition.row + 1;
+    const endLine = child.endPosition.row + 1;
+    const extra = scope.container ? { container: scope.container } : {};
+
+    switch (child.type) {
+      case 'function_item': {
+        let kind = 'function';
+        if (scope.program) {
+          kind = 'instruction';
+        } else if (scope.impl) {
+          kind = 'method';
+        }
+        symbols.push(createSymbol(kind, name, lines, line, endLine, extra));
+        break;
+      }
+      case 'struct_item': {
+        let kind = 'struct';
+        if (attributes.some(attribute => /derive\([^)]*\bAccounts\b/.test(attribute))) {
+          kind = 'accounts';
+        } else if (attributes.some(attribute => /^#\[account\b/.test(attribute))) {
+          kind = 'account';
+        }
+        symbols.push(createSymbol(kind, name, lines, line, endLine, extra));
+        break;
+      }
+      case 'enum_item':
+        symbols.push(createSymbol(
+          attributes.some(attribute => /^#\[error_code\b/.test(attribute)) ? 'error' : 'enum',
+          name, lines, line, endLine, extra
+        ));
+        break;
+      case 'trait_item':
+        symbols.push(createSymbol('trait', name, lines, line, endLine, extra));
+        break;
+      case 'mod_item': {
+        const program = attributes.some(attribute => /^#\[program\]/.test(attribute));
+        symbols.push(createSymbol(program ? 'program' : 'module', name, lines, line, endLine, extra));
+        const body = findChild(child, ['declaration_list']);
+        if (body) {
+          collectRustSymbols(body, lines, symbols, { program, container: name });
+        }
+        break;
+      }
+      case 'impl_item': {
+        const body = findChild(child, ['declaration_list']);
+        const typeNode = findChild(child, ['type_identifier', 'generic_type']);
+        if (body) {
+          collectRustSymbols(body, lines, symbols, { impl: true, container: typeNode ? typeNode.text : null });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+
+    attributes = [];
+  }
+}
+
+/**
+ * Collect JavaScript symbols from a tree-sitter node
+ * @param {Object} node - Program node
+ * @param {Array} lines - Lines of the file
+ * @param {Array} symbols - Collected symbols (modified in place)
+ */
+function collectJavaScriptSymbols(node, lines, symbols) {
+  const exportedNames = new Set();
+
+  const addDeclaration = (declaration, exported) => {
+    const line = declaration.startPosition.row + 1;
+    const endLine = declaration.endPosition.row + 1;
+
+    if (declaration.type === 'function_declaration' || declaration.type === 'generator_function_declaration') {
+      const nameNode = findChild(declaration, ['identifier']);
+      if (nameNode) {
+        symbols.push(createSymbol('function', nameNode.text, lines, line, endLine, { exported }));
+      }
+    } else if (declaration.type === 'class_declaration') {
+      const nameNode = findChild(declaration, ['identifier']);
+      if (nameNode) {
+        symbols.push(createSymbol('class', nameNode.text, lines, line, endLine, { exported }));
+      }
+    } else if (declaration.type === 'lexical_declaration' || declaration.type === 'variable_declaration') {
+      declaration.namedChildren
+        .filter(declarator => declarator.type === 'variable_declarator')
+        .forEach(declarator => {
+          const nameNode = findChild(declarator, ['identifier']);
+          const value = findChild(declarator, ['arrow_function', 'function', 'function_expression']);
+          if (nameNode && value) {
+            symbols.push(createSymbol('function', nameNode.text, lines, line, endLine, { exported }));
+          }
+        });
+    }
+  };
+
+  for (const child of node.namedChildren) {
+    if (child.type === 'export_statement') {
+      const declaration = findChild(child, [
+        'function_declaration', 'generator_function_declaration', 'class_declaration',
+        'lexical_declaration', 'variable_declaration'
+      ]);
+      if (declaration) {
+        addDeclaration(declaration, true);
+      }
+      continue;
+    }
+
+    if (child.type === 'expression_statement') {
+      // module.exports = { a, b }, module.exports = fn and exports.name = ...
+      const assignment = findChild(child, ['assignment_expression']);
+      const target = assignment && findChild(assignment, ['member_expression']);
+      if (!target) {
+        continue;
+      }
+
+      const value = assignment.namedChildren[1];
+      if (target.text === 'module.exports' && value) {
+        if (value.type === 'object') {
+          value.namedChildren.forEach(property => {
+            const key = property.type === 'pair' ? property.namedChildren[0] : property;
+            exportedNames.add(key.text);
+          });
+        } else if (value.type === 'identifier') {
+          exportedNames.add(value.text);
+        }
+      } else if (/^(module\.)?exports\.\w+$/.test(target.text) && value &&
+                 ['arrow_function', 'function', 'function_expression'].includes(value.type)) {
+        const name = target.text.split('.').pop();
+        symbols.push(createSymbol('function', name, lines, child.startPosition.row + 1, child.endPosition.row + 1, { exported: true }));
+      }
+      continue;
+    }
+
+    addDeclaration(child, false);
+  }
+
+  markExported(symbols, exportedNames);
+}
+
+/**
+ * Collect Python symbols from a tree-sitter node
+ * @param {Object} node - Module or block node
+ * @param {Array} lines - Lines of the file
+ * @param {Array} symbols - Collected symbols (modified in place)
+ * @param {string|null} container - Enclosing class
+ */
+function collectPythonSymbols(node, lines, symbols, container = null) {
+  for (const child of node.namedChildren) {
+    const definition = child.type === 'decorated_definition'
+      ? findChild(child, ['function_definition', 'class_definition'])
+      : child;
+
+    if (!definition || !['function_definition', 'class_definition'].includes(definition.type)) {
+      continue;
+    }
+
+    const nameNode = findChild(definition, ['identifier']);
+    if (!nameNode) {
+      continue;
+    }
+
+    const line = definition.startPosition.row + 1;
+    const endLine = definition.endPosition.row + 1;
+    const extra = container ? { container } : {};
+
+    if (definition.type === 'class_definition') {
+      symbols.push(createSymbol('class', nameNode.text, lines, line, endLine, extra));
+      const body = findChild(definition, ['block']);
+      if (body) {
+        collectPythonSymbols(body, lines, symbols, nameNode.text);
+      }
+    } else {
+      symbols.push(createSymbol(container ? 'method' : 'function', nameNode.text, lines, line, endLine, extra));
+    }
+  }
+}
+
+/**
+ * Mark symbols listed in module.exports as exported
+ * @param {Array} symbols - Symbols of a file
+ * @param {Set} exportedNames - Exported names
+ */
+function markExported(symbols, exportedNames) {
+  symbols.forEach(symbol => {
+    if (exportedNames.has(symbol.name)) {
+      symbol.exported = true;
+    }
+  });
+}
+
+/**
+ * Find the last line of a brace-delimited definition
+ * @param {Array} lines - Lines of the file
+ * @param {number} start - Index of the first line (0-based)
+ * @returns {number} - Last line (1-based)
+ */
+function findBlockEnd(lines, start) {
+  let depth = 0;
+  let opened = false;
+
+  for (let i = start; i < lines.length; i++) {
+    // Ignore braces in strings and line comments
+    const code = lines[i].replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`(?:[^`\\]|\\.)*`|\/\/.*$/g, '');
+
+    for (const char of code) {
+      if (char === '{') {
+        depth++;
+        opened = true;
+      } else if (char === '}') {
+        depth--;
+      }
+    }
+
+    if (opened && depth <= 0) {
+      return i + 1;
+    }
+
+    // Declarations without a body, e.g. `pub struct Marker;`
+    if (!opened && /;\s*$/.test(code)) {
+      return i + 1;
+    }
+  }
+
+  return lines.length;
+}
+
+/**
+ * Find the last line of an indented Python block
+ * @param {Array} lines - Lines of the file
+ * @param {number} start - Index of the first line (0-based)
+ * @returns {number} - Last line (1-based)
+ */
+function findIndentedBlockEnd(lines, start) {
+  const indent = lines[start].match(/^\s*/)[0].length;
+  let end = start;
+
+  for (let i = start + 1; i < lines.length; i++) {
+    if (!lines[i].trim()) {
+      continue;
+    }
+    if (lines[i].match(/^\s*/)[0].length <= indent) {
+      break;
+    }
+    end = i;
+  }
+
+  return end + 1;
+}
+
+/**
+ * Extract symbols with regular expressions when tree-sitter is not available
+ * @param {string} extension - File extension
+ * @param {Array} lines - Lines of the file
+ * @returns {Array} - Symbols
+ */
+function extractSymbolsWithRegex(extension, lines) {
+  const symbols = [];
+
+  if (extension === '.rs') {
+    let attributes = [];
+    let depth = 0;
+    let programDepth = null;
+    let programName = null;
+
+    lines.forEach((text, i) => {
+      const attribute = text.match(/^\s*(#\[.*\])\s*$/);
+      if (attribute) {
+        attributes.push(attribute[1]);
+        return;
+      }
+
+      const item = text.match(/^\s*(?:pub(?:\([^)]*\))?\s+)?(?:async\s+|unsafe\s+|const\s+)*(fn|struct|enum|trait|mod)\s+(\w+)/);
+      if (item) {
+        const [, keyword, name] = item;
+        const endLine = findBlockEnd(lines, i);
+        let kind = keyword === 'fn' ? 'function' : keyword;
+        let extra = {};
+
+        if (keyword === 'fn' && programDepth !== null && depth === programDepth + 1) {
+          kind = 'instruction';
+          extra = { container: programName };
+        } else if (keyword === 'struct' && attributes.some(a => /derive\([^)]*\bAccounts\b/.test(a))) {
+          kind = 'accounts';
+        } else if (keyword === 'struct' && attributes.some(a => /^#\[account\b/.test(a))) {
+          kind = 'account';
+        } else if (keyword === 'enum' && attributes.some(a => /^#\[error_code\b/.test(a))) {
+          kind = 'error';
+        } else if (keyword === 'mod') {
+          kind = attributes.some(a => /^#\[program\]/.test(a)) ? 'program' : 'module';
+          if (kind === 'program') {
+            programDepth = depth;
+            programName = name;
+          }
+        }
+
+        symbols.push(createSymbol(kind, name, lines, i + 1, endLine, extra));
+      }
+
+      if (text.trim()) {
+        attributes = [];
+      }
+
+      const code = text.replace(/"(?:[^"\\]|\\.)*"|\/\/.*$/g, '');
+      depth += (code.match(/\{/g) || []).length - (code.match(/\}/g) || []).length;
+      if (programDepth !== null && depth <= programDepth && code.includes('}')) {
+        programDepth = null;
+      }
+    });
+  } else if (['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'].includes(extension)) {
+    const exportedNames = new Set();
+    const patterns = [
+      { regex: /^(export\s+(?:default\s+)?)?(?:async\s+)?function\s*\*?\s*(\w+)/, kind: 'function' },
+      { regex: /^(export\s+(?:default\s+)?)?(?:abstract\s+)?class\s+(\w+)/, kind: 'class' },
+      { regex: /^(export\s+)?(?:const|let|var)\s+(\w+)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|\w+\s*=>)/, kind: 'function' },
+      { regex: /^(export\s+)?(?:interface|type)\s+(\w+)/, kind: 'type' }
+    ];
+
+    lines.forEach((text, i) => {
+      for (const { regex, kind } of patterns) {
+        const match = text.match(regex);
+        if (match) {
+          symbols.push(createSymbol(kind, match[2], lines, i + 1, findBlockEnd(lines, i), { exported: !!match[1] }));
+          return;
+        }
+      }
+
+      const exportsObject = text.match(/^module\.exports\s*=\s*\{([^}]*)\}?/);
+      if (exportsObject) {
+        // The object may span several lines
+        const body = lines.slice(i, findBlockEnd(lines, i)).join(' ').replace(/^[^{]*\{|\}[^}]*$/g, '');
+        body.split(',').forEach(entry => exportedNames.add(entry.split(':')[0].trim()));
+        return;
+      }
+
+      const exportsName = text.match(/^module\.exports\s*=\s*(\w+)\s*;?\s*$/);
+      if (exportsName) {
+        exportedNames.add(exportsName[1]);
+        return;
+      }
+
+      const exportsProperty = text.match(/^(?:module\.)?exports\.(\w+)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|\w+\s*=>)/);
+      if (exportsProperty) {
+        symbols.push(createSymbol('function', exportsProperty[1], lines, i + 1, findBlockEnd(lines, i), { exported: true }));
+      }
+    });
+
+    markExported(symbols, exportedNames);
+  } else if (extension === '.py') {
+    let currentClass = null;
+    let classIndent = -1;
+
+    lines.forEach((text, i) => {
+      const match = text.match(/^(\s*)(?:async\s+)?(def|class)\s+(\w+)/);
+      if (!match) {
+        return;
+      }
+
+      const indent = match[1].length;
+      if (indent <= classIndent) {
+        currentClass = null;
+        classIndent = -1;
+      }
+
+      const endLine = findIndentedBlockEnd(lines, i);
+      if (match[2] === 'class') {
+        symbols.push(createSymbol('class', match[3], lines, i + 1, endLine));
+        currentClass = match[3];
+        classIndent = indent;
+      } else {
+        symbols.push(createSymbol(currentClass ? 'method' : 'function', match[3], lines, i + 1, endLine,
+          currentClass ? { container: currentClass } : {}));
+      }
+    });
+  } else if (extension === '.sol') {
+    let currentContract = null;
+
+    lines.forEach((text, i) => {
+      const contract = text.match(/^\s*(?:abstract\s+)?(contract|interface|library)\s+(\w+)/);
+      if (contract) {
+        currentContract = contract[2];
+        symbols.push(createSymbol(contract[1], contract[2], lines, i + 1, findBlockEnd(lines, i)));
+        return;
+      }
+
+      const member = text.match(/^\s*(function|modifier|event|struct|error|enum)\s+(\w+)/);
+      if (member) {
+        symbols.push(createSymbol(member[1], member[2], lines, i + 1, findBlockEnd(lines, i),
+          currentContract ? { container: currentContract } : {}));
+      }
+    });
+  }
+
+  return symbols;
+}
+
+/**
+ * Extract the symbols of a source file
+ * @param {string} filePath - File path (used for the language)
+ * @param {string} source - File content
+ * @returns {Object} - { parser: 'tree-sitter'|'regex', symbols }
+ */
+function extractSymbols(filePath, source) {
+  const extension = path.extname(filePath).toLowerCase();
+  const lines = source.split('\n');
+  const parser = getParser(LANGUAGES[extension]);
+
+  if (parser) {
+    try {
+      const tree = parser.parse(source, null, { bufferSize: source.length * 2 + 1 });
+      const symbols = [];
+
+      if (extension === '.rs') {
+        collectRustSymbols(tree.rootNode, lines, symbols);
+      } else if (extension === '.py') {
+        collectPythonSymbols(tree.rootNode, lines, symbols);
+      } else {
+        collectJavaScriptSymbols(tree.rootNode, lines, symbols);
+      }
+
+      return { parser: 'tree-sitter', symbols };
+    } catch (error) {
+      // Fall back to the built-in parser
+    }
+  }
+
+  return { parser: 'regex', symbols: extractSymbolsWithRegex(extension, lines) };
+}
+
+/**
+ * Get the path of a project's symbol index
+ * @param {string} root - Project root
+ * @returns {string} - Absolute path of the index file
+ */
+function getIndexFile(root) {
+  return path.join(root, INDEX_FILE);
+}
+
+/**
+ * Load the cached symbol index of a project
+ * @param {string} root - Project root
+ * @returns {Object|null} - The index, or null if there is none (or it is outdated)
+ */
+function loadIndex(root) {
+  try {
+    const index = JSON.parse(fs.readFileSync(getIndexFile(root), 'utf8'));
+    return index.version === INDEX_VERSION ? index : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build or refresh the symbol index of a project
+ * Only files whose modification time changed since the last run are parsed again.
+ * @param {string} root - Project root
+ * @param {Object} options - Index options
+ * @param {boolean} options.force - Parse every file again
+ * @returns {Object} - { index, stats: { parsed, reused, removed, parsers } }
+ */
+function buildIndex(root, options = {}) {
+  const previous = options.force ? null : loadIndex(root);
+  const previousFiles = previous ? previous.files : {};
+  const files = {};
+  const stats = { parsed: 0, reused: 0, removed: 0, parsers: { 'tree-sitter': 0, regex: 0 } };
+
+  for (const file of listProjectFiles(root)) {
+    if (!(path.extname(file).toLowerCase() in LANGUAGES)) {
+      continue;
+    }
+
+    let stat;
+    try {
+      stat = fs.statSync(path.join(root, file));
+    } catch (error) {
+      continue;
+    }
+
+    const cached = previousFiles[file];
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      files[file] = cached;
+      stats.reused++;
+      stats.parsers[cached.parser]++;
+      continue;
+    }
+
+    const { parser, symbols } = extractSymbols(file, fs.readFileSync(path.join(root, file), 'utf8'));
+    files[file] = { mtimeMs: stat.mtimeMs, size: stat.size, parser, symbols };
+    stats.parsed++;
+    stats.parsers[parser]++;
+  }
+
+  stats.removed = Object.keys(previousFiles).filter(file => !files[file]).length;
+
+  const index = {
+    version: INDEX_VERSION,
+    updatedAt: new Date().toISOString(),
+    files
+  };
+
+  // Nothing changed: keep the file on disk as it is
+  if (stats.parsed > 0 || stats.removed > 0 || !previous) {
+    fs.outputFileSync(getIndexFile(root), JSON.stringify(index, null, 2));
+  }
+
+  return { index, stats };
+}
+
+/**
+ * Describe a symbol for the outline
+ * @param {Object} symbol - The symbol
+ * @returns {string} - e.g. "instruction withdraw :12" or "export function deploy :3"
+ */
+function describeSymbol(symbol) {
+  const name = symbol.container && ['method', 'function'].includes(symbol.kind)
+    ? `${symbol.container}::${symbol.name}`
+    : symbol.name;
+  return `${symbol.exported ? 'export ' : ''}${symbol.kind} ${name} :${symbol.line}`;
+}
+
+/**
+ * Render the index as an outline of the codebase
+ * @param {Object} index - Symbol index
+ * @returns {string} - One file per line followed by its indented symbols
+ */
+function formatOutline(index) {
+  return Object.keys(index.files)
+    .sort()
+    .filter(file => index.files[file].symbols.length > 0)
+    .map(file => [file, ...index.files[file].symbols.map(symbol => `  ${describeSymbol(symbol)}`)].join('\n'))
+    .join('\n');
+}
+
+/**
+ * Find the symbols a question refers to by name
+ * @param {Object} index - Symbol index
+ * @param {string} query - The user's question
+ * @returns {Array} - Symbols with their file: { ...symbol, file }
+ */
+function findReferencedSymbols(index, query) {
+  const words = new Set(query.match(/[A-Za-z_][A-Za-z0-9_]{2,}/g) || []);
+  const referenced = [];
+
+  Object.entries(index.files).forEach(([file, entry]) => {
+    entry.symbols
+      .filter(symbol => words.has(symbol.name))
+      .forEach(symbol => referenced.push({ ...symbol, file }));
+  });
+
+  // Prefer the smallest definitions so several fit into the budget
+  return referenced.sort((a, b) => (a.endLine - a.line) - (b.endLine - b.line));
+}
+
+/**
+ * Build the symbol context for a question: the code outline and the definitions it refers to
+ * @param {string} root - Project root
+ * @param {Object} index - Symbol index
+ * @param {string} query - The user's question
+ * @param {Object} options - Context options
+ * @param {number} options.budget - Token budget
+ * @param {boolean} options.includeOutline - Include the outline of the codebase
+ * @param {Function} options.skip - Return true for definitions that shouldn't be included (key, text)
+ * @returns {Object} - { text, tokens, definitions: [{ key, symbol, text }] }
+ */
+function buildSymbolContext(root, index, query, options = {}) {
+  const { budget, includeOutline = true, skip = () => false } = options;
+  const definitions = [];
+  let remaining = budget;
+
+  for (const symbol of findReferencedSymbols(index, query)) {
+    let source;
+    try {
+      source = fs.readFileSync(path.join(root, symbol.file), 'utf8');
+    } catch (error) {
+      continue;
+    }
+
+    const code = source.split('\n').slice(symbol.line - 1, symbol.endLine).join('\n');
+    const key = `${symbol.file}#${symbol.name}:${symbol.line}`;
+    if (skip(key, code)) {
+      continue;
+    }
+
+    const language = path.extname(symbol.file).slice(1);
+    const section = `Definition of ${symbol.kind} ${symbol.name} (${symbol.file}, lines ${symbol.line}-${symbol.endLine}):\n\`\`\`${language}\n${code}\n\`\`\`\n`;
+    if (estimateTokens(section) > remaining) {
+      continue;
+    }
+
+    definitions.push({ key, symbol, text: code, section });
+    remaining -= estimateTokens(section);
+  }
+
+  const sections = [];
+  if (includeOutline) {
+    const outline = `Code outline (from the symbol index):\n${formatOutline(index)}\n`;
+    if (estimateTokens(outline) <= remaining) {
+      sections.push(outline);
+      remaining -= estimateTokens(outline);
+    }
+  }
+
+  sections.push(...definitions.map(definition => definition.section));
+
+  return {
+    text: sections.join('\n'),
+    tokens: budget - remaining,
+    definitions
+  };
+}
+
+module.exports = {
+  INDEX_FILE,
+  extractSymbols,
+  loadIndex,
+  buildIndex,
+  formatOutline,
+  buildSymbolContext
+};
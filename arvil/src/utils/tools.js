@@ -0,0 +1,248 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Maximum characters of a file returned by read_file
+const MAX_READ_CHARS = 20000;
+
+// Entries never listed by list_dir
+const HIDDEN_ENTRIES = ['node_modules', '.git', 'target', 'test-ledger', '.anchor', 'artifacts', 'cache'];
+
+// Tools the model can call in agent mode (OpenAI function calling format)
+const AGENT_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'read_file',
+      description: 'Read a file of the project. Returns the content with line numbers.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'File path relative to the project root' },
+          start_line: { type: 'integer', description: 'First line to read (1-based, optional)' },
+          end_line: { type: 'integer', description: 'Last line to read (optional)' }
+        },
+        required: ['path']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'list_dir',
+      description: 'List the files and directories of a project directory.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Directory relative to the project root (default: the root)' },
+          depth: { type: 'integer', description: 'How many levels to list (default: 2)' }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'write_file',
+      description: 'Create a file or replace its whole content. Prefer apply_patch for changes to existing files.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'File path relative to the project root' },
+          content: { type: 'string', description: 'The complete file content' }
+        },
+        required: ['path', 'content']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'apply_patch',
+      description: 'Change part of an existing file with search/replace blocks (<<<<<<< SEARCH / ======= / >>>>>>> REPLACE) or a unified diff.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'File path relative to the project root' },
+          patch: { type: 'string', description: 'Search/replace blocks or a unified diff' }
+        },
+        required: ['path', 'patch']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'run_command',
+      description: 'Run a shell command in the project root and return its exit code and output. Commands must not wait for input.',
+      parameters: {
+        type: 'object',
+        properties: {
+          command: { type: 'string', description: 'The command to run' }
+        },
+        required: ['command']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'run_tests',
+      description: 'Run the test suite of the project (detected from package.json, Anchor.toml, Cargo.toml, foundry.toml or the Hardhat config).',
+      parameters: {
+        type: 'object',
+        properties: {}
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'done',
+      description: 'Finish the task. Call this once the task is complete or cannot be completed.',
+      parameters: {
+        type: 'object',
+        properties: {
+          summary: { type: 'string', description: 'What was done, and anything left for the user' }
+        },
+        required: ['summary']
+      }
+    }
+  }
+];
+
+// Tools that change the project and need approval
+const APPROVAL_TOOLS = ['write_file', 'apply_patch', 'run_command', 'run_tests'];
+
+/**
+ * Resolve a tool path inside the project
+ * @param {string} root - Project root
+ * @param {string} toolPath - Path given by the model
+ * @returns {string} - Absolute path
+ * @throws {Error} - If the path is outside the project
+ */
+function resolveToolPath(root, toolPath = '.') {
+  const absolutePath = path.resolve(root, toolPath);
+  const relativePath = path.relative(root, absolutePath);
+
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    throw new Error(`Path is outside the project: ${toolPath}`);
+  }
+
+  return absolutePath;
+}
+
+/**
+ * read_file: return (part of) a file with line numbers
+ * @param {string} root - Project root
+ * @param {Object} args - { path, start_line, end_line }
+ * @returns {string} - Tool result
+ */
+function readFileTool(root, args) {
+  const filePath = resolveToolPath(root, args.path);
+  if (!fs.existsSync(filePath)) {
+    return `Error: ${args.path} does not exist`;
+  }
+  if (fs.statSync(filePath).isDirectory()) {
+    return `Error: ${args.path} is a directory, use list_dir`;
+  }
+
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  const start = Math.max(1, args.start_line || 1);
+  const end = Math.min(lines.length, args.end_line || lines.length);
+
+  let text = lines
+    .slice(start - 1, end)
+    .map((line, i) => `${String(start + i).padStart(5)} | ${line}`)
+    .join('\n');
+
+  if (text.length > MAX_READ_CHARS) {
+    text = `${text.slice(0, MAX_READ_CHARS)}\n... [truncated, read a smaller line range]`;
+  }
+
+  return `${args.path} (lines ${start}-${end} of ${lines.length}):\n${text}`;
+}
+
+/**
+ * list_dir: list a directory tree
+ * @param {string} root - Project root
+ * @param {Object} args - { path, depth }
+ * @returns {string} - Tool result, one entry per line (directories end with /)
+ */
+function listDirTool(root, args) {
+  const dirPath = resolveToolPath(root, args.path || '.');
+  if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+    return `Error: ${args.path} is not a directory`;
+  }
+
+  const maxDepth = Math.min(Math.max(args.depth || 2, 1), 5);
+  const lines = [];
+
+  const walk = (dir, depth, indent) => {
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => !HIDDEN_ENTRIES.includes(entry.name) && entry.name !== '.arvil')
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      if (lines.length >= 500) {
+        lines.push(`${indent}... (listing truncated)`);
+        return;
+      }
+
+      if (entry.isDirectory()) {
+        lines.push(`${indent}${entry.name}/`);
+        if (depth < maxDepth) {
+          walk(path.join(dir, entry.name), depth + 1, `${indent}  `);
+        }
+      } else {
+        lines.push(`${indent}${entry.name}`);
+      }
+    }
+  };
+
+  walk(dirPath, 1, '');
+  return lines.length > 0 ? lines.join('\n') : '(empty directory)';
+}
+
+/**
+ * Detect the command that runs the tests of a project
+ * @param {string} root - Project root
+ * @returns {string|null} - The test command, or null if none was found
+ */
+function detectTestCommand(root) {
+  if (fs.existsSync(path.join(root, 'Anchor.toml'))) {
+    return 'anchor test';
+  }
+
+  if (fs.existsSync(path.join(root, 'foundry.toml'))) {
+    return 'forge test';
+  }
+
+  if (['hardhat.config.js', 'hardhat.config.ts'].some(file => fs.existsSync(path.join(root, file)))) {
+    return 'npx hardhat test';
+  }
+
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8'));
+    const script = packageJson.scripts && packageJson.scripts.test;
+    if (script && !script.includes('no test specified')) {
+      return 'npm test';
+    }
+  } catch (error) {
+    // No usable package.json
+  }
+
+  if (fs.existsSync(path.join(root, 'Cargo.toml'))) {
+    return 'cargo test';
+  }
+
+  return null;
+}
+
+module.exports = {
+  AGENT_TOOLS,
+  APPROVAL_TOOLS,
+  resolveToolPath,
+  readFileTool,
+  listDirTool,
+  detectTestCommand
+};
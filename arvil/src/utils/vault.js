@@ -0,0 +1,284 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const chalk = require('chalk');
+
+// Secrets are stored encrypted with a key derived from a passphrase (scrypt + AES-256-GCM)
+const VAULT_FILE = path.join(os.homedir(), '.arvil', 'secrets.enc');
+const VAULT_VERSION = 1;
+
+// Non-interactive runs (CI) unlock the vault with this variable instead of a prompt
+const PASSPHRASE_VARIABLE = 'ARVIL_VAULT_PASSPHRASE';
+
+// Cost of the key derivation: about 100ms and 32MB per unlock
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+// Secret names are environment variable names
+const SECRET_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Passphrase and secrets of the vault once it was unlocked in this process
+let unlocked = null;
+
+/**
+ * Check whether the vault file exists
+ * @returns {boolean} - True if secrets were stored before
+ */
+function vaultExists() {
+  return fs.existsSync(VAULT_FILE);
+}
+
+/**
+ * Derive the encryption key from a passphrase
+ * @param {string} passphrase - The vault passphrase
+ * @param {Buffer} salt - Random salt of the vault file
+ * @param {Object} params - scrypt parameters { N, r, p }
+ * @returns {Buffer} - 32 byte key
+ */
+function deriveKey(passphrase, salt, params) {
+  return crypto.scryptSync(passphrase, salt, 32, { ...params, maxmem: SCRYPT_MAXMEM });
+}
+
+/**
+ * Encrypt secrets with a passphrase (a new salt and IV every time)
+ * @param {Object} secrets - { NAME: { value, createdAt, updatedAt } }
+ * @param {string} passphrase - The vault passphrase
+ * @returns {Object} - The vault file contents
+ */
+function encryptSecrets(secrets, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, SCRYPT_PARAMS), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+  return {
+    version: VAULT_VERSION,
+    kdf: { name: 'scrypt', ...SCRYPT_PARAMS, salt: salt.toString('base64') },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt the contents of a vault file
+ * @param {Object} vault - The vault file contents
+ * @param {string} passphrase - The vault passphrase
+ * @returns {Object} - The secrets
+ * @throws {Error} - If the passphrase is wrong or the file was changed
+ */
+function decryptSecrets(vault, passphrase) {
+  if (vault.version !== VAULT_VERSION) {
+    throw new Error(`Unsupported vault version ${vault.version}`);
+  }
+
+  const { N, r, p, salt } = vault.kdf;
+  const key = deriveKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p });
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(vault.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+
+  try {
+    const data = Buffer.concat([decipher.update(Buffer.from(vault.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  } catch (error) {
+    throw new Error('Wrong passphrase, or the vault file was modified');
+  }
+}
+
+/**
+ * Read and decrypt the vault
+ * @param {string} passphrase - The vault passphrase
+ * @returns {Object} - The secrets ({} if there is no vault yet)
+ */
+function readVault(passphrase) {
+  if (!vaultExists()) {
+    return {};
+  }
+
+  return decryptSecrets(fs.readJsonSync(VAULT_FILE), passphrase);
+}
+
+/**
+ * Encrypt and write the vault (readable by the current user only)
+ * @param {Object} secrets - The secrets
+ * @param {string} passphrase - The vault passphrase
+ */
+function writeVault(secrets, passphrase) {
+  fs.ensureDirSync(path.dirname(VAULT_FILE));
+
+  // Write next to the vault first so a failed write never leaves half a file
+  const tempFile = `${VAULT_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(encryptSecrets(secrets, passphrase), null, 2), { mode: 0o600 });
+  fs.renameSync(tempFile, VAULT_FILE);
+
+  if (unlocked) {
+    unlocked = { passphrase, secrets };
+  }
+}
+
+/**
+ * Ask for the vault passphrase
+ * @param {boolean} create - Ask twice, for a new vault or a new passphrase
+ * @returns {string} - The passphrase ('' if the user skipped)
+ */
+async function promptPassphrase(create) {
+  // Loaded here so index.js can unlock the vault without pulling in the prompt library
+  const inquirer = require('inquirer');
+
+  const { passphrase } = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: create ? 'Choose a passphrase for the secrets vault:' : 'Passphrase of the secrets vault (empty to skip):',
+      mask: '*',
+      validate: input => (!create || input.length >= 8 ? true : 'Use at least 8 characters')
+    }
+  ]);
+
+  if (create) {
+    const { confirmation } = await inquirer.prompt([
+      {
+        type: 'password',
+        name: 'confirmation',
+        message: 'Repeat the passphrase:',
+        mask: '*',
+        validate: input => (input === passphrase ? true : 'The passphrases do not match')
+      }
+    ]);
+
+    return confirmation;
+  }
+
+  return passphrase;
+}
+
+/**
+ * Unlock the vault once per process
+ * The passphrase comes from ARVIL_VAULT_PASSPHRASE, or is asked for when prompting is allowed.
+ * @param {Object} options - Options
+ * @param {boolean} options.prompt - Ask for the passphrase if it isn't in the environment (default: true)
+ * @param {boolean} options.create - Create the vault if it doesn't exist yet
+ * @returns {Object|null} - { passphrase, secrets }, or null if the vault is missing or stays locked
+ * @throws {Error} - If the passphrase from the environment is wrong
+ */
+async function unlockVault({ prompt = true, create = false } = {}) {
+  if (unlocked) {
+    return unlocked;
+  }
+
+  const exists = vaultExists();
+  if (!exists && !create) {
+    return null;
+  }
+
+  const fromEnvironment = process.env[PASSPHRASE_VARIABLE];
+  if (fromEnvironment) {
+    unlocked = { passphrase: fromEnvironment, secrets: readVault(fromEnvironment) };
+    return unlocked;
+  }
+
+  if (!prompt) {
+    return null;
+  }
+
+  if (!exists) {
+    console.log(chalk.cyan(`Creating the encrypted secrets vault ${VAULT_FILE}`));
+    unlocked = { passphrase: await promptPassphrase(true), secrets: {} };
+    return unlocked;
+  }
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const passphrase = await promptPassphrase(false);
+    if (!passphrase) {
+      return null;
+    }
+
+    try {
+      unlocked = { passphrase, secrets: readVault(passphrase) };
+      return unlocked;
+    } catch (error) {
+      console.log(chalk.red(`Error: ${error.message}`));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Store a secret in the vault, creating the vault if needed
+ * @param {string} name - Secret name (an environment variable name)
+ * @param {string} value - The secret
+ * @returns {boolean} - True if it was stored
+ */
+async function setSecret(name, value) {
+  if (!SECRET_NAME.test(name)) {
+    throw new Error(`Invalid secret name "${name}" (use letters, digits and underscores)`);
+  }
+
+  const vault = await unlockVault({ create: true });
+  if (!vault) {
+    return false;
+  }
+
+  const now = new Date().toISOString();
+  const previous = vault.secrets[name];
+  const secrets = {
+    ...vault.secrets,
+    [name]: { value, createdAt: previous ? previous.createdAt : now, updatedAt: now }
+  };
+
+  writeVault(secrets, vault.passphrase);
+  unlocked = { passphrase: vault.passphrase, secrets };
+  return true;
+}
+
+/**
+ * Put the vault's secrets into process.env, so commands and child processes see them
+ * Variables that are already set win, like values from .env do over ~/.arvil.json.
+ * @param {Object} options - Options for unlockVault (prompt)
+ * @returns {Array} - Names of the variables that hold a vault secret, also when an earlier call set them
+ */
+async function loadVaultIntoEnv(options = {}) {
+  let vault;
+  try {
+    vault = await unlockVault(options);
+  } catch (error) {
+    console.error(chalk.yellow(`Warning: Could not unlock the secrets vault: ${error.message}`));
+    return [];
+  }
+
+  if (!vault) {
+    return [];
+  }
+
+  return Object.entries(vault.secrets)
+    .filter(([name, secret]) => !process.env[name] || process.env[name] === secret.value)
+    .map(([name, secret]) => {
+      process.env[name] = secret.value;
+      return name;
+    });
+}
+
+/**
+ * Forget the unlocked vault (after a passphrase change, and in tests)
+ */
+function lockVault() {
+  unlocked = null;
+}
+
+module.exports = {
+  VAULT_FILE,
+  PASSPHRASE_VARIABLE,
+  SECRET_NAME,
+  vaultExists,
+  encryptSecrets,
+  decryptSecrets,
+  readVault,
+  writeVault,
+  unlockVault,
+  setSecret,
+  loadVaultIntoEnv,
+  lockVault
+};
@@ -0,0 +1,69 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+describe('approval modes', () => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-approval-home-'));
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-approval-'));
+  let approval;
+
+  beforeAll(() => {
+    // ~/.arvil.json is located when the module loads
+    const homedir = jest.spyOn(os, 'homedir').mockReturnValue(home);
+    jest.isolateModules(() => {
+      approval = require('../src/utils/approval');
+    });
+    homedir.mockRestore();
+    fs.outputJsonSync(path.join(home, '.arvil.json'), { ARVIL_APPROVAL_MODE: 'suggest' });
+  });
+
+  afterEach(() => {
+    delete process.env.ARVIL_APPROVAL_MODE;
+    fs.removeSync(path.join(root, '.arvil'));
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.removeSync(home);
+    fs.removeSync(root);
+  });
+
+  test('Should prefer the option, then the project, environment and global settings', () => {
+    expect(approval.resolveApprovalMode(root)).toEqual({ mode: 'suggest', source: 'global' });
+
+    process.env.ARVIL_APPROVAL_MODE = 'full-auto';
+    expect(approval.resolveApprovalMode(root)).toEqual({ mode: 'full-auto', source: 'environment' });
+
+    fs.outputJsonSync(path.join(root, approval.PROJECT_CONFIG_FILE), { approvalMode: 'auto-edit' });
+    expect(approval.resolveApprovalMode(root)).toEqual({ mode: 'auto-edit', source: 'project' });
+
+    expect(approval.resolveApprovalMode(root, 'suggest')).toEqual({ mode: 'suggest', source: 'option' });
+  });
+
+  test('Should reject an unknown option and skip unknown settings', () => {
+    expect(() => approval.resolveApprovalMode(root, 'yolo')).toThrow('Unknown approval mode "yolo"');
+
+    const warn = jest.spyOn(console, 'error').mockImplementation(() => {});
+    fs.outputJsonSync(path.join(root, approval.PROJECT_CONFIG_FILE), { approvalMode: 'auto' });
+    process.env.ARVIL_APPROVAL_MODE = 'auto-edit';
+
+    expect(approval.resolveApprovalMode(root)).toEqual({ mode: 'auto-edit', source: 'environment' });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring unknown approval mode "auto"'));
+  });
+
+  test('Should allow agent tools by mode', () => {
+    expect(approval.getAutoApprovedTools('suggest')).toEqual([]);
+    expect(approval.getAutoApprovedTools('auto-edit')).toEqual(['write_file', 'apply_patch']);
+    expect(approval.getAutoApprovedTools('full-auto')).toContain('run_command');
+  });
+
+  test('Should not run commands in --ci without --yes', () => {
+    // full-auto is the default, so a plain --ci run must not fall back to it
+    expect(approval.getNonInteractiveMode(approval.DEFAULT_APPROVAL_MODE, { ci: true })).toBe('auto-edit');
+    expect(approval.getAutoApprovedTools(approval.getNonInteractiveMode('full-auto', { ci: true }))).not.toContain('run_command');
+
+    expect(approval.getNonInteractiveMode('full-auto', { ci: true, yes: true })).toBe('full-auto');
+    expect(approval.getNonInteractiveMode('full-auto', {})).toBe('full-auto');
+    expect(approval.getNonInteractiveMode('suggest', { ci: true })).toBe('suggest');
+  });
+});
@@ -0,0 +1,65 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Responses of the fake model, one per request
+const responses = [];
+
+jest.mock('openai', () => ({
+  OpenAI: class {
+    constructor() {
+      this.chat = {
+        completions: {
+          create: async () => {
+            const content = responses.length > 1 ? responses.shift() : responses[0];
+            return (async function* stream() {
+              yield { choices: [{ delta: { content }, finish_reason: 'stop' }] };
+            })();
+          }
+        }
+      };
+    }
+  }
+}));
+
+describe('assist', () => {
+  let home;
+  let root;
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-assist-home-'));
+    root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-assist-')));
+    jest.spyOn(os, 'homedir').mockReturnValue(home);
+    jest.spyOn(process, 'cwd').mockReturnValue(root);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    process.env.OPENAI_API_KEY = 'sk-test';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.OPENAI_API_KEY;
+    process.exitCode = undefined;
+    fs.removeSync(root);
+    fs.removeSync(home);
+  });
+
+  test('Should not fail the turn when a proposed fix says "create" without naming a file', async () => {
+    responses.length = 0;
+    responses.push(
+      'Run the build:\n\n```bash\nnode -e "console.error(\'Error: missing config\'); process.exit(1)"\n```\n',
+      'You need to create a config for this:\n\n```json\n{ "network": "localnet" }\n```\n'
+    );
+
+    let assist;
+    jest.isolateModules(() => {
+      assist = require('../src/commands/assist');
+    });
+    await assist('build the project', { ci: true, yes: true, keepJobs: true });
+
+    const printed = console.log.mock.calls.map(call => String(call[0])).join('\n');
+    expect(printed).toContain('Skipping json code block: no target file');
+    expect(printed).not.toContain('Failed to generate response');
+  });
+});
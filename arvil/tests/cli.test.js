@@ -21,6 +21,21 @@ if (process.env.NODE_ENV === 'test') {
       expect(stdout).toContain('compile');
       expect(stdout).toContain('test');
       expect(stdout).toContain('config');
+      expect(stdout).toContain('sessions');
+      expect(stdout).toContain('undo');
+      expect(stdout).toContain('index');
+      expect(stdout).toContain('search');
+      expect(stdout).toContain('secrets');
+      expect(stdout).toContain('jobs');
+      expect(stdout).toContain('prompts');
+    });
+
+    // Non-interactive assist never prompts for a missing query
+    test('Should fail a non-interactive assist without a query', async () => {
+      await expect(execAsync(`node ${CLI_PATH} assist --ci < /dev/null`)).rejects.toMatchObject({
+        code: 1,
+        stdout: expect.stringContaining('No query given')
+      });
     });
 
     // Test version output
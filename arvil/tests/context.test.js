@@ -0,0 +1,40 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { buildFileContext, extractKeywords } = require('../src/utils/context');
+
+describe('file context', () => {
+  let root;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-context-'));
+    fs.outputFileSync(path.join(root, 'programs/vault/src/lib.rs'), 'pub fn withdraw(amount: u64) {}\n');
+    fs.outputFileSync(path.join(root, 'scripts/deposit.js'), 'console.log("deposit");\n');
+    fs.outputFileSync(path.join(root, 'scripts/unrelated.js'), 'module.exports = {};\n');
+    fs.outputFileSync(path.join(root, 'target/deploy/vault.json'), '{}');
+  });
+
+  afterAll(() => {
+    fs.removeSync(root);
+  });
+
+  test('Should ignore stop words when extracting keywords', () => {
+    expect(extractKeywords('Please fix the withdraw function in lib.rs')).toEqual(['withdraw', 'function', 'lib']);
+  });
+
+  test('Should include the tree and the relevant files only', () => {
+    const context = buildFileContext(root, 'Why does withdraw fail in lib.rs?');
+
+    expect(context.files.map(file => file.path)).toEqual(['programs/vault/src/lib.rs']);
+    expect(context.text).toContain('scripts/\n  deposit.js');
+    expect(context.text).not.toContain('target/');
+    expect(context.text).toContain('pub fn withdraw');
+  });
+
+  test('Should stay within the token budget', () => {
+    const context = buildFileContext(root, 'deposit and withdraw', { budget: 30, includeTree: false });
+
+    expect(context.tokens).toBeLessThanOrEqual(30);
+    expect(context.files).toHaveLength(1);
+  });
+});
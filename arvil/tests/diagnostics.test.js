@@ -0,0 +1,152 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  getJsonBuildCommand,
+  parseCargoDiagnostics,
+  parseSolcDiagnostics,
+  formatCodeFrame,
+  buildDiagnosticFixMessage,
+  extractPatch
+} = require('../src/utils/diagnostics');
+
+const compilerMessage = (message) => JSON.stringify({
+  reason: 'compiler-message',
+  manifest_path: '/nowhere/programs/vault/Cargo.toml',
+  message
+});
+
+describe('compiler diagnostics', () => {
+  let root;
+  let output;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-diagnostics-'));
+    fs.outputFileSync(path.join(root, 'programs/vault/src/lib.rs'), [
+      'use anchor_lang::prelude::*;',
+      '',
+      'pub fn deposit(amount: u64) -> u64 {',
+      '    balance + amount',
+      '}',
+      ''
+    ].join('\n'));
+    fs.outputFileSync(path.join(root, 'contracts/Token.sol'), [
+      'pragma solidity ^0.8.0;',
+      '',
+      'contract Token {',
+      '    uint256 public total;',
+      '    function mint(uint256 amount) public {',
+      '        uint256 total = amount;',
+      '        balnce[msg.sender] += amount;',
+      '    }',
+      '}',
+      ''
+    ].join('\n'));
+
+    const error = {
+      level: 'error',
+      message: 'cannot find value `balance` in this scope',
+      code: { code: 'E0425' },
+      spans: [{ file_name: 'programs/vault/src/lib.rs', is_primary: true, line_start: 4, line_end: 4, column_start: 5, column_end: 12, label: 'not found in this scope' }],
+      children: [{ level: 'help', message: 'a local variable with a similar name exists', spans: [{ suggested_replacement: 'amount' }] }],
+      rendered: 'error[E0425]: cannot find value `balance` in this scope'
+    };
+
+    output = [
+      JSON.stringify({ reason: 'compiler-artifact' }),
+      compilerMessage(error),
+      compilerMessage(error),
+      compilerMessage({ level: 'warning', message: 'unused import', spans: error.spans, children: [] }),
+      compilerMessage({ level: 'error', message: 'aborting due to 1 previous error', spans: [], children: [] }),
+      'error: could not compile `vault`'
+    ].join('\n');
+  });
+
+  afterAll(() => {
+    fs.removeSync(root);
+  });
+
+  test('Should ask cargo for JSON diagnostics', () => {
+    expect(getJsonBuildCommand('cargo build-bpf')).toBe('cargo build-bpf -- --message-format=json');
+    expect(getJsonBuildCommand('cargo test -- --nocapture')).toBe('cargo test --message-format=json -- --nocapture');
+    expect(getJsonBuildCommand('anchor build')).toBe('cargo check --message-format=json');
+    expect(getJsonBuildCommand('npm test')).toBeNull();
+  });
+
+  test('Should parse located errors once each', () => {
+    const diagnostics = parseCargoDiagnostics(output, { root });
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0]).toMatchObject({
+      code: 'E0425',
+      file: 'programs/vault/src/lib.rs',
+      line: 4,
+      column: 5,
+      notes: ['help: a local variable with a similar name exists: `amount`'],
+      source: { start: 1 }
+    });
+  });
+
+  test('Should render a code frame with the span underlined', () => {
+    const [diagnostic] = parseCargoDiagnostics(output, { root });
+    const frame = formatCodeFrame(diagnostic).split('\n');
+    expect(frame[0]).toBe('error[E0425]: cannot find value `balance` in this scope');
+    expect(frame[1]).toBe(' --> programs/vault/src/lib.rs:4:5');
+    expect(frame).toContain('4 |     balance + amount');
+    expect(frame).toContain('  |     ^^^^^^^ not found in this scope');
+  });
+
+  test('Should parse solc errors printed by Hardhat and Foundry', () => {
+    const hardhat = [
+      'Warning: This declaration shadows an existing declaration.',
+      ' --> contracts/Token.sol:6:9:',
+      '  |',
+      '6 |         uint256 total = amount;',
+      '  |         ^^^^^^^^^^^^^',
+      'Note: The shadowed declaration is here:',
+      ' --> contracts/Token.sol:4:5:',
+      '  |',
+      '4 |     uint256 public total;',
+      '  |     ^^^^^^^^^^^^^^^^^^^^',
+      '',
+      '\u001b[31mDeclarationError\u001b[39m: Undeclared identifier. Did you mean "balances"?',
+      ' --> contracts/Token.sol:7:9:',
+      '  |',
+      '7 |         balnce[msg.sender] += amount;',
+      '  |         ^^^^^^',
+      '',
+      'Error HH600: Compilation failed'
+    ].join('\n');
+
+    const errors = parseSolcDiagnostics(hardhat, { root });
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({
+      level: 'error',
+      type: 'DeclarationError',
+      code: null,
+      file: 'contracts/Token.sol',
+      line: 7,
+      column: 9,
+      endColumn: 15,
+      source: { start: 4 }
+    });
+
+    const [warning] = parseSolcDiagnostics(hardhat, { root, levels: ['warning'] });
+    expect(warning.notes).toEqual(['note: The shadowed declaration is here: contracts/Token.sol:4:5']);
+
+    const foundry = 'Error: Compiler run failed:\nError (7576): Undeclared identifier.\n --> contracts/Token.sol:7:9:\n  |\n7 |         balnce[msg.sender] += amount;\n  |         ^^^^^^\n';
+    const [error] = parseSolcDiagnostics(foundry, { root });
+    expect(formatCodeFrame(error).split('\n').slice(0, 2)).toEqual([
+      'Error (7576): Undeclared identifier.',
+      '  --> contracts/Token.sol:7:9'
+    ]);
+    expect(buildDiagnosticFixMessage(error)).toContain('```solidity\npragma solidity ^0.8.0;');
+  });
+
+  test('Should send the file with a fix request and read the patch back', () => {
+    const [diagnostic] = parseCargoDiagnostics(output, { root });
+    expect(buildDiagnosticFixMessage(diagnostic)).toContain('programs/vault/src/lib.rs:\n```rust\nuse anchor_lang::prelude::*;');
+    expect(extractPatch('Here:\n```diff path=programs/vault/src/lib.rs\n<<<<<<< SEARCH\nbalance\n=======\namount\n>>>>>>> REPLACE\n```\nDone.'))
+      .toBe('<<<<<<< SEARCH\nbalance\n=======\namount\n>>>>>>> REPLACE\n');
+    expect(extractPatch('No changes needed.')).toBeNull();
+  });
+});
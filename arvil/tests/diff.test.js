@@ -0,0 +1,40 @@
+const { createUnifiedDiff, countChanges } = require('../src/utils/diff');
+
+describe('diff utilities', () => {
+  test('Should create a unified diff with hunk headers', () => {
+    const diff = createUnifiedDiff('a\nb\nc\n', 'a\nB\nc\nd\n', { fromFile: 'a/x', toFile: 'b/x' });
+
+    expect(diff).toBe([
+      '--- a/x',
+      '+++ b/x',
+      '@@ -1,3 +1,4 @@',
+      ' a',
+      '-b',
+      '+B',
+      ' c',
+      '+d'
+    ].join('\n'));
+  });
+
+  test('Should return an empty diff for identical texts', () => {
+    expect(createUnifiedDiff('same\n', 'same\n')).toBe('');
+  });
+
+  test('Should diff large new and rewritten files as a single replacement', () => {
+    const lines = prefix => Array.from({ length: 5000 }, (_, i) => `${prefix} ${i}`).join('\n');
+
+    const created = createUnifiedDiff('', `${lines('abi')}\n`).split('\n');
+    expect(created[2]).toBe('@@ -0,0 +1,5000 @@');
+    expect(created.slice(3).every(line => line.startsWith('+'))).toBe(true);
+
+    const rewritten = createUnifiedDiff(`header\n${lines('old')}\nfooter\n`, `header\n${lines('new')}\nfooter\n`).split('\n');
+    expect(rewritten[2]).toBe('@@ -1,5002 +1,5002 @@');
+    expect(rewritten.slice(4, 5004).every(line => line.startsWith('-'))).toBe(true);
+    expect(rewritten.slice(5004, 10004).every(line => line.startsWith('+'))).toBe(true);
+  });
+
+  test('Should count added and removed lines', () => {
+    expect(countChanges('', 'one\ntwo\n')).toEqual({ added: 2, removed: 0 });
+    expect(countChanges('one\ntwo\n', 'two\n')).toEqual({ added: 0, removed: 1 });
+  });
+});
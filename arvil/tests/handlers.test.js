@@ -0,0 +1,86 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { BUILTIN_HANDLERS, loadErrorHandlers, findErrorFix } = require('../src/utils/handlers');
+
+describe('error handler registry', () => {
+  let root;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-handlers-'));
+    fs.outputFileSync(path.join(root, 'Cargo.lock'), '# This file is automatically @generated by Cargo.\nversion = 4\n');
+    fs.outputFileSync(path.join(root, '.arvil/handlers/team.js'), `module.exports = {
+      id: 'team-airdrop',
+      match: 'insufficient funds',
+      fix: () => ({ commands: ['npm run fund-wallet'] })
+    };`);
+    fs.outputFileSync(path.join(root, 'node_modules/arvil-plugin-acme/index.js'), `module.exports = {
+      handlers: [{ id: 'acme-build', command: /^acme\\b/, match: /build failed/, fix: () => ({ commands: ['acme clean'] }) }]
+    };`);
+    fs.outputFileSync(path.join(root, 'node_modules/arvil-plugin-broken/index.js'), `module.exports = [
+      { id: 'broken-pattern', match: 'build (failed', fix: () => ({ commands: ['rm -rf build'] }) }
+    ];`);
+    fs.outputJsonSync(path.join(root, '.arvil/handlers.json'), { plugins: ['arvil-plugin-broken', 'arvil-plugin-acme'] });
+  });
+
+  afterAll(() => {
+    fs.removeSync(root);
+  });
+
+  const fixFor = async (handlers, command, error) => {
+    const result = await findErrorFix(handlers, { command, error, cwd: root });
+    return result && { id: result.handler.id, source: result.handler.source, ...result.fix };
+  };
+
+  test('Should sync program ids on an Anchor id mismatch', async () => {
+    const fix = await fixFor(BUILTIN_HANDLERS, 'anchor test', 'Error Code: DeclaredProgramIdMismatch. Error Number: 4100.');
+    expect(fix.id).toBe('anchor-program-id');
+    expect(fix.commands).toEqual(['anchor keys sync']);
+  });
+
+  test('Should downgrade a version 4 Cargo.lock', async () => {
+    const fix = await fixFor(BUILTIN_HANDLERS, 'anchor build', 'error: lock file version 4 requires `-Znext-lockfile-bump`');
+    expect(fix.files).toEqual([{ path: 'Cargo.lock', content: '# This file is automatically @generated by Cargo.\nversion = 3\n' }]);
+  });
+
+  test('Should install a missing Hardhat library and forge-std', async () => {
+    const hardhat = await fixFor(BUILTIN_HANDLERS, 'npx hardhat compile', 'Error HH411: The library @openzeppelin/contracts, imported from contracts/Token.sol, is not installed.');
+    expect(hardhat.commands).toEqual(['npm install --save-dev @openzeppelin/contracts']);
+
+    const foundry = await fixFor(BUILTIN_HANDLERS, 'forge build', 'Error: Source "forge-std/Test.sol" not found: File not found.');
+    expect(foundry.commands).toEqual(['forge install foundry-rs/forge-std']);
+  });
+
+  test('Should never airdrop for mainnet commands', async () => {
+    expect(await fixFor(BUILTIN_HANDLERS, 'solana transfer x 1 --url mainnet-beta', 'Error: insufficient funds')).toBeNull();
+  });
+
+  test('Should only create missing files inside the working directory', async () => {
+    const inside = await fixFor(BUILTIN_HANDLERS, 'node deploy.js', "Error: ENOENT: no such file or directory, open 'deployments/sepolia.json'");
+    expect(inside.files).toEqual([{ path: path.join('deployments', 'sepolia.json'), content: '' }]);
+
+    expect(await fixFor(BUILTIN_HANDLERS, 'node deploy.js', "Error: ENOENT: no such file or directory, open '/etc/arvil/keys.json'")).toBeNull();
+    expect(await fixFor(BUILTIN_HANDLERS, 'node deploy.js', "Error: ENOENT: no such file or directory, mkdir '../shared'")).toBeNull();
+  });
+
+  test('Should not load project handlers of an untrusted project', async () => {
+    const handlers = loadErrorHandlers(root, { trusted: false });
+
+    expect(handlers.some(handler => ['team-airdrop', 'acme-build'].includes(handler.id))).toBe(false);
+    expect(await fixFor(handlers, 'solana program deploy x.so', 'Error: insufficient funds for fee')).toMatchObject({ id: 'solana-insufficient-funds' });
+  });
+
+  test('Should prefer project handlers and load plugins', async () => {
+    const handlers = loadErrorHandlers(root, { trusted: true });
+
+    // A plugin pattern that is not a valid regex drops the handler when loading, not when matching
+    expect(handlers.some(handler => handler.id === 'broken-pattern')).toBe(false);
+
+    const airdrop = await fixFor(handlers, 'solana program deploy x.so', 'Error: insufficient funds for fee');
+    expect(airdrop).toMatchObject({ id: 'team-airdrop', source: 'project .arvil/handlers/team.js', commands: ['npm run fund-wallet'] });
+
+    const plugin = await fixFor(handlers, 'acme build', 'build failed');
+    expect(plugin).toMatchObject({ id: 'acme-build', source: 'plugin arvil-plugin-acme' });
+    expect(await fixFor(handlers, 'make build', 'build failed')).toBeNull();
+  });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { detectJob, loadJobs, startJob, waitForJob, checkJobReady, stopJob, readJobLog, isJobRunning } = require('../src/utils/jobs');
+
+describe('background jobs', () => {
+  let root;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-jobs-'));
+  });
+
+  afterAll(() => {
+    fs.removeSync(root);
+  });
+
+  test('Should detect validators, local nodes and backgrounded commands', () => {
+    expect(detectJob('solana-test-validator --reset --rpc-port 9900')).toEqual({
+      name: 'solana-test-validator', command: 'solana-test-validator --reset --rpc-port 9900', port: 9900, check: 'solana'
+    });
+    expect(detectJob('cd contracts && npx hardhat node')).toMatchObject({ name: 'hardhat-node', port: 8545, check: 'ethereum' });
+    expect(detectJob('anvil --port 8546 &')).toMatchObject({ name: 'anvil', command: 'anvil --port 8546', port: 8546 });
+    expect(detectJob('python3 -m http.server &')).toMatchObject({ name: 'python3', port: null, check: null });
+    expect(detectJob('npm run dev')).toMatchObject({ name: 'dev-server', port: null, check: null });
+    expect(detectJob('anvil --version')).toBeNull();
+    expect(detectJob('npx hardhat compile')).toBeNull();
+    expect(detectJob('make build && ./run.sh')).toBeNull();
+  });
+
+  test('Should only run npm start as a job if the start script starts a server', () => {
+    fs.outputJsonSync(path.join(root, 'web/package.json'), { scripts: { start: 'next start -p 3001' } });
+    fs.outputJsonSync(path.join(root, 'cli/package.json'), { scripts: { start: 'node scripts/deploy.js' } });
+
+    expect(detectJob('npm start', path.join(root, 'web'))).toMatchObject({ name: 'dev-server', command: 'npm start' });
+    expect(detectJob('cd web && yarn start', root)).toMatchObject({ name: 'dev-server' });
+    expect(detectJob('npm start', path.join(root, 'cli'))).toBeNull();
+    expect(detectJob('npm start', path.join(root, 'missing'))).toBeNull();
+  });
+
+  test('Should start a job with a log, reuse it while it runs and stop its process group', async () => {
+    const spec = { name: 'ticker', command: 'echo started; sleep 30', port: null, check: null };
+    const { job } = startJob(root, spec, { session: 's1' });
+
+    await waitForJob(job, 5000);
+    expect(loadJobs(root).ticker).toMatchObject({ pid: job.pid, cwd: root, session: 's1' });
+    expect(readJobLog(job)).toContain('started');
+    expect(startJob(root, spec)).toMatchObject({ reused: true, job: { pid: job.pid } });
+
+    expect(await stopJob(root, job)).toBe(true);
+    expect(isJobRunning(job)).toBe(false);
+    expect(loadJobs(root)).toEqual({});
+  });
+
+  test('Should not take a process that reused the pid of a job for the job', async () => {
+    // This test process stands in for an unrelated process that got the pid of an exited job
+    const reused = { name: 'validator', command: 'solana-test-validator', pid: process.pid, startTime: '1', log: path.join(root, 'validator.log') };
+    fs.outputJsonSync(path.join(root, '.arvil/jobs.json'), { validator: reused });
+
+    expect(isJobRunning(reused)).toBe(false);
+    expect(isJobRunning({ ...reused, startTime: undefined })).toBe(false);
+    expect(await stopJob(root, reused)).toBe(false);
+    expect(loadJobs(root)).toEqual({});
+  });
+
+  test('Should redact secrets in printed job logs', async () => {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-jobs-home-'));
+    const homedir = jest.spyOn(os, 'homedir').mockReturnValue(home);
+    const cwd = jest.spyOn(process, 'cwd').mockReturnValue(root);
+    const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+    try {
+      let jobsCommand;
+      jest.isolateModules(() => {
+        jobsCommand = require('../src/commands/jobs');
+      });
+
+      const log = path.join(root, '.arvil/jobs/deployer.log');
+      fs.outputFileSync(log, 'Deployer key 0x4c0883a69102937d6231471b5dbb6204fe512961708279f3c5a5a9f4ea5d3a01\nListening on 8545\n');
+      fs.outputJsonSync(path.join(root, '.arvil/jobs.json'), { deployer: { name: 'deployer', command: 'node deploy.js', pid: 0, log } });
+
+      await jobsCommand('logs', 'deployer', {});
+      const printed = write.mock.calls.map(call => String(call[0])).join('');
+      expect(printed).toContain('Listening on 8545');
+      expect(printed).not.toContain('4c0883a6');
+    } finally {
+      write.mockRestore();
+      cwd.mockRestore();
+      homedir.mockRestore();
+      fs.removeSync(home);
+      fs.removeSync(path.join(root, '.arvil'));
+    }
+  });
+
+  test('Should report an RPC node as ready once it answers', async () => {
+    const server = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: 1, result: '0x0' }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    expect(await checkJobReady({ port, check: 'ethereum' })).toBe(true);
+    expect(await checkJobReady({ port, check: 'solana' })).toBe(false);
+    expect(await checkJobReady({ port, check: 'port' })).toBe(true);
+
+    await new Promise(resolve => server.close(resolve));
+    expect(await checkJobReady({ port, check: 'port' })).toBe(false);
+  });
+});
@@ -0,0 +1,73 @@
+const {
+  parseUnifiedDiff,
+  parseSearchReplace,
+  applyUnifiedDiff,
+  applySearchReplace
+} = require('../src/utils/patch');
+
+const SOURCE = 'fn a() {\n    1\n}\n\nfn b() {\n    2\n}\n';
+
+describe('patch utilities', () => {
+  test('Should apply a unified diff with file headers', () => {
+    const [file] = parseUnifiedDiff([
+      '--- a/src/lib.rs',
+      '+++ b/src/lib.rs',
+      '@@ -5,3 +5,3 @@',
+      ' fn b() {',
+      '-    2',
+      '+    20',
+      ' }'
+    ].join('\n'));
+
+    expect(file.newFile).toBe('src/lib.rs');
+
+    const result = applyUnifiedDiff(SOURCE, file.hunks);
+    expect(result.success).toBe(true);
+    expect(result.content).toBe('fn a() {\n    1\n}\n\nfn b() {\n    20\n}\n');
+  });
+
+  test('Should find hunks whose line numbers are off', () => {
+    const [file] = parseUnifiedDiff('@@ -40,2 +40,2 @@\n fn a() {\n-    1\n+    10\n');
+    const result = applyUnifiedDiff(SOURCE, file.hunks);
+
+    expect(result.success).toBe(true);
+    expect(result.content.startsWith('fn a() {\n    10\n}')).toBe(true);
+  });
+
+  test('Should report a conflict and leave the content unchanged', () => {
+    const [file] = parseUnifiedDiff('@@ -1,2 +1,2 @@\n fn c() {\n-    3\n+    30\n');
+    const result = applyUnifiedDiff(SOURCE, file.hunks);
+
+    expect(result.success).toBe(false);
+    expect(result.content).toBe(SOURCE);
+    expect(result.failures[0].hunk).toBe(1);
+  });
+
+  test('Should apply search/replace edits', () => {
+    const edits = parseSearchReplace('<<<<<<< SEARCH\n    2\n=======\n    2 + 2\n>>>>>>> REPLACE');
+    const result = applySearchReplace(SOURCE, edits);
+
+    expect(result.success).toBe(true);
+    expect(result.content).toContain('    2 + 2');
+  });
+
+  test('Should reject ambiguous search text', () => {
+    const edits = parseSearchReplace('<<<<<<< SEARCH\n}\n=======\n};\n>>>>>>> REPLACE');
+    const result = applySearchReplace(SOURCE, edits);
+
+    expect(result.success).toBe(false);
+    expect(result.failures[0].reason).toMatch(/matches 2 places/);
+  });
+
+  test('Should reject search text that only matches several places when whitespace is ignored', () => {
+    // "1\n  }" is not in the file as written; ignoring indentation it matches once, "}" twice
+    expect(applySearchReplace(SOURCE, parseSearchReplace('<<<<<<< SEARCH\n1\n  }\n=======\n    10\n}\n>>>>>>> REPLACE'))).toMatchObject({
+      success: true,
+      content: 'fn a() {\n    10\n}\n\nfn b() {\n    2\n}\n'
+    });
+
+    const result = applySearchReplace(SOURCE, parseSearchReplace('<<<<<<< SEARCH\n  }\n=======\n};\n>>>>>>> REPLACE'));
+    expect(result).toMatchObject({ success: false, content: SOURCE });
+    expect(result.failures[0].reason).toMatch(/several places when whitespace is ignored/);
+  });
+});
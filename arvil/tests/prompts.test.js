@@ -0,0 +1,68 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+describe('prompt templates', () => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-prompts-home-'));
+  let root;
+  let prompts;
+
+  beforeAll(() => {
+    // ~/.arvil/prompts is located when the module loads
+    const homedir = jest.spyOn(os, 'homedir').mockReturnValue(home);
+    jest.isolateModules(() => {
+      prompts = require('../src/utils/prompts');
+    });
+    homedir.mockRestore();
+  });
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-prompts-'));
+  });
+
+  afterEach(() => {
+    fs.removeSync(root);
+    fs.removeSync(path.join(home, '.arvil'));
+  });
+
+  afterAll(() => {
+    fs.removeSync(home);
+  });
+
+  test('Should render the built-in prompts with the chain, network and framework of the project', () => {
+    fs.outputFileSync(path.join(root, 'hardhat.config.js'), 'module.exports = {};');
+    fs.outputFileSync(path.join(root, '.env'), 'BLOCKCHAIN_PLATFORM=base\nDEFAULT_NETWORK=base-sepolia\n');
+    fs.outputFileSync(path.join(root, 'contracts', 'Vault.sol'), 'contract Vault {}');
+
+    const system = prompts.renderPrompt('system', root);
+    expect(system).toMatch(/^You are ARVIL, an AI blockchain engineer assistant for Base \(Hardhat\), working against base-sepolia\./);
+    expect(system).toContain('path=programs/vault/src/lib.rs');
+    expect(system).toContain('<<<<<<< SEARCH');
+    expect(system).not.toMatch(/\{\{|conventions/);
+
+    const resolver = prompts.renderPrompt('error-resolver', root);
+    expect(resolver).toContain('Project files:\ncontracts/\n  Vault.sol');
+  });
+
+  test('Should prefer project templates over global ones and add the project conventions', () => {
+    fs.outputFileSync(path.join(root, 'Anchor.toml'), '[programs.localnet]');
+    fs.outputFileSync(path.join(root, '.arvil', 'conventions.md'), 'Use checked math.\n');
+    fs.outputFileSync(path.join(home, '.arvil', 'prompts', 'agent.md'), 'Global agent for {{chain}}.');
+    fs.outputFileSync(path.join(home, '.arvil', 'prompts', 'system.md'), 'Global system.');
+    fs.outputFileSync(path.join(root, '.arvil', 'prompts', 'system.md'), 'Project system for {{chain}} ({{framework}}).{{#conventions}}\nRules: {{conventions}}{{/conventions}} {{unknown}}');
+
+    expect(prompts.loadPromptTemplate('system', root).source).toBe('project');
+    expect(prompts.renderPrompt('system', root)).toBe('Project system for Solana (Anchor).\nRules: Use checked math. {{unknown}}');
+    expect(prompts.renderPrompt('agent', root)).toBe('Global agent for Solana.');
+    expect(() => prompts.loadPromptTemplate('nope', root)).toThrow('Unknown prompt "nope"');
+  });
+
+  test('Should render instruction templates that reference each other without recursing', () => {
+    fs.outputFileSync(path.join(root, 'Anchor.toml'), '[programs.localnet]');
+    fs.outputFileSync(path.join(root, '.arvil', 'prompts', 'file-fences.md'), 'Fences for {{chain}}. {{fileFenceInstructions}}{{editInstructions}}');
+    fs.outputFileSync(path.join(root, '.arvil', 'prompts', 'edits.md'), 'Edits. {{fileFenceInstructions}}');
+    fs.outputFileSync(path.join(root, '.arvil', 'prompts', 'system.md'), '{{fileFenceInstructions}} | {{editInstructions}}');
+
+    expect(prompts.renderPrompt('system', root)).toBe('Fences for Solana. | Edits.');
+  });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createRedactor, addSecret, redactSecrets, restoreSecrets, findUnknownTokens, redactDeep } = require('../src/utils/redact');
+
+describe('secret redaction', () => {
+  const key = Buffer.alloc(32, 7);
+  const evmKey = `0x${'4c0883a69102937d6231471b5dbb6204fe512961708279f3c5a5a9f4ea5d3a01'}`;
+  const keypair = JSON.stringify(Array.from({ length: 64 }, (_, i) => (i * 37) % 256));
+  const mnemonic = 'test test test test test test test test test test test junk';
+  let root;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-redact-'));
+    fs.outputFileSync(path.join(root, '.env'), 'ETHERSCAN=Q3J8XK2N5RT7YW9AB4CD6EF8GH\nDEFAULT_NETWORK=devnet\n');
+  });
+
+  afterAll(() => {
+    fs.removeSync(root);
+  });
+
+  const newRedactor = () => createRedactor({
+    projectRoot: root,
+    env: { OPENAI_API_KEY: 'sk-live0123456789abcdefghij', KEYPAIR_PATH: '/home/dev/.config/solana/id.json' },
+    key
+  });
+
+  test('Should replace keys, keypairs, mnemonics and .env values with stable tokens', () => {
+    const redactor = newRedactor();
+    const text = [
+      `const wallet = new Wallet("${evmKey}");`,
+      `const payer = Keypair.fromSecretKey(Uint8Array.from(${keypair}));`,
+      `// ${mnemonic}`,
+      'curl https://eth-mainnet.g.alchemy.com/v2/aB3dE5gH7jK9mN1pQ3sT?x=1',
+      'ETHERSCAN_API_KEY=Q3J8XK2N5RT7YW9AB4CD6EF8GH OPENAI_API_KEY=sk-live0123456789abcdefghij',
+      'network: devnet, keypair: /home/dev/.config/solana/id.json'
+    ].join('\n');
+
+    const redacted = redactSecrets(redactor, text);
+
+    expect(redacted).not.toMatch(/4c0883a6|sk-live|Q3J8XK|aB3dE5|test junk/);
+    expect(redacted).not.toContain(keypair);
+    expect(redacted).toMatch(/new Wallet\("__ARVIL_SECRET_PRIVATE_KEY_[0-9a-f]{8}__"\)/);
+    expect(redacted).toMatch(/Uint8Array\.from\(__ARVIL_SECRET_SOLANA_KEYPAIR_[0-9a-f]{8}__\)/);
+    expect(redacted).toMatch(/\/\/ __ARVIL_SECRET_MNEMONIC_[0-9a-f]{8}__/);
+    expect(redacted).toMatch(/ETHERSCAN_API_KEY=__ARVIL_SECRET_ETHERSCAN_[0-9a-f]{8}__/);
+    expect(redacted).toContain('network: devnet, keypair: /home/dev/.config/solana/id.json');
+
+    // The same value gets the same token in a new run, and restoring gives back the original
+    expect(redactSecrets(newRedactor(), text)).toBe(redacted);
+    expect(restoreSecrets(redactor, redacted)).toBe(text);
+    expect(redactSecrets(redactor, redacted)).toBe(redacted);
+  });
+
+  test('Should leave placeholders, hashes of other lengths and ordinary prose alone', () => {
+    const redactor = newRedactor();
+    const text = [
+      'PRIVATE_KEY=your_private_key_here',
+      'const apiKey = "YOUR_API_KEY";',
+      'commit 9fceb02d0ae598e95dc970b74767f19372d61af8',
+      'abandon ability able about above absent absorb abstract absurd abuse access accident'
+    ].join('\n');
+
+    expect(redactSecrets(redactor, text)).toBe(text);
+  });
+
+  test('Should only take 64 hex digits for a private key where a key is expected', () => {
+    const redactor = newRedactor();
+    const bare = evmKey.slice(2);
+    const keys = [
+      `PRIVATE_KEY=${bare}`,
+      `DEPLOYER_PRIVATE_KEY="${evmKey}"`,
+      `cast send --private-key ${evmKey} 0xdead`,
+      `accounts: ["${evmKey}"],`,
+      `Private Key: ${evmKey}`
+    ];
+    keys.forEach(line => expect(redactSecrets(redactor, line)).not.toContain('4c0883a6'));
+
+    const hashes = [
+      'Transaction hash: 0x88df016429689c079f3b2f6ad39fa052532c56795b733da78a91ebe6a713944b',
+      'sha256 e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855  package.tgz',
+      'slot 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+      'keyHash: 0x474e34a077df58807dbe9c96d3c009b23b3c6d0cce433e59bbf5b34f823bc56c'
+    ].join('\n');
+    expect(redactSecrets(redactor, hashes)).toBe(hashes);
+  });
+
+  test('Should redact typed-in secrets and report tokens it cannot restore', () => {
+    const redactor = newRedactor();
+    const token = addSecret(redactor, 'hunter2hunter2', 'API_KEY');
+
+    expect(redactSecrets(redactor, 'solana config set --api hunter2hunter2')).toBe(`solana config set --api ${token}`);
+    expect(findUnknownTokens(redactor, `${token} __ARVIL_SECRET_PRIVATE_KEY_00000000__`)).toEqual(['__ARVIL_SECRET_PRIVATE_KEY_00000000__']);
+
+    const messages = redactDeep(redactor, [{ role: 'user', content: 'key hunter2hunter2', tool_calls: [{ function: { arguments: '{"command":"echo hunter2hunter2"}' } }] }]);
+    expect(JSON.stringify(messages)).not.toContain('hunter2');
+  });
+});
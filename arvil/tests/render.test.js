@@ -0,0 +1,42 @@
+const { createMarkdownRenderer } = require('../src/utils/render');
+
+const MARKDOWN = 'Create the file:\n\n```js path=index.js\nconsole.log(1);\n```\n\nThen run `node index.js`.';
+
+const render = chunks => {
+  let output = '';
+  const renderer = createMarkdownRenderer(text => {
+    output += text;
+  });
+  chunks.forEach(chunk => renderer.write(chunk));
+  renderer.end();
+  return output;
+};
+
+describe('markdown renderer', () => {
+  test('Should print streamed text unchanged however it is split', () => {
+    expect(render([MARKDOWN])).toBe(`${MARKDOWN}\n`);
+
+    for (const size of [1, 2, 3, 7]) {
+      const chunks = [];
+      for (let i = 0; i < MARKDOWN.length; i += size) {
+        chunks.push(MARKDOWN.slice(i, i + size));
+      }
+      expect(render(chunks)).toBe(`${MARKDOWN}\n`);
+    }
+  });
+
+  test('Should write prose before the line is complete', () => {
+    const written = [];
+    const renderer = createMarkdownRenderer(text => written.push(text));
+
+    renderer.write('Hello');
+    expect(written).toEqual(['Hello']);
+
+    // A possible fence is held back until the line is known
+    renderer.write('\n``');
+    expect(written).toEqual(['Hello', '\n']);
+
+    renderer.write('`rust\n');
+    expect(written.join('')).toBe('Hello\n```rust\n');
+  });
+});
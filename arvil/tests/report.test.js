@@ -0,0 +1,69 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createReport, addReportTurn, formatReportMarkdown, getReportPaths, writeReport } = require('../src/utils/report');
+
+describe('execution reports', () => {
+  const turn = (overrides = {}) => ({
+    query: 'build the vault',
+    startTime: '2024-05-01T10:00:00.000Z',
+    endTime: '2024-05-01T10:00:12.400Z',
+    durationMs: 12400,
+    commands: [
+      { command: 'anchor build', cwd: '/work/vault/programs/vault', success: false, exitCode: 1, signal: null, durationMs: 8000 },
+      { command: 'anchor build', cwd: '/work/vault', success: true, exitCode: 0, signal: null, durationMs: 3500 }
+    ],
+    files: [{ path: 'programs/vault/src/lib.rs', action: 'updated', diff: '--- a/lib.rs\n+++ b/lib.rs\n@@ -1 +1 @@\n-balance\n+vault.balance\n' }],
+    failedFiles: [],
+    conflicts: [],
+    errors: { detected: 1, resolved: 1, unresolved: 0 },
+    fixAttempts: 1,
+    resolutions: [{
+      command: 'anchor build',
+      error: 'error[E0425]: cannot find value `balance` in this scope',
+      status: 'resolved',
+      steps: [{ attempt: 1, fix: 'AI patches for 1 of 1 compiler error(s)', commands: [], files: ['programs/vault/src/lib.rs'], verified: true, error: '' }]
+    }],
+    policyDecisions: [],
+    usage: { 'gpt-4-turbo': { requests: 2, promptTokens: 1200, completionTokens: 300, totalTokens: 1500 } },
+    ...overrides
+  });
+
+  test('Should add up the turns of a run', () => {
+    const report = createReport({ sessionId: 's1', projectName: 'vault', projectPath: '/work/vault', mode: 'assist' });
+    addReportTurn(report, turn());
+    addReportTurn(report, turn({ commands: [], files: [], errors: { detected: 0, resolved: 0, unresolved: 0 }, fixAttempts: 0 }));
+
+    expect(report.totals).toEqual({
+      commands: { executed: 2, successful: 1, failed: 1 },
+      files: { created: 0, updated: 1, failed: 0 },
+      errors: { detected: 1, resolved: 1, unresolved: 0 },
+      fixAttempts: 1
+    });
+    expect(report.usage['gpt-4-turbo']).toEqual({ requests: 4, promptTokens: 2400, completionTokens: 600, totalTokens: 3000 });
+    expect(report.endTime).toBe('2024-05-01T10:00:12.400Z');
+  });
+
+  test('Should list commands, diffs and resolution steps in Markdown', () => {
+    const report = createReport({ sessionId: 's1', projectName: 'vault', projectPath: '/work/vault', mode: 'assist' });
+    addReportTurn(report, turn());
+    const markdown = formatReportMarkdown(report);
+
+    expect(markdown).toContain('| `anchor build` | programs/vault | 1 | 8.0s |');
+    expect(markdown).toContain('| `anchor build` | . | 0 | 3.5s |');
+    expect(markdown).toContain('#### updated: `programs/vault/src/lib.rs`\n\n```diff\n--- a/lib.rs');
+    expect(markdown).toContain('  1. AI patches for 1 of 1 compiler error(s) (programs/vault/src/lib.rs): verified');
+    expect(markdown).toContain('| gpt-4-turbo | 2 | 1200 | 300 | 1500 |');
+  });
+
+  test('Should write JSON and Markdown next to each other', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-report-'));
+    expect(getReportPaths(path.join(dir, 'run.md'))).toEqual({ json: path.join(dir, 'run.json'), markdown: path.join(dir, 'run.md') });
+
+    const report = createReport({ sessionId: 's1', projectName: 'vault', projectPath: dir, mode: 'agent' });
+    const written = writeReport(path.join(dir, 'reports/run'), report);
+    expect(fs.readJsonSync(written.json).mode).toBe('agent');
+    expect(fs.readFileSync(written.markdown, 'utf8')).toContain('# ARVIL execution report');
+    fs.removeSync(dir);
+  });
+});
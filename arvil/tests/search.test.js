@@ -0,0 +1,43 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { tokenize, updateSearchIndex, search } = require('../src/utils/search');
+
+describe('search index', () => {
+  let root;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-search-'));
+    fs.outputFileSync(path.join(root, 'programs/vault/src/lib.rs'), 'pub fn withdraw_funds(amount: u64) {}\n');
+    fs.outputFileSync(path.join(root, 'scripts/deploy.js'), 'async function deployProgram(network) {}\n');
+    fs.outputFileSync(path.join(root, 'scripts/airdrop.js'), 'async function requestAirdrop(network) {}\n');
+  });
+
+  afterAll(() => {
+    fs.removeSync(root);
+  });
+
+  test('Should split identifiers into terms', () => {
+    expect(tokenize('deployProgram withdraw_funds')).toEqual([
+      'deployprogram', 'deploy', 'program', 'withdraw_funds', 'withdraw', 'funds'
+    ]);
+  });
+
+  test('Should rank the chunks matching the rarest terms first', () => {
+    const { index } = updateSearchIndex(root);
+    const results = search(index, 'deploy to the network');
+
+    expect(results.map(result => result.file)).toEqual(['scripts/deploy.js', 'scripts/airdrop.js']);
+    expect(results[0].matches).toEqual(['deploy', 'network']);
+  });
+
+  test('Should only re-read changed files', () => {
+    updateSearchIndex(root);
+    const later = new Date(Date.now() + 5000);
+    fs.writeFileSync(path.join(root, 'scripts/airdrop.js'), 'async function requestAirdrop(connection) {}\n');
+    fs.utimesSync(path.join(root, 'scripts/airdrop.js'), later, later);
+
+    const { stats } = updateSearchIndex(root);
+    expect(stats).toEqual({ indexed: 1, reused: 2, removed: 0 });
+  });
+});
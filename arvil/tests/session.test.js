@@ -0,0 +1,100 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createRedactor, redactDeep } = require('../src/utils/redact');
+
+describe('assist sessions', () => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-session-home-'));
+  let root;
+  let sessionUtils;
+
+  beforeAll(() => {
+    // ~/.arvil/sessions is located when the module loads
+    const homedir = jest.spyOn(os, 'homedir').mockReturnValue(home);
+    jest.isolateModules(() => {
+      sessionUtils = require('../src/utils/session');
+    });
+    homedir.mockRestore();
+  });
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-session-'));
+  });
+
+  afterEach(() => {
+    fs.removeSync(root);
+    fs.removeSync(path.join(home, '.arvil'));
+  });
+
+  afterAll(() => {
+    fs.removeSync(home);
+  });
+
+  test('Should save sessions and load them by id or unique prefix', () => {
+    const first = { ...sessionUtils.createSession(root), id: '20260101-120000-aaaa', createdAt: '2026-01-01T12:00:00.000Z' };
+    const second = { ...sessionUtils.createSession(root), id: '20260101-120000-bbbb', createdAt: '2026-01-01T12:05:00.000Z', title: 'Deploy the vault' };
+    sessionUtils.saveSession(first);
+    sessionUtils.saveSession(second);
+
+    expect(sessionUtils.listSessions(root).map(session => session.id)).toEqual([second.id, first.id]);
+    expect(sessionUtils.loadSession(second.id, root)).toMatchObject({ id: second.id, title: 'Deploy the vault' });
+    expect(sessionUtils.loadSession('20260101-120000-b', root).id).toBe(second.id);
+    expect(() => sessionUtils.loadSession('20260101-120000', root)).toThrow('is ambiguous (2 matches)');
+    expect(sessionUtils.loadSession('20250101', root)).toBeNull();
+
+    // Sessions of other projects are found too
+    expect(sessionUtils.loadSession('20260101-120000-a', path.join(root, 'other'))).toMatchObject({ id: first.id });
+  });
+
+  test('Should export agent tool calls and tool results with their own labels', () => {
+    const session = sessionUtils.createSession(root);
+    session.messages.push(
+      { role: 'system', content: 'You are ARVIL' },
+      { role: 'user', content: 'Run the tests' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'run_tests', arguments: '{"command":"npx hardhat test"}' } }] },
+      { role: 'tool', tool_call_id: 'call_1', content: '12 passing' },
+      { role: 'assistant', content: 'All tests pass.' }
+    );
+    session.commands.push({ command: 'npx hardhat test', success: true, stdout: '12 passing\n', stderr: '', timestamp: '2026-01-01T12:00:00.000Z' });
+
+    const markdown = sessionUtils.formatSessionMarkdown(session);
+
+    expect(markdown).not.toContain('You are ARVIL');
+    expect(markdown).not.toContain('null');
+    expect(markdown).toContain('### User\n\nRun the tests');
+    expect(markdown).toContain('### ARVIL\n\n→ run_tests({"command":"npx hardhat test"})');
+    expect(markdown).toContain('### Tool result\n\n12 passing');
+    expect(markdown).toContain('### `npx hardhat test` — succeeded');
+  });
+
+  test('Should keep the contents of an overwritten .env out of the session file', () => {
+    const privateKey = `0x${'4c0883a69102937d6231471b5dbb6204fe512961708279f3c5a5a9f4ea5d3a01'}`;
+    const envFile = path.join(root, '.env');
+    fs.writeFileSync(envFile, `PRIVATE_KEY=${privateKey}\nDEFAULT_NETWORK=sepolia\n`);
+
+    const session = sessionUtils.createSession(root);
+    session.messages.push({ role: 'user', content: `Deploy with PRIVATE_KEY=${privateKey}` });
+    session.snapshots.push({ path: envFile, existed: true, previousContent: fs.readFileSync(envFile, 'utf8'), mode: 0o644 });
+    fs.writeFileSync(envFile, 'PRIVATE_KEY=\n');
+
+    // As assist saves it: the conversation redacted, the snapshots as they are
+    const { snapshots, ...rest } = session;
+    const redactor = createRedactor({ projectRoot: root, env: {}, key: Buffer.alloc(32, 7) });
+    sessionUtils.saveSession({ ...redactDeep(redactor, rest), snapshots });
+
+    const sessionsDir = path.join(home, '.arvil', 'sessions');
+    const projectDir = path.join(sessionsDir, fs.readdirSync(sessionsDir)[0]);
+    expect(fs.readdirSync(projectDir).sort()).toEqual([`${session.id}.json`, `${session.id}.snapshots.json`]);
+
+    const sessionFile = path.join(projectDir, `${session.id}.json`);
+    const snapshotsFile = path.join(projectDir, `${session.id}.snapshots.json`);
+    expect(fs.readFileSync(sessionFile, 'utf8')).not.toContain('4c0883a6');
+    expect(fs.statSync(snapshotsFile).mode & 0o777).toBe(0o600);
+
+    // Listing and loading skip the snapshots file; undo reads it on its own
+    const loaded = sessionUtils.loadSession(session.id.slice(0, 8), root);
+    expect(sessionUtils.listSessions(root)).toHaveLength(1);
+    expect(loaded.snapshots).toBeUndefined();
+    expect(sessionUtils.loadSnapshots(loaded)[0].previousContent).toContain(privateKey);
+  });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createShellSession, getSessionEnv, runInSession, predictCwd, formatCwd } = require('../src/utils/shell');
+
+// A killed process can stay a zombie until its parent (init in a container) reaps it
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (error) {
+    return false;
+  }
+
+  const stat = path.join('/proc', String(pid), 'stat');
+  return !fs.existsSync(stat) || fs.readFileSync(stat, 'utf8').split(' ')[2] !== 'Z';
+}
+
+describe('shell session', () => {
+  let root;
+
+  beforeAll(() => {
+    root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-shell-')));
+    fs.ensureDirSync(path.join(root, 'programs', 'vault'));
+  });
+
+  afterAll(() => {
+    fs.removeSync(root);
+  });
+
+  test('Should keep the directory and exported variables for the next command', async () => {
+    const session = createShellSession(root);
+
+    await runInSession(session, 'cd programs/vault && export ANCHOR_WALLET=/tmp/id.json');
+    expect(session.cwd).toBe(path.join(root, 'programs', 'vault'));
+
+    const { stdout, cwd } = await runInSession(session, 'pwd; echo "$ANCHOR_WALLET"');
+    expect(cwd).toBe(path.join(root, 'programs', 'vault'));
+    expect(stdout).toBe(`${path.join(root, 'programs', 'vault')}\n/tmp/id.json\n`);
+
+    await runInSession(session, 'unset ANCHOR_WALLET; cd ../..');
+    expect(session.cwd).toBe(root);
+    expect(getSessionEnv(session, { ANCHOR_WALLET: 'from-process' })).not.toHaveProperty('ANCHOR_WALLET');
+  });
+
+  test('Should keep exported variables where env has no -0 option', async () => {
+    // An env that rejects -0 like older BSD and busybox builds
+    const bin = path.join(root, 'bin');
+    fs.outputFileSync(path.join(bin, 'env'), '#!/bin/sh\necho "env: illegal option -- 0" >&2\nexit 1\n', { mode: 0o755 });
+
+    const session = createShellSession(root);
+    session.exports.PATH = `${bin}:${process.env.PATH}`;
+
+    await runInSession(session, 'cd programs && export CLUSTER=devnet');
+    expect(session.cwd).toBe(path.join(root, 'programs'));
+    expect(session.exports.CLUSTER).toBe('devnet');
+    fs.removeSync(bin);
+  });
+
+  test('Should keep the exit code and the state of a failing command', async () => {
+    const session = createShellSession(root);
+
+    await expect(runInSession(session, 'cd programs && exit 3')).rejects.toMatchObject({ code: 3, cwd: root });
+    expect(session.cwd).toBe(path.join(root, 'programs'));
+  });
+
+  test('Should stream output and stop the whole process group on timeout or cancel', async () => {
+    const session = createShellSession(root);
+    const chunks = [];
+
+    const result = await runInSession(session, 'echo out; echo err >&2', { onStdout: chunk => chunks.push(chunk) });
+    expect(chunks.join('')).toBe('out\n');
+    expect(result.output).toContain('err\n');
+
+    const started = Date.now();
+    const timedOut = runInSession(session, 'sleep 30 & echo $! > child.pid; wait', { timeout: 300 });
+    await expect(timedOut).rejects.toMatchObject({ timedOut: true, message: expect.stringContaining('timed out') });
+    expect(Date.now() - started).toBeLessThan(5000);
+
+    // The background sleep belonged to the command's process group and was stopped with it
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const childPid = Number(fs.readFileSync(path.join(root, 'child.pid'), 'utf8'));
+    expect(isRunning(childPid)).toBe(false);
+
+    const controller = new AbortController();
+    const cancelled = runInSession(session, 'sleep 30', { signal: controller.signal });
+    setTimeout(() => controller.abort(), 100);
+    await expect(cancelled).rejects.toMatchObject({ cancelled: true, code: null });
+  });
+
+  test('Should predict the directory of planned commands from their cd steps', () => {
+    expect(predictCwd('/work/app', 'cd programs/vault')).toBe('/work/app/programs/vault');
+    expect(predictCwd('/work/app', 'mkdir -p web && cd "web" && npm init -y')).toBe('/work/app/web');
+    expect(predictCwd('/work/app', 'cd $PROJECT_DIR')).toBe('/work/app');
+    expect(predictCwd('/work/app', 'anchor build')).toBe('/work/app');
+    expect(formatCwd('/work/app/web', '/work/app')).toBe('web');
+    expect(formatCwd('/srv', '/work/app')).toBe('/srv');
+  });
+});
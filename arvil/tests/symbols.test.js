@@ -0,0 +1,89 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { extractSymbols, buildIndex, INDEX_FILE } = require('../src/utils/symbols');
+
+const ANCHOR_PROGRAM = `use anchor_lang::prelude::*;
+
+#[program]
+pub mod vault {
+    use super::*;
+
+    pub fn withdraw(ctx: Context<Withdraw>, amount: u64) -> Result<()> {
+        require!(amount > 0, VaultError::ZeroAmount);
+        Ok(())
+    }
+}
+
+#[derive(Accounts)]
+pub struct Withdraw<'info> {
+    #[account(mut)]
+    pub vault: Account<'info, Vault>,
+}
+
+#[account]
+pub struct Vault {
+    pub bump: u8,
+}
+
+#[error_code]
+pub enum VaultError {
+    ZeroAmount,
+}
+`;
+
+const SCRIPT = `async function deploy(network) {
+  return network;
+}
+
+const helper = (value) => value;
+
+module.exports = { deploy };
+`;
+
+describe('symbol index', () => {
+  test('Should find Anchor instructions and account types', () => {
+    const { symbols } = extractSymbols('programs/vault/src/lib.rs', ANCHOR_PROGRAM);
+
+    expect(symbols.map(symbol => [symbol.kind, symbol.name, symbol.line, symbol.endLine])).toEqual([
+      ['program', 'vault', 4, 11],
+      ['instruction', 'withdraw', 7, 10],
+      ['accounts', 'Withdraw', 14, 17],
+      ['account', 'Vault', 20, 22],
+      ['error', 'VaultError', 25, 27]
+    ]);
+  });
+
+  test('Should mark functions exported through module.exports', () => {
+    const { symbols } = extractSymbols('scripts/deploy.js', SCRIPT);
+
+    expect(symbols.map(symbol => [symbol.name, !!symbol.exported])).toEqual([
+      ['deploy', true],
+      ['helper', false]
+    ]);
+  });
+
+  test('Should only rewrite the index file when a file was parsed or removed', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-symbols-'));
+
+    try {
+      fs.outputFileSync(path.join(root, 'scripts/deploy.js'), SCRIPT);
+      fs.outputFileSync(path.join(root, 'programs/vault/src/lib.rs'), ANCHOR_PROGRAM);
+      buildIndex(root);
+
+      const indexFile = path.join(root, INDEX_FILE);
+      const earlier = new Date(Date.now() - 60000);
+      fs.utimesSync(indexFile, earlier, earlier);
+      const writtenAt = fs.statSync(indexFile).mtimeMs;
+
+      expect(buildIndex(root).stats).toMatchObject({ parsed: 0, reused: 2, removed: 0 });
+      expect(fs.statSync(indexFile).mtimeMs).toBe(writtenAt);
+
+      fs.removeSync(path.join(root, 'scripts/deploy.js'));
+      expect(buildIndex(root).stats).toMatchObject({ parsed: 0, reused: 1, removed: 1 });
+      expect(fs.statSync(indexFile).mtimeMs).toBeGreaterThan(writtenAt);
+    } finally {
+      fs.removeSync(root);
+    }
+  });
+});
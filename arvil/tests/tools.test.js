@@ -0,0 +1,45 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { AGENT_TOOLS, readFileTool, listDirTool, detectTestCommand } = require('../src/utils/tools');
+
+describe('agent tools', () => {
+  let root;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-tools-'));
+    fs.outputFileSync(path.join(root, 'programs/vault/src/lib.rs'), 'use anchor_lang::prelude::*;\n\npub fn withdraw() {}\n');
+    fs.outputFileSync(path.join(root, 'node_modules/dep/index.js'), '');
+    fs.outputFileSync(path.join(root, 'Anchor.toml'), '[programs.localnet]\n');
+  });
+
+  afterAll(() => {
+    fs.removeSync(root);
+  });
+
+  test('Should describe every tool as a function', () => {
+    expect(AGENT_TOOLS.map(tool => tool.function.name)).toEqual([
+      'read_file', 'list_dir', 'write_file', 'apply_patch', 'run_command', 'run_tests', 'done'
+    ]);
+  });
+
+  test('Should read a line range with line numbers', () => {
+    const result = readFileTool(root, { path: 'programs/vault/src/lib.rs', start_line: 3, end_line: 3 });
+    expect(result).toBe('programs/vault/src/lib.rs (lines 3-3 of 4):\n    3 | pub fn withdraw() {}');
+  });
+
+  test('Should refuse paths outside the project', () => {
+    expect(() => readFileTool(root, { path: '../secret.txt' })).toThrow('outside the project');
+  });
+
+  test('Should list directories without dependencies', () => {
+    expect(listDirTool(root, { depth: 3 }).split('\n')).toEqual([
+      'Anchor.toml', 'programs/', '  vault/', '    src/'
+    ]);
+  });
+
+  test('Should detect the test command of the project', () => {
+    expect(detectTestCommand(root)).toBe('anchor test');
+    expect(detectTestCommand(path.join(root, 'programs'))).toBeNull();
+  });
+});
@@ -0,0 +1,115 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+describe('undo', () => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-undo-home-'));
+  let root;
+  let sessionUtils;
+  let undo;
+  let inquirer;
+
+  beforeAll(() => {
+    // ~/.arvil/sessions is located when the module loads
+    const homedir = jest.spyOn(os, 'homedir').mockReturnValue(home);
+    jest.isolateModules(() => {
+      sessionUtils = require('../src/utils/session');
+      undo = require('../src/commands/undo');
+      inquirer = require('inquirer');
+    });
+    homedir.mockRestore();
+  });
+
+  beforeEach(() => {
+    root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-undo-')));
+    jest.spyOn(process, 'cwd').mockReturnValue(root);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.removeSync(root);
+    fs.removeSync(path.join(home, '.arvil'));
+  });
+
+  afterAll(() => {
+    fs.removeSync(home);
+  });
+
+  // Write a file the way assist does: snapshot first, then remember what was written
+  const writeInSession = (session, file, content) => {
+    const existed = fs.existsSync(file);
+    session.snapshots.push({
+      path: file,
+      existed,
+      previousContent: existed ? fs.readFileSync(file, 'utf8') : null,
+      mode: existed ? fs.statSync(file).mode & 0o777 : null,
+      timestamp: new Date().toISOString()
+    });
+    fs.writeFileSync(file, content);
+    session.snapshots[session.snapshots.length - 1].writtenHash = sessionUtils.hashContent(content);
+  };
+
+  test('Should restore overwritten files and delete created ones', async () => {
+    const config = path.join(root, 'hardhat.config.js');
+    const script = path.join(root, 'scripts', 'deploy.js');
+    fs.writeFileSync(config, 'module.exports = {};\n');
+    fs.ensureDirSync(path.dirname(script));
+
+    const session = sessionUtils.createSession(root);
+    writeInSession(session, config, 'module.exports = { solidity: "0.8.24" };\n');
+    writeInSession(session, script, 'console.log("deploy");\n');
+    sessionUtils.saveSession(session);
+
+    await undo(undefined, { yes: true });
+
+    expect(fs.readFileSync(config, 'utf8')).toBe('module.exports = {};\n');
+    expect(fs.existsSync(script)).toBe(false);
+    expect(sessionUtils.loadSession(session.id, root).undoneAt).toBeDefined();
+    expect(sessionUtils.loadSnapshots(session).every(snapshot => snapshot.undoneAt)).toBe(true);
+  });
+
+  test('Should ask before reverting a file that was changed after the session wrote it', async () => {
+    const env = path.join(root, '.env');
+    fs.writeFileSync(env, 'DEFAULT_NETWORK=sepolia\n');
+
+    const session = sessionUtils.createSession(root);
+    writeInSession(session, env, 'DEFAULT_NETWORK=sepolia\nRPC_URL=https://rpc.sepolia.org\n');
+    sessionUtils.saveSession(session);
+    fs.appendFileSync(env, 'ETHERSCAN_API_KEY=added-by-hand\n');
+
+    // --yes keeps the changed file
+    await undo(session.id, { yes: true });
+    expect(fs.readFileSync(env, 'utf8')).toContain('added-by-hand');
+    expect(sessionUtils.loadSession(session.id, root).undoneAt).toBeUndefined();
+
+    const prompt = jest.spyOn(inquirer, 'prompt')
+      .mockResolvedValueOnce({ confirmUndo: true })
+      .mockResolvedValueOnce({ overwrite: true });
+    await undo(session.id);
+
+    expect(prompt).toHaveBeenLastCalledWith([expect.objectContaining({ message: expect.stringContaining('was changed since the session wrote it') })]);
+    expect(fs.readFileSync(env, 'utf8')).toBe('DEFAULT_NETWORK=sepolia\n');
+  });
+
+  test('Should undo changes made after an earlier undo when the session was resumed', async () => {
+    const lib = path.join(root, 'lib.rs');
+    fs.writeFileSync(lib, 'fn main() {}\n');
+
+    const session = sessionUtils.createSession(root);
+    writeInSession(session, lib, 'fn main() { first(); }\n');
+    sessionUtils.saveSession(session);
+    await undo(session.id, { yes: true });
+    expect(fs.readFileSync(lib, 'utf8')).toBe('fn main() {}\n');
+
+    // assist --resume: the earlier snapshot is undone, so the next write takes a new one
+    const resumed = sessionUtils.loadSession(session.id, root);
+    resumed.snapshots = sessionUtils.loadSnapshots(resumed);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    writeInSession(resumed, lib, 'fn main() { second(); }\n');
+    sessionUtils.saveSession(resumed);
+
+    await undo(undefined, { yes: true });
+    expect(fs.readFileSync(lib, 'utf8')).toBe('fn main() {}\n');
+  });
+});
@@ -0,0 +1,61 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+describe('secrets vault', () => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'arvil-vault-home-'));
+  let vault;
+
+  beforeAll(() => {
+    // ~/.arvil/secrets.enc is located when the module loads
+    const homedir = jest.spyOn(os, 'homedir').mockReturnValue(home);
+    jest.isolateModules(() => {
+      vault = require('../src/utils/vault');
+    });
+    homedir.mockRestore();
+  });
+
+  afterEach(() => {
+    delete process.env.ARVIL_VAULT_PASSPHRASE;
+    delete process.env.VAULT_TEST_KEY;
+    vault.lockVault();
+  });
+
+  afterAll(() => {
+    fs.removeSync(home);
+  });
+
+  test('Should encrypt with a fresh salt and reject a wrong passphrase', () => {
+    const secrets = { PRIVATE_KEY: { value: '0x4c0883a69102937d', createdAt: 'now', updatedAt: 'now' } };
+    const first = vault.encryptSecrets(secrets, 'correct horse');
+    const second = vault.encryptSecrets(secrets, 'correct horse');
+
+    expect(first.data).not.toContain('4c0883');
+    expect(first.kdf.salt).not.toBe(second.kdf.salt);
+    expect(vault.decryptSecrets(second, 'correct horse')).toEqual(secrets);
+    expect(() => vault.decryptSecrets(first, 'wrong horse')).toThrow('Wrong passphrase');
+    expect(() => vault.decryptSecrets({ ...first, data: second.data }, 'correct horse')).toThrow('Wrong passphrase');
+  });
+
+  test('Should store secrets in ~/.arvil/secrets.enc and load them into the environment', async () => {
+    process.env.ARVIL_VAULT_PASSPHRASE = 'ci passphrase';
+
+    expect(await vault.setSecret('VAULT_TEST_KEY', 'sk-vault-123')).toBe(true);
+    expect(fs.readFileSync(vault.VAULT_FILE, 'utf8')).not.toContain('sk-vault-123');
+    expect((fs.statSync(vault.VAULT_FILE).mode & 0o777).toString(8)).toBe('600');
+    await expect(vault.setSecret('not a name', 'x')).rejects.toThrow('Invalid secret name');
+
+    vault.lockVault();
+    expect(await vault.loadVaultIntoEnv({ prompt: false })).toEqual(['VAULT_TEST_KEY']);
+    expect(process.env.VAULT_TEST_KEY).toBe('sk-vault-123');
+
+    // The CLI loads the vault before a command does it again, which still learns the names
+    expect(await vault.loadVaultIntoEnv({ prompt: false })).toEqual(['VAULT_TEST_KEY']);
+    expect(vault.readVault('ci passphrase').VAULT_TEST_KEY.value).toBe('sk-vault-123');
+  });
+
+  test('Should stay locked without a passphrase when prompting is off', async () => {
+    expect(await vault.unlockVault({ prompt: false })).toBeNull();
+    expect(await vault.loadVaultIntoEnv({ prompt: false })).toEqual([]);
+  });
+});